@@ -6,6 +6,13 @@ import { translateCommand } from '../src/commands/translate.js';
 import { keysCommand } from '../src/commands/keys.js';
 import { configCommand } from '../src/commands/config.js';
 import { initCommand } from '../src/commands/init.js';
+import { xliffCommand } from '../src/commands/xliff.js';
+import { checkCommand } from '../src/commands/check.js';
+import { cacheCommand } from '../src/commands/cache.js';
+import { statusCommand } from '../src/commands/status.js';
+import { diffCommand } from '../src/commands/diff.js';
+import { mockServerCommand } from '../src/commands/mock-server.js';
+import { enableJSONOutput } from '../src/utils/logger.js';
 import { readFileSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
@@ -24,10 +31,17 @@ program
   .name('shipi18n')
   .description('🌍 Translate your locale files with Shipi18n')
   .version(packageJson.version, '-v, --version', 'Output the current version')
+  .option('--json', 'Print a single JSON result object on stdout (messages go to stderr)')
   .addHelpText('after', `
 ${chalk.cyan('Examples:')}
   $ shipi18n init
   $ shipi18n translate en.json --target es,fr,de
+  $ shipi18n xliff export --target de --xliff-version 2.0
+  $ shipi18n check --format junit > i18n-report.xml
+  $ shipi18n status --threshold 95
+  $ shipi18n diff --translate --incremental
+  $ shipi18n cache stats
+  $ shipi18n mock-server --error 429:2 --missing-languages fr
   $ shipi18n keys list
   $ shipi18n config set apiKey sk_live_...
 
@@ -40,11 +54,24 @@ ${chalk.cyan('Get started:')}
 ${chalk.gray('Documentation: https://shipi18n.com/docs/cli')}
   `);
 
+// --json before or after the command name
+program.hook('preAction', (_, actionCommand) => {
+  if (actionCommand.optsWithGlobals().json) {
+    enableJSONOutput();
+  }
+});
+
 // Add commands
 initCommand(program);
 translateCommand(program);
 keysCommand(program);
 configCommand(program);
+xliffCommand(program);
+checkCommand(program);
+cacheCommand(program);
+statusCommand(program);
+diffCommand(program);
+mockServerCommand(program);
 
 // Parse arguments
 program.parse(process.argv);
@@ -0,0 +1,133 @@
+/**
+ * Tests for the Android strings.xml format adapter
+ */
+
+import { androidFormat, androidQualifier } from '../lib/formats/android.js';
+
+const STRINGS_XML = `<?xml version="1.0" encoding="utf-8"?>
+<resources xmlns:tools="http://schemas.android.com/tools">
+    <string name="app_name" translatable="false">Demo</string>
+    <!-- Greeting on the home screen -->
+    <string name="welcome">Welcome, %1$s!</string>
+    <string name="quote">Don\\'t \\"panic\\"</string>
+    <string name="rich">Tap <b>Save</b> &amp; continue</string>
+    <plurals name="files">
+        <item quantity="one">%d file</item>
+        <item quantity="other">%d files</item>
+    </plurals>
+    <string-array name="planets">
+        <item>Mercury</item>
+        <item>Venus</item>
+    </string-array>
+</resources>
+`;
+
+describe('Android format', () => {
+  describe('androidQualifier', () => {
+    test('maps language codes to resource qualifiers', () => {
+      expect(androidQualifier('es')).toBe('es');
+      expect(androidQualifier('pt-BR')).toBe('pt-rBR');
+      expect(androidQualifier('es-419')).toBe('es-r419');
+      expect(androidQualifier('zh-Hans')).toBe('b+zh+Hans');
+    });
+  });
+
+  describe('parse', () => {
+    test('reads strings, plurals and string arrays', () => {
+      const { data } = androidFormat.parse(STRINGS_XML, { source: true });
+
+      expect(data).toEqual({
+        welcome: 'Welcome, %1$s!',
+        quote: 'Don\'t "panic"',
+        rich: 'Tap <b>Save</b> &amp; continue',
+        files: { one: '%d file', other: '%d files' },
+        planets: { 0: 'Mercury', 1: 'Venus' },
+      });
+    });
+
+    test('skips translatable="false" strings', () => {
+      const { data } = androidFormat.parse(STRINGS_XML);
+      expect(data.app_name).toBeUndefined();
+    });
+
+    test('uses preceding comments as context annotations', () => {
+      const { context } = androidFormat.parse(STRINGS_XML, { source: true });
+      expect(context).toEqual({ welcome: 'Greeting on the home screen' });
+    });
+
+    test('throws for non-resource documents', () => {
+      expect(() => androidFormat.parse('<manifest/>')).toThrow('Expected <resources>');
+    });
+  });
+
+  describe('serialize', () => {
+    test('writes translations in source order with escapes', () => {
+      const source = androidFormat.parse(STRINGS_XML, { source: true });
+      const output = androidFormat.serialize({
+        welcome: '¡Bienvenido, %1$s!',
+        quote: 'No "entres" en pánico',
+        rich: 'Toca <b>Guardar</b> & continúa',
+        files: { one: '%d archivo', other: '%d archivos' },
+        planets: { 0: 'Mercurio', 1: 'Venus' },
+      }, { language: 'es', sourceDocument: source.document });
+
+      expect(output).toBe(`<?xml version="1.0" encoding="utf-8"?>
+<resources xmlns:tools="http://schemas.android.com/tools">
+    <!-- Greeting on the home screen -->
+    <string name="welcome">¡Bienvenido, %1$s!</string>
+    <string name="quote">No \\"entres\\" en pánico</string>
+    <string name="rich">Toca <b>Guardar</b> &amp; continúa</string>
+    <plurals name="files">
+        <item quantity="one">%d archivo</item>
+        <item quantity="other">%d archivos</item>
+    </plurals>
+    <string-array name="planets">
+        <item>Mercurio</item>
+        <item>Venus</item>
+    </string-array>
+</resources>
+`);
+    });
+
+    test('round-trips its own output', () => {
+      const source = androidFormat.parse(STRINGS_XML, { source: true });
+      const output = androidFormat.serialize(source.data, { sourceDocument: source.document });
+      expect(androidFormat.parse(output).data).toEqual(source.data);
+    });
+
+    test('nests dotted names and hashes names that would collide', () => {
+      const source = androidFormat.parse(`<resources>
+    <string name="settings.title">Settings</string>
+    <plurals name="settings.files">
+        <item quantity="other">%d files</item>
+    </plurals>
+    <string name="menu">Menu</string>
+    <string name="menu.open">Open</string>
+</resources>
+`);
+      expect(source.data.settings).toEqual({ title: 'Settings', files: { other: '%d files' } });
+      expect(source.data.menu).toEqual({ open: 'Open' });
+      expect(Object.keys(source.data).find(key => key.startsWith('str_'))).toBeDefined();
+
+      const output = androidFormat.serialize(source.data, { sourceDocument: source.document });
+      expect(output).toContain('<string name="settings.title">Settings</string>');
+      expect(output).toContain('<plurals name="settings.files">');
+      expect(output).toContain('<string name="menu">Menu</string>');
+      expect(output).toContain('<string name="menu.open">Open</string>');
+      expect(androidFormat.pluralKeys(source.document)).toEqual(['settings.files']);
+    });
+
+    test('writes keys missing from the template by their shape', () => {
+      const output = androidFormat.serialize({ title: 'Hola', colors: { 0: 'Rojo' } }, {});
+      expect(output).toContain('<string name="title">Hola</string>');
+      expect(output).toContain('<string-array name="colors">');
+      expect(androidFormat.serialize({ settings: { title: 'Titel' } }, {})).toContain('<string name="settings.title">Titel</string>');
+    });
+  });
+
+  describe('outputPath', () => {
+    test('writes next to the values folder', () => {
+      expect(androidFormat.outputPath('app/src/main/res/values/strings.xml', 'de')).toBe('app/src/main/res/values-de/strings.xml');
+    });
+  });
+});
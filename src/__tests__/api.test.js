@@ -1,5 +1,8 @@
 import { jest } from '@jest/globals'
-import { Shipi18nAPI } from '../lib/api.js'
+import { createServer } from 'http'
+import { Shipi18nAPI, splitIntoChunks, parseRetryAfter } from '../lib/api.js'
+
+const nativeFetch = global.fetch
 
 // Mock fetch globally
 global.fetch = jest.fn()
@@ -149,6 +152,289 @@ describe('Shipi18nAPI', () => {
     })
   })
 
+  describe('chunked requests', () => {
+    // Echoes each chunk back as "[lang] value"
+    const echo = async (url, options) => {
+      const body = JSON.parse(options.body)
+      const text = JSON.parse(body.text)
+      const result = {}
+      for (const lang of JSON.parse(body.targetLanguages)) {
+        result[lang] = JSON.stringify(Object.fromEntries(
+          Object.entries(text).map(([key, value]) => [key, `[${lang}] ${value}`])
+        ))
+      }
+      return { ok: true, json: async () => result }
+    }
+
+    const json = { a: 'A', b: 'B', c: 'C', d: 'D', e: 'E' }
+
+    beforeEach(() => {
+      api = new Shipi18nAPI('test-api-key', { retries: 0 })
+    })
+
+    afterEach(() => {
+      global.fetch.mockReset()
+    })
+
+    test('splits keys into chunks and reassembles them in order', async () => {
+      global.fetch.mockImplementation(echo)
+
+      const result = await api.translateJSON({ json, targetLanguages: ['es'], chunkSize: 2 })
+
+      expect(global.fetch).toHaveBeenCalledTimes(3)
+      expect(Object.keys(JSON.parse(JSON.parse(global.fetch.mock.calls[2][1].body).text))).toEqual(['e'])
+      expect(result.es).toEqual({ a: '[es] A', b: '[es] B', c: '[es] C', d: '[es] D', e: '[es] E' })
+    })
+
+    test('splits target languages into batches', async () => {
+      global.fetch.mockImplementation(echo)
+
+      const result = await api.translateJSON({ json, targetLanguages: ['es', 'fr', 'de'], languagesPerRequest: 2 })
+
+      const batches = global.fetch.mock.calls.map(([, options]) => JSON.parse(JSON.parse(options.body).targetLanguages))
+      expect(batches).toEqual([['es', 'fr'], ['de']])
+      expect(result.de.a).toBe('[de] A')
+    })
+
+    test('keeps at most `concurrency` requests in flight', async () => {
+      let inFlight = 0
+      let maxInFlight = 0
+      global.fetch.mockImplementation(async (url, options) => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        inFlight--
+        return echo(url, options)
+      })
+
+      await api.translateJSON({ json, targetLanguages: ['es'], chunkSize: 1, concurrency: 2 })
+
+      expect(global.fetch).toHaveBeenCalledTimes(5)
+      expect(maxInFlight).toBe(2)
+    })
+
+    test('reports progress per language', async () => {
+      global.fetch.mockImplementation(echo)
+      const updates = []
+
+      await api.translateJSON({
+        json,
+        targetLanguages: ['es'],
+        chunkSize: 2,
+        concurrency: 1,
+        onProgress: progress => updates.push({ ...progress.es }),
+      })
+
+      expect(updates).toEqual([{ done: 1, total: 3 }, { done: 2, total: 3 }, { done: 3, total: 3 }])
+    })
+
+    test('sends each chunk only its own context annotations', async () => {
+      global.fetch.mockImplementation(echo)
+
+      await api.translateJSON({ json, targetLanguages: ['es'], chunkSize: 2, contextAnnotations: { c: 'letter' } })
+
+      const contexts = global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body).contextAnnotations)
+      expect(contexts).toEqual([{}, { c: 'letter' }, {}])
+    })
+
+    test('leaves out keys of failed chunks and lists them', async () => {
+      global.fetch.mockImplementation(async (url, options) => {
+        if (JSON.parse(options.body).text.includes('"c"')) {
+          return { ok: false, status: 500, statusText: 'Server Error', json: async () => ({ error: { message: 'Timed out' } }) }
+        }
+        return echo(url, options)
+      })
+
+      const result = await api.translateJSON({ json, targetLanguages: ['es'], chunkSize: 2 })
+
+      expect(result.es).toEqual({ a: '[es] A', b: '[es] B', e: '[es] E' })
+      expect(result.fallbackInfo).toBeUndefined()
+      expect(result.failed).toEqual({
+        requests: 1,
+        totalRequests: 3,
+        languages: { es: ['c', 'd'] },
+        errors: ['Timed out'],
+      })
+    })
+
+    test('throws when every request fails', async () => {
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 503,
+        statusText: 'Service Unavailable',
+        json: async () => ({ error: { message: 'Unavailable' } }),
+      })
+
+      await expect(api.translateJSON({ json, targetLanguages: ['es'], chunkSize: 2 })).rejects.toThrow('Unavailable')
+    })
+
+    test('sends only what the translation memory does not have', async () => {
+      global.fetch.mockImplementation(echo)
+      const stored = { 'es:A': 'Cached A', 'fr:A': 'Caché A', 'fr:B': 'Caché B' }
+      const memory = {
+        get: ({ text, targetLanguage }) => stored[`${targetLanguage}:${text}`],
+        set: jest.fn(),
+      }
+
+      const result = await api.translateJSON({ json: { a: 'A', b: 'B', c: 'C' }, targetLanguages: ['es', 'fr'], memory })
+
+      const sent = global.fetch.mock.calls.map(([, options]) => {
+        const body = JSON.parse(options.body)
+        return [JSON.parse(body.targetLanguages), Object.keys(JSON.parse(body.text))]
+      })
+      expect(sent).toEqual([[['es'], ['b', 'c']], [['fr'], ['c']]])
+      expect(result.es).toEqual({ a: 'Cached A', b: '[es] B', c: '[es] C' })
+      expect(Object.keys(result.fr)).toEqual(['a', 'b', 'c'])
+      expect(result.cached).toEqual({ es: 1, fr: 2 })
+      expect(memory.set).toHaveBeenCalledWith(expect.objectContaining({ text: 'C', targetLanguage: 'fr' }), '[fr] C')
+    })
+
+    test('does not call the API when the memory has everything', async () => {
+      const memory = { get: ({ text }) => `Cached ${text}`, set: jest.fn() }
+
+      const result = await api.translateJSON({ json: { a: 'A' }, targetLanguages: ['es'], memory })
+
+      expect(global.fetch).not.toHaveBeenCalled()
+      expect(result.es).toEqual({ a: 'Cached A' })
+    })
+
+    test('sends the glossary entries that occur in each chunk', async () => {
+      global.fetch.mockImplementation(echo)
+      const glossary = { doNotTranslate: ['Acme'], terms: [{ term: 'workspace', translations: { es: 'espacio de trabajo' } }] }
+
+      await api.translateJSON({ json: { a: 'Acme', b: 'Hello', c: 'New workspace' }, targetLanguages: ['es'], chunkSize: 1, glossary })
+
+      const sent = global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body).glossary)
+      expect(sent).toEqual([
+        { doNotTranslate: ['Acme'], terms: [] },
+        undefined,
+        { doNotTranslate: [], terms: [{ term: 'workspace', translations: { es: 'espacio de trabajo' } }] },
+      ])
+    })
+
+    test('splitIntoChunks limits keys and characters', () => {
+      expect(splitIntoChunks({ a: '1', b: '2', c: '3' }, { maxKeys: 2 })).toEqual([{ a: '1', b: '2' }, { c: '3' }])
+      expect(splitIntoChunks({ a: 'x'.repeat(10), b: 'y' }, { maxKeys: 0, maxCharacters: 12 })).toEqual([{ a: 'x'.repeat(10) }, { b: 'y' }])
+      expect(splitIntoChunks({})).toEqual([])
+    })
+  })
+
+  describe('retries', () => {
+    // Local stub server answering with the scripted responses in order
+    let server
+    let baseUrl
+    let responses
+    let requests
+
+    beforeAll(async () => {
+      server = createServer((req, res) => {
+        requests.push(req.url)
+        const { status = 200, headers = {}, body = {}, delay = 0 } = responses.shift() || {}
+        setTimeout(() => {
+          res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+          res.end(JSON.stringify(body))
+        }, delay)
+      })
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+      baseUrl = `http://127.0.0.1:${server.address().port}`
+    })
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve))
+    })
+
+    beforeEach(() => {
+      global.fetch.mockImplementation(nativeFetch)
+      responses = []
+      requests = []
+    })
+
+    afterEach(() => {
+      global.fetch.mockReset()
+    })
+
+    const client = (options = {}) => new Shipi18nAPI('test-api-key', { baseUrl, retryDelay: 1, ...options })
+
+    test('retries 5xx responses with backoff', async () => {
+      responses = [
+        { status: 503, body: { error: { message: 'Unavailable' } } },
+        { status: 502, body: {} },
+        { body: { keys: [{ keyName: 'a' }] } },
+      ]
+      const retries = []
+
+      const result = await client({ onRetry: info => retries.push(info) }).listKeys()
+
+      expect(result.keys).toHaveLength(1)
+      expect(requests).toHaveLength(3)
+      expect(retries.map(({ attempt, attempts }) => [attempt, attempts])).toEqual([[1, 4], [2, 4]])
+      expect(retries[0].reason).toBe('503 Unavailable')
+    })
+
+    test('waits as long as Retry-After asks', async () => {
+      responses = [
+        { status: 429, headers: { 'Retry-After': '0.05' }, body: { error: { message: 'Rate limit exceeded' } } },
+        { body: { es: '{"greeting":"Hola"}' } },
+      ]
+      const retries = []
+
+      const result = await client({ onRetry: info => retries.push(info) }).translateJSON({
+        json: { greeting: 'Hello' },
+        targetLanguages: ['es'],
+      })
+
+      expect(result.es).toEqual({ greeting: 'Hola' })
+      expect(retries[0].delay).toBe(50)
+    })
+
+    test('gives up when Retry-After is longer than maxRetryDelay', async () => {
+      responses = [{ status: 429, headers: { 'Retry-After': '120' }, body: { error: { message: 'Rate limit exceeded' } } }]
+
+      await expect(client().listKeys()).rejects.toThrow('server asked to wait 120s')
+      expect(requests).toHaveLength(1)
+    })
+
+    test('does not retry other client errors', async () => {
+      responses = [{ status: 401, body: { error: { message: 'Invalid API key' } } }]
+
+      await expect(client().listKeys()).rejects.toThrow(/^Invalid API key$/)
+      expect(requests).toHaveLength(1)
+    })
+
+    test('times out slow attempts and summarises them in the final error', async () => {
+      responses = [
+        { delay: 200 },
+        { status: 500, body: { error: { message: 'Internal error' } } },
+      ]
+
+      const error = await client({ retries: 1, timeout: 50 }).exportKeys('json').catch(e => e)
+
+      expect(error.message).toBe('Internal error (gave up after 2 attempts: ETIMEDOUT, 500)')
+      expect(error.status).toBe(500)
+      expect(error.attempts[0].message).toBe('Failed to export keys: no response within 0.05s')
+    })
+
+    test('retries network errors', async () => {
+      // A port nothing listens on
+      const closed = createServer()
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve))
+      const { port } = closed.address()
+      await new Promise(resolve => closed.close(resolve))
+
+      const error = await client({ baseUrl: `http://127.0.0.1:${port}`, retries: 1 }).listKeys().catch(e => e)
+
+      expect(error.code).toBe('ECONNREFUSED')
+      expect(error.attempts).toHaveLength(2)
+    })
+
+    test('parseRetryAfter reads seconds and HTTP dates', () => {
+      const now = Date.parse('2024-01-01T00:00:00Z')
+      expect(parseRetryAfter('3', now)).toBe(3000)
+      expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT', now)).toBe(10000)
+      expect(parseRetryAfter('soon', now)).toBeNull()
+      expect(parseRetryAfter(null)).toBeNull()
+    })
+  })
+
   describe('processRegionalLanguages', () => {
     test('extracts base languages for regional variants', () => {
       const { processedTargets, regionalMap } = api.processRegionalLanguages(
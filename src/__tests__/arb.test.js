@@ -0,0 +1,76 @@
+/**
+ * Tests for the Flutter ARB format adapter
+ */
+
+import { arbFormat, arbLocale } from '../lib/formats/arb.js';
+
+const ARB = JSON.stringify({
+  '@@locale': 'en',
+  helloUser: 'Hello {name}',
+  '@helloUser': {
+    description: 'Greeting on the home screen',
+    placeholders: { name: { type: 'String' } },
+  },
+  itemCount: '{count, plural, =0{No items} one{1 item} other{{count} items}}',
+  '@itemCount': {
+    placeholders: { count: { type: 'int' } },
+  },
+  title: 'Settings',
+});
+
+describe('ARB format', () => {
+  test('arbLocale uses underscores', () => {
+    expect(arbLocale('pt-BR')).toBe('pt_BR');
+    expect(arbLocale('es')).toBe('es');
+  });
+
+  describe('parse', () => {
+    test('strips @@ globals and @key metadata from data', () => {
+      const { data } = arbFormat.parse(ARB, { source: true });
+
+      expect(data).toEqual({
+        helloUser: 'Hello {name}',
+        itemCount: '{count, plural, =0{No items} one{1 item} other{{count} items}}',
+        title: 'Settings',
+      });
+    });
+
+    test('uses descriptions as context annotations', () => {
+      const { context } = arbFormat.parse(ARB, { source: true });
+      expect(context).toEqual({ helloUser: 'Greeting on the home screen' });
+    });
+
+    test('lists the placeholders declared in metadata', () => {
+      const { document } = arbFormat.parse(ARB, { source: true });
+      expect(arbFormat.expectedPlaceholders(document)).toEqual({ helloUser: ['name'], itemCount: ['count'] });
+    });
+  });
+
+  describe('serialize', () => {
+    test('sets @@locale and keeps the source key order without metadata', () => {
+      const { document } = arbFormat.parse(ARB, { source: true });
+      const output = arbFormat.serialize(
+        { title: 'Ajustes', helloUser: 'Hola {name}' },
+        { language: 'pt-BR', sourceDocument: document }
+      );
+
+      expect(JSON.parse(output)).toEqual({ '@@locale': 'pt_BR', helloUser: 'Hola {name}', title: 'Ajustes' });
+      expect(Object.keys(JSON.parse(output))).toEqual(['@@locale', 'helloUser', 'title']);
+    });
+
+    test('keeps other globals from the existing target file', () => {
+      const existing = arbFormat.parse('{"@@locale":"es","@@last_modified":"2024-01-01","title":"Ajustes"}');
+      const output = arbFormat.serialize({ title: 'Ajustes' }, { language: 'es', document: existing.document });
+
+      expect(JSON.parse(output)['@@last_modified']).toBe('2024-01-01');
+    });
+  });
+
+  describe('outputPath', () => {
+    test('swaps the locale suffix in the file name', () => {
+      expect(arbFormat.outputPath('lib/l10n/app_en.arb', 'pt-BR', { sourceLanguage: 'en' })).toBe('lib/l10n/app_pt_BR.arb');
+      expect(arbFormat.outputPath('lib/l10n/en.arb', 'es', { sourceLanguage: 'en' })).toBe('lib/l10n/es.arb');
+      expect(arbFormat.outputPath('lib/l10n/app_en.arb', 'de', { sourceLanguage: 'en', resourceDir: 'out' })).toBe('out/app_de.arb');
+    });
+  });
+});
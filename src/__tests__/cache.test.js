@@ -0,0 +1,131 @@
+/**
+ * Tests for the translation memory
+ */
+
+import { mkdtempSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  cacheKey,
+  getCachePath,
+  openTranslationMemory,
+  getCacheStats,
+  clearCache,
+  exportCache,
+  CACHE_FILE
+} from '../utils/cache.js';
+
+describe('Translation memory', () => {
+  let tempDir;
+  let cachePath;
+  const entry = (text, targetLanguage, extra = {}) => ({ text, sourceLanguage: 'en', targetLanguage, ...extra });
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'shipi18n-cache-'));
+    cachePath = join(tempDir, 'cache', 'cache.json');
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function fill() {
+    const memory = openTranslationMemory(cachePath);
+    memory.set(entry('Cancel', 'es'), 'Cancelar');
+    memory.set(entry('Cancel', 'fr'), 'Annuler');
+    memory.set(entry('Hello {name}', 'es'), 'Hola {name}');
+    memory.save();
+  }
+
+  test('cacheKey depends on text, languages, context and options', () => {
+    const base = cacheKey(entry('Close', 'es'));
+    expect(cacheKey(entry('Close', 'es'))).toBe(base);
+    expect(cacheKey(entry('Close', 'fr'))).not.toBe(base);
+    expect(cacheKey(entry('Close', 'es', { context: 'button' }))).not.toBe(base);
+    expect(cacheKey(entry('Close', 'es', { htmlHandling: 'strip' }))).not.toBe(base);
+    expect(cacheKey(entry('Close', 'es', { preservePlaceholders: false }))).not.toBe(base);
+  });
+
+  test('remembers translations across runs and counts reuse', () => {
+    fill();
+
+    const memory = openTranslationMemory(cachePath);
+    expect(memory.get(entry('Cancel', 'es'))).toBe('Cancelar');
+    expect(memory.get(entry('Cancel', 'de'))).toBeUndefined();
+    expect(memory.get(entry('Cancel', 'es', { context: 'dialog' }))).toBeUndefined();
+    expect(memory.hits).toBe(1);
+    memory.save();
+
+    expect(getCacheStats(cachePath).hits).toBe(1);
+  });
+
+  test('does not keep translations with broken placeholders or empty text', () => {
+    const memory = openTranslationMemory(cachePath);
+    memory.set(entry('Hello {name}', 'es'), 'Hola');
+    memory.set(entry('Save', 'es'), ' ');
+    memory.save();
+
+    expect(memory.added).toBe(0);
+    expect(existsSync(cachePath)).toBe(false);
+  });
+
+  test('does not keep translations that break the glossary', () => {
+    const glossary = [{ term: 'workspace', translation: 'espacio de trabajo' }];
+    const memory = openTranslationMemory(cachePath);
+    memory.set(entry('New workspace', 'es', { glossary }), 'Nueva área');
+    memory.set(entry('Open workspace', 'es', { glossary }), 'Abrir espacio de trabajo');
+
+    expect(memory.added).toBe(1);
+    expect(memory.get(entry('Open workspace', 'es'))).toBeUndefined();
+    expect(memory.get(entry('Open workspace', 'es', { glossary }))).toBe('Abrir espacio de trabajo');
+  });
+
+  test('getCacheStats groups entries by language pair', () => {
+    fill();
+
+    const stats = getCacheStats(cachePath);
+    expect(stats.entries).toBe(3);
+    expect(stats.pairs).toEqual([
+      { sourceLanguage: 'en', targetLanguage: 'es', entries: 2, hits: 0 },
+      { sourceLanguage: 'en', targetLanguage: 'fr', entries: 1, hits: 0 }
+    ]);
+    expect(stats.size).toBeGreaterThan(0);
+  });
+
+  test('clearCache removes all entries or those for some languages', () => {
+    fill();
+
+    expect(clearCache(cachePath, { languages: ['fr'] })).toBe(1);
+    expect(getCacheStats(cachePath).entries).toBe(2);
+    expect(clearCache(cachePath)).toBe(2);
+    expect(existsSync(cachePath)).toBe(false);
+  });
+
+  test('clearCache removes a file that does not parse', () => {
+    writeFileSync(join(tempDir, 'broken.json'), '{');
+    expect(() => openTranslationMemory(join(tempDir, 'broken.json'))).toThrow('shipi18n cache clear');
+    expect(clearCache(join(tempDir, 'broken.json'))).toBe(0);
+    expect(existsSync(join(tempDir, 'broken.json'))).toBe(false);
+  });
+
+  test('exports JSON, CSV and TMX', () => {
+    fill();
+
+    expect(JSON.parse(exportCache(cachePath, 'json')).map(item => item.translation)).toEqual(['Cancelar', 'Annuler', 'Hola {name}']);
+    expect(exportCache(cachePath, 'csv').split('\n')[0]).toBe('sourceLanguage,targetLanguage,source,translation,context,hits');
+
+    const tmx = exportCache(cachePath, 'tmx');
+    expect(tmx).toContain('<tmx version="1.4">');
+    expect(tmx).toContain('<tuv xml:lang="en"><seg>Cancel</seg></tuv>\n      <tuv xml:lang="es"><seg>Cancelar</seg></tuv>\n      <tuv xml:lang="fr"><seg>Annuler</seg></tuv>');
+    expect(() => exportCache(cachePath, 'xlsx')).toThrow('Unknown export format');
+  });
+
+  test('getCachePath follows the cache setting', () => {
+    const projectDir = join(tempDir, 'project');
+    writeFileSync(join(tempDir, 'shipi18n.config.json'), '{}');
+
+    expect(getCachePath({ cache: false })).toBeNull();
+    expect(getCachePath({ cache: 'project' }, tempDir)).toBe(join(tempDir, CACHE_FILE));
+    expect(getCachePath({}, projectDir)).toMatch(/cache\.json$/);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for locale checks
+ */
+
+import { jest } from '@jest/globals';
+import { checkTranslations, buildJSONReport, buildJUnitReport, verifyPlaceholders } from '../lib/check.js';
+
+const SOURCE = {
+  nav: { home: 'Home', about: 'About' },
+  greeting: 'Hello {{name}}',
+  items: '{count, plural, one {# item} other {# items}}',
+  brand: 'Shipi18n',
+  code: '404',
+};
+
+describe('check', () => {
+  describe('checkTranslations', () => {
+    test('passes a complete translation', () => {
+      const target = {
+        nav: { home: 'Inicio', about: 'Acerca de' },
+        greeting: 'Hola {{name}}',
+        items: '{count, plural, one {# elemento} other {# elementos}}',
+        brand: 'Marca',
+        code: '404',
+      };
+      expect(checkTranslations(SOURCE, target)).toEqual([]);
+    });
+
+    test('reports missing, extra, empty, identical and placeholder issues', () => {
+      const target = {
+        nav: { home: 'Home', about: ' ' },
+        greeting: 'Hola {{nombre}}',
+        items: '{count, plural, one {# elemento} other {# elementos}}',
+        code: '404',
+        old: 'Viejo',
+      };
+
+      expect(checkTranslations(SOURCE, target)).toEqual([
+        { key: 'brand', check: 'missing', message: 'Missing translation' },
+        { key: 'old', check: 'extra', message: 'Key not in source' },
+        { key: 'nav.home', check: 'identical', message: 'Same as source' },
+        { key: 'nav.about', check: 'empty', message: 'Empty translation' },
+        { key: 'greeting', check: 'placeholders', message: 'Placeholder mismatch: missing {{name}}; unexpected {{nombre}}' },
+      ]);
+    });
+
+    test('runs only the requested checks', () => {
+      const issues = checkTranslations(SOURCE, { nav: { home: 'Home' } }, { checks: ['identical'] });
+      expect(issues.map(issue => issue.check)).toEqual(['identical']);
+    });
+
+    test('allows identical values for the same base language', () => {
+      expect(checkTranslations({ a: 'Color' }, { a: 'Color' }, { sameLanguage: true })).toEqual([]);
+    });
+  });
+
+  describe('reports', () => {
+    const results = [
+      { source: 'en.json', target: 'es.json', language: 'es', keys: 2, issues: [{ key: 'a', check: 'missing', message: 'Missing translation' }] },
+      { source: 'en.json', target: 'fr.json', language: 'fr', keys: 2, issues: [] },
+    ];
+
+    test('JSON report summarises issues per check', () => {
+      const report = buildJSONReport(results);
+      expect(report.ok).toBe(false);
+      expect(report.summary).toEqual({
+        files: 2,
+        issues: 1,
+        byCheck: { missing: 1, extra: 0, empty: 0, identical: 0, placeholders: 0 },
+      });
+    });
+
+    test('JUnit report has a suite per target file', () => {
+      const xml = buildJUnitReport(results);
+      expect(xml).toContain('<testsuites name="shipi18n check" tests="4" failures="1">');
+      expect(xml).toContain('<testsuite name="es (es.json)" tests="2" failures="1">');
+      expect(xml).toContain('<failure type="missing" message="Missing translation"/>');
+    });
+  });
+
+  describe('verifyPlaceholders', () => {
+    const source = { count: '{{count}} items', title: 'Title' };
+
+    function broken() {
+      return {
+        es: { count: '{{contar}} elementos', title: 'Título' },
+        fr: { count: '{{count}} éléments', title: 'Titre' },
+      };
+    }
+
+    test('returns null when every placeholder survived', async () => {
+      const translations = { es: { count: '{{count}} elementos', title: 'Título' } };
+      expect(await verifyPlaceholders(translations, source, { languages: ['es'] })).toBeNull();
+    });
+
+    test('fallback mode uses the source text for broken keys', async () => {
+      const translations = broken();
+      const info = await verifyPlaceholders(translations, source, { languages: ['es', 'fr'], mode: 'fallback' });
+
+      expect(info).toEqual({ retried: {}, fallback: { es: ['count'] } });
+      expect(translations.es).toEqual({ count: '{{count}} items', title: 'Título' });
+      expect(translations.fr.count).toBe('{{count}} éléments');
+    });
+
+    test('retry mode re-requests only the broken keys and languages', async () => {
+      const translations = broken();
+      const retry = jest.fn().mockResolvedValue({ es: { count: '{{count}} elementos' } });
+      const info = await verifyPlaceholders(translations, source, { languages: ['es', 'fr'], mode: 'retry', retry });
+
+      expect(retry).toHaveBeenCalledWith({ count: '{{count}} items' }, ['es']);
+      expect(info).toEqual({ retried: { es: ['count'] }, fallback: {} });
+      expect(translations.es.count).toBe('{{count}} elementos');
+    });
+
+    test('retry mode falls back when the retry is still broken', async () => {
+      const translations = broken();
+      const retry = jest.fn().mockResolvedValue({ es: { count: '{{cuenta}} elementos' } });
+      const info = await verifyPlaceholders(translations, source, { languages: ['es', 'fr'], mode: 'retry', retry });
+
+      expect(info).toEqual({ retried: {}, fallback: { es: ['count'] } });
+      expect(translations.es.count).toBe('{{count}} items');
+    });
+
+    test('retry mode falls back when the retry request fails', async () => {
+      const translations = broken();
+      const retry = jest.fn().mockRejectedValue(new Error('Rate limit exceeded'));
+      const info = await verifyPlaceholders(translations, source, { languages: ['es', 'fr'], mode: 'retry', retry });
+
+      expect(info).toEqual({ retried: {}, fallback: { es: ['count'] }, retryError: 'Rate limit exceeded' });
+      expect(translations.es).toEqual({ count: '{{count}} items', title: 'Título' });
+    });
+
+    test('fail mode throws with the broken keys', async () => {
+      await expect(verifyPlaceholders(broken(), source, { languages: ['es', 'fr'], mode: 'fail' }))
+        .rejects.toThrow('Placeholder mismatch in translated keys (es: count)');
+    });
+
+    test('off mode skips the check', async () => {
+      expect(await verifyPlaceholders(broken(), source, { languages: ['es'], mode: 'off' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for config loading
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+let configModule;
+let tempDir;
+let originalCwd;
+const ENV_KEYS = ['SHIPI18N_API_KEY', 'SHIPI18N_SOURCE_LANG', 'SHIPI18N_TARGET_LANGS', 'SHIPI18N_OUTPUT_DIR', 'SHIPI18N_RETRIES', 'SHIPI18N_TIMEOUT'];
+
+beforeAll(async () => {
+  tempDir = mkdtempSync(join(tmpdir(), 'shipi18n-config-'));
+  // Point the user config dir at a temp home before the module resolves it
+  process.env.SHIPI18N_CONFIG_DIR = join(tempDir, 'home', '.shipi18n');
+  mkdirSync(join(tempDir, 'home', '.shipi18n'), { recursive: true });
+  configModule = await import('../lib/config.js');
+});
+
+afterAll(() => {
+  delete process.env.SHIPI18N_CONFIG_DIR;
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  originalCwd = process.cwd();
+  ENV_KEYS.forEach(key => delete process.env[key]);
+});
+
+afterEach(() => {
+  process.chdir(originalCwd);
+  rmSync(join(tempDir, 'project'), { recursive: true, force: true });
+  rmSync(join(tempDir, 'home', '.shipi18n', 'config.yml'), { force: true });
+});
+
+function writeProject(config) {
+  const projectDir = join(tempDir, 'project');
+  mkdirSync(join(projectDir, 'src', 'components'), { recursive: true });
+  writeFileSync(join(projectDir, 'shipi18n.config.json'), JSON.stringify(config));
+  return projectDir;
+}
+
+describe('Project config', () => {
+  test('findProjectConfig walks up from a subdirectory', () => {
+    const projectDir = writeProject({ sourceLanguage: 'en' });
+    const found = configModule.findProjectConfig(join(projectDir, 'src', 'components'));
+    expect(found).toBe(join(projectDir, 'shipi18n.config.json'));
+  });
+
+  test('findProjectConfig returns null when no config exists', () => {
+    expect(configModule.findProjectConfig(join(tempDir, 'home'))).toBeNull();
+  });
+
+  test('loadProjectConfig rewrites paths relative to the start directory', () => {
+    const projectDir = writeProject({ sourceDir: 'locales', outputDir: 'locales' });
+    const config = configModule.loadProjectConfig(join(projectDir, 'src'));
+    expect(config.sourceDir).toBe(join('..', 'locales'));
+    expect(config.outputDir).toBe(join('..', 'locales'));
+  });
+
+  test('loadProjectConfig throws on invalid JSON', () => {
+    const projectDir = writeProject({});
+    writeFileSync(join(projectDir, 'shipi18n.config.json'), '{ nope');
+    expect(() => configModule.loadProjectConfig(projectDir)).toThrow('Invalid JSON');
+  });
+});
+
+describe('getConfig', () => {
+  test('throws on an invalid project config instead of using the defaults', () => {
+    const projectDir = writeProject({});
+    writeFileSync(join(projectDir, 'shipi18n.config.json'), '{ "targetLanguages": ["de"], }');
+    process.chdir(projectDir);
+    expect(() => configModule.getConfig()).toThrow('Invalid JSON');
+  });
+
+  test('falls back to defaults', () => {
+    process.chdir(join(tempDir, 'home'));
+    const config = configModule.getConfig();
+    expect(config.sourceLanguage).toBe('en');
+    expect(config.outputDir).toBe('./locales');
+  });
+
+  test('project config overrides user config', () => {
+    writeFileSync(join(tempDir, 'home', '.shipi18n', 'config.yml'), 'targetLanguages:\n  - ja\napiKey: user-key\n');
+    const projectDir = writeProject({ targetLanguages: ['es', 'de'], incremental: true });
+    process.chdir(projectDir);
+
+    const config = configModule.getConfig();
+    expect(config.targetLanguages).toEqual(['es', 'de']);
+    expect(config.incremental).toBe(true);
+    expect(config.apiKey).toBe('user-key');
+  });
+
+  test('environment variables override project config', () => {
+    const projectDir = writeProject({ sourceLanguage: 'de', targetLanguages: ['es'] });
+    process.chdir(projectDir);
+    process.env.SHIPI18N_TARGET_LANGS = 'fr,it';
+
+    const config = configModule.getConfig();
+    expect(config.targetLanguages).toEqual(['fr', 'it']);
+    expect(config.sourceLanguage).toBe('de');
+  });
+
+  test('setConfigValue does not copy project settings into the user config', () => {
+    const projectDir = writeProject({ targetLanguages: ['es'] });
+    process.chdir(projectDir);
+
+    configModule.setConfigValue('apiKey', 'new-key');
+    process.chdir(join(tempDir, 'home'));
+
+    const config = configModule.getConfig();
+    expect(config.apiKey).toBe('new-key');
+    expect(config.targetLanguages).toBeUndefined();
+  });
+});
+
+describe('Request options', () => {
+  test('reads retries and timeout (seconds) from config, flags first', () => {
+    expect(configModule.getRequestOptions({ retries: '5', timeout: 30 })).toEqual({ retries: 5, timeout: 30000 });
+    expect(configModule.getRequestOptions({ retries: 5 }, { retries: '0' })).toEqual({ retries: 0, timeout: undefined });
+  });
+
+  test('reads SHIPI18N_RETRIES and SHIPI18N_TIMEOUT', () => {
+    process.chdir(join(tempDir, 'home'));
+    process.env.SHIPI18N_RETRIES = '1';
+    process.env.SHIPI18N_TIMEOUT = '10';
+
+    expect(configModule.getRequestOptions(configModule.getConfig())).toEqual({ retries: 1, timeout: 10000 });
+  });
+
+  test('parseCount rejects values that are not whole numbers', () => {
+    expect(configModule.parseCount(undefined, 'Retries')).toBeUndefined();
+    expect(() => configModule.parseCount('0', 'Timeout')).toThrow('Timeout must be a whole number of at least 1 (got 0)');
+    expect(() => configModule.parseCount('2.5', 'Retries', { min: 0 })).toThrow('Retries must be');
+  });
+});
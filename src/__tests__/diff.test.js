@@ -0,0 +1,36 @@
+/**
+ * Tests for locale diffs
+ */
+
+import { diffLocaleData, buildDiffReport } from '../lib/diff.js';
+
+describe('diff', () => {
+  test('diffLocaleData lists added, changed and removed keys', () => {
+    const before = { nav: { home: 'Inicio', about: 'Acerca' }, old: 'Viejo', count: 1 };
+    const after = { nav: { home: 'Página principal', about: 'Acerca', help: 'Ayuda' }, count: 1, save: 'Guardar' };
+
+    expect(diffLocaleData(before, after)).toEqual({
+      added: [{ key: 'nav.help', value: 'Ayuda' }, { key: 'save', value: 'Guardar' }],
+      changed: [{ key: 'nav.home', from: 'Inicio', to: 'Página principal' }],
+      removed: [{ key: 'old', value: 'Viejo' }],
+    });
+  });
+
+  test('diffLocaleData treats a missing file as empty', () => {
+    expect(diffLocaleData({}, { a: 'A' }).added).toEqual([{ key: 'a', value: 'A' }]);
+    expect(diffLocaleData({ a: 'A' }, {}).removed).toEqual([{ key: 'a', value: 'A' }]);
+    expect(diffLocaleData({ list: ['a'] }, { list: ['a'] })).toEqual({ added: [], changed: [], removed: [] });
+  });
+
+  test('buildDiffReport leaves out unchanged files and sums the rest', () => {
+    const report = buildDiffReport([
+      { path: 'es.json', ...diffLocaleData({ a: 'A' }, { a: 'B', b: 'C' }) },
+      { path: 'fr.json', ...diffLocaleData({ a: 'A' }, { a: 'A' }) },
+    ]);
+
+    expect(report.changed).toBe(true);
+    expect(report.summary).toEqual({ files: 1, added: 1, changed: 1, removed: 0 });
+    expect(report.files.map(file => file.path)).toEqual(['es.json']);
+    expect(buildDiffReport([]).changed).toBe(false);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for locale file discovery utilities
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  hasGlob,
+  globToRegExp,
+  globBase,
+  resolveSourceFiles,
+  resolveInputs,
+  getOutputPath,
+  getTargetPath
+} from '../utils/files.js';
+import { jsonFormat, androidFormat, stringsFormat } from '../lib/formats/index.js';
+
+describe('File Utilities', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'shipi18n-files-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function writeFiles(files) {
+    for (const file of files) {
+      const fullPath = join(tempDir, file);
+      mkdirSync(join(fullPath, '..'), { recursive: true });
+      writeFileSync(fullPath, '{}');
+    }
+  }
+
+  describe('glob helpers', () => {
+    test('hasGlob detects wildcards', () => {
+      expect(hasGlob('locales/en/*.json')).toBe(true);
+      expect(hasGlob('locales/en/common.json')).toBe(false);
+    });
+
+    test('globToRegExp matches a single segment with *', () => {
+      const regex = globToRegExp('locales/en/*.json');
+      expect(regex.test('locales/en/common.json')).toBe(true);
+      expect(regex.test('locales/en/admin/users.json')).toBe(false);
+      expect(regex.test('locales/en/common.yaml')).toBe(false);
+    });
+
+    test('globToRegExp matches any depth with **', () => {
+      const regex = globToRegExp('locales/en/**/*.json');
+      expect(regex.test('locales/en/common.json')).toBe(true);
+      expect(regex.test('locales/en/admin/users.json')).toBe(true);
+    });
+
+    test('globBase returns the static prefix', () => {
+      expect(globBase('locales/en/*.json')).toBe('locales/en');
+      expect(globBase('*.json')).toBe('.');
+    });
+  });
+
+  describe('resolveSourceFiles', () => {
+    test('single flat file has no namespace', () => {
+      writeFiles(['locales/en.json']);
+      const files = resolveSourceFiles(join(tempDir, 'locales/en.json'));
+      expect(files).toEqual([{ path: join(tempDir, 'locales/en.json'), namespace: null }]);
+    });
+
+    test('single file in a language folder is a namespace', () => {
+      writeFiles(['locales/en/common.json']);
+      const files = resolveSourceFiles(join(tempDir, 'locales/en/common.json'));
+      expect(files[0].namespace).toBe('common');
+    });
+
+    test('directory with {sourceLanguage}.json resolves to the flat file', () => {
+      writeFiles(['locales/en.json', 'locales/es.json']);
+      const files = resolveSourceFiles(join(tempDir, 'locales'));
+      expect(files).toEqual([{ path: join(tempDir, 'locales/en.json'), namespace: null }]);
+    });
+
+    test('directory with locale-suffixed files resolves the source ones', () => {
+      writeFiles(['l10n/app_en.arb', 'l10n/app_es.arb', 'l10n/app_pt_BR.arb']);
+      const files = resolveSourceFiles(join(tempDir, 'l10n'));
+      expect(files).toEqual([{ path: join(tempDir, 'l10n/app_en.arb'), namespace: null }]);
+    });
+
+    test('locale root resolves namespaces in the source language folder', () => {
+      writeFiles(['locales/en/common.json', 'locales/en/admin/users.json', 'locales/es/common.json']);
+      const files = resolveSourceFiles(join(tempDir, 'locales'));
+      expect(files.map(f => f.namespace)).toEqual(['admin/users', 'common']);
+    });
+
+    test('language folder resolves every namespace file', () => {
+      writeFiles(['locales/de/common.json', 'locales/de/home.json', 'locales/de/notes.txt']);
+      const files = resolveSourceFiles(join(tempDir, 'locales/de'), { sourceLanguage: 'de' });
+      expect(files.map(f => f.namespace)).toEqual(['common', 'home']);
+    });
+
+    test('glob resolves namespaces relative to the static prefix', () => {
+      writeFiles(['locales/en/common.json', 'locales/en/home.json', 'locales/en/admin/users.json']);
+      const files = resolveSourceFiles(`${tempDir}/locales/en/*.json`);
+      expect(files.map(f => f.namespace)).toEqual(['common', 'home']);
+    });
+
+    test('throws when input does not exist', () => {
+      expect(() => resolveSourceFiles(join(tempDir, 'missing.json'))).toThrow('Input file not found');
+    });
+  });
+
+  describe('resolveInputs', () => {
+    const config = { sourceLanguage: 'en', targetLanguages: ['de'], sourceDir: 'locales', fileFormat: 'po' };
+
+    test('falls back to the project config', () => {
+      expect(resolveInputs([], {}, config)).toEqual({
+        inputs: ['locales'],
+        sourceLanguage: 'en',
+        targetLanguages: ['de'],
+        extensions: ['.po', '.pot'],
+      });
+    });
+
+    test('command line inputs and options win', () => {
+      const resolved = resolveInputs(['app/en.json'], { source: 'fr', target: 'es,it' }, { ...config, fileFormat: undefined });
+      expect(resolved).toMatchObject({ inputs: ['app/en.json'], sourceLanguage: 'fr', targetLanguages: ['es', 'it'] });
+      expect(resolved.extensions).toContain('.json');
+    });
+
+    test('leaves inputs empty and targetLanguages null when nothing sets them', () => {
+      expect(resolveInputs([], {}, { sourceLanguage: 'en' })).toMatchObject({ inputs: [], targetLanguages: null });
+    });
+  });
+
+  describe('getOutputPath', () => {
+    test('flat layout writes {lang}.json', () => {
+      expect(getOutputPath('locales', 'es', null)).toBe(join('locales', 'es.json'));
+    });
+
+    test('nested layout mirrors the namespace', () => {
+      expect(getOutputPath('locales', 'es', 'admin/users')).toBe(join('locales', 'es', 'admin/users.json'));
+    });
+  });
+
+  describe('getTargetPath', () => {
+    test('uses the layout under outputDir for plain formats', () => {
+      const sourceFile = { path: join('locales', 'en', 'common.json'), namespace: 'common', format: jsonFormat };
+      expect(getTargetPath(sourceFile, 'es', { outputDir: 'out' })).toBe(join('out', 'es', 'common.json'));
+    });
+
+    test('writes Android resources into values-{qualifier}/', () => {
+      const sourceFile = { path: join('res', 'values', 'strings.xml'), namespace: null, format: androidFormat };
+      expect(getTargetPath(sourceFile, 'pt-BR', { outputDir: 'locales' })).toBe(join('res', 'values-pt-rBR', 'strings.xml'));
+      expect(getTargetPath(sourceFile, 'es', { outputDir: 'locales', resourceDir: 'build/res' })).toBe(join('build', 'res', 'values-es', 'strings.xml'));
+    });
+
+    test('writes iOS strings into {lang}.lproj/', () => {
+      const sourceFile = { path: join('App', 'en.lproj', 'Localizable.strings'), namespace: null, format: stringsFormat };
+      expect(getTargetPath(sourceFile, 'zh-Hans', { outputDir: 'locales' })).toBe(join('App', 'zh-Hans.lproj', 'Localizable.strings'));
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for locale file format adapters
+ */
+
+import { getFormat, getFormatByName, jsonFormat, yamlFormat } from '../lib/formats/index.js';
+import { detectJSONStyle } from '../lib/formats/json.js';
+
+describe('Format adapters', () => {
+  describe('getFormat', () => {
+    test('picks adapter by extension', () => {
+      expect(getFormat('locales/en.json')).toBe(jsonFormat);
+      expect(getFormat('config/locales/en.yml')).toBe(yamlFormat);
+      expect(getFormat('config/locales/en.YAML')).toBe(yamlFormat);
+    });
+
+    test('defaults to JSON for unknown extensions', () => {
+      expect(getFormat('messages.txt')).toBe(jsonFormat);
+    });
+
+    test('getFormatByName matches init fileFormat values', () => {
+      expect(getFormatByName('yaml')).toBe(yamlFormat);
+      expect(getFormatByName('unknown')).toBeNull();
+    });
+  });
+
+  describe('jsonFormat', () => {
+    test('round-trips nested content', () => {
+      const { data } = jsonFormat.parse('{"nav":{"home":"Home"}}');
+      expect(data).toEqual({ nav: { home: 'Home' } });
+      expect(jsonFormat.serialize(data)).toBe('{\n  "nav": {\n    "home": "Home"\n  }\n}');
+    });
+
+    test('detects indentation, line endings and the final newline', () => {
+      expect(detectJSONStyle('{\r\n    "a": "A"\r\n}\r\n')).toEqual({ indent: '    ', eol: '\r\n', finalNewline: true });
+      expect(detectJSONStyle('{\n\t"a": "A"\n}')).toEqual({ indent: '\t', eol: '\n', finalNewline: false });
+      expect(detectJSONStyle('{"a":"A"}\n')).toEqual({ indent: '', eol: '\n', finalNewline: true });
+    });
+
+    test('writes in the style of the replaced file, else the source file', () => {
+      const source = jsonFormat.parse('{\n    "a": "A"\n}\n');
+      const data = { a: 'Á', b: 'B' };
+
+      expect(jsonFormat.serialize(data, { sourceDocument: source.document })).toBe('{\n    "a": "Á",\n    "b": "B"\n}\n');
+      expect(jsonFormat.serialize(data, { sourceDocument: source.document, style: detectJSONStyle('{\r\n\t"a": "A"\r\n}') }))
+        .toBe('{\r\n\t"a": "Á",\r\n\t"b": "B"\r\n}');
+      expect(jsonFormat.serialize({ text: 'line\nbreak' }, { style: { indent: '  ', eol: '\r\n' } })).toBe('{\r\n  "text": "line\\nbreak"\r\n}');
+    });
+  });
+
+  describe('yamlFormat', () => {
+    const railsSource = [
+      '# Main strings',
+      'en:',
+      '  # Greeting',
+      '  hello: Hello %{name}',
+      '  nav:',
+      '    home: Home # top nav',
+      '',
+    ].join('\n');
+
+    test('unwraps a Rails root language key', () => {
+      const { data, document } = yamlFormat.parse(railsSource, { language: 'en' });
+      expect(data).toEqual({ hello: 'Hello %{name}', nav: { home: 'Home' } });
+      expect(document.rootKey).toBe('en');
+    });
+
+    test('keeps plain YAML files as-is', () => {
+      const { data, document } = yamlFormat.parse('hello: Hello\n', { language: 'en' });
+      expect(data).toEqual({ hello: 'Hello' });
+      expect(document.rootKey).toBeNull();
+    });
+
+    test('swaps the root key and preserves comments', () => {
+      const { document } = yamlFormat.parse(railsSource, { language: 'en' });
+      const output = yamlFormat.serialize(
+        { hello: 'Hola %{name}', nav: { home: 'Inicio' } },
+        { language: 'es', document }
+      );
+
+      expect(output).toContain('# Main strings');
+      expect(output).toContain('# Greeting');
+      expect(output).toContain('home: Inicio # top nav');
+      expect(yamlFormat.parse(output, { language: 'es' }).data).toEqual({
+        hello: 'Hola %{name}',
+        nav: { home: 'Inicio' }
+      });
+    });
+
+    test('adds new keys and removes keys missing from the data', () => {
+      const { document } = yamlFormat.parse('a: A\nb: B\n', { language: 'en' });
+      const output = yamlFormat.serialize({ a: 'X', c: 'C' }, { language: 'es', document });
+      expect(yamlFormat.parse(output).data).toEqual({ a: 'X', c: 'C' });
+    });
+
+    test('does not modify the template document', () => {
+      const parsed = yamlFormat.parse(railsSource, { language: 'en' });
+      yamlFormat.serialize({ hello: 'Hola' }, { language: 'es', document: parsed.document });
+      expect(parsed.document.doc.toJS().en.hello).toBe('Hello %{name}');
+    });
+
+    test('serializes without a template', () => {
+      expect(yamlFormat.serialize({ a: 'A' })).toBe('a: A\n');
+    });
+
+    test('throws on invalid YAML', () => {
+      expect(() => yamlFormat.parse('a: [unclosed', { language: 'en' })).toThrow();
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for glossary loading and term checks
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  parseCSV,
+  loadGlossary,
+  glossaryTerms,
+  findTermViolations,
+  glossaryForRequest,
+  checkGlossary
+} from '../lib/glossary.js';
+
+describe('Glossary', () => {
+  let tempDir;
+
+  const glossary = {
+    doNotTranslate: ['Shipi18n Cloud'],
+    terms: [
+      { term: 'workspace', translations: { es: 'espacio de trabajo', fr: 'espace de travail' } },
+      { term: 'plan', translations: { pt: 'plano' } }
+    ]
+  };
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'shipi18n-glossary-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('parseCSV handles quotes, escaped quotes and CRLF', () => {
+    expect(parseCSV('term,es\r\n"Hello, world","Hola, ""mundo"""\r\n\r\n')).toEqual([
+      ['term', 'es'],
+      ['Hello, world', 'Hola, "mundo"']
+    ]);
+  });
+
+  test('loads CSV glossaries; rows without translations are do-not-translate terms', () => {
+    const path = join(tempDir, 'glossary.csv');
+    writeFileSync(path, '\uFEFFterm,es,fr\nShipi18n Cloud,,\nworkspace,espacio de trabajo,\n');
+
+    expect(loadGlossary(path)).toEqual({
+      doNotTranslate: ['Shipi18n Cloud'],
+      terms: [{ term: 'workspace', translations: { es: 'espacio de trabajo' } }]
+    });
+  });
+
+  test('loads JSON glossaries', () => {
+    const path = join(tempDir, 'glossary.json');
+    writeFileSync(path, JSON.stringify({ doNotTranslate: ['Acme'], terms: { workspace: { es: 'espacio de trabajo' } } }));
+
+    expect(loadGlossary(path)).toEqual({
+      doNotTranslate: ['Acme'],
+      terms: [{ term: 'workspace', translations: { es: 'espacio de trabajo' } }]
+    });
+  });
+
+  test('rejects invalid glossaries', () => {
+    writeFileSync(join(tempDir, 'bad.csv'), 'source,es\nx,y\n');
+    writeFileSync(join(tempDir, 'bad.json'), JSON.stringify({ terms: { workspace: 'espacio' } }));
+
+    expect(() => loadGlossary(join(tempDir, 'bad.csv'))).toThrow('the first column must be "term"');
+    expect(() => loadGlossary(join(tempDir, 'bad.json'))).toThrow('"workspace" must map language codes');
+    expect(() => loadGlossary(join(tempDir, 'glossary.txt'))).toThrow('Glossary file not found');
+  });
+
+  test('glossaryTerms matches whole words, do-not-translate terms case-sensitively', () => {
+    expect(glossaryTerms(glossary, 'Open your Workspace in Shipi18n Cloud', 'es')).toEqual([
+      { term: 'Shipi18n Cloud', translation: 'Shipi18n Cloud' },
+      { term: 'workspace', translation: 'espacio de trabajo' }
+    ]);
+    expect(glossaryTerms(glossary, 'Two workspaces on shipi18n cloud', 'es')).toEqual([]);
+  });
+
+  test('glossaryTerms uses the base language for regional codes', () => {
+    expect(glossaryTerms(glossary, 'Your plan', 'pt-BR')).toEqual([{ term: 'plan', translation: 'plano' }]);
+    expect(glossaryTerms(glossary, 'Your plan', 'es')).toEqual([]);
+  });
+
+  test('findTermViolations lists terms the translation does not follow', () => {
+    const terms = glossaryTerms(glossary, 'Open your workspace in Shipi18n Cloud', 'es');
+
+    expect(findTermViolations('Abre tu Espacio de trabajo en Shipi18n Cloud', terms)).toEqual([]);
+    expect(findTermViolations('Abre tu área en Nube Shipi18n', terms).map(({ term }) => term)).toEqual(['Shipi18n Cloud', 'workspace']);
+  });
+
+  test('glossaryForRequest sends the entries that occur in the text', () => {
+    expect(glossaryForRequest(glossary, '{"a":"New workspace"}', ['es', 'de'])).toEqual({
+      doNotTranslate: [],
+      terms: [{ term: 'workspace', translations: { es: 'espacio de trabajo' } }]
+    });
+    expect(glossaryForRequest(glossary, '{"a":"Hello"}', ['es'])).toBeNull();
+    expect(glossaryForRequest(null, '{"a":"Hello"}', ['es'])).toBeNull();
+  });
+
+  test('checkGlossary reports translated keys that break the glossary', () => {
+    const source = { nav: { workspace: 'Workspace', cloud: 'Shipi18n Cloud', untranslated: 'Workspace' } };
+    const target = { nav: { workspace: 'Área', cloud: 'Nube de Shipi18n', untranslated: 'Workspace' } };
+
+    expect(checkGlossary(source, target, glossary, 'es')).toEqual([
+      { key: 'nav.workspace', term: 'workspace', expected: 'espacio de trabajo', message: '"workspace" should be translated as "espacio de trabajo"' },
+      { key: 'nav.cloud', term: 'Shipi18n Cloud', expected: 'Shipi18n Cloud', message: '"Shipi18n Cloud" should stay untranslated' }
+    ]);
+  });
+});
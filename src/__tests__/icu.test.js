@@ -0,0 +1,156 @@
+/**
+ * Tests for ICU plural/select message handling
+ */
+
+import { isBranchingMessage, parseICU, printICU, explodeICUMessages } from '../lib/icu.js';
+
+describe('ICU Messages', () => {
+  describe('isBranchingMessage', () => {
+    test('detects plural, select and selectordinal arguments', () => {
+      expect(isBranchingMessage('{count, plural, one {# item} other {# items}}')).toBe(true);
+      expect(isBranchingMessage('{gender, select, male {He} other {They}}')).toBe(true);
+      expect(isBranchingMessage('{n, selectordinal, one {#st} other {#th}}')).toBe(true);
+    });
+
+    test('ignores simple arguments', () => {
+      expect(isBranchingMessage('Hello {name}, you owe {amount, number}')).toBe(false);
+      expect(isBranchingMessage(42)).toBe(false);
+    });
+  });
+
+  describe('parseICU', () => {
+    test('parses plurals with offsets, exact selectors and #', () => {
+      const nodes = parseICU('{count, plural, offset:1 =0 {nobody} other {# others}}');
+      expect(nodes).toEqual([{
+        type: 'plural',
+        name: 'count',
+        offset: 1,
+        options: [
+          { selector: '=0', value: ['nobody'] },
+          { selector: 'other', value: [{ type: 'pound' }, ' others'] },
+        ],
+      }]);
+    });
+
+    test('keeps simple and formatted arguments as written', () => {
+      expect(parseICU('Hi {name}, {total, number, ::currency/EUR}')).toEqual([
+        'Hi ',
+        { type: 'argument', name: 'name', raw: '{name}' },
+        ', ',
+        { type: 'argument', name: 'total', raw: '{total, number, ::currency/EUR}' },
+      ]);
+    });
+
+    test('unescapes quoted syntax', () => {
+      expect(parseICU("It''s '{literal}'")).toEqual(["It's {literal}"]);
+    });
+
+    test('treats # as text outside plurals', () => {
+      expect(parseICU('Item #{id}')).toEqual(['Item #', { type: 'argument', name: 'id', raw: '{id}' }]);
+    });
+
+    test('throws on invalid messages', () => {
+      expect(() => parseICU('{count, plural, one {# item}}')).toThrow('has no "other" option');
+      expect(() => parseICU('{count, plural, one {# item} other {# items}')).toThrow('Unclosed');
+      expect(() => parseICU('{count, plural, one # item}')).toThrow('Expected "{" after "one"');
+      expect(() => parseICU('oops}')).toThrow('Unexpected "}"');
+    });
+  });
+
+  describe('printICU', () => {
+    test('round-trips messages', () => {
+      const message = "{gender, select, male {He has {n, plural, =0 {no cats} one {# cat} other {# cats}}} other {'{'them'}'}}";
+      expect(printICU(parseICU(message))).toBe(message);
+    });
+
+    test('doubles apostrophes only where they would start quoting', () => {
+      expect(printICU(parseICU("It''s {name}''"))).toBe("It's {name}''");
+    });
+
+    test('quotes # in plural text', () => {
+      expect(printICU(['#1 ', { type: 'pound' }], true)).toBe("'#'1 #");
+    });
+  });
+
+  describe('explodeICUMessages', () => {
+    const source = {
+      cart: { count: 'You have {count, plural, one {# item} other {# items}} in {place}' },
+      hello: 'Hello {name}',
+    };
+
+    test('returns null without plural/select messages', () => {
+      expect(explodeICUMessages({ hello: 'Hello {name}' }, ['es'])).toBeNull();
+    });
+
+    test('sends one full sentence per form, with the categories the languages need', () => {
+      const { data, context } = explodeICUMessages(source, ['pl']);
+
+      expect(data).toEqual({
+        cart: {
+          count: {
+            one: 'You have # item in {place}',
+            other: 'You have # items in {place}',
+            few: 'You have # items in {place}',
+            many: 'You have # items in {place}',
+          },
+        },
+        hello: 'Hello {name}',
+      });
+      expect(context['cart.count.few']).toContain('"few" plural form');
+    });
+
+    test('rebuilds messages with exactly the CLDR categories of each language', () => {
+      const { data, restore } = explodeICUMessages(source, ['pl', 'ja']);
+
+      expect(restore(data, 'pl').data.cart.count).toBe(
+        '{count, plural, one {You have # item in {place}} few {You have # items in {place}} many {You have # items in {place}} other {You have # items in {place}}}'
+      );
+      expect(restore(data, 'ja').data.cart.count).toBe('{count, plural, other {You have # items in {place}}}');
+    });
+
+    test('keeps exact selectors and nested selects', () => {
+      const message = '{gender, select, female {{n, plural, =0 {She has none} one {She has one} other {She has #}}} other {They have #n}}';
+      const { data, restore } = explodeICUMessages({ pets: message }, ['de']);
+
+      expect(Object.keys(data.pets.female)).toEqual(['=0', 'one', 'other']);
+      expect(restore(data, 'de').data.pets).toBe(message);
+    });
+
+    test('keeps # of an enclosing plural when hoisting a nested one', () => {
+      const message = '{a, plural, one {# x and {b, plural, one {# y} other {# ys}}} other {# xs and {b, plural, one {# y} other {# ys}}}}';
+      const { data } = explodeICUMessages({ pair: message }, ['en']);
+
+      expect(data.pair.one.one).toBe('{a, number} x and # y');
+    });
+
+    test('reports invalid source messages and leaves them as they are', () => {
+      const { data, invalid } = explodeICUMessages({ broken: '{n, plural, one {x}}' }, ['es']);
+
+      expect(data.broken).toBe('{n, plural, one {x}}');
+      expect(invalid).toEqual([{ key: 'broken', message: '{n, plural} has no "other" option' }]);
+    });
+
+    test('falls back to the source message when the forms come back broken', () => {
+      const { data, restore } = explodeICUMessages(source, ['pl']);
+      const translated = structuredClone(data);
+      delete translated.cart.count.few;
+
+      const result = restore(translated, 'pl');
+      expect(result.data.cart.count).toBe(source.cart.count);
+      expect(result.issues).toEqual([{ key: 'cart.count', message: 'the "few" form is missing' }]);
+    });
+
+    test('rejects forms that are not valid ICU', () => {
+      const { data, restore } = explodeICUMessages(source, ['en']);
+      const translated = structuredClone(data);
+      translated.cart.count.one = 'Tienes {count, plural, one {x}}';
+
+      expect(restore(translated, 'en').issues[0].message).toContain('the "one" form is not valid ICU');
+    });
+
+    test('keeps key order', () => {
+      const { data, restore } = explodeICUMessages({ a: 'A', b: '{n, plural, other {#}}', c: 'C' }, ['en']);
+      expect(Object.keys(restore(data, 'en').data)).toEqual(['a', 'b', 'c']);
+    });
+  });
+});
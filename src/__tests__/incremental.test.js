@@ -6,8 +6,11 @@ import {
   flattenObject,
   unflattenObject,
   deepMerge,
+  mergeInOrder,
+  sortKeys,
   findMissingKeys,
-  countKeys
+  countKeys,
+  isSkippedKey
 } from '../utils/incremental.js';
 
 describe('Incremental Translation Utilities', () => {
@@ -179,6 +182,41 @@ describe('Incremental Translation Utilities', () => {
     });
   });
 
+  describe('mergeInOrder', () => {
+    const order = { title: 'Title', nav: { home: 'Home', about: 'About', help: 'Help' }, save: 'Save', cancel: 'Cancel' };
+
+    test('keeps existing keys where they are', () => {
+      const result = mergeInOrder({ cancel: 'Cancelar', title: 'Título' }, { title: 'Título nuevo' }, order);
+      expect(Object.keys(result)).toEqual(['cancel', 'title']);
+      expect(result.title).toBe('Título nuevo');
+    });
+
+    test('inserts new keys after the key that precedes them in the source', () => {
+      const result = mergeInOrder(
+        { title: 'Título', nav: { help: 'Ayuda' }, cancel: 'Cancelar' },
+        { nav: { home: 'Inicio', about: 'Acerca de' }, save: 'Guardar' },
+        order
+      );
+      expect(JSON.stringify(result)).toBe(JSON.stringify({
+        title: 'Título',
+        nav: { home: 'Inicio', about: 'Acerca de', help: 'Ayuda' },
+        save: 'Guardar',
+        cancel: 'Cancelar'
+      }));
+    });
+
+    test('puts keys that are not in the source last', () => {
+      const result = mergeInOrder({ old: 'Viejo' }, { extra: 'Extra', save: 'Guardar' }, order);
+      expect(Object.keys(result)).toEqual(['old', 'save', 'extra']);
+    });
+  });
+
+  describe('sortKeys', () => {
+    test('sorts keys at every level', () => {
+      expect(JSON.stringify(sortKeys({ b: 1, a: { d: 'x', c: ['z', 'y'] } }))).toBe('{"a":{"c":["z","y"],"d":"x"},"b":1}');
+    });
+  });
+
   describe('findMissingKeys', () => {
     test('finds keys in source but not in target', () => {
       const source = {
@@ -277,4 +315,27 @@ describe('Incremental Translation Utilities', () => {
       expect(countKeys(obj)).toBe(1);
     });
   });
+
+  describe('isSkippedKey', () => {
+    test('matches exact keys and keys under them', () => {
+      expect(isSkippedKey('company.name', ['company.name'])).toBe(true);
+      expect(isSkippedKey('cart.count.one', ['cart.count'])).toBe(true);
+      expect(isSkippedKey('cart.counter', ['cart.count'])).toBe(false);
+    });
+
+    test('matches single-level wildcards', () => {
+      expect(isSkippedKey('states.CA', [], ['states.*'])).toBe(true);
+      expect(isSkippedKey('config.api.secret', [], ['config.*.secret'])).toBe(true);
+      expect(isSkippedKey('config.api.public', [], ['config.*.secret'])).toBe(false);
+    });
+
+    test('matches any depth with **', () => {
+      expect(isSkippedKey('a.b.internal', [], ['**.internal'])).toBe(true);
+      expect(isSkippedKey('a.b.external', [], ['**.internal'])).toBe(false);
+    });
+
+    test('skips nothing without rules', () => {
+      expect(isSkippedKey('title')).toBe(false);
+    });
+  });
 });
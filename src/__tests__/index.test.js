@@ -0,0 +1,112 @@
+/**
+ * Tests for the programmatic API
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+let api;
+let tempDir;
+let originalCwd;
+const nativeFetch = global.fetch;
+
+// Echo the request back with each value prefixed by its language
+function translateResponse(body) {
+  const source = JSON.parse(body.text);
+  const prefix = (value, lang) => typeof value === 'string'
+    ? `[${lang}] ${value}`
+    : Object.fromEntries(Object.entries(value).map(([key, child]) => [key, prefix(child, lang)]));
+  const languages = JSON.parse(body.targetLanguages);
+  return Object.fromEntries(languages.map(lang => [lang, JSON.stringify(prefix(source, lang))]));
+}
+
+beforeAll(async () => {
+  tempDir = mkdtempSync(join(tmpdir(), 'shipi18n-index-'));
+  // Keep the user config and translation memory out of the real home directory
+  process.env.SHIPI18N_CONFIG_DIR = join(tempDir, 'home');
+  api = await import('../index.js');
+});
+
+afterAll(() => {
+  delete process.env.SHIPI18N_CONFIG_DIR;
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  originalCwd = process.cwd();
+  mkdirSync(join(tempDir, 'project', 'locales'), { recursive: true });
+  writeFileSync(join(tempDir, 'project', 'locales', 'en.json'), JSON.stringify({ greeting: 'Hello', nav: { home: 'Home' } }));
+  process.chdir(join(tempDir, 'project'));
+
+  global.fetch = jest.fn(async (url, { body }) => ({
+    ok: true,
+    json: async () => translateResponse(JSON.parse(body)),
+  }));
+});
+
+afterEach(() => {
+  global.fetch = nativeFetch;
+  process.chdir(originalCwd);
+  rmSync(join(tempDir, 'project'), { recursive: true, force: true });
+});
+
+describe('programmatic API', () => {
+  test('exports the API client, config loading and incremental utilities', () => {
+    expect(typeof api.Shipi18nAPI).toBe('function');
+    expect(typeof api.getConfig).toBe('function');
+    expect(typeof api.loadProjectConfig).toBe('function');
+    expect(api.flattenObject({ a: { b: 'c' } })).toEqual({ 'a.b': 'c' });
+    expect(api.findMissingKeys({ a: 'A', b: 'B' }, { a: 'A' })).toEqual({ b: 'B' });
+  });
+
+  test('translateFiles writes files and returns what it did', async () => {
+    const result = await api.translateFiles('locales/en.json', { apiKey: 'test-key', target: ['es', 'fr'], cache: false });
+
+    expect(result.ok).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.keys).toEqual({ translated: 2 });
+    expect(result.files.map(file => file.path)).toEqual([join('locales', 'es.json'), join('locales', 'fr.json')]);
+    expect(JSON.parse(readFileSync(join('locales', 'es.json'), 'utf8'))).toEqual({ greeting: '[es] Hello', nav: { home: '[es] Home' } });
+  });
+
+  test('translateFiles only sends new keys in incremental mode', async () => {
+    writeFileSync(join('locales', 'es.json'), JSON.stringify({ greeting: 'Hola' }));
+
+    const result = await api.translateFiles(['locales/en.json'], { apiKey: 'test-key', target: 'es', incremental: true, cache: false });
+
+    expect(result.keys).toEqual({ translated: 1, new: 1, changed: 0, upToDate: 1 });
+    expect(JSON.parse(readFileSync(join('locales', 'es.json'), 'utf8'))).toEqual({ greeting: 'Hola', nav: { home: '[es] Home' } });
+  });
+
+  test('translateFiles returns errors instead of exiting', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    global.fetch = jest.fn(async () => ({
+      ok: false,
+      status: 401,
+      statusText: 'Unauthorized',
+      json: async () => ({ error: { message: 'Invalid API key' } }),
+    }));
+
+    try {
+      const missing = await api.translateFiles('locales/missing.json', { apiKey: 'test-key', target: 'es' });
+      expect(missing).toEqual({ ok: false, errors: [{ message: expect.stringContaining('locales/missing.json') }] });
+
+      const rejected = await api.translateFiles('locales/en.json', { apiKey: 'test-key', target: 'es', cache: false, retries: 0 });
+      expect(rejected).toEqual({ ok: false, errors: [{ message: 'Invalid API key', status: 401 }] });
+      expect(existsSync(join('locales', 'es.json'))).toBe(false);
+      expect(exit).not.toHaveBeenCalled();
+    } finally {
+      exit.mockRestore();
+    }
+  });
+
+  test('translateFiles estimates a dry run without calling the API', async () => {
+    const result = await api.translateFiles('locales/en.json', { target: 'es,fr', dryRun: true });
+
+    expect(result.ok).toBe(true);
+    expect(result.totals).toMatchObject({ keys: 2, keyTranslations: 4, files: 2 });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for the iOS .strings and .stringsdict format adapters
+ */
+
+import { stringsFormat, stringsdictFormat } from '../lib/formats/ios.js';
+import { decodeText } from '../lib/formats/index.js';
+
+const STRINGS = `/* Title of the settings screen */
+"settings.title" = "Settings";
+
+/* No comment provided by engineer. */
+"Hello, %@!" = "Hello, %@!";
+
+// Line comment
+greeting = "Say \\"hi\\"\\n";
+`;
+
+const STRINGSDICT = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+	<key>files_count</key>
+	<dict>
+		<key>NSStringLocalizedFormatKey</key>
+		<string>%#@files@</string>
+		<key>files</key>
+		<dict>
+			<key>NSStringFormatSpecTypeKey</key>
+			<string>NSStringPluralRuleType</string>
+			<key>NSStringFormatValueTypeKey</key>
+			<string>d</string>
+			<key>one</key>
+			<string>%d file</string>
+			<key>other</key>
+			<string>%d files</string>
+		</dict>
+	</dict>
+</dict>
+</plist>
+`;
+
+function findKey(data, value) {
+  return Object.keys(data).find(key => data[key] === value);
+}
+
+describe('iOS formats', () => {
+  describe('stringsFormat', () => {
+    test('parses quoted and bare keys with escapes', () => {
+      const { data } = stringsFormat.parse(STRINGS);
+
+      expect(data.settings).toEqual({ title: 'Settings' });
+      expect(data.greeting).toBe('Say "hi"\n');
+      expect(findKey(data, 'Hello, %@!')).toMatch(/^str_[0-9a-f]{12}$/);
+    });
+
+    test('uses comments as context, except the Xcode default', () => {
+      const { context } = stringsFormat.parse(STRINGS, { source: true });
+      expect(context).toEqual({ 'settings.title': 'Title of the settings screen', greeting: 'Line comment' });
+    });
+
+    test('serializes translations under the original keys', () => {
+      const source = stringsFormat.parse(STRINGS, { source: true });
+      const helloKey = findKey(source.data, 'Hello, %@!');
+      const output = stringsFormat.serialize({
+        settings: { title: 'Ajustes' },
+        [helloKey]: '¡Hola, %@!',
+        greeting: 'Di "hola"',
+      }, { sourceDocument: source.document });
+
+      expect(output).toBe(`/* Title of the settings screen */
+"settings.title" = "Ajustes";
+
+/* No comment provided by engineer. */
+"Hello, %@!" = "¡Hola, %@!";
+
+/* Line comment */
+"greeting" = "Di \\"hola\\"";
+`);
+    });
+
+    test('throws on a missing semicolon', () => {
+      expect(() => stringsFormat.parse('"a" = "b"\n"c" = "d";')).toThrow('Expected ";" on line 2');
+    });
+  });
+
+  describe('stringsdictFormat', () => {
+    test('parses the format key and plural forms', () => {
+      const { data } = stringsdictFormat.parse(STRINGSDICT);
+
+      expect(data).toEqual({
+        files_count: {
+          NSStringLocalizedFormatKey: '%#@files@',
+          files: { one: '%d file', other: '%d files' },
+        },
+      });
+    });
+
+    test('round-trips through serialize', () => {
+      const source = stringsdictFormat.parse(STRINGSDICT);
+      const output = stringsdictFormat.serialize(source.data, { sourceDocument: source.document });
+      expect(output).toBe(STRINGSDICT);
+    });
+
+    test('writes translated plural forms with the source spec keys', () => {
+      const source = stringsdictFormat.parse(STRINGSDICT);
+      const output = stringsdictFormat.serialize({
+        files_count: {
+          NSStringLocalizedFormatKey: '%#@files@',
+          files: { one: '%d plik', few: '%d pliki', many: '%d plików', other: '%d pliku' },
+        },
+      }, { sourceDocument: source.document });
+
+      expect(stringsdictFormat.parse(output).data.files_count.files).toEqual({
+        one: '%d plik', few: '%d pliki', many: '%d plików', other: '%d pliku',
+      });
+      expect(output).toContain('<string>NSStringPluralRuleType</string>');
+    });
+  });
+
+  describe('decodeText', () => {
+    test('decodes UTF-16 files with a byte order mark', () => {
+      const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('"a" = "b";', 'utf16le')]);
+      expect(decodeText(utf16)).toBe('"a" = "b";');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for shipi18n.lock handling
+ */
+
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  hashValue,
+  readLock,
+  writeLock,
+  getLockEntry,
+  findChangedKeys,
+  updateLockEntry
+} from '../utils/lockfile.js';
+
+describe('Lockfile', () => {
+  let tempDir;
+  let lockPath;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'shipi18n-lock-'));
+    lockPath = join(tempDir, 'shipi18n.lock');
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('hashValue is stable and differs per value', () => {
+    expect(hashValue('Hello')).toBe(hashValue('Hello'));
+    expect(hashValue('Hello')).not.toBe(hashValue('Hello!'));
+    expect(hashValue('Hello')).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test('readLock returns an empty lock when the file is missing', () => {
+    expect(readLock(lockPath)).toEqual({ version: 1, files: {} });
+  });
+
+  test('readLock throws on invalid JSON', () => {
+    writeFileSync(lockPath, '{ nope');
+    expect(() => readLock(lockPath)).toThrow('Invalid JSON');
+  });
+
+  test('getLockEntry stores source paths relative to the lockfile', () => {
+    const lock = readLock(lockPath);
+    getLockEntry(lock, lockPath, join(tempDir, 'locales', 'en.json'), 'es').title = 'abc';
+
+    expect(lock.files).toEqual({ 'locales/en.json': { es: { title: 'abc' } } });
+  });
+
+  test('writeLock sorts files, languages and keys', () => {
+    writeLock(lockPath, { files: { 'b.json': { fr: { z: '1', a: '2' } }, 'a.json': { es: {} } } });
+    const written = readFileSync(lockPath, 'utf8');
+
+    expect(written.indexOf('a.json')).toBeLessThan(written.indexOf('b.json'));
+    expect(Object.keys(JSON.parse(written).files['b.json'].fr)).toEqual(['a', 'z']);
+  });
+
+  describe('findChangedKeys', () => {
+    test('returns keys whose source text no longer matches the hash', () => {
+      const hashes = { 'nav.home': hashValue('Home'), title: hashValue('Old title') };
+      const changed = findChangedKeys({ nav: { home: 'Home' }, title: 'New title' }, hashes);
+
+      expect(changed).toEqual({ title: 'New title' });
+    });
+
+    test('treats keys without a hash as unchanged', () => {
+      expect(findChangedKeys({ title: 'Title' }, {})).toEqual({});
+    });
+  });
+
+  describe('updateLockEntry', () => {
+    test('records hashes for translated and newly seen keys only', () => {
+      const hashes = { stale: hashValue('Old'), gone: 'x' };
+      updateLockEntry(
+        hashes,
+        { stale: 'New', fresh: 'Fresh', missing: 'Missing' },
+        { stale: 'Viejo', fresh: 'Fresco' },
+        new Set()
+      );
+
+      expect(hashes).toEqual({ stale: hashValue('Old'), fresh: hashValue('Fresh') });
+    });
+
+    test('updates hashes of translated keys', () => {
+      const hashes = { title: hashValue('Old') };
+      updateLockEntry(hashes, { title: 'New' }, { title: 'Nuevo' }, new Set(['title']));
+
+      expect(hashes.title).toBe(hashValue('New'));
+    });
+
+    test('marks keys filled with the source text so they count as changed', () => {
+      const hashes = { title: hashValue('Title') };
+      updateLockEntry(hashes, { title: 'Title', fresh: 'Fresh' }, { title: 'Title', fresh: 'Fresh' }, new Set(['title', 'fresh']), new Set(['title', 'fresh']));
+      updateLockEntry(hashes, { title: 'Title', fresh: 'Fresh' }, { title: 'Title', fresh: 'Fresh' });
+
+      expect(findChangedKeys({ title: 'Title', fresh: 'Fresh' }, hashes)).toEqual({ title: 'Title', fresh: 'Fresh' });
+    });
+  });
+});
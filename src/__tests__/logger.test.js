@@ -3,7 +3,8 @@
  */
 
 import { jest } from '@jest/globals';
-import { logger, formatError } from '../utils/logger.js';
+import chalk from 'chalk';
+import { logger, formatError, reportError, printResult } from '../utils/logger.js';
 
 describe('Logger', () => {
   let consoleSpy;
@@ -41,6 +42,19 @@ describe('Logger', () => {
     expect(consoleSpy).toHaveBeenCalledWith('Log message');
   });
 
+  test('logger.stderr sends messages to stderr', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    logger.stderr = true;
+    try {
+      logger.info('Info message');
+      expect(errorSpy).toHaveBeenCalled();
+      expect(consoleSpy).not.toHaveBeenCalled();
+    } finally {
+      logger.stderr = false;
+      errorSpy.mockRestore();
+    }
+  });
+
   test('logger.spinner returns spinner object', () => {
     const spinner = logger.spinner('Loading...');
     expect(spinner).toBeDefined();
@@ -66,6 +80,15 @@ describe('formatError', () => {
     expect(formatted).toContain('Upgrade');
   });
 
+  test('formats rate limit error', () => {
+    const error = new Error('Too many requests (gave up after 4 attempts: 429, 429, 429, 429)');
+    error.status = 429;
+
+    const formatted = formatError(error);
+    expect(formatted).toContain('gave up after 4 attempts');
+    expect(formatted).toContain('--retries');
+  });
+
   test('formats API key error', () => {
     const error = new Error('Invalid API key');
 
@@ -81,3 +104,44 @@ describe('formatError', () => {
     expect(formatted).toContain('Something went wrong');
   });
 });
+
+describe('JSON output', () => {
+  let errorSpy;
+  let writeSpy;
+
+  beforeEach(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    logger.json = true;
+    logger.stderr = true;
+  });
+
+  afterEach(() => {
+    logger.json = false;
+    logger.stderr = false;
+    logger.errors = [];
+    errorSpy.mockRestore();
+    writeSpy.mockRestore();
+  });
+
+  test('printResult writes one JSON object with ok and errors', () => {
+    printResult({ files: ['es.json'] });
+
+    expect(writeSpy).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(writeSpy.mock.calls[0][0])).toEqual({ ok: true, files: ['es.json'], errors: [] });
+  });
+
+  test('reportError and logger.error are collected for the result', () => {
+    const error = new Error('Too many requests');
+    error.status = 429;
+    reportError(error);
+    logger.error(`No input file: ${chalk.cyan('en.json')}`);
+    printResult({ ok: false });
+
+    expect(errorSpy).toHaveBeenCalled();
+    expect(JSON.parse(writeSpy.mock.calls[0][0])).toEqual({
+      ok: false,
+      errors: [{ message: 'Too many requests', status: 429 }, { message: 'No input file: en.json' }],
+    });
+  });
+});
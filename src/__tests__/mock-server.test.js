@@ -0,0 +1,100 @@
+/**
+ * Tests for the mock API server
+ */
+
+import { Shipi18nAPI } from '../lib/api.js';
+import { startMockServer, mockTranslate, parseErrorSpec } from '../lib/mock-server.js';
+
+describe('mock server', () => {
+  let mock;
+  let api;
+
+  beforeAll(async () => {
+    mock = await startMockServer({ retryAfter: 0 });
+  });
+
+  afterAll(async () => {
+    await mock.close();
+  });
+
+  beforeEach(() => {
+    Object.assign(mock.options, { errors: [], latency: 0, missingLanguages: [], missingKeys: [], apiKey: null });
+    mock.requests.length = 0;
+    mock.keys.clear();
+    api = new Shipi18nAPI('test-key', { baseUrl: mock.url, retries: 2, retryDelay: 1 });
+  });
+
+  test('mockTranslate prefixes strings and keeps other values', () => {
+    expect(mockTranslate('Hello {name}', 'es')).toBe('[es] Hello {name}');
+    expect(mockTranslate(['a', 'b'], 'fr')).toEqual(['[fr] a', '[fr] b']);
+    expect(mockTranslate(3, 'de')).toBe(3);
+  });
+
+  test('parseErrorSpec reads a status and an optional count', () => {
+    expect(parseErrorSpec('429:2')).toEqual({ status: 429, times: 2 });
+    expect(parseErrorSpec('500')).toEqual({ status: 500, times: Infinity });
+    expect(() => parseErrorSpec('404')).toThrow('Unknown error status');
+    expect(() => parseErrorSpec('429:0')).toThrow('whole number');
+  });
+
+  test('translates deterministically and reports skipped keys', async () => {
+    const result = await api.translateJSON({
+      json: { greeting: 'Hello {name}', nav: { home: 'Home' }, brand: 'Shipi18n' },
+      targetLanguages: ['es', 'fr'],
+      skipKeys: ['brand'],
+    });
+
+    expect(result.es).toEqual({ greeting: '[es] Hello {name}', nav: { home: '[es] Home' }, brand: 'Shipi18n' });
+    expect(result.fr.nav.home).toBe('[fr] Home');
+    expect(result.skipped).toEqual({ count: 1, keys: ['brand'] });
+    expect(mock.requests[0]).toMatchObject({ method: 'POST', path: '/api/translate' });
+  });
+
+  test('missing languages and keys are filled in by the client fallbacks', async () => {
+    mock.options.missingLanguages = ['pt'];
+    mock.options.missingKeys = ['nav'];
+
+    const result = await api.translateJSON({
+      json: { greeting: 'Hello', nav: { home: 'Home' } },
+      targetLanguages: ['es', 'pt-BR'],
+    });
+
+    expect(result.es).toEqual({ greeting: '[es] Hello', nav: { home: 'Home' } });
+    expect(result['pt-BR']).toEqual({ greeting: '[pt-BR] Hello', nav: { home: 'Home' } });
+    expect(result.fallbackInfo.keysFallback).toEqual({ es: ['nav'], 'pt-BR': ['nav'] });
+  });
+
+  test('injected errors are used up in order, so retries can succeed', async () => {
+    mock.options.errors = ['429:1', '500:1'];
+
+    const result = await api.translateJSON({ json: { a: 'A' }, targetLanguages: ['es'] });
+
+    expect(result.es).toEqual({ a: '[es] A' });
+    expect(mock.requests).toHaveLength(3);
+  });
+
+  test('errors that keep coming are thrown with their status', async () => {
+    mock.options.errors = ['500'];
+    await expect(api.translateJSON({ json: { a: 'A' }, targetLanguages: ['es'] }))
+      .rejects.toMatchObject({ status: 500, attempts: [{ status: 500 }, { status: 500 }, { status: 500 }] });
+
+    mock.options.errors = [];
+    mock.options.apiKey = 'other-key';
+    await expect(api.listKeys()).rejects.toMatchObject({ status: 401, message: 'Invalid API key' });
+  });
+
+  test('keeps translated keys for listing, exporting and deleting', async () => {
+    await api.translateJSON({ json: { save: 'Save, then "close"' }, targetLanguages: ['es'] });
+
+    const { keys } = await api.listKeys();
+    expect(keys).toEqual([{ id: expect.stringMatching(/^key_/), keyName: 'save', sourceValue: 'Save, then "close"', translations: { es: '[es] Save, then "close"' } }]);
+
+    expect(await api.exportKeys('csv')).toBe('key,source,es\nsave,"Save, then ""close""","[es] Save, then ""close"""\n');
+    expect((await api.exportKeys('json')).keys).toHaveLength(1);
+    await expect(api.exportKeys('xml')).rejects.toMatchObject({ status: 400 });
+
+    await api.deleteKey(keys[0].id);
+    expect((await api.listKeys()).keys).toEqual([]);
+    await expect(api.deleteKey(keys[0].id)).rejects.toMatchObject({ status: 404, message: `Key not found: ${keys[0].id}` });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for placeholder patterns and protection
+ */
+
+import {
+  PLACEHOLDER_PATTERNS,
+  protectPlaceholders,
+  findMissingPlaceholders,
+  icuArguments,
+  extractPlaceholders,
+  comparePlaceholders
+} from '../utils/placeholders.js';
+
+describe('Placeholder Utilities', () => {
+  describe('PLACEHOLDER_PATTERNS.printf', () => {
+    test('matches Android and iOS format specifiers', () => {
+      const text = '%s %d %@ %1$s %2$@ %.2f %ld %#@files@';
+      expect(text.match(PLACEHOLDER_PATTERNS.printf.regex)).toEqual(['%s', '%d', '%@', '%1$s', '%2$@', '%.2f', '%ld', '%#@files@']);
+    });
+
+    test('ignores plain percent signs and ruby interpolation', () => {
+      expect('100% sure, %{name}'.match(PLACEHOLDER_PATTERNS.printf.regex)).toBeNull();
+    });
+  });
+
+  describe('protectPlaceholders', () => {
+    test('replaces placeholders with numbered tokens per key', () => {
+      const { data } = protectPlaceholders(
+        { greeting: 'Hello %1$s, you have %2$d messages', files: { one: '%d file' } },
+        PLACEHOLDER_PATTERNS.printf.regex
+      );
+
+      expect(data).toEqual({
+        greeting: 'Hello {{ph0}}, you have {{ph1}} messages',
+        files: { one: '{{ph0}} file' },
+      });
+    });
+
+    test('restores placeholders in translated content, even if reordered', () => {
+      const { restore } = protectPlaceholders({ greeting: 'Hello %1$s from %2$s' }, PLACEHOLDER_PATTERNS.printf.regex);
+
+      expect(restore({ greeting: 'De {{ph1}}: hola {{ph0}}' })).toEqual({ greeting: 'De %2$s: hola %1$s' });
+    });
+
+    test('leaves keys without placeholders alone', () => {
+      const { data, restore } = protectPlaceholders({ title: 'Settings' }, PLACEHOLDER_PATTERNS.printf.regex);
+
+      expect(data).toEqual({ title: 'Settings' });
+      expect(restore({ title: 'Ajustes' })).toEqual({ title: 'Ajustes' });
+    });
+  });
+
+  describe('findMissingPlaceholders', () => {
+    test('reports names dropped from translations', () => {
+      const issues = findMissingPlaceholders(
+        { hello: 'Hola', count: '{count, plural, other{{count} elementos}}' },
+        { hello: ['name'], count: ['count'] }
+      );
+
+      expect(issues).toEqual([{ key: 'hello', missing: ['name'] }]);
+    });
+
+    test('ignores keys that were not translated', () => {
+      expect(findMissingPlaceholders({}, { hello: ['name'] })).toEqual([]);
+    });
+  });
+
+  describe('icuArguments', () => {
+    test('finds simple and formatted arguments', () => {
+      expect(icuArguments('Hi {name}, you owe {amount, number, currency}')).toEqual(['{name}', '{amount, number}']);
+    });
+
+    test('descends into plural and select branches without counting branch text', () => {
+      const message = '{gender, select, male {He has {count, plural, one {# item} other {# items}}} other {They}}';
+      expect(icuArguments(message)).toEqual(['{gender, select}', '{count, plural}']);
+    });
+  });
+
+  describe('extractPlaceholders', () => {
+    test('collects every placeholder family once', () => {
+      expect(extractPlaceholders('{{name}} %{user} %1$s {count}')).toEqual(['%1$s', '%{user}', '{count}', '{{name}}']);
+    });
+  });
+
+  describe('comparePlaceholders', () => {
+    test('reports missing and unexpected placeholders', () => {
+      expect(comparePlaceholders('{{count}} items', '{{contar}} elementos')).toEqual({
+        missing: ['{{count}}'],
+        extra: ['{{contar}}'],
+      });
+    });
+
+    test('ignores order', () => {
+      expect(comparePlaceholders('%1$s to %2$s', '%2$s a %1$s')).toEqual({ missing: [], extra: [] });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for CLDR plural categories and i18next plural keys
+ */
+
+import {
+  pluralCategories,
+  usesI18nextPlurals,
+  findPluralGroups,
+  expandPluralGroups,
+  filterPluralGroups,
+  pluralSourceFor,
+  findMissingPluralForms
+} from '../utils/plurals.js';
+
+describe('Plural Categories', () => {
+  test('returns cardinal categories in CLDR order', () => {
+    expect(pluralCategories('en')).toEqual(['one', 'other']);
+    expect(pluralCategories('pl')).toEqual(['one', 'few', 'many', 'other']);
+    expect(pluralCategories('ar')).toEqual(['zero', 'one', 'two', 'few', 'many', 'other']);
+    expect(pluralCategories('ja')).toEqual(['other']);
+  });
+
+  test('handles regional codes', () => {
+    expect(pluralCategories('ru-RU')).toEqual(['one', 'few', 'many', 'other']);
+  });
+
+  test('returns ordinal categories', () => {
+    expect(pluralCategories('en', { ordinal: true })).toEqual(['one', 'two', 'few', 'other']);
+  });
+
+  test('falls back to one/other for invalid codes', () => {
+    expect(pluralCategories('not a locale')).toEqual(['one', 'other']);
+  });
+
+  describe('i18next plural keys', () => {
+    const source = {
+      cart: { item_one: '{{count}} item', item_other: '{{count}} items' },
+      place_ordinal_one: '{{count}}st',
+      place_ordinal_two: '{{count}}nd',
+      place_ordinal_few: '{{count}}rd',
+      place_ordinal_other: '{{count}}th',
+      status_other: 'Other status',
+      title: 'Title'
+    };
+    const groups = findPluralGroups(source);
+
+    test('usesI18nextPlurals goes by framework, then placeholder format', () => {
+      expect(usesI18nextPlurals({ framework: 'i18next' })).toBe(true);
+      expect(usesI18nextPlurals({ framework: 'vue-i18n', placeholderFormat: 'i18next' })).toBe(false);
+      expect(usesI18nextPlurals({ placeholderFormat: 'i18next' })).toBe(true);
+      expect(usesI18nextPlurals({})).toBe(false);
+    });
+
+    test('findPluralGroups finds suffix groups with an _other key', () => {
+      expect(groups).toEqual([
+        { base: 'cart.item', ordinal: false, categories: ['one', 'other'] },
+        { base: 'place', ordinal: true, categories: ['one', 'two', 'few', 'other'] }
+      ]);
+    });
+
+    test('expandPluralGroups adds forms any language needs from _other', () => {
+      const expanded = expandPluralGroups(source, groups, ['pl', 'ar']);
+      expect(expanded.cart).toEqual({
+        item_one: '{{count}} item',
+        item_other: '{{count}} items',
+        item_zero: '{{count}} items',
+        item_two: '{{count}} items',
+        item_few: '{{count}} items',
+        item_many: '{{count}} items'
+      });
+    });
+
+    test('expandPluralGroups adds the forms right after the group', () => {
+      const data = { item_one: '{{count}} item', item_other: '{{count}} items', title: 'Title' };
+      const expanded = expandPluralGroups(data, findPluralGroups(data), ['ru']);
+      expect(Object.keys(expanded)).toEqual(['item_one', 'item_other', 'item_few', 'item_many', 'title']);
+    });
+
+    test('expandPluralGroups skips groups without _other in the data', () => {
+      const changed = { cart: { item_one: '{{count}} thing' } };
+      expect(expandPluralGroups(changed, groups, ['pl'])).toEqual(changed);
+    });
+
+    test('filterPluralGroups removes forms a language does not use', () => {
+      const filtered = filterPluralGroups(expandPluralGroups(source, groups, ['pl']), groups, 'ja');
+      expect(filtered.cart).toEqual({ item_other: '{{count}} items' });
+      expect(filtered.place_ordinal_other).toBe('{{count}}th');
+      expect(filtered.place_ordinal_one).toBeUndefined();
+      expect(filtered.status_other).toBe('Other status');
+    });
+
+    test('pluralSourceFor gives the keys a language should have', () => {
+      expect(Object.keys(pluralSourceFor(source, groups, 'ru').cart)).toEqual(['item_one', 'item_other', 'item_few', 'item_many']);
+      expect(pluralSourceFor(source, [], 'ru')).toBe(source);
+    });
+
+    test('keeps a source _zero key in every language', () => {
+      const withZero = { item_zero: 'No items', item_one: 'One item', item_other: '{{count}} items' };
+      const filtered = filterPluralGroups(withZero, findPluralGroups(withZero), 'ja');
+      expect(filtered).toEqual({ item_zero: 'No items', item_other: '{{count}} items' });
+    });
+
+    test('findMissingPluralForms reports groups that lack forms', () => {
+      const target = { cart: { item_one: 'x', item_other: 'y' }, title: 'Tytuł' };
+      expect(findMissingPluralForms(target, groups, 'pl')).toEqual([{ base: 'cart.item', missing: ['few', 'many'] }]);
+      expect(findMissingPluralForms(target, groups, 'de')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Tests for the gettext PO/POT format adapter
+ */
+
+import { poFormat, getPluralForms, getPluralCount, getPluralCategories } from '../lib/formats/po.js';
+
+const POT = `# Demo template
+#, fuzzy
+msgid ""
+msgstr ""
+"Project-Id-Version: demo\\n"
+"Language: \\n"
+"Plural-Forms: nplurals=INTEGER; plural=EXPRESSION;\\n"
+
+#. Shown on the home page
+#: app.py:10
+msgid "Hello. World"
+msgstr ""
+
+msgctxt "menu"
+msgid "Open"
+msgstr ""
+
+msgctxt "verb"
+msgid "Open"
+msgstr ""
+
+#, python-format
+msgid "%(n)d file"
+msgid_plural "%(n)d files"
+msgstr[0] ""
+msgstr[1] ""
+
+msgid ""
+"Multi\\n"
+"line"
+msgstr ""
+`;
+
+function findKey(data, value) {
+  return Object.keys(data).find(key => JSON.stringify(data[key]) === JSON.stringify(value));
+}
+
+describe('poFormat', () => {
+  describe('plural forms', () => {
+    test('looks up Plural-Forms by language and base language', () => {
+      expect(getPluralCount(getPluralForms('pl'))).toBe(3);
+      expect(getPluralCount(getPluralForms('ja'))).toBe(1);
+      expect(getPluralCount(getPluralForms('ar'))).toBe(6);
+      expect(getPluralForms('pt-BR')).toBe('nplurals=2; plural=(n > 1);');
+      expect(getPluralForms('es-MX')).toBe('nplurals=2; plural=(n != 1);');
+    });
+
+    test('maps each msgstr index to a CLDR category', () => {
+      expect(getPluralCategories(getPluralForms('ru'), 'ru')).toEqual(['one', 'few', 'many']);
+      expect(getPluralCategories(getPluralForms('pl'), 'pl')).toEqual(['one', 'few', 'many']);
+      expect(getPluralCategories(getPluralForms('cs'), 'cs')).toEqual(['one', 'few', 'other']);
+      expect(getPluralCategories(getPluralForms('ar'), 'ar')).toEqual(['zero', 'one', 'two', 'few', 'many', 'other']);
+      expect(getPluralCategories(getPluralForms('fr'), 'fr')).toEqual(['one', 'other']);
+      expect(getPluralCategories(getPluralForms('ja'), 'ja')).toEqual(['other']);
+    });
+
+    test('falls back to CLDR order for template and mismatched headers', () => {
+      expect(getPluralCategories('nplurals=INTEGER; plural=EXPRESSION;', 'en')).toEqual(['one', 'other']);
+      expect(getPluralCategories('nplurals=2; plural=(n != 1);', 'ja')).toEqual(['one', 'other']);
+      expect(getPluralCategories('nplurals=3; plural=alert(n);', 'ru')).toEqual(['one', 'few', 'other']);
+    });
+  });
+
+  describe('parse', () => {
+    test('uses msgid as source text and skips the header', () => {
+      const { data } = poFormat.parse(POT, { source: true });
+      const values = Object.values(data);
+      expect(values).toContain('Hello. World');
+      expect(values).toContain('Multi\nline');
+      expect(values).toContainEqual({ one: '%(n)d file', other: '%(n)d files' });
+      expect(Object.keys(data)).toHaveLength(5);
+    });
+
+    test('keys do not contain dots and differ per msgctxt', () => {
+      const { data } = poFormat.parse(POT, { source: true });
+      Object.keys(data).forEach(key => expect(key).not.toContain('.'));
+      expect(Object.values(data).filter(value => value === 'Open')).toHaveLength(2);
+    });
+
+    test('keys are the readable msgctxt and msgid', () => {
+      const { data } = poFormat.parse(POT, { source: true });
+      expect(data['Hello\u2024 World']).toBe('Hello. World');
+      expect(data['Multi\\nline']).toBe('Multi\nline');
+      expect(data['menu|Open']).toBe('Open');
+      expect(data['verb|Open']).toBe('Open');
+    });
+
+    test('entries whose readable keys clash fall back to a hash', () => {
+      const { data } = poFormat.parse('msgid "a.b"\nmsgstr ""\n\nmsgid "a\u2024b"\nmsgstr ""\n', { source: true });
+      expect(data['a\u2024b']).toBe('a.b');
+      expect(data[Object.keys(data).find(key => key.startsWith('po_'))]).toBe('a\u2024b');
+    });
+
+    test('sends msgctxt and extracted comments as context annotations', () => {
+      const { data, context } = poFormat.parse(POT, { source: true });
+      expect(context[findKey(data, 'Hello. World')]).toBe('Shown on the home page');
+      expect(Object.values(context)).toEqual(expect.arrayContaining(['menu', 'verb']));
+    });
+
+    test('untranslated entries of target files are left out', () => {
+      const { data } = poFormat.parse(POT);
+      expect(data).toEqual({});
+    });
+
+    test('reads every plural form of a target file by category', () => {
+      const { data } = poFormat.parse([
+        'msgid ""',
+        'msgstr ""',
+        '"Plural-Forms: nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);\\n"',
+        '',
+        'msgid "%d file"',
+        'msgid_plural "%d files"',
+        'msgstr[0] "%d файл"',
+        'msgstr[1] "%d файла"',
+        'msgstr[2] "%d файлов"',
+      ].join('\n'), { language: 'ru' });
+
+      expect(Object.values(data)).toEqual([{ one: '%d файл', few: '%d файла', many: '%d файлов' }]);
+    });
+
+    test('throws on malformed content', () => {
+      expect(() => poFormat.parse('msgid "a"\nnonsense\n')).toThrow('line 2');
+    });
+  });
+
+  describe('serialize', () => {
+    // Plural entries get the forms the language needs, like translate sends them
+    function translate(data, prefix, language) {
+      return Object.fromEntries(Object.entries(data).map(([key, value]) => [
+        key,
+        typeof value === 'object'
+          ? Object.fromEntries(poFormat.pluralCategories(language).map(category => [category, `${prefix} ${value[category] ?? value.other}`]))
+          : `${prefix} ${value}`
+      ]));
+    }
+
+    test('writes target header, plural forms and fuzzy flags', () => {
+      const source = poFormat.parse(POT, { source: true });
+      const output = poFormat.serialize(translate(source.data, 'PL', 'pl'), {
+        language: 'pl',
+        sourceDocument: source.document,
+      });
+
+      expect(output).toContain('"Language: pl\\n"');
+      expect(output).toContain('nplurals=3;');
+      expect(output).toContain('msgstr[2] "PL %(n)d files"');
+      expect(output).toContain('#, python-format, fuzzy');
+      expect(output).toContain('msgctxt "menu"');
+      expect(output).toContain('#. Shown on the home page\n#: app.py:10\n#, fuzzy\nmsgid "Hello. World"');
+      expect(output).toContain('msgstr ""\n"PL Multi\\n"\n"line"');
+    });
+
+    test('round-trips through parse', () => {
+      const source = poFormat.parse(POT, { source: true });
+      const translated = translate(source.data, 'PL', 'pl');
+      const output = poFormat.serialize(translated, { language: 'pl', sourceDocument: source.document });
+      expect(poFormat.parse(output).data).toEqual(translated);
+    });
+
+    test('keeps unchanged entries, translator comments and flags from the existing file', () => {
+      const source = poFormat.parse(POT, { source: true });
+      const first = poFormat.serialize(translate(source.data, 'PL', 'pl'), {
+        language: 'pl',
+        sourceDocument: source.document,
+      });
+
+      // A translator reviews one entry
+      const reviewed = first.replace('#, fuzzy\nmsgid "Hello. World"\nmsgstr "PL Hello. World"', '# Checked\nmsgid "Hello. World"\nmsgstr "Witaj. Świecie"');
+      const existing = poFormat.parse(reviewed);
+
+      const output = poFormat.serialize(existing.data, {
+        language: 'pl',
+        sourceDocument: source.document,
+        document: existing.document,
+      });
+
+      expect(output).toContain('# Checked\n#. Shown on the home page\n#: app.py:10\nmsgid "Hello. World"\nmsgstr "Witaj. Świecie"');
+    });
+
+    test('writes each plural form from its category and leaves missing ones empty', () => {
+      const source = poFormat.parse(POT, { source: true });
+      const key = findKey(source.data, { one: '%(n)d file', other: '%(n)d files' });
+      const output = poFormat.serialize({ [key]: { one: 'AR one', two: 'AR two', other: 'AR other' } }, {
+        language: 'ar',
+        sourceDocument: source.document,
+      });
+
+      expect(output).toContain('msgstr[0] ""\nmsgstr[1] "AR one"\nmsgstr[2] "AR two"\nmsgstr[3] ""\nmsgstr[4] ""\nmsgstr[5] "AR other"');
+    });
+
+    test('one plural form for languages without plurals', () => {
+      const source = poFormat.parse(POT, { source: true });
+      const output = poFormat.serialize(translate(source.data, 'JA', 'ja'), {
+        language: 'ja',
+        sourceDocument: source.document,
+      });
+
+      expect(output).toContain('msgstr[0] "JA %(n)d files"');
+      expect(output).not.toContain('msgstr[1]');
+    });
+  });
+});
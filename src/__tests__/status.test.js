@@ -0,0 +1,77 @@
+/**
+ * Tests for the coverage report
+ */
+
+import { countCoverage, buildStatusReport, buildMarkdownReport } from '../lib/status.js';
+
+const SOURCE = {
+  nav: { home: 'Home', about: 'About' },
+  save: 'Save',
+  brand: 'Shipi18n',
+};
+
+describe('status', () => {
+  const file = (language, namespace, counts) => ({ language, namespace, source: `en/${namespace}.json`, target: `${language}/${namespace}.json`, exists: true, ...counts });
+
+  test('countCoverage counts translated, missing, identical and orphaned keys', () => {
+    const target = { nav: { home: 'Inicio', about: ' ' }, brand: 'Shipi18n', old: 'Viejo' };
+
+    expect(countCoverage(SOURCE, target)).toEqual({ total: 4, translated: 2, missing: 2, identical: 1, orphaned: 1 });
+    expect(countCoverage(SOURCE, {})).toEqual({ total: 4, translated: 0, missing: 4, identical: 0, orphaned: 0 });
+  });
+
+  test('countCoverage expects identical values between regional variants', () => {
+    expect(countCoverage(SOURCE, SOURCE, { sameLanguage: true }).identical).toBe(0);
+    expect(countCoverage(SOURCE, SOURCE).identical).toBe(4);
+  });
+
+  test('buildStatusReport sums namespaces per language and overall', () => {
+    const report = buildStatusReport([
+      file('es', 'common', { total: 10, translated: 10, missing: 0, identical: 1, orphaned: 0 }),
+      file('es', 'admin', { total: 5, translated: 2, missing: 3, identical: 0, orphaned: 2 }),
+      file('fr', 'common', { total: 10, translated: 10, missing: 0, identical: 0, orphaned: 0 }),
+      file('fr', 'admin', { total: 5, translated: 5, missing: 0, identical: 0, orphaned: 0 }),
+    ]);
+
+    expect(report.ok).toBe(true);
+    expect(report.languages).toEqual([
+      { language: 'es', total: 15, translated: 12, missing: 3, identical: 1, orphaned: 2, coverage: 80 },
+      { language: 'fr', total: 15, translated: 15, missing: 0, identical: 0, orphaned: 0, coverage: 100 },
+    ]);
+    expect(report.overall.coverage).toBe(90);
+    expect(report.files[1].coverage).toBe(40);
+  });
+
+  test('buildStatusReport flags languages below the threshold', () => {
+    const report = buildStatusReport([
+      file('es', 'common', { total: 3, translated: 2, missing: 1, identical: 0, orphaned: 0 }),
+      file('fr', 'common', { total: 3, translated: 3, missing: 0, identical: 0, orphaned: 0 }),
+    ], { threshold: 95 });
+
+    expect(report.ok).toBe(false);
+    expect(report.belowThreshold).toEqual(['es']);
+    // Rounded down, so 66.66% never shows as a passing 66.7%
+    expect(report.languages[0].coverage).toBe(66.6);
+  });
+
+  test('buildMarkdownReport adds namespace rows only when there are several', () => {
+    const single = buildMarkdownReport(buildStatusReport([
+      file('es', 'en', { total: 4, translated: 3, missing: 1, identical: 0, orphaned: 0 }),
+    ]));
+    expect(single).toBe([
+      '| Language | Keys | Translated | Missing | Identical | Orphaned | Coverage |',
+      '| --- | ---: | ---: | ---: | ---: | ---: | ---: |',
+      '| es | 4 | 3 | 1 | 0 | 0 | 75% |',
+      '',
+      'Overall coverage: **75%** (3 of 4 keys)',
+      '',
+    ].join('\n'));
+
+    const namespaced = buildMarkdownReport(buildStatusReport([
+      file('es', 'common', { total: 2, translated: 2, missing: 0, identical: 0, orphaned: 0 }),
+      file('es', 'admin', { total: 2, translated: 1, missing: 1, identical: 0, orphaned: 0 }),
+    ]));
+    expect(namespaced).toContain('| es | admin | 2 | 1 | 1 | 0 | 0 | 50% |');
+    expect(namespaced).toContain('| **es** | **Total** | **4** | **3** | **1** | **0** | **0** | **75%** |');
+  });
+});
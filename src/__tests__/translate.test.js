@@ -0,0 +1,324 @@
+/**
+ * Tests for translate runs, end to end against the mock server
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { tmpdir } from 'os';
+import { startMockServer } from '../lib/mock-server.js';
+import { logger } from '../utils/logger.js';
+
+let translate;
+let mock;
+let tempDir;
+let originalCwd;
+
+const writeJSON = (path, data) => {
+  mkdirSync(join(path, '..'), { recursive: true });
+  writeFileSync(path, JSON.stringify(data, null, 2));
+};
+const readJSON = (path) => JSON.parse(readFileSync(path, 'utf8'));
+
+// Translate with the mock server, without the translation memory
+const run = (inputs, options = {}) => translate.translateFiles(inputs, { apiKey: 'test-key', cache: false, retries: 0, ...options });
+
+// One run of translate --watch after the given files were saved
+const watchRun = async (inputs, saved) => {
+  logger.silent = true;
+  logger.errors = [];
+  try {
+    const only = new Set(saved.map(file => resolve(file)));
+    return await translate.runTranslate(inputs, { apiKey: 'test-key', cache: false, retries: 0, target: 'es', incremental: true }, { only, watching: true });
+  } finally {
+    logger.silent = false;
+  }
+};
+
+beforeAll(async () => {
+  tempDir = mkdtempSync(join(tmpdir(), 'shipi18n-translate-'));
+  // Keep the user config and translation memory out of the real home directory
+  process.env.SHIPI18N_CONFIG_DIR = join(tempDir, 'home');
+  mock = await startMockServer({ retryAfter: 0 });
+  process.env.SHIPI18N_API_URL = mock.url;
+  translate = await import('../commands/translate.js');
+});
+
+afterAll(async () => {
+  await mock.close();
+  delete process.env.SHIPI18N_CONFIG_DIR;
+  delete process.env.SHIPI18N_API_URL;
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  Object.assign(mock.options, { errors: [], latency: 0, missingLanguages: [], missingKeys: [], apiKey: null });
+  mock.requests.length = 0;
+  originalCwd = process.cwd();
+  mkdirSync(join(tempDir, 'project'), { recursive: true });
+  process.chdir(join(tempDir, 'project'));
+});
+
+afterEach(() => {
+  process.chdir(originalCwd);
+  rmSync(join(tempDir, 'project'), { recursive: true, force: true });
+});
+
+describe('project config', () => {
+  test('an invalid shipi18n.config.json fails the run instead of translating with the defaults', async () => {
+    writeJSON('locales/en.json', { a: 'A' });
+    writeFileSync('shipi18n.config.json', '{ "targetLanguages": ["de"], }');
+
+    const result = await run('locales/en.json');
+
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual([{ message: expect.stringContaining('Invalid JSON in') }]);
+    expect(mock.requests).toHaveLength(0);
+  });
+});
+
+describe('prune', () => {
+  beforeEach(() => {
+    writeJSON('locales/en.json', { a: 'A', b: 'B' });
+    writeJSON('locales/es.json', { a: 'Uno', old: 'Viejo' });
+  });
+
+  test('report mode lists orphaned keys and keeps them', async () => {
+    const result = await run('locales/en.json', { target: 'es', incremental: true, pruneReport: true });
+
+    expect(readJSON('locales/es.json')).toEqual({ a: 'Uno', b: '[es] B', old: 'Viejo' });
+    expect(result.orphans).toEqual([{ source: 'locales/en.json', language: 'es', keys: ['old'], removed: false }]);
+  });
+
+  test('removes orphaned keys while translating new ones', async () => {
+    const result = await run('locales/en.json', { target: 'es', incremental: true, prune: true });
+
+    expect(readJSON('locales/es.json')).toEqual({ a: 'Uno', b: '[es] B' });
+    expect(result.orphans).toEqual([{ source: 'locales/en.json', language: 'es', keys: ['old'], removed: true }]);
+  });
+
+  test('rewrites files that only need pruning without calling the API', async () => {
+    writeJSON('locales/es.json', { a: 'Uno', b: 'Dos', old: 'Viejo' });
+
+    const result = await run('locales/en.json', { target: 'es', incremental: true, prune: true });
+
+    expect(readJSON('locales/es.json')).toEqual({ a: 'Uno', b: 'Dos' });
+    expect(mock.requests).toHaveLength(0);
+    expect(result).toMatchObject({
+      ok: true,
+      keys: { translated: 0, upToDate: 2 },
+      files: [{ path: join('locales', 'es.json'), language: 'es', merged: true, translatedKeys: 0 }],
+    });
+  });
+
+  test('leaves target files alone without prune', async () => {
+    writeJSON('locales/es.json', { a: 'Uno', b: 'Dos', old: 'Viejo' });
+
+    const result = await run('locales/en.json', { target: 'es', incremental: true });
+
+    expect(readJSON('locales/es.json')).toEqual({ a: 'Uno', b: 'Dos', old: 'Viejo' });
+    expect(result.orphans).toEqual([]);
+    expect(result.files).toEqual([]);
+  });
+});
+
+describe('key order', () => {
+  test('full runs keep the order of the existing target file', async () => {
+    writeJSON('locales/en.json', { a: 'A', b: 'B', c: 'C' });
+    writeJSON('locales/es.json', { c: 'Tres', b: 'Dos', old: 'Viejo' });
+
+    expect((await run('locales/en.json', { target: 'es' })).ok).toBe(true);
+
+    expect(Object.keys(readJSON('locales/es.json'))).toEqual(['a', 'c', 'b']);
+  });
+
+  test('--sort-keys still sorts', async () => {
+    writeJSON('locales/en.json', { a: 'A', b: 'B' });
+    writeJSON('locales/es.json', { b: 'Dos', a: 'Uno' });
+
+    await run('locales/en.json', { target: 'es', sortKeys: true });
+
+    expect(Object.keys(readJSON('locales/es.json'))).toEqual(['a', 'b']);
+  });
+});
+
+describe('watch runs', () => {
+  test('translate only the saved source files', async () => {
+    writeJSON('locales/en/common.json', { save: 'Save' });
+    writeJSON('locales/en/admin.json', { users: 'Users' });
+
+    const result = await watchRun(['locales'], ['locales/en/admin.json']);
+
+    expect(result.ok).toBe(true);
+    expect(readJSON('locales/es/admin.json')).toEqual({ users: '[es] Users' });
+    expect(existsSync('locales/es/common.json')).toBe(false);
+  });
+
+  test('a file saved with invalid JSON waits for the next save instead of exiting', async () => {
+    writeJSON('locales/es.json', { a: 'Uno' });
+    mkdirSync('locales', { recursive: true });
+    writeFileSync('locales/en.json', '{ "a": "A", ');
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('process.exit called');
+    });
+
+    try {
+      const result = await watchRun(['locales/en.json'], ['locales/en.json']);
+
+      // A warning, not an error
+      expect(result).toEqual({ ok: false });
+      expect(logger.errors).toEqual([]);
+      expect(exit).not.toHaveBeenCalled();
+      expect(mock.requests).toHaveLength(0);
+      expect(readJSON('locales/es.json')).toEqual({ a: 'Uno' });
+    } finally {
+      exit.mockRestore();
+    }
+  });
+});
+
+describe('Android', () => {
+  test('resources with dotted names are translated and written back under their names', async () => {
+    mkdirSync('res/values', { recursive: true });
+    writeFileSync('res/values/strings.xml', [
+      '<resources>',
+      '    <string name="settings.title">Settings</string>',
+      '    <string name="settings.sub">Account</string>',
+      '</resources>',
+      '',
+    ].join('\n'));
+
+    const result = await run('res/values/strings.xml', { target: 'de' });
+
+    expect(result.ok).toBe(true);
+    const output = readFileSync('res/values-de/strings.xml', 'utf8');
+    expect(output).toContain('<string name="settings.title">[de] Settings</string>');
+    expect(output).toContain('<string name="settings.sub">[de] Account</string>');
+  });
+});
+
+describe('source fallbacks', () => {
+  test('keys filled with the source text are translated again by the next incremental run', async () => {
+    writeJSON('locales/en.json', { a: 'A', b: 'B' });
+    mock.options.missingLanguages = ['es'];
+
+    await run('locales/en.json', { target: 'es', incremental: true });
+    expect(readJSON('locales/es.json')).toEqual({ a: 'A', b: 'B' });
+
+    mock.options.missingLanguages = [];
+    const result = await run('locales/en.json', { target: 'es', incremental: true });
+
+    expect(result.keys).toMatchObject({ translated: 2, upToDate: 0 });
+    expect(readJSON('locales/es.json')).toEqual({ a: '[es] A', b: '[es] B' });
+  });
+});
+
+describe('dry run', () => {
+  test('leaves strings the translation memory has out of each language and does not update it', async () => {
+    const cachePath = join(tempDir, 'home', 'cache.json');
+    writeJSON('locales/en.json', { a: 'Remembered A' });
+    await run('locales/en.json', { target: 'es', cache: true });
+    const memory = readFileSync(cachePath, 'utf8');
+
+    writeJSON('locales/en.json', { a: 'Remembered A', b: 'New B' });
+    const estimate = await run('locales/en.json', { target: 'es,fr', cache: true, dryRun: true });
+
+    expect(estimate.languages).toEqual([
+      { language: 'es', keys: 1, characters: 5, words: 2, cached: 1 },
+      { language: 'fr', keys: 2, characters: 17, words: 4, cached: 0 },
+    ]);
+    expect(estimate.totals).toMatchObject({ keys: 2, keyTranslations: 3, cached: 1 });
+    expect(readFileSync(cachePath, 'utf8')).toBe(memory);
+    expect(mock.requests).toHaveLength(1);
+  });
+});
+
+describe('failed requests', () => {
+  test('keep the existing translations of their keys and fail the run', async () => {
+    writeJSON('locales/en.json', { a: 'A', b: 'B', c: 'C' });
+    writeJSON('locales/es.json', { a: 'Uno', b: 'Dos', c: 'Tres' });
+    mock.options.errors = ['500:1'];
+
+    const result = await run('locales/en.json', { target: 'es', chunkSize: 1, concurrency: 1 });
+
+    expect(readJSON('locales/es.json')).toEqual({ a: 'Uno', b: '[es] B', c: '[es] C' });
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual([{ message: expect.stringContaining('1 translation request failed') }]);
+    expect(result.sources[0].failed.languages).toEqual({ es: ['a'] });
+  });
+
+  test('leave out keys a new file has no translation for', async () => {
+    writeJSON('locales/en.json', { a: 'A', b: 'B' });
+    mock.options.errors = ['500:1'];
+
+    const result = await run('locales/en.json', { target: 'es', chunkSize: 1, concurrency: 1 });
+
+    expect(readJSON('locales/es.json')).toEqual({ b: '[es] B' });
+    expect(result.ok).toBe(false);
+  });
+});
+
+describe('plurals', () => {
+  test('PO plural entries get a translated form for each msgstr of the target language', async () => {
+    mkdirSync('locales', { recursive: true });
+    writeFileSync('locales/en.po', [
+      'msgid ""',
+      'msgstr ""',
+      '"Language: en\\n"',
+      '',
+      'msgid "%d file"',
+      'msgid_plural "%d files"',
+      'msgstr[0] ""',
+      'msgstr[1] ""',
+      '',
+    ].join('\n'));
+
+    const result = await run('locales/en.po', { target: 'ru' });
+
+    expect(result.ok).toBe(true);
+    expect(readFileSync('locales/ru.po', 'utf8')).toContain('msgstr[0] "[ru] %d file"\nmsgstr[1] "[ru] %d files"\nmsgstr[2] "[ru] %d files"');
+  });
+
+  test('Android <plurals> and stringsdict entries get the categories of the target language', async () => {
+    mkdirSync('res/values', { recursive: true });
+    writeFileSync('res/values/strings.xml', [
+      '<resources>',
+      '    <plurals name="files">',
+      '        <item quantity="one">%d file</item>',
+      '        <item quantity="other">%d files</item>',
+      '    </plurals>',
+      '</resources>',
+      '',
+    ].join('\n'));
+    mkdirSync('ios/en.lproj', { recursive: true });
+    writeFileSync('ios/en.lproj/Localizable.stringsdict', `<plist version="1.0">
+<dict>
+\t<key>files_count</key>
+\t<dict>
+\t\t<key>NSStringLocalizedFormatKey</key>
+\t\t<string>%#@files@</string>
+\t\t<key>files</key>
+\t\t<dict>
+\t\t\t<key>NSStringFormatSpecTypeKey</key>
+\t\t\t<string>NSStringPluralRuleType</string>
+\t\t\t<key>one</key>
+\t\t\t<string>%d file</string>
+\t\t\t<key>other</key>
+\t\t\t<string>%d files</string>
+\t\t</dict>
+\t</dict>
+</dict>
+</plist>
+`);
+
+    expect((await run('res/values/strings.xml', { target: 'ru,ja' })).ok).toBe(true);
+    expect((await run('ios/en.lproj/Localizable.stringsdict', { target: 'ru' })).ok).toBe(true);
+
+    const quantities = (path) => [...readFileSync(path, 'utf8').matchAll(/quantity="(\w+)"/g)].map(match => match[1]);
+    expect(quantities('res/values-ru/strings.xml')).toEqual(['one', 'few', 'many', 'other']);
+    expect(quantities('res/values-ja/strings.xml')).toEqual(['other']);
+    const stringsdict = readFileSync('ios/ru.lproj/Localizable.stringsdict', 'utf8');
+    expect([...stringsdict.matchAll(/<key>(one|few|many|other)<\/key>/g)].map(match => match[1])).toEqual(['one', 'few', 'many', 'other']);
+    expect(stringsdict).toContain('<string>[ru] %d files</string>');
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Tests for XLIFF 1.2 / 2.0 reading and writing
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { jest } from '@jest/globals';
+import { Command } from 'commander';
+import { buildXliff, parseXliff } from '../lib/xliff.js';
+import { logger } from '../utils/logger.js';
+
+const files = [
+  {
+    original: 'en/common.json',
+    units: [
+      { key: 'nav.home', source: 'Home', target: 'Inicio', state: 'translated', notes: [] },
+      { key: 'nav.about', source: 'About & <us>', target: 'About & <us>', state: 'needs-translation', notes: [] },
+      { key: 'close', source: 'Close', target: 'Cerrar', state: 'needs-review', notes: [{ category: 'context', text: 'button - dismiss' }] },
+      { key: 'new', source: 'New', target: undefined, state: 'new', notes: [{ text: 'plain note' }] },
+    ],
+  },
+];
+
+function withoutIds(document) {
+  return document.files.map(file => ({
+    original: file.original,
+    units: file.units.map(({ id, ...unit }) => unit),
+  }));
+}
+
+describe('XLIFF', () => {
+  test.each(['1.2', '2.0'])('XLIFF %s round-trips units, states and notes', (version) => {
+    const xml = buildXliff({ version, sourceLanguage: 'en', targetLanguage: 'es', files });
+    const parsed = parseXliff(xml);
+
+    expect(parsed.version).toBe(version);
+    expect(parsed.sourceLanguage).toBe('en');
+    expect(parsed.targetLanguage).toBe('es');
+    expect(withoutIds(parsed)).toEqual(files);
+  });
+
+  test('writes XLIFF 1.2 states on targets', () => {
+    const xml = buildXliff({ version: '1.2', sourceLanguage: 'en', targetLanguage: 'es', files });
+    expect(xml).toContain('<target state="needs-review-translation">Cerrar</target>');
+    expect(xml).toContain('<note from="context">button - dismiss</note>');
+    expect(xml).toContain('resname="nav.about"');
+    expect(xml).toContain('<source>About &amp; &lt;us&gt;</source>');
+  });
+
+  test('writes XLIFF 2.0 states on segments', () => {
+    const xml = buildXliff({ version: '2.0', sourceLanguage: 'en', targetLanguage: 'es', files });
+    expect(xml).toContain('srcLang="en" trgLang="es"');
+    expect(xml).toContain('<segment state="initial" subState="shipi18n:fallback">');
+    expect(xml).toContain('<note category="context">button - dismiss</note>');
+  });
+
+  test('reads agency XLIFF 1.2 with groups and other states', () => {
+    const parsed = parseXliff(`<?xml version="1.0"?>
+<xliff version="1.2">
+  <file original="en.json" source-language="en" target-language="de">
+    <body>
+      <group id="g">
+        <trans-unit id="greeting"><source>Hi</source><target state="signed-off">Hallo</target></trans-unit>
+      </group>
+      <trans-unit id="bye"><source>Bye</source><target>Tschüss</target></trans-unit>
+    </body>
+  </file>
+</xliff>`);
+
+    expect(parsed.files[0].units).toEqual([
+      { id: 'greeting', key: 'greeting', source: 'Hi', target: 'Hallo', state: 'reviewed', notes: [] },
+      { id: 'bye', key: 'bye', source: 'Bye', target: 'Tschüss', state: 'translated', notes: [] },
+    ]);
+  });
+
+  test('joins XLIFF 2.0 segments', () => {
+    const parsed = parseXliff(`<xliff version="2.0" srcLang="en" trgLang="fr">
+  <file id="f1"><unit id="u1" name="intro">
+    <segment state="final"><source>One.</source><target>Un.</target></segment>
+    <ignorable><source> </source><target> </target></ignorable>
+    <segment state="final"><source>Two.</source><target>Deux.</target></segment>
+  </unit></file>
+</xliff>`);
+
+    const unit = parsed.files[0].units[0];
+    expect(unit.source).toBe('One. Two.');
+    expect(unit.target).toBe('Un. Deux.');
+    expect(unit.state).toBe('final');
+  });
+
+  test('rejects unsupported documents', () => {
+    expect(() => parseXliff('<resources/>')).toThrow('Not an XLIFF document');
+    expect(() => parseXliff('<xliff version="1.0"/>')).toThrow('Unsupported XLIFF version');
+    expect(() => buildXliff({ version: '3.0', files: [] })).toThrow('Unsupported XLIFF version');
+  });
+});
+
+describe('xliff export and import', () => {
+  let xliffCommand;
+  let tempDir;
+  let originalCwd;
+
+  const writeFile = (path, content) => {
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, content);
+  };
+
+  const run = (...args) => {
+    const program = new Command();
+    xliffCommand(program);
+    return program.parseAsync(['xliff', ...args], { from: 'user' });
+  };
+
+  // Export, translate every unit the way an agency would, and import the result
+  const roundTrip = async (input, lang) => {
+    await run('export', input, '--target', lang, '--output', 'xliff');
+    const exported = parseXliff(readFileSync(`xliff/${lang}.xlf`, 'utf8'));
+    const translated = exported.files.map(file => ({
+      original: file.original,
+      units: file.units.map(({ id, ...unit }) => ({ ...unit, target: `[${lang}] ${unit.source}`, state: 'translated' })),
+    }));
+    writeFileSync(`xliff/${lang}.xlf`, buildXliff({ version: '1.2', sourceLanguage: 'en', targetLanguage: lang, files: translated }));
+    await run('import', `xliff/${lang}.xlf`);
+  };
+
+  beforeAll(async () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'shipi18n-xliff-'));
+    process.env.SHIPI18N_CONFIG_DIR = join(tempDir, 'home');
+    ({ xliffCommand } = await import('../commands/xliff.js'));
+    logger.silent = true;
+  });
+
+  afterAll(() => {
+    logger.silent = false;
+    logger.errors = [];
+    delete process.env.SHIPI18N_CONFIG_DIR;
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    mkdirSync(join(tempDir, 'project'), { recursive: true });
+    process.chdir(join(tempDir, 'project'));
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    rmSync(join(tempDir, 'project'), { recursive: true, force: true });
+  });
+
+  test('--json prints the written and imported files on stdout', async () => {
+    writeFile('locales/en.json', JSON.stringify({ a: 'A', b: 'B' }));
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    logger.json = true;
+    let results;
+
+    try {
+      await roundTrip('locales/en.json', 'es');
+      results = write.mock.calls.map(([output]) => JSON.parse(output));
+    } finally {
+      logger.json = false;
+      write.mockRestore();
+    }
+
+    const [exported, imported] = results;
+    expect(exported).toMatchObject({ ok: true, sources: 1, files: [{ path: join('xliff', 'es.xlf'), language: 'es', units: 2, pending: 2 }] });
+    expect(imported).toMatchObject({ ok: true, imported: 2, files: [{ path: join('locales', 'es.json'), language: 'es', imported: 2 }] });
+  });
+
+  test('imports PO files using the source file as the template', async () => {
+    writeFile('locales/en.po', [
+      'msgid ""',
+      'msgstr ""',
+      '"Language: en\\n"',
+      '',
+      'msgid "Hello"',
+      'msgstr ""',
+      '',
+    ].join('\n'));
+
+    await roundTrip('locales/en.po', 'es');
+
+    const po = readFileSync('locales/es.po', 'utf8');
+    expect(po).toContain('"Language: es\\n"');
+    expect(po).toContain('msgid "Hello"\nmsgstr "[es] Hello"');
+  });
+
+  test('imports Android and iOS files into their platform folders', async () => {
+    writeFile('app/res/values/strings.xml', '<resources>\n  <string name="title">Title</string>\n</resources>\n');
+    writeFile('ios/en.lproj/Localizable.strings', '"title" = "Title";\n');
+
+    await roundTrip('app/res/values/strings.xml', 'es');
+    await roundTrip('ios/en.lproj/Localizable.strings', 'fr');
+
+    expect(readFileSync('app/res/values-es/strings.xml', 'utf8')).toContain('<string name="title">[es] Title</string>');
+    expect(readFileSync('ios/fr.lproj/Localizable.strings', 'utf8')).toContain('"title" = "[fr] Title";');
+    expect(existsSync('locales')).toBe(false);
+  });
+
+  test('imports namespace files next to the source language folder', async () => {
+    writeFile('locales/en/common.json', JSON.stringify({ nav: { home: 'Home' } }));
+
+    await roundTrip('locales', 'de');
+
+    expect(JSON.parse(readFileSync('locales/de/common.json', 'utf8'))).toEqual({ nav: { home: '[de] Home' } });
+  });
+});
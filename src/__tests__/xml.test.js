@@ -0,0 +1,47 @@
+/**
+ * Tests for the minimal XML reader
+ */
+
+import { parseXML, escapeXML, decodeEntities, childElements, childElement, textContent } from '../lib/xml.js';
+
+describe('XML reader', () => {
+  test('parses elements, attributes and text', () => {
+    const root = parseXML('<?xml version="1.0"?>\n<resources a="1" b=\'two\'><string name="x">Hi</string><br/></resources>');
+    expect(root.name).toBe('resources');
+    expect(root.attributes).toEqual({ a: '1', b: 'two' });
+    expect(childElements(root).map(child => child.name)).toEqual(['string', 'br']);
+    expect(textContent(childElement(root, 'string'))).toBe('Hi');
+  });
+
+  test('decodes entities in text and attributes', () => {
+    const root = parseXML('<a title="&quot;x&quot; &amp; y">&lt;b&gt; &#233;&#x41;</a>');
+    expect(root.attributes.title).toBe('"x" & y');
+    expect(textContent(root)).toBe('<b> éA');
+  });
+
+  test('keeps comments and CDATA', () => {
+    const root = parseXML('<a><!-- note --><![CDATA[<raw>]]></a>');
+    expect(root.children[0]).toEqual({ type: 'comment', value: ' note ' });
+    expect(textContent(root)).toBe('<raw>');
+  });
+
+  test('skips DOCTYPE declarations', () => {
+    const root = parseXML('<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "x.dtd">\n<plist version="1.0"><dict/></plist>');
+    expect(root.name).toBe('plist');
+  });
+
+  test('allows > inside attribute values', () => {
+    const root = parseXML('<a expr="n > 1">x</a>');
+    expect(root.attributes.expr).toBe('n > 1');
+  });
+
+  test('throws on mismatched tags', () => {
+    expect(() => parseXML('<a><b></a>')).toThrow('Unexpected closing tag');
+    expect(() => parseXML('<a>')).toThrow('Unclosed tag');
+  });
+
+  test('escapeXML and decodeEntities are inverse', () => {
+    const text = 'Tom & "Jerry" <3';
+    expect(decodeEntities(escapeXML(text))).toBe(text);
+  });
+});
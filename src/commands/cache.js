@@ -0,0 +1,120 @@
+import chalk from 'chalk';
+import { writeFileSync } from 'fs';
+import { getConfig, parseList } from '../lib/config.js';
+import { logger, reportError, printResult } from '../utils/logger.js';
+import { getCachePath, getCacheStats, clearCache, exportCache, CACHE_EXPORT_FORMATS } from '../utils/cache.js';
+
+/**
+ * Format a file size, e.g. "12.3 KB"
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Translation memory path, or exit when the project config turns it off
+ */
+function resolveCachePath() {
+  const cachePath = getCachePath(getConfig());
+  if (!cachePath) {
+    logger.warn('The translation memory is turned off ("cache": false in shipi18n.config.json)');
+    process.exit(1);
+  }
+  return cachePath;
+}
+
+export function cacheCommand(program) {
+  const cache = program.command('cache')
+    .description('Manage the local translation memory (strings translated before are not sent again)');
+
+  // Show stats
+  cache
+    .command('stats')
+    .description('Show translation memory size and reuse per language pair')
+    .action(() => {
+      try {
+        const stats = getCacheStats(resolveCachePath());
+
+        if (logger.json) {
+          printResult(stats);
+          return;
+        }
+
+        logger.log(chalk.cyan('Translation memory:'));
+        logger.log(`  ${chalk.yellow('path')}: ${stats.path}${stats.exists ? '' : chalk.gray(' (not created yet)')}`);
+        logger.log(`  ${chalk.yellow('entries')}: ${stats.entries}`);
+        logger.log(`  ${chalk.yellow('reused')}: ${stats.hits} time${stats.hits !== 1 ? 's' : ''}`);
+        logger.log(`  ${chalk.yellow('size')}: ${formatSize(stats.size)}`);
+        if (stats.oldest) {
+          logger.log(`  ${chalk.yellow('added')}: ${stats.oldest.slice(0, 10)} to ${stats.newest.slice(0, 10)}`);
+        }
+
+        if (stats.pairs.length > 0) {
+          logger.log('');
+          logger.log(chalk.bold(`  ${'Languages'.padEnd(14)} ${'Entries'.padStart(8)} ${'Reused'.padStart(8)}`));
+          for (const pair of stats.pairs) {
+            const languages = `${pair.sourceLanguage} → ${pair.targetLanguage}`;
+            logger.log(`  ${languages.padEnd(14)} ${String(pair.entries).padStart(8)} ${String(pair.hits).padStart(8)}`);
+          }
+        }
+      } catch (error) {
+        reportError(error);
+        process.exit(1);
+      }
+    });
+
+  // Clear
+  cache
+    .command('clear')
+    .description('Remove translations from the translation memory')
+    .option('-t, --target <languages>', 'Only remove translations into these languages (comma-separated)')
+    .action((options) => {
+      try {
+        const cachePath = resolveCachePath();
+        const languages = parseList(options.target) || undefined;
+        const removed = clearCache(cachePath, { languages });
+
+        logger.success(`Removed ${removed} entr${removed !== 1 ? 'ies' : 'y'}${languages ? ` for ${languages.join(', ')}` : ''} from ${chalk.cyan(cachePath)}`);
+        if (logger.json) {
+          printResult({ path: cachePath, removed, languages: languages || null });
+        }
+      } catch (error) {
+        reportError(error);
+        process.exit(1);
+      }
+    });
+
+  // Export
+  cache
+    .command('export')
+    .description('Export the translation memory (JSON, TMX for CAT tools, or CSV)')
+    .option('-f, --format <format>', `Export format (${CACHE_EXPORT_FORMATS.join(', ')})`, 'json')
+    .option('-o, --output <file>', 'Output file (default: stdout)')
+    .action((options) => {
+      try {
+        if (!CACHE_EXPORT_FORMATS.includes(options.format)) {
+          logger.error(`Unknown format: ${options.format} (use ${CACHE_EXPORT_FORMATS.join(', ')})`);
+          process.exit(1);
+        }
+
+        const content = exportCache(resolveCachePath(), options.format);
+
+        if (options.output) {
+          writeFileSync(options.output, content, 'utf8');
+          logger.success(`Exported to: ${chalk.cyan(options.output)}`);
+          if (logger.json) {
+            printResult({ format: options.format, file: options.output });
+          }
+        } else if (logger.json) {
+          printResult({ format: options.format, data: options.format === 'json' ? JSON.parse(content) : content });
+        } else {
+          process.stdout.write(content);
+        }
+      } catch (error) {
+        reportError(error);
+        process.exit(1);
+      }
+    });
+}
@@ -0,0 +1,139 @@
+import chalk from 'chalk';
+import { existsSync, writeFileSync } from 'fs';
+import { getConfig, parseList } from '../lib/config.js';
+import { readLocaleFile } from '../lib/formats/index.js';
+import { CHECKS, checkTranslations, buildJSONReport, buildJUnitReport, baseLanguage } from '../lib/check.js';
+import { logger, reportError, printResult } from '../utils/logger.js';
+import { flattenObject } from '../utils/incremental.js';
+import { resolveInputs, resolveSourceFiles, getTargetPath } from '../utils/files.js';
+import { usesI18nextPlurals, findSourcePluralGroups, pluralSourceFor } from '../utils/plurals.js';
+
+const REPORT_FORMATS = ['human', 'json', 'junit'];
+
+/**
+ * Print issues grouped by target file
+ */
+function printResults(results) {
+  for (const result of results) {
+    const label = `${result.language} ${chalk.gray(`(${result.target})`)}`;
+    if (result.issues.length === 0) {
+      logger.success(`${label} ${chalk.gray(`${result.keys} keys OK`)}`);
+      continue;
+    }
+
+    logger.error(`${label} ${chalk.red(`${result.issues.length} issue${result.issues.length !== 1 ? 's' : ''}`)}`);
+    for (const issue of result.issues) {
+      logger.log(`  ${chalk.red('•')} ${chalk.yellow(issue.check.padEnd(12))} ${issue.key} ${chalk.gray(issue.message)}`);
+    }
+  }
+}
+
+export function checkCommand(program) {
+  program
+    .command('check [inputs...]')
+    .description('Check target locale files against the source without calling the API (for CI)')
+    .option('-t, --target <languages>', 'Target languages (comma-separated, default: project config)')
+    .option('-s, --source <language>', 'Source language (default: project config or en)')
+    .option('-l, --locales <dir>', 'Directory with target files (default: project outputDir or ./locales)')
+    .option('--ignore <checks>', `Checks to skip (comma-separated: ${CHECKS.join(', ')})`)
+    .option('--format <format>', `Output format (${REPORT_FORMATS.join(', ')})`, 'human')
+    .option('--report-file <path>', 'Also write a JSON or JUnit report to this file (format from the extension)')
+    .action((inputs, options) => {
+      try {
+        const config = getConfig();
+        const { inputs: sourceInputs, sourceLanguage, targetLanguages, extensions } = resolveInputs(inputs, options, config);
+        const localesDir = options.locales || config.outputDir;
+        const ignored = parseList(options.ignore) || [];
+        const format = logger.json ? 'json' : options.format;
+
+        if (!REPORT_FORMATS.includes(options.format)) {
+          logger.error(`Unknown format: ${options.format} (use ${REPORT_FORMATS.join(', ')})`);
+          process.exit(1);
+        }
+
+        const unknownChecks = ignored.filter(check => !CHECKS.includes(check));
+        if (unknownChecks.length > 0) {
+          logger.error(`Unknown check: ${unknownChecks.join(', ')} (use ${CHECKS.join(', ')})`);
+          process.exit(1);
+        }
+
+        if (!targetLanguages) {
+          logger.error('No target languages. Pass --target or set targetLanguages in shipi18n.config.json');
+          process.exit(1);
+        }
+
+        if (sourceInputs.length === 0) {
+          logger.error('No input file given and no sourceDir found in shipi18n.config.json');
+          process.exit(1);
+        }
+
+        const sourceFiles = sourceInputs.flatMap(input => resolveSourceFiles(input, { sourceLanguage, extensions }));
+        const checks = CHECKS.filter(check => !ignored.includes(check));
+        const results = [];
+
+        for (const sourceFile of sourceFiles) {
+          const source = readLocaleFile(sourceFile.path, { language: sourceLanguage, source: true });
+          if (Object.keys(flattenObject(source.data)).length === 0) continue;
+
+          // Plural keys and objects: each language needs its own forms (_few, _many, ...)
+          const pluralGroups = findSourcePluralGroups(source.data, { format: source.format, document: source.document, i18next: usesI18nextPlurals(config) });
+
+          for (const language of targetLanguages) {
+            const sourceData = pluralSourceFor(source.data, pluralGroups, language);
+            const target = getTargetPath({ ...sourceFile, format: source.format }, language, {
+              outputDir: localesDir,
+              resourceDir: options.locales,
+              sourceLanguage,
+            });
+            const targetData = existsSync(target) ? readLocaleFile(target, { language }).data : {};
+
+            results.push({
+              source: sourceFile.path,
+              target,
+              language,
+              keys: Object.keys(flattenObject(sourceData)).length,
+              issues: checkTranslations(sourceData, targetData, {
+                checks,
+                sameLanguage: baseLanguage(language) === baseLanguage(sourceLanguage),
+              }),
+            });
+          }
+        }
+
+        const report = buildJSONReport(results);
+
+        if (options.reportFile) {
+          const content = options.reportFile.endsWith('.xml')
+            ? buildJUnitReport(results)
+            : JSON.stringify(report, null, 2) + '\n';
+          writeFileSync(options.reportFile, content, 'utf8');
+        }
+
+        if (format === 'json') {
+          printResult(report);
+        } else if (format === 'junit') {
+          process.stdout.write(buildJUnitReport(results));
+        } else {
+          printResults(results);
+          logger.log('');
+          if (report.ok) {
+            logger.log(chalk.green(`✨ ${results.length} file${results.length !== 1 ? 's' : ''} checked, no issues`));
+          } else {
+            const counts = Object.entries(report.summary.byCheck)
+              .filter(([, count]) => count > 0)
+              .map(([check, count]) => `${count} ${check}`)
+              .join(', ');
+            logger.log(chalk.red(`${report.summary.issues} issue${report.summary.issues !== 1 ? 's' : ''} in ${results.filter(r => r.issues.length > 0).length} file(s): ${counts}`));
+          }
+        }
+
+        if (!report.ok) {
+          process.exit(1);
+        }
+
+      } catch (error) {
+        reportError(error);
+        process.exit(1);
+      }
+    });
+}
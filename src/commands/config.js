@@ -1,6 +1,6 @@
 import chalk from 'chalk';
-import { getConfig, setConfigValue, saveConfig } from '../lib/config.js';
-import { logger } from '../utils/logger.js';
+import { getConfig, setConfigValue, saveConfig, findProjectConfig } from '../lib/config.js';
+import { logger, printResult, reportError } from '../utils/logger.js';
 
 export function configCommand(program) {
   const config = program.command('config')
@@ -11,7 +11,28 @@ export function configCommand(program) {
     .command('get [key]')
     .description('Get configuration value(s)')
     .action((key) => {
-      const currentConfig = getConfig();
+      let currentConfig;
+      try {
+        currentConfig = getConfig();
+      } catch (error) {
+        reportError(error);
+        process.exit(1);
+      }
+
+      if (logger.json && key) {
+        printResult({ key, value: currentConfig[key] ?? null });
+        return;
+      }
+      if (logger.json) {
+        // API key masked, as in the listing below
+        const values = Object.fromEntries(
+          Object.entries(currentConfig)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([name, value]) => [name, name === 'apiKey' && value ? `${value.substring(0, 12)}...` : value])
+        );
+        printResult({ config: values, configFile: '~/.shipi18n/config.yml', projectConfig: findProjectConfig() || null });
+        return;
+      }
 
       if (key) {
         const value = currentConfig[key];
@@ -35,6 +56,11 @@ export function configCommand(program) {
         });
         logger.log('');
         logger.log(chalk.gray('Config file: ~/.shipi18n/config.yml'));
+
+        const projectConfigPath = findProjectConfig();
+        if (projectConfigPath) {
+          logger.log(chalk.gray(`Project config: ${projectConfigPath}`));
+        }
       }
     });
 
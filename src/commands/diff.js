@@ -0,0 +1,147 @@
+import chalk from 'chalk';
+import { existsSync, statSync } from 'fs';
+import { extname, relative } from 'path';
+import { readLocaleFile, SUPPORTED_EXTENSIONS } from '../lib/formats/index.js';
+import { diffLocaleData, buildDiffReport } from '../lib/diff.js';
+import { logger, reportError, printResult } from '../utils/logger.js';
+import { listFiles } from '../utils/files.js';
+import { runTranslate } from './translate.js';
+
+/**
+ * Locale files under a path, keyed by their path relative to it
+ */
+function collectLocaleFiles(path) {
+  if (!existsSync(path)) {
+    throw new Error(`Not found: ${path}`);
+  }
+  if (!statSync(path).isDirectory()) {
+    return new Map([['', path]]);
+  }
+  return new Map(listFiles(path)
+    .filter(file => SUPPORTED_EXTENSIONS.includes(extname(file).toLowerCase()))
+    .map(file => [relative(path, file), file]));
+}
+
+function readData(path) {
+  return path && existsSync(path) ? readLocaleFile(path).data : {};
+}
+
+/**
+ * Differences between two files, or files with the same relative path in two directories
+ */
+function diffPaths(beforePath, afterPath) {
+  const before = collectLocaleFiles(beforePath);
+  const after = collectLocaleFiles(afterPath);
+  const names = [...new Set([...before.keys(), ...after.keys()])].sort();
+
+  return names.map(name => ({
+    path: name || afterPath,
+    before: before.get(name) || null,
+    after: after.get(name) || null,
+    ...diffLocaleData(readData(before.get(name)), readData(after.get(name))),
+  }));
+}
+
+/**
+ * Differences between the target files on disk and what `translate` would write
+ */
+async function diffTranslation(inputs, options) {
+  let outputs = null;
+  const translateOptions = { preservePlaceholders: true, htmlHandling: 'none', ...options, json: false };
+  const { ok } = await runTranslate(inputs, translateOptions, { preview: files => { outputs = files; } });
+  if (!ok) {
+    process.exit(1);
+  }
+
+  return (outputs || []).map(({ path, language, format, content }) => ({
+    path,
+    language,
+    ...diffLocaleData(readData(path), format.parse(content, { language }).data),
+  }));
+}
+
+function formatValue(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * Print a unified-style diff: `-` old values, `+` new values, per file
+ */
+function printDiff(report, { afterLabel }) {
+  for (const file of report.files) {
+    logger.log('');
+    logger.log(chalk.bold(`--- ${file.before === null ? '/dev/null' : (file.before || file.path)}`));
+    logger.log(chalk.bold(`+++ ${file.after === null ? '/dev/null' : (file.after || file.path)}${afterLabel ? chalk.gray(` ${afterLabel}`) : ''}`));
+    logger.log(chalk.cyan(`@@ ${file.added.length} added, ${file.changed.length} changed, ${file.removed.length} removed @@`));
+
+    for (const { key, from, to } of file.changed) {
+      logger.log(chalk.red(`- ${key}: ${formatValue(from)}`));
+      logger.log(chalk.green(`+ ${key}: ${formatValue(to)}`));
+    }
+    for (const { key, value } of file.added) {
+      logger.log(chalk.green(`+ ${key}: ${formatValue(value)}`));
+    }
+    for (const { key, value } of file.removed) {
+      logger.log(chalk.red(`- ${key}: ${formatValue(value)}`));
+    }
+  }
+
+  const { summary } = report;
+  logger.log('');
+  if (!report.changed) {
+    logger.success('No changes');
+  } else {
+    logger.log(`${summary.files} file${summary.files !== 1 ? 's' : ''} changed: ${chalk.green(`${summary.added} added`)}, ${chalk.yellow(`${summary.changed} changed`)}, ${chalk.red(`${summary.removed} removed`)}`);
+  }
+}
+
+export function diffCommand(program) {
+  program
+    .command('diff [paths...]')
+    .description('Show added, changed and removed keys between two locale files or directories, or what translate would change (--translate)')
+    .option('--translate', 'Compare target files with what `shipi18n translate [inputs...]` would write (calls the API, writes nothing)')
+    .option('-t, --target <languages>', 'Target languages for --translate (comma-separated, default: project config or es,fr)')
+    .option('-s, --source <language>', 'Source language for --translate (default: project config or en)')
+    .option('-o, --output <dir>', 'Output directory for --translate (default: project config or ./locales)')
+    .option('-i, --incremental', 'With --translate, only translate new/missing keys')
+    .option('--no-incremental', 'With --translate, translate all keys even if the project config enables incremental mode')
+    .option('--api-key <key>', 'API key (overrides config)')
+    .option('--skip-keys <keys>', 'Keys to skip from translation (comma-separated exact paths)')
+    .option('--skip-paths <patterns>', 'Paths to skip using wildcards (comma-separated)')
+    .option('--context-file <path>', 'JSON file with context annotations')
+    .option('--glossary <path>', 'Glossary file (CSV or JSON, default: project config)')
+    .option('--no-cache', 'Do not use the translation memory')
+    .option('--json', 'Print the differences as JSON')
+    .option('--exit-code', 'Exit with code 1 when there are differences (like git diff --exit-code)')
+    .action(async (paths, options) => {
+      try {
+        let files;
+        if (options.translate) {
+          files = await diffTranslation(paths, options);
+        } else if (paths.length === 2) {
+          files = diffPaths(paths[0], paths[1]);
+        } else {
+          logger.error('Pass two files or directories to compare, or --translate [inputs...]');
+          logger.log(`  ${chalk.yellow('shipi18n diff old/locales locales')}`);
+          logger.log(`  ${chalk.yellow('shipi18n diff --translate locales/en.json --incremental')}`);
+          process.exit(1);
+        }
+
+        const report = buildDiffReport(files);
+
+        if (logger.json) {
+          printResult(report);
+        } else {
+          printDiff(report, { afterLabel: options.translate ? '(after translate)' : null });
+        }
+
+        if (options.exitCode && report.changed) {
+          process.exit(1);
+        }
+
+      } catch (error) {
+        reportError(error);
+        process.exit(1);
+      }
+    });
+}
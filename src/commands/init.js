@@ -1,8 +1,9 @@
 import chalk from 'chalk';
-import { logger } from '../utils/logger.js';
+import { logger, printResult } from '../utils/logger.js';
 import { existsSync, readFileSync, writeFileSync, readdirSync, statSync } from 'fs';
-import { join, dirname, basename, extname } from 'path';
+import { join, dirname, basename, extname, relative } from 'path';
 import inquirer from 'inquirer';
+import { PLACEHOLDER_PATTERNS } from '../utils/placeholders.js';
 
 // Known i18n frameworks and their signatures
 const I18N_FRAMEWORKS = {
@@ -176,13 +177,6 @@ function detectFileStructure(files) {
  * Detect placeholder patterns from translation content
  */
 function detectPlaceholderPatterns(content) {
-  const PLACEHOLDER_PATTERNS = {
-    i18next: { regex: /\{\{[^}]+\}\}/g },
-    icu: { regex: /\{[a-zA-Z_][a-zA-Z0-9_]*(?:,\s*(?:number|date|time|plural|select|selectordinal))?[^}]*\}/g },
-    printf: { regex: /%[sd@]|%\d+\$[sd]/g },
-    ruby: { regex: /%\{[^}]+\}/g }
-  };
-
   const flatContent = flattenObject(content);
   const values = Object.values(flatContent).filter(v => typeof v === 'string');
 
@@ -260,6 +254,12 @@ export function initCommand(program) {
     .option('-y, --yes', 'Skip prompts and use detected defaults')
     .option('--no-workflow', 'Skip GitHub Action workflow generation')
     .action(async (options) => {
+      // --json can't prompt, and shouldn't write files nobody confirmed
+      if (logger.json && !options.yes) {
+        logger.error('init --json needs --yes to accept the proposed configuration without prompting');
+        process.exit(1);
+      }
+
       logger.log('');
       logger.log(chalk.cyan.bold('🔍 Shipi18n Project Analyzer'));
       logger.log(chalk.gray('Detecting your i18n setup...'));
@@ -360,6 +360,7 @@ export function initCommand(program) {
         sourceDir,
         outputDir: fileStructure.localeDirectories[0] || 'locales',
         fileFormat: fileStructure.fileFormat || 'json',
+        framework: frameworkResult.primary?.framework,
         placeholderFormat: placeholderResult.primary,
         incremental: true,
         verify: true,
@@ -395,6 +396,7 @@ export function initCommand(program) {
       logger.success(`Created ${chalk.cyan('shipi18n.config.json')}`);
 
       // GitHub Action workflow
+      let workflowPath = null;
       if (options.workflow !== false) {
         let createWorkflow = options.yes;
 
@@ -410,7 +412,7 @@ export function initCommand(program) {
 
         if (createWorkflow) {
           const workflowDir = join(cwd, '.github', 'workflows');
-          const workflowPath = join(workflowDir, 'translate.yml');
+          workflowPath = join(workflowDir, 'translate.yml');
 
           // Create directories if needed
           const { mkdirSync } = await import('fs');
@@ -427,6 +429,20 @@ export function initCommand(program) {
         }
       }
 
+      if (logger.json) {
+        printResult({
+          detected: {
+            framework: frameworkResult.primary?.framework || null,
+            localeDirectory: fileStructure.localeDirectories[0],
+            structure: fileStructure.structure,
+            namespaces: fileStructure.namespaces,
+          },
+          config,
+          files: [configPath, workflowPath].filter(Boolean).map(path => relative(cwd, path)),
+        });
+        return;
+      }
+
       // Next steps
       logger.log('');
       logger.log(chalk.cyan.bold('🚀 Next Steps:'));
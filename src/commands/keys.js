@@ -1,7 +1,7 @@
 import chalk from 'chalk';
 import { Shipi18nAPI } from '../lib/api.js';
-import { getConfig } from '../lib/config.js';
-import { logger, formatError } from '../utils/logger.js';
+import { getConfig, getRequestOptions } from '../lib/config.js';
+import { logger, reportError, printResult } from '../utils/logger.js';
 import { writeFileSync } from 'fs';
 
 export function keysCommand(program) {
@@ -26,11 +26,16 @@ export function keysCommand(program) {
           process.exit(1);
         }
 
-        const api = new Shipi18nAPI(apiKey);
+        const api = new Shipi18nAPI(apiKey, getRequestOptions(config));
         const result = await api.listKeys();
 
         spinner.succeed(chalk.green(`Found ${result.keys?.length || 0} keys`));
 
+        if (logger.json) {
+          printResult({ keys: result.keys || [], total: result.keys?.length || 0, limit: result.limit ?? null });
+          return;
+        }
+
         if (!result.keys || result.keys.length === 0) {
           logger.info('No translation keys found');
           logger.log(chalk.gray('  Create keys by translating JSON files with --save-keys flag'));
@@ -50,7 +55,7 @@ export function keysCommand(program) {
 
       } catch (error) {
         spinner.fail();
-        logger.log(formatError(error));
+        reportError(error);
         process.exit(1);
       }
     });
@@ -73,14 +78,18 @@ export function keysCommand(program) {
           process.exit(1);
         }
 
-        const api = new Shipi18nAPI(apiKey);
+        const api = new Shipi18nAPI(apiKey, getRequestOptions(config));
         await api.deleteKey(keyId);
 
         spinner.succeed(chalk.green(`Deleted key: ${keyId}`));
 
+        if (logger.json) {
+          printResult({ deleted: keyId });
+        }
+
       } catch (error) {
         spinner.fail();
-        logger.log(formatError(error));
+        reportError(error);
         process.exit(1);
       }
     });
@@ -105,7 +114,7 @@ export function keysCommand(program) {
           process.exit(1);
         }
 
-        const api = new Shipi18nAPI(apiKey);
+        const api = new Shipi18nAPI(apiKey, getRequestOptions(config));
         const result = await api.exportKeys(options.format);
 
         if (options.output) {
@@ -114,14 +123,21 @@ export function keysCommand(program) {
             : result;
           writeFileSync(options.output, content, 'utf8');
           spinner.succeed(chalk.green(`Exported to: ${options.output}`));
+          if (logger.json) {
+            printResult({ format: options.format, file: options.output });
+          }
         } else {
           spinner.succeed(chalk.green('Export complete'));
-          console.log(JSON.stringify(result, null, 2));
+          if (logger.json) {
+            printResult({ format: options.format, data: result });
+          } else {
+            process.stdout.write(options.format === 'json' ? JSON.stringify(result, null, 2) + '\n' : String(result));
+          }
         }
 
       } catch (error) {
         spinner.fail();
-        logger.log(formatError(error));
+        reportError(error);
         process.exit(1);
       }
     });
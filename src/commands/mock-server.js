@@ -0,0 +1,69 @@
+import chalk from 'chalk';
+import { readFileSync } from 'fs';
+import { parseList, parseCount } from '../lib/config.js';
+import { startMockServer, parseErrorSpec, MOCK_ERRORS } from '../lib/mock-server.js';
+import { logger, reportError, printResult } from '../utils/logger.js';
+
+const DEFAULT_PORT = 4000;
+
+function collect(value, list) {
+  return [...list, value];
+}
+
+function colorStatus(status) {
+  if (status < 300) return chalk.green(status);
+  if (status === 429) return chalk.yellow(status);
+  return chalk.red(status);
+}
+
+export function mockServerCommand(program) {
+  program
+    .command('mock-server')
+    .description('Run a local fake Shipi18n API for tests and CI (point SHIPI18N_API_URL at it)')
+    .option('-p, --port <port>', `Port to listen on (default: ${DEFAULT_PORT}, 0 for any free port)`)
+    .option('--host <host>', 'Host to listen on', '127.0.0.1')
+    .option('--latency <ms>', 'Delay every response by this many milliseconds')
+    .option('--error <status[:count]>', `Answer with ${Object.keys(MOCK_ERRORS).join(', ')}: the next <count> requests, or all of them (repeatable, applied in order)`, collect, [])
+    .option('--retry-after <seconds>', 'Retry-After header of 429 responses (default: 1)')
+    .option('--missing-languages <languages>', 'Leave these languages out of translation responses (comma-separated)')
+    .option('--missing-keys <keys>', 'Leave these keys out of every translation (comma-separated)')
+    .option('--api-key <key>', 'Only accept this API key (default: any)')
+    .option('--keys <file>', 'JSON file with translation keys to start with ([{keyName, sourceValue, translations}])')
+    .action(async (options) => {
+      try {
+        const mock = await startMockServer({
+          port: parseCount(options.port, 'Port', { min: 0 }) ?? DEFAULT_PORT,
+          host: options.host,
+          latency: parseCount(options.latency, 'Latency', { min: 0 }) ?? 0,
+          errors: options.error.map(parseErrorSpec),
+          retryAfter: parseCount(options.retryAfter, 'Retry-After', { min: 0 }) ?? 1,
+          missingLanguages: parseList(options.missingLanguages) || [],
+          missingKeys: parseList(options.missingKeys) || [],
+          apiKey: options.apiKey,
+          keys: options.keys ? JSON.parse(readFileSync(options.keys, 'utf8')) : [],
+          onRequest: ({ method, path, status }) => {
+            logger.log(`${chalk.gray(new Date().toISOString().slice(11, 19))} ${method} ${path} ${colorStatus(status)}`);
+          },
+        });
+
+        if (logger.json) {
+          printResult({ url: mock.url, port: mock.port });
+        }
+        logger.success(`Mock Shipi18n API listening on ${chalk.cyan(mock.url)}`);
+        logger.log(chalk.gray(`  Translations are fake and deterministic ("Hello" → "[es] Hello"). Point the CLI at it with:`));
+        logger.log(`  ${chalk.yellow(`SHIPI18N_API_URL=${mock.url} SHIPI18N_API_KEY=test shipi18n translate locales/en.json`)}`);
+        logger.log('');
+
+        process.on('SIGINT', async () => {
+          await mock.close();
+          logger.log('');
+          logger.info('Mock server stopped');
+          process.exit(0);
+        });
+
+      } catch (error) {
+        reportError(error);
+        process.exit(1);
+      }
+    });
+}
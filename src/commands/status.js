@@ -0,0 +1,148 @@
+import chalk from 'chalk';
+import { basename, extname } from 'path';
+import { existsSync } from 'fs';
+import { getConfig } from '../lib/config.js';
+import { readLocaleFile } from '../lib/formats/index.js';
+import { STATUS_FORMATS, countCoverage, buildStatusReport, buildMarkdownReport } from '../lib/status.js';
+import { baseLanguage } from '../lib/check.js';
+import { logger, reportError, printResult } from '../utils/logger.js';
+import { countKeys } from '../utils/incremental.js';
+import { resolveInputs, resolveSourceFiles, getTargetPath } from '../utils/files.js';
+import { usesI18nextPlurals, findSourcePluralGroups, pluralSourceFor } from '../utils/plurals.js';
+
+/**
+ * Color a coverage percentage: green when complete, yellow above the threshold, red below
+ */
+function colorCoverage(coverage, threshold) {
+  const text = `${coverage}%`;
+  if (coverage === 100) return chalk.green(text);
+  if (threshold !== null && coverage < threshold) return chalk.red(text);
+  return chalk.yellow(text);
+}
+
+/**
+ * Print the coverage table, with a row per namespace when there is more than one
+ */
+function printStatus(report) {
+  const byNamespace = new Set(report.files.map(file => file.namespace)).size > 1;
+  const width = Math.max(11, ...report.files.map(file => (byNamespace ? file.namespace : file.language).length + 3));
+  const counts = (entry) => [entry.total, entry.translated, entry.missing, entry.identical, entry.orphaned]
+    .map(count => String(count).padStart(11)).join('');
+
+  logger.log(chalk.gray(`  ${(byNamespace ? 'Namespace' : 'Language').padEnd(width)}${['Keys', 'Translated', 'Missing', 'Identical', 'Orphaned'].map(name => name.padStart(11)).join('')}   Coverage`));
+
+  for (const language of report.languages) {
+    if (byNamespace) {
+      logger.log(chalk.cyan(`  ${language.language}`));
+      for (const file of report.files.filter(file => file.language === language.language)) {
+        const note = file.exists ? '' : chalk.gray(' (no file)');
+        logger.log(`    ${file.namespace.padEnd(width - 2)}${counts(file)}   ${colorCoverage(file.coverage, report.threshold)}${note}`);
+      }
+      logger.log(chalk.bold(`    ${'total'.padEnd(width - 2)}${counts(language)}   `) + colorCoverage(language.coverage, report.threshold));
+    } else {
+      const note = report.files.some(file => file.language === language.language && !file.exists) ? chalk.gray(' (no file)') : '';
+      logger.log(`  ${language.language.padEnd(width)}${counts(language)}   ${colorCoverage(language.coverage, report.threshold)}${note}`);
+    }
+  }
+
+  logger.log('');
+  logger.log(`Overall coverage: ${colorCoverage(report.overall.coverage, report.threshold)} ${chalk.gray(`(${report.overall.translated} of ${report.overall.total} keys)`)}`);
+}
+
+export function statusCommand(program) {
+  program
+    .command('status [inputs...]')
+    .description('Show translation coverage per language and namespace (without calling the API)')
+    .option('-t, --target <languages>', 'Target languages (comma-separated, default: project config)')
+    .option('-s, --source <language>', 'Source language (default: project config or en)')
+    .option('-l, --locales <dir>', 'Directory with target files (default: project outputDir or ./locales)')
+    .option('--format <format>', `Output format (${STATUS_FORMATS.join(', ')})`, 'human')
+    .option('--threshold <percent>', 'Exit with an error when any language is below this coverage')
+    .action((inputs, options) => {
+      try {
+        const config = getConfig();
+        const { inputs: sourceInputs, sourceLanguage, targetLanguages, extensions } = resolveInputs(inputs, options, config);
+        const localesDir = options.locales || config.outputDir;
+        const format = logger.json ? 'json' : options.format;
+
+        if (!STATUS_FORMATS.includes(options.format)) {
+          logger.error(`Unknown format: ${options.format} (use ${STATUS_FORMATS.join(', ')})`);
+          process.exit(1);
+        }
+
+        // Keep stdout clean for JSON/Markdown output
+        logger.stderr = format !== 'human';
+
+        let threshold = null;
+        if (options.threshold !== undefined) {
+          threshold = Number(String(options.threshold).replace(/%$/, ''));
+          if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+            logger.error(`Threshold must be a percentage from 0 to 100 (got ${options.threshold})`);
+            process.exit(1);
+          }
+        }
+
+        if (!targetLanguages) {
+          logger.error('No target languages. Pass --target or set targetLanguages in shipi18n.config.json');
+          process.exit(1);
+        }
+
+        if (sourceInputs.length === 0) {
+          logger.error('No input file given and no sourceDir found in shipi18n.config.json');
+          process.exit(1);
+        }
+
+        const sourceFiles = sourceInputs.flatMap(input => resolveSourceFiles(input, { sourceLanguage, extensions }));
+        const files = [];
+
+        for (const sourceFile of sourceFiles) {
+          const source = readLocaleFile(sourceFile.path, { language: sourceLanguage, source: true });
+          if (countKeys(source.data) === 0) continue;
+
+          const namespace = sourceFile.namespace || basename(sourceFile.path, extname(sourceFile.path));
+          // Plural keys and objects: each language needs its own forms (_few, _many, ...)
+          const pluralGroups = findSourcePluralGroups(source.data, { format: source.format, document: source.document, i18next: usesI18nextPlurals(config) });
+
+          for (const language of targetLanguages) {
+            const target = getTargetPath({ ...sourceFile, format: source.format }, language, {
+              outputDir: localesDir,
+              resourceDir: options.locales,
+              sourceLanguage,
+            });
+            const exists = existsSync(target);
+            const targetData = exists ? readLocaleFile(target, { language }).data : {};
+
+            files.push({
+              language,
+              namespace,
+              source: sourceFile.path,
+              target,
+              exists,
+              ...countCoverage(pluralSourceFor(source.data, pluralGroups, language), targetData, {
+                sameLanguage: baseLanguage(language) === baseLanguage(sourceLanguage),
+              }),
+            });
+          }
+        }
+
+        const report = buildStatusReport(files, { threshold });
+
+        if (format === 'json') {
+          printResult(report);
+        } else if (format === 'markdown') {
+          process.stdout.write(buildMarkdownReport(report));
+        } else {
+          printStatus(report);
+        }
+
+        if (!report.ok) {
+          logger.error(`Coverage below ${threshold}% for: ${report.belowThreshold.join(', ')}`);
+          process.exit(1);
+        }
+
+      } catch (error) {
+        reportError(error);
+        process.exit(1);
+      }
+    });
+}
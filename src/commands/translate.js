@@ -1,330 +1,1300 @@
-import { readFileSync, writeFileSync, mkdirSync, existsSync, createWriteStream } from 'fs';
-import { join, parse, dirname } from 'path';
+import { readFileSync, writeFileSync, mkdirSync, existsSync, createWriteStream, watch } from 'fs';
+import { join, dirname, relative, resolve, sep } from 'path';
 import chalk from 'chalk';
 import archiver from 'archiver';
 import { Shipi18nAPI } from '../lib/api.js';
-import { getConfig } from '../lib/config.js';
-import { logger, formatError } from '../utils/logger.js';
-import { flattenObject, unflattenObject, deepMerge, findMissingKeys } from '../utils/incremental.js';
+import { getConfig, parseList, parseCount, getRequestOptions } from '../lib/config.js';
+import { checkTranslations, verifyPlaceholders, PLACEHOLDER_CHECK_MODES } from '../lib/check.js';
+import { logger, reportError, printResult } from '../utils/logger.js';
+import { flattenObject, unflattenObject, mergeInOrder, sortKeys, findMissingKeys, isSkippedKey } from '../utils/incremental.js';
+import { resolveInputs, resolveSourceFiles, getTargetPath } from '../utils/files.js';
+import { getLockPath, readLock, writeLock, getLockEntry, findChangedKeys, updateLockEntry } from '../utils/lockfile.js';
+import { getCachePath, openTranslationMemory } from '../utils/cache.js';
+import { PLACEHOLDER_PATTERNS, protectPlaceholders, findMissingPlaceholders } from '../utils/placeholders.js';
+import { explodeICUMessages } from '../lib/icu.js';
+import { loadGlossary, checkGlossary, GLOSSARY_CHECK_MODES } from '../lib/glossary.js';
+import {
+  usesI18nextPlurals,
+  findSourcePluralGroups,
+  expandPluralGroups,
+  filterPluralGroups,
+  pluralSourceFor,
+  findMissingPluralForms,
+} from '../utils/plurals.js';
+import { readLocaleFile } from '../lib/formats/index.js';
 
-export function translateCommand(program) {
-  program
-    .command('translate <input>')
-    .description('Translate a JSON locale file to multiple languages')
-    .option('-t, --target <languages>', 'Target languages (comma-separated)', 'es,fr')
-    .option('-s, --source <language>', 'Source language', 'en')
-    .option('-o, --output <dir>', 'Output directory', './locales')
-    .option('--api-key <key>', 'API key (overrides config)')
-    .option('--preserve-placeholders', 'Preserve placeholders like {name}, {{value}}, etc.', true)
-    .option('--html-handling <mode>', 'How to handle HTML in source text: none, strip, decode, preserve', 'none')
-    .option('--no-fallback', 'Disable fallback to source language for missing translations')
-    .option('--no-regional-fallback', 'Disable regional fallback (e.g., pt-BR -> pt)')
-    .option('-i, --incremental', 'Only translate new/missing keys (skip existing translations)')
-    .option('--skip-keys <keys>', 'Keys to skip from translation (comma-separated exact paths)')
-    .option('--skip-paths <patterns>', 'Paths to skip using wildcards (comma-separated, e.g., "states.*,config.*.secret")')
-    .option('--context-file <path>', 'JSON file with context annotations for disambiguation (e.g., {"close": "button - dismiss"})')
-    .option('--zip [filename]', 'Output translations as ZIP file (default: translations.zip)')
-    .action(async (input, options) => {
-      const spinner = logger.spinner('Translating...');
+const DEFAULT_TARGET_LANGUAGES = ['es', 'fr'];
 
-      try {
-        // Get config
-        const config = getConfig();
-        const apiKey = options.apiKey || config.apiKey;
-
-        if (!apiKey) {
-          spinner.fail();
-          logger.error('API key not found');
-          logger.info('Set your API key:');
-          logger.log(`  ${chalk.yellow('shipi18n config set apiKey YOUR_KEY')}`);
-          logger.log(`  ${chalk.gray('Get your free key at https://shipi18n.com')}`);
-          process.exit(1);
-        }
+const METADATA_KEYS = ['warnings', 'fallbackInfo', 'namespaceInfo', 'skipped', 'contextEnhanced', 'placeholderInfo', 'failed', 'cached'];
 
-        // Read input file
-        if (!existsSync(input)) {
-          spinner.fail();
-          logger.error(`Input file not found: ${input}`);
-          process.exit(1);
-        }
+const VERIFY_CHECKS = ['empty', 'placeholders'];
 
-        const fileContent = readFileSync(input, 'utf8');
-        let json;
-        try {
-          json = JSON.parse(fileContent);
-        } catch (error) {
-          spinner.fail();
-          logger.error(`Invalid JSON in ${input}: ${error.message}`);
-          process.exit(1);
-        }
+// Editors often write a file in several steps; wait for them to finish
+const WATCH_DEBOUNCE = 300;
 
-        // Parse target languages
-        const targetLanguages = options.target.split(',').map(lang => lang.trim());
-        const sourceLanguage = options.source;
-        const outputDir = options.output;
-        const inputFileName = parse(input).name;
-
-        // Parse skip options
-        const skipKeys = options.skipKeys
-          ? options.skipKeys.split(',').map(k => k.trim())
-          : [];
-        const skipPaths = options.skipPaths
-          ? options.skipPaths.split(',').map(p => p.trim())
-          : [];
-
-        if (skipKeys.length > 0 || skipPaths.length > 0) {
-          logger.info(`Skipping ${skipKeys.length + skipPaths.length} key/pattern(s) from translation`);
-        }
+/**
+ * Label a source file for output, e.g. "common" or "en.json"
+ */
+function fileLabel(sourceFile) {
+  return sourceFile.namespace || sourceFile.path;
+}
 
-        // Parse context annotations file
-        let contextAnnotations = {};
-        if (options.contextFile) {
-          if (!existsSync(options.contextFile)) {
-            spinner.fail();
-            logger.error(`Context file not found: ${options.contextFile}`);
-            process.exit(1);
-          }
-          try {
-            const contextContent = readFileSync(options.contextFile, 'utf8');
-            contextAnnotations = JSON.parse(contextContent);
-            const contextCount = Object.keys(contextAnnotations).length;
-            logger.info(`Loaded ${contextCount} context annotation(s) from ${options.contextFile}`);
-          } catch (error) {
-            spinner.fail();
-            logger.error(`Invalid JSON in context file: ${error.message}`);
-            process.exit(1);
-          }
+/**
+ * Serialize an output file with its format adapter, formatted like the file it replaces
+ */
+function serializeOutputFile(file) {
+  const style = file.format.detectStyle && existsSync(file.path)
+    ? file.format.detectStyle(readFileSync(file.path, 'utf8'))
+    : undefined;
+
+  return file.format.serialize(file.content, {
+    language: file.language,
+    document: file.document,
+    sourceDocument: file.sourceDocument,
+    style,
+  });
+}
+
+/**
+ * Keys of one language that got the source text instead of a translation: all of
+ * them when the language fell back, or those missing from the response or with
+ * broken placeholders
+ * @returns {Set<string>} Flattened keys of the content
+ */
+function sourceFallbackKeys(translations, language, content) {
+  const keys = Object.keys(flattenObject(content));
+  if (translations.fallbackInfo?.languagesFallbackToSource.includes(language)) return new Set(keys);
+
+  const fallback = [...(translations.fallbackInfo?.keysFallback[language] || []), ...(translations.placeholderInfo?.fallback[language] || [])];
+  return new Set(keys.filter(key => fallback.some(path => key === path || key.startsWith(`${path}.`))));
+}
+
+/**
+ * Check whether a translation result has anything worth reporting
+ */
+function hasSummaryDetails(translations) {
+  return Boolean(
+    translations.fallbackInfo?.used ||
+    translations.placeholderInfo ||
+    translations.failed ||
+    translations.skipped?.count > 0 ||
+    translations.contextEnhanced?.count > 0 ||
+    translations.warnings?.length > 0
+  );
+}
+
+/**
+ * Print fallback, skipped, context and warning details for one translation result
+ */
+function printTranslationSummary(translations, sourceLanguage) {
+  // Show fallback info if any fallbacks were used
+  if (translations.fallbackInfo && translations.fallbackInfo.used) {
+    const fallbackInfo = translations.fallbackInfo;
+    logger.log('');
+    logger.info('Fallback information:');
+
+    // Regional fallbacks
+    if (Object.keys(fallbackInfo.regionalFallbacks).length > 0) {
+      for (const [lang, baseLang] of Object.entries(fallbackInfo.regionalFallbacks)) {
+        logger.log(`  ${chalk.blue('•')} ${lang} → ${baseLang} ${chalk.gray('(regional fallback)')}`);
+      }
+    }
+
+    // Languages that fell back to source
+    if (fallbackInfo.languagesFallbackToSource.length > 0) {
+      for (const lang of fallbackInfo.languagesFallbackToSource) {
+        logger.log(`  ${chalk.yellow('•')} ${lang} → ${sourceLanguage} ${chalk.gray('(source fallback)')}`);
+      }
+    }
+
+    // Keys that used fallback
+    if (Object.keys(fallbackInfo.keysFallback).length > 0) {
+      for (const [lang, keys] of Object.entries(fallbackInfo.keysFallback)) {
+        logger.log(`  ${chalk.yellow('•')} ${lang}: ${keys.length} key${keys.length > 1 ? 's' : ''} used fallback`);
+        if (keys.length <= 5) {
+          keys.forEach(key => {
+            logger.log(`    ${chalk.gray('- ' + key)}`);
+          });
         }
+      }
+    }
+  }
 
-        // Incremental mode: load existing translations and find missing keys
-        let jsonToTranslate = json;
-        const existingTranslations = {};
-        let incrementalStats = { total: 0, existing: 0, toTranslate: 0 };
+  // Show keys whose placeholders didn't survive translation
+  if (translations.placeholderInfo) {
+    const { retried, fallback, retryError } = translations.placeholderInfo;
+    logger.log('');
+    logger.info('Placeholder check:');
+    if (retryError) {
+      logger.log(`  ${chalk.yellow('•')} Re-translating failed: ${retryError}`);
+    }
 
-        if (options.incremental) {
-          spinner.text = 'Checking existing translations...';
+    const printKeys = (keys) => {
+      if (keys.length <= 5) {
+        keys.forEach(key => logger.log(`    ${chalk.gray('- ' + key)}`));
+      }
+    };
 
-          const sourceKeyCount = Object.keys(flattenObject(json)).length;
-          incrementalStats.total = sourceKeyCount;
+    for (const [lang, keys] of Object.entries(retried)) {
+      logger.log(`  ${chalk.blue('•')} ${lang}: ${keys.length} key${keys.length > 1 ? 's' : ''} re-translated ${chalk.gray('(placeholders fixed)')}`);
+      printKeys(keys);
+    }
+    for (const [lang, keys] of Object.entries(fallback)) {
+      logger.log(`  ${chalk.yellow('•')} ${lang}: ${keys.length} key${keys.length > 1 ? 's' : ''} → ${sourceLanguage} ${chalk.gray('(placeholders broken, source fallback)')}`);
+      printKeys(keys);
+    }
+  }
 
-          // Load existing translations for each target language
-          for (const lang of targetLanguages) {
-            const targetFile = join(outputDir, lang, `${inputFileName}.json`);
-            const altTargetFile = join(outputDir, `${lang}.json`);
+  // Show keys left out because their requests failed
+  if (translations.failed) {
+    const { requests, totalRequests, languages, errors } = translations.failed;
+    logger.log('');
+    logger.warn(`${requests} of ${totalRequests} request${totalRequests > 1 ? 's' : ''} failed; those keys were left out or kept their previous translation (run again to retry):`);
+    for (const [lang, keys] of Object.entries(languages)) {
+      logger.log(`  ${chalk.red('•')} ${lang}: ${keys.length} key${keys.length > 1 ? 's' : ''}`);
+    }
+    errors.forEach(message => {
+      logger.log(`  ${chalk.gray(message)}`);
+    });
+  }
 
-            let existingFile = null;
-            if (existsSync(targetFile)) {
-              existingFile = targetFile;
-            } else if (existsSync(altTargetFile)) {
-              existingFile = altTargetFile;
-            }
+  // Show skipped keys info if any
+  if (translations.skipped && translations.skipped.count > 0) {
+    logger.log('');
+    logger.info(`Skipped ${translations.skipped.count} key${translations.skipped.count > 1 ? 's' : ''} from translation:`);
+    const keysToShow = translations.skipped.keys.slice(0, 10);
+    keysToShow.forEach(key => {
+      logger.log(`  ${chalk.gray('•')} ${key}`);
+    });
+    if (translations.skipped.keys.length > 10) {
+      logger.log(`  ${chalk.gray(`... and ${translations.skipped.keys.length - 10} more`)}`);
+    }
+  }
 
-            if (existingFile) {
-              try {
-                const existingContent = readFileSync(existingFile, 'utf8');
-                existingTranslations[lang] = JSON.parse(existingContent);
-              } catch (e) {
-                logger.warn(`Could not parse ${existingFile}, will re-translate`);
-              }
-            }
-          }
+  // Show context-enhanced keys info if any
+  if (translations.contextEnhanced && translations.contextEnhanced.count > 0) {
+    logger.log('');
+    logger.info(`${chalk.cyan('🎯')} ${translations.contextEnhanced.count} key${translations.contextEnhanced.count > 1 ? 's' : ''} translated with context annotations:`);
+    const keysToShow = translations.contextEnhanced.keys.slice(0, 10);
+    keysToShow.forEach(key => {
+      logger.log(`  ${chalk.cyan('•')} ${key}`);
+    });
+    if (translations.contextEnhanced.keys.length > 10) {
+      logger.log(`  ${chalk.gray(`... and ${translations.contextEnhanced.keys.length - 10} more`)}`);
+    }
+  }
 
-          // Find keys that need translation (missing from ANY target language)
-          const allMissingKeys = {};
-          for (const lang of targetLanguages) {
-            const existing = existingTranslations[lang] || {};
-            const missing = findMissingKeys(json, existing);
-            const missingFlat = flattenObject(missing);
-
-            for (const [key, value] of Object.entries(missingFlat)) {
-              if (!(key in allMissingKeys)) {
-                allMissingKeys[key] = value;
-              }
-            }
-          }
+  // Show legal content warning with key details
+  const legalWarning = translations.warnings?.find(w => w.type === 'legal_content');
+  if (legalWarning?.details?.keys?.length > 0) {
+    logger.log('');
+    logger.warn(`${chalk.yellow('⚠️')}  Legal content detected - review these keys:`);
+    legalWarning.details.keys.forEach(key => {
+      logger.log(`  ${chalk.yellow('•')} ${key}`);
+    });
+    if (legalWarning.details.count > 10) {
+      logger.log(`  ${chalk.gray(`... and ${legalWarning.details.count - 10} more`)}`);
+    }
+    logger.log(`  ${chalk.gray('Machine-translated legal text may not be legally binding.')}`);
+  }
 
-          const missingKeyCount = Object.keys(allMissingKeys).length;
-          incrementalStats.existing = sourceKeyCount - missingKeyCount;
-          incrementalStats.toTranslate = missingKeyCount;
+  // Show other warnings if any (exclude legal_content since we showed it above)
+  const otherWarnings = translations.warnings?.filter(w => w.type !== 'legal_content') || [];
+  if (otherWarnings.length > 0) {
+    logger.log('');
+    logger.warn('Warnings:');
+    otherWarnings.forEach(warning => {
+      logger.log(`  ${chalk.yellow('•')} ${warning.message}`);
+    });
+  }
+}
 
-          if (missingKeyCount === 0) {
-            spinner.succeed(chalk.green('All translations up to date!'));
-            logger.log('');
-            logger.log(chalk.gray(`   ${sourceKeyCount} key${sourceKeyCount !== 1 ? 's' : ''} already translated`));
-            return;
-          }
+/**
+ * Spinner text for chunk progress, e.g. "es 3/12, fr 2/12 chunks"
+ */
+function formatChunkProgress(progress) {
+  const entries = Object.entries(progress);
+  if (entries.every(([, { total }]) => total <= 1)) return null;
 
-          jsonToTranslate = unflattenObject(allMissingKeys);
-          spinner.text = `Translating ${missingKeyCount} new key${missingKeyCount !== 1 ? 's' : ''} to ${targetLanguages.length} language${targetLanguages.length > 1 ? 's' : ''}...`;
-          logger.log('');
-          logger.info(`Incremental mode: ${chalk.cyan(missingKeyCount)} new key${missingKeyCount !== 1 ? 's' : ''} to translate (${incrementalStats.existing} already exist)`);
-        } else {
-          spinner.text = `Translating to ${targetLanguages.length} language${targetLanguages.length > 1 ? 's' : ''}...`;
-        }
+  const shown = entries.slice(0, 4).map(([lang, { done, total }]) => `${lang} ${done}/${total}`);
+  if (entries.length > 4) shown.push(`+${entries.length - 4} more`);
+  return `${shown.join(', ')} chunks`;
+}
 
-        // Translate with fallback support
-        const api = new Shipi18nAPI(apiKey);
-        const translations = await api.translateJSON({
-          json: jsonToTranslate,
-          sourceLanguage,
-          targetLanguages,
-          preservePlaceholders: options.preservePlaceholders,
-          htmlHandling: options.htmlHandling,
-          fallback: {
-            fallbackToSource: options.fallback !== false,
-            regionalFallback: options.regionalFallback !== false,
-          },
-          skipKeys,
-          skipPaths,
-          contextAnnotations,
-        });
+/**
+ * Check written files for empty values and placeholder mismatches (same checks as `shipi18n check`)
+ * @returns {Object[]} Issues found, with the file they're in
+ */
+function printVerification(outputFiles) {
+  const problems = outputFiles.flatMap(file =>
+    checkTranslations(file.sourceFile.json, file.content, { checks: VERIFY_CHECKS })
+      .map(issue => ({ ...issue, file }))
+  );
+  if (problems.length === 0) return problems;
 
-        const keyCount = Object.keys(flattenObject(jsonToTranslate)).length;
-        spinner.succeed(chalk.green(`Translated ${keyCount} key${keyCount !== 1 ? 's' : ''} to ${targetLanguages.length} language${targetLanguages.length > 1 ? 's' : ''}!`));
+  logger.log('');
+  logger.warn(`Verification found ${problems.length} issue${problems.length !== 1 ? 's' : ''}:`);
+  for (const { file, key, message } of problems.slice(0, 20)) {
+    logger.log(`  ${chalk.yellow('•')} ${file.language}: ${key} ${chalk.gray(message)}`);
+  }
+  if (problems.length > 20) {
+    logger.log(`  ${chalk.gray(`... and ${problems.length - 20} more`)}`);
+  }
+  return problems;
+}
 
-        // Save translated files
-        if (!existsSync(outputDir)) {
-          mkdirSync(outputDir, { recursive: true });
-        }
+/**
+ * List keys found in target files but not in the source
+ */
+function printOrphanedKeys(orphans, prune) {
+  if (orphans.length === 0) return;
 
-        let savedCount = 0;
+  const total = orphans.reduce((sum, orphan) => sum + orphan.keys.length, 0);
+  const multipleFiles = new Set(orphans.map(orphan => orphan.sourceFile)).size > 1;
 
-        // Prepare translations for output (filter metadata, apply merging)
-        const outputTranslations = {};
-        for (const [langCode, content] of Object.entries(translations)) {
-          if (langCode === 'warnings' || langCode === 'fallbackInfo' || langCode === 'namespaceInfo' || langCode === 'skipped' || langCode === 'contextEnhanced') continue;
+  logger.log('');
+  if (prune === 'report') {
+    logger.info(`Found ${total} orphaned key${total !== 1 ? 's' : ''} (not in the source, kept - run with --prune to remove):`);
+  } else {
+    logger.info(`Pruned ${total} orphaned key${total !== 1 ? 's' : ''}:`);
+  }
 
-          let finalContent = content;
-          if (options.incremental && existingTranslations[langCode]) {
-            finalContent = deepMerge(existingTranslations[langCode], content);
-          }
-          outputTranslations[langCode] = finalContent;
+  for (const { sourceFile, language, keys } of orphans) {
+    const label = multipleFiles ? `${fileLabel(sourceFile)} ${language}` : language;
+    logger.log(`  ${chalk.yellow('•')} ${label}: ${keys.slice(0, 10).join(', ')}${keys.length > 10 ? chalk.gray(` ... and ${keys.length - 10} more`) : ''}`);
+  }
+}
+
+/**
+ * Result of a translate run for --json and translateFiles()
+ */
+function buildTranslateResult({ results, outputFiles, written, zipPath = null, keys, memory, orphans, prune, verification = [] }) {
+  return {
+    files: written ? outputFiles.map(file => ({
+      path: file.path,
+      language: file.language,
+      source: file.sourceFile.path,
+      merged: file.merged,
+      translatedKeys: file.translatedKeys.size,
+    })) : [],
+    zip: zipPath,
+    keys,
+    cache: memory ? { reused: memory.hits, added: memory.added } : null,
+    orphans: orphans.map(({ sourceFile, language, keys: orphanedKeys }) => ({
+      source: sourceFile.path,
+      language,
+      keys: orphanedKeys,
+      removed: prune !== 'report',
+    })),
+    verification: verification.map(({ file, key, check, message }) => ({ path: file.path, language: file.language, key, check, message })),
+    // Per source file: fallbackInfo, skipped, contextEnhanced, placeholderInfo, failed, ...
+    sources: results.map(({ sourceFile, translations }) => ({
+      source: sourceFile.path,
+      ...Object.fromEntries(METADATA_KEYS.filter(key => translations[key] !== undefined).map(key => [key, translations[key]])),
+    })),
+    warnings: results.flatMap(({ sourceFile, translations }) =>
+      (translations.warnings || []).map(warning => ({ source: sourceFile.path, ...warning }))
+    ),
+  };
+}
+
+/**
+ * Characters and words of the string values in a flattened object
+ */
+function countText(flat) {
+  let characters = 0;
+  let words = 0;
+  for (const value of Object.values(flat)) {
+    if (typeof value !== 'string') continue;
+    characters += value.length;
+    words += value.split(/\s+/).filter(Boolean).length;
+  }
+  return { characters, words };
+}
+
+/**
+ * Summarize a dry run: what each language and file would get
+ * With the translation memory, each language leaves out the strings it would be served from it.
+ */
+function buildDryRunEstimate({ plan, sourceLanguage, targetLanguages, processedTargets, regionalMap, languageKeyCounts, incremental, memory }) {
+  const keys = plan.reduce((sum, file) => sum + file.keys, 0);
+  const characters = plan.reduce((sum, file) => sum + file.characters, 0);
+  const words = plan.reduce((sum, file) => sum + file.words, 0);
+
+  // Every request goes to all target languages, plus the base languages of regional codes
+  const languages = processedTargets.map(language => {
+    const baseFor = Object.keys(regionalMap).filter(regional => regionalMap[regional] === language && !targetLanguages.includes(language));
+    const cached = { keys: 0, characters: 0, words: 0 };
+    for (const file of plan) {
+      for (const count of Object.keys(cached)) cached[count] += file.cached?.[language]?.[count] || 0;
+    }
+    return {
+      language,
+      ...(baseFor.length > 0 ? { baseFor } : {}),
+      keys: keys - cached.keys,
+      characters: characters - cached.characters,
+      words: words - cached.words,
+      ...(memory ? { cached: cached.keys } : {}),
+      ...(incremental && languageKeyCounts[language] ? languageKeyCounts[language] : {}),
+    };
+  });
+
+  const files = plan.flatMap(file => file.outputs);
+
+  return {
+    dryRun: true,
+    sourceLanguage,
+    targetLanguages,
+    languages,
+    sources: plan.map(({ outputs, cached, ...file }) => file),
+    files,
+    totals: {
+      keys,
+      characters,
+      words,
+      keyTranslations: languages.reduce((sum, language) => sum + language.keys, 0),
+      ...(memory ? { cached: languages.reduce((sum, language) => sum + language.cached, 0) } : {}),
+      files: files.length,
+    },
+  };
+}
+
+const DRY_RUN_ACTIONS = {
+  create: chalk.green('+'),
+  overwrite: chalk.yellow('~'),
+  merge: chalk.blue('~'),
+  prune: chalk.red('-'),
+};
+
+/**
+ * Print a dry-run estimate
+ */
+function printDryRun(estimate) {
+  const { totals, languages, files } = estimate;
+  const plural = (count, word) => `${count.toLocaleString()} ${word}${count !== 1 ? 's' : ''}`;
+
+  logger.log('');
+  const cachedNote = totals.cached > 0 ? ` (${totals.cached.toLocaleString()} more from the translation memory)` : '';
+  logger.info(`Would translate ${plural(totals.keys, 'key')} (${plural(totals.characters, 'character')}, ${plural(totals.words, 'word')}) to ${plural(languages.length, 'language')}: ${plural(totals.keyTranslations, 'key translation')}${cachedNote}`);
+
+  if (languages.length > 0) {
+    const incremental = languages.some(language => 'new' in language);
+    const cached = totals.cached > 0;
+    logger.log('');
+    logger.log(chalk.gray(`  ${'Language'.padEnd(10)} ${'Keys'.padStart(6)}${cached ? 'Cached'.padStart(8) : ''}${incremental ? `${'New'.padStart(6)}${'Changed'.padStart(9)}` : ''}`));
+    for (const language of languages) {
+      const cachedCount = cached ? String(language.cached).padStart(8) : '';
+      const counts = incremental ? `${String(language.new ?? '').padStart(6)}${String(language.changed ?? '').padStart(9)}` : '';
+      const note = language.baseFor ? chalk.gray(` (base language for ${language.baseFor.join(', ')})`) : '';
+      logger.log(`  ${language.language.padEnd(10)} ${String(language.keys).padStart(6)}${cachedCount}${counts}${note}`);
+    }
+  }
+
+  if (files.length > 0) {
+    logger.log('');
+    logger.log(chalk.gray('  Files:'));
+    for (const file of files) {
+      logger.log(`  ${DRY_RUN_ACTIONS[file.action]} ${chalk.cyan(file.path)} ${chalk.gray(`(${file.action})`)}`);
+    }
+  }
+}
+
+/**
+ * Translate locale files once
+ * Problems are reported as they happen and make the run return `ok: false`, so watch
+ * mode can keep going after a failed run.
+ * @param {string[]} inputs - Files, directories or globs
+ * @param {Object} options - Command options
+ * @param {Object} run
+ * @param {Set<string>} run.only - Only translate these source files (absolute paths)
+ * @param {boolean} run.watching - Called from watch mode
+ * @param {Function} run.preview - Called with the files the run would write
+ *   ({path, language, format, content}) instead of writing them
+ * @returns {Promise<Object>} `{ok, ...}` with what was written (see buildTranslateResult),
+ *   the estimate for a dry run, or `{ok: false}` when the run failed
+ */
+export async function runTranslate(inputs, options, { only, watching = false, preview } = {}) {
+  const spinner = logger.spinner('Translating...');
+
+  try {
+    // Get config (CLI flags > env > project config > user config)
+    const config = getConfig();
+    const apiKey = options.apiKey || config.apiKey;
+    const incremental = options.incremental ?? config.incremental === true;
+    const placeholderCheck = options.placeholderCheck || config.placeholderCheck ||
+      (config.selfCorrect === true ? 'retry' : 'fallback');
+
+    if (!PLACEHOLDER_CHECK_MODES.includes(placeholderCheck)) {
+      spinner.fail();
+      logger.error(`Unknown placeholder check mode: ${placeholderCheck} (use ${PLACEHOLDER_CHECK_MODES.join(', ')})`);
+      return { ok: false };
+    }
+
+    const glossaryCheck = options.glossaryCheck || config.glossaryCheck || 'warn';
+    if (!GLOSSARY_CHECK_MODES.includes(glossaryCheck)) {
+      spinner.fail();
+      logger.error(`Unknown glossary check mode: ${glossaryCheck} (use ${GLOSSARY_CHECK_MODES.join(', ')})`);
+      return { ok: false };
+    }
+
+    let chunking;
+    let requestOptions;
+    try {
+      requestOptions = getRequestOptions(config, options);
+      chunking = {
+        chunkSize: parseCount(options.chunkSize ?? config.chunkSize, 'Chunk size'),
+        concurrency: parseCount(options.concurrency ?? config.concurrency, 'Concurrency'),
+        languagesPerRequest: parseCount(options.languagesPerRequest ?? config.languagesPerRequest, 'Languages per request'),
+      };
+    } catch (error) {
+      spinner.fail();
+      logger.error(error.message);
+      return { ok: false };
+    }
+
+    // prune: true removes orphaned keys, "report" only lists them
+    const prune = options.pruneReport ? 'report' : (options.prune ?? config.prune);
+    const sortOutputKeys = options.sortKeys ?? config.sortKeys === true;
+
+    const dryRun = Boolean(options.dryRun);
+
+    // A dry run never calls the API, so it works without a key (e.g. in CI on forks)
+    if (!apiKey && !dryRun) {
+      spinner.fail();
+      logger.error('API key not found');
+      logger.info('Set your API key:');
+      logger.log(`  ${chalk.yellow('shipi18n config set apiKey YOUR_KEY')}`);
+      logger.log(`  ${chalk.gray('Get your free key at https://shipi18n.com')}`);
+      return { ok: false };
+    }
+
+    // Input files, languages and the extensions fileFormat limits directories and globs to
+    const { inputs: sourceInputs, sourceLanguage, targetLanguages: requestedLanguages, extensions } = resolveInputs(inputs, options, config);
+    const targetLanguages = requestedLanguages || DEFAULT_TARGET_LANGUAGES;
+    const outputDir = options.output || config.outputDir;
+    // Android/iOS/ARB files go next to their source unless -o names a resource directory
+    const targetOptions = { outputDir, resourceDir: options.output, sourceLanguage };
+
+    // Resolve input files (files, directories or globs; default: sourceDir from project config)
+    if (sourceInputs.length === 0) {
+      spinner.fail();
+      logger.error('No input file given and no sourceDir found in shipi18n.config.json');
+      logger.info(`Pass a file: ${chalk.yellow('shipi18n translate locales/en.json')} or run ${chalk.yellow('shipi18n init')}`);
+      return { ok: false };
+    }
+
+    const sourceFiles = [];
+    for (const input of sourceInputs) {
+      let resolved;
+      try {
+        resolved = resolveSourceFiles(input, { sourceLanguage, extensions });
+      } catch (error) {
+        spinner.fail();
+        logger.error(error.message);
+        return { ok: false };
+      }
+
+      if (resolved.length === 0) {
+        spinner.fail();
+        logger.error(`No locale files found for: ${input}`);
+        return { ok: false };
+      }
+      sourceFiles.push(...resolved.filter(file => !only || only.has(resolve(file.path))));
+    }
+
+    // Read and parse source files
+    for (const sourceFile of sourceFiles) {
+      try {
+        const parsed = readLocaleFile(sourceFile.path, { language: sourceLanguage, source: true });
+        sourceFile.format = parsed.format;
+        sourceFile.json = parsed.data;
+        sourceFile.document = parsed.document;
+        sourceFile.context = parsed.context;
+      } catch (error) {
+        // A file saved halfway through an edit: wait for the next save
+        if (watching) {
+          spinner.warn(chalk.yellow(`${error.message} - waiting for the next change`));
+          return { ok: false };
         }
+        spinner.fail();
+        logger.error(error.message);
+        return { ok: false };
+      }
+    }
+
+    // Parse skip options
+    const skipKeys = parseList(options.skipKeys) || [];
+    const skipPaths = parseList(options.skipPaths) || [];
 
-        if (options.zip) {
-          // ZIP output mode
-          const zipFileName = typeof options.zip === 'string' ? options.zip : 'translations.zip';
-          const zipPath = join(outputDir, zipFileName);
+    if (skipKeys.length > 0 || skipPaths.length > 0) {
+      logger.info(`Skipping ${skipKeys.length + skipPaths.length} key/pattern(s) from translation`);
+    }
 
-          await new Promise((resolve, reject) => {
-            const output = createWriteStream(zipPath);
-            const archive = archiver('zip', { zlib: { level: 9 } });
+    // Parse context annotations file
+    let contextAnnotations = {};
+    if (options.contextFile) {
+      if (!existsSync(options.contextFile)) {
+        spinner.fail();
+        logger.error(`Context file not found: ${options.contextFile}`);
+        return { ok: false };
+      }
+      try {
+        const contextContent = readFileSync(options.contextFile, 'utf8');
+        contextAnnotations = JSON.parse(contextContent);
+        const contextCount = Object.keys(contextAnnotations).length;
+        logger.info(`Loaded ${contextCount} context annotation(s) from ${options.contextFile}`);
+      } catch (error) {
+        spinner.fail();
+        logger.error(`Invalid JSON in context file: ${error.message}`);
+        return { ok: false };
+      }
+    }
 
-            output.on('close', resolve);
-            archive.on('error', reject);
+    // Glossary: sent with each request, then checked against what comes back
+    let glossary = null;
+    const glossaryPath = options.glossary || config.glossary;
+    if (glossaryPath) {
+      try {
+        glossary = loadGlossary(glossaryPath);
+        logger.info(`Loaded glossary with ${glossary.terms.length} term(s) and ${glossary.doNotTranslate.length} do-not-translate term(s) from ${glossaryPath}`);
+      } catch (error) {
+        spinner.fail();
+        logger.error(error.message);
+        return { ok: false };
+      }
+    }
+    const glossaryViolations = [];
 
-            archive.pipe(output);
+    if (sourceFiles.length > 1) {
+      logger.info(`Found ${sourceFiles.length} source files`);
+    }
 
-            for (const [langCode, content] of Object.entries(outputTranslations)) {
-              archive.append(JSON.stringify(content, null, 2), { name: `${langCode}.json` });
-              savedCount++;
-            }
+    if (prune && !incremental) {
+      logger.warn('Pruning only applies to incremental runs; full runs rewrite target files from the source');
+    }
 
-            archive.finalize();
-          });
+    const api = new Shipi18nAPI(apiKey, {
+      ...requestOptions,
+      onRetry: ({ attempt, attempts, delay, reason }) => {
+        spinner.text = `${reason}; retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1} of ${attempts})...`;
+      },
+    });
 
-          logger.success(`Saved: ${chalk.cyan(zipPath)} (${savedCount} file${savedCount !== 1 ? 's' : ''})`);
-        } else {
-          // Individual files mode
-          for (const [langCode, content] of Object.entries(outputTranslations)) {
-            const outputFile = join(outputDir, `${langCode}.json`);
-            writeFileSync(outputFile, JSON.stringify(content, null, 2), 'utf8');
-            logger.success(`Saved: ${chalk.cyan(outputFile)}${options.incremental ? chalk.gray(' (merged)') : ''}`);
-            savedCount++;
+    // Strings translated before (in any project sharing the memory) aren't sent again
+    let memory = null;
+    const cachePath = options.cache !== false ? getCachePath(config) : null;
+    if (cachePath) {
+      try {
+        memory = openTranslationMemory(cachePath);
+      } catch (error) {
+        logger.warn(`${error.message}; translating without the translation memory`);
+      }
+    }
+
+    const outputFiles = [];
+    const results = [];
+    let translatedKeyCount = 0;
+    let upToDateKeyCount = 0;
+    let newKeyCount = 0;
+    let changedKeyCount = 0;
+    const orphans = [];
+
+    // Dry run: per source file, what would be sent and which files would be written
+    const plan = [];
+    const { processedTargets, regionalMap } = api.processRegionalLanguages(targetLanguages, options.regionalFallback !== false);
+    const languageKeyCounts = Object.fromEntries(targetLanguages.map(lang => [lang, { new: 0, changed: 0 }]));
+
+    // Source hashes from the last runs, to spot edited source strings
+    const lockPath = getLockPath();
+    let lock;
+    try {
+      lock = readLock(lockPath);
+    } catch (error) {
+      spinner.fail();
+      logger.error(error.message);
+      return { ok: false };
+    }
+    const lockBefore = JSON.stringify(lock);
+
+    // i18next keeps plurals in suffixed keys, PO and Android in plural objects;
+    // each language gets the forms it defines
+    const i18nextPlurals = usesI18nextPlurals(config);
+
+    for (const [fileIndex, sourceFile] of sourceFiles.entries()) {
+      const { json, format } = sourceFile;
+
+      // e.g. an Android colors.xml picked up by a glob
+      if (Object.keys(flattenObject(json)).length === 0) continue;
+
+      const progress = sourceFiles.length > 1 ? ` (${fileLabel(sourceFile)}, ${fileIndex + 1}/${sourceFiles.length})` : '';
+      const pluralGroups = findSourcePluralGroups(json, { format, document: sourceFile.document, i18next: i18nextPlurals });
+      const warnings = [];
+
+      // Incremental mode: load existing translations and find missing keys
+      let jsonToTranslate = expandPluralGroups(json, pluralGroups, targetLanguages);
+      const existingTranslations = {};
+      const existingDocuments = {};
+
+      if (incremental) {
+        spinner.text = `Checking existing translations${progress}...`;
+
+        const sourceKeyCount = Object.keys(flattenObject(jsonToTranslate)).length;
+
+        // Load existing translations for each target language
+        for (const lang of targetLanguages) {
+          const existingFile = getTargetPath(sourceFile, lang, targetOptions);
+
+          if (existsSync(existingFile)) {
+            try {
+              const parsed = readLocaleFile(existingFile, { language: lang });
+              existingTranslations[lang] = parsed.data;
+              existingDocuments[lang] = parsed.document;
+            } catch (e) {
+              logger.warn(`Could not parse ${existingFile}, will re-translate`);
+            }
           }
         }
 
-        // Show fallback info if any fallbacks were used
-        if (translations.fallbackInfo && translations.fallbackInfo.used) {
-          const fallbackInfo = translations.fallbackInfo;
-          logger.log('');
-          logger.info('Fallback information:');
+        // Find keys that need translation (missing from ANY target language)
+        const allMissingKeys = {};
+        const missingByLanguage = {};
+        for (const lang of targetLanguages) {
+          const existing = existingTranslations[lang] || {};
+          const missing = findMissingKeys(pluralSourceFor(json, pluralGroups, lang), existing);
+          const missingFlat = flattenObject(missing);
+          missingByLanguage[lang] = missingFlat;
+          languageKeyCounts[lang].new += Object.keys(missingFlat).filter(key => !isSkippedKey(key, skipKeys, skipPaths)).length;
 
-          // Regional fallbacks
-          if (Object.keys(fallbackInfo.regionalFallbacks).length > 0) {
-            for (const [lang, baseLang] of Object.entries(fallbackInfo.regionalFallbacks)) {
-              logger.log(`  ${chalk.blue('•')} ${lang} → ${baseLang} ${chalk.gray('(regional fallback)')}`);
+          for (const { base, missing: forms } of findMissingPluralForms(existing, pluralGroups, lang)) {
+            warnings.push({
+              type: 'plural_forms',
+              message: `${lang}: ${base} was missing plural form${forms.length > 1 ? 's' : ''} ${forms.join(', ')} (translated now)`,
+            });
+          }
+
+          for (const [key, value] of Object.entries(missingFlat)) {
+            if (!(key in allMissingKeys)) {
+              allMissingKeys[key] = value;
             }
           }
+        }
+
+        // Keys in target files that no longer exist in the source
+        const prunedLanguages = [];
+        if (prune) {
+          for (const [lang, existing] of Object.entries(existingTranslations)) {
+            const sourceFlat = flattenObject(pluralSourceFor(json, pluralGroups, lang));
+            const existingFlat = flattenObject(existing);
+            const orphanedKeys = Object.keys(existingFlat).filter(key => !(key in sourceFlat));
+            if (orphanedKeys.length === 0) continue;
 
-          // Languages that fell back to source
-          if (fallbackInfo.languagesFallbackToSource.length > 0) {
-            for (const lang of fallbackInfo.languagesFallbackToSource) {
-              logger.log(`  ${chalk.yellow('•')} ${lang} → ${sourceLanguage} ${chalk.gray('(source fallback)')}`);
+            orphans.push({ sourceFile, language: lang, keys: orphanedKeys });
+            if (prune !== 'report') {
+              orphanedKeys.forEach(key => delete existingFlat[key]);
+              existingTranslations[lang] = unflattenObject(existingFlat);
+              prunedLanguages.push(lang);
             }
           }
+        }
+
+        // Keys whose source text changed since they were translated (per shipi18n.lock)
+        const allChangedKeys = {};
+        for (const lang of targetLanguages) {
+          if (!existingTranslations[lang]) continue;
+          const hashes = getLockEntry(lock, lockPath, sourceFile.path, lang);
 
-          // Keys that used fallback
-          if (Object.keys(fallbackInfo.keysFallback).length > 0) {
-            for (const [lang, keys] of Object.entries(fallbackInfo.keysFallback)) {
-              logger.log(`  ${chalk.yellow('•')} ${lang}: ${keys.length} key${keys.length > 1 ? 's' : ''} used fallback`);
-              if (keys.length <= 5) {
-                keys.forEach(key => {
-                  logger.log(`    ${chalk.gray('- ' + key)}`);
-                });
-              }
+          for (const [key, value] of Object.entries(findChangedKeys(json, hashes))) {
+            if (!(key in missingByLanguage[lang]) && !isSkippedKey(key, skipKeys, skipPaths)) {
+              languageKeyCounts[lang].changed++;
+            }
+            if (!(key in allMissingKeys) && !(key in allChangedKeys)) {
+              allChangedKeys[key] = value;
             }
           }
         }
 
-        // Show skipped keys info if any
-        if (translations.skipped && translations.skipped.count > 0) {
-          logger.log('');
-          logger.info(`Skipped ${translations.skipped.count} key${translations.skipped.count > 1 ? 's' : ''} from translation:`);
-          const keysToShow = translations.skipped.keys.slice(0, 10);
-          keysToShow.forEach(key => {
-            logger.log(`  ${chalk.gray('•')} ${key}`);
-          });
-          if (translations.skipped.keys.length > 10) {
-            logger.log(`  ${chalk.gray(`... and ${translations.skipped.keys.length - 10} more`)}`);
+        const missingKeyCount = Object.keys(allMissingKeys).length;
+        const fileChangedKeyCount = Object.keys(allChangedKeys).length;
+        newKeyCount += missingKeyCount;
+        changedKeyCount += fileChangedKeyCount;
+        upToDateKeyCount += sourceKeyCount - missingKeyCount - fileChangedKeyCount;
+
+        if (missingKeyCount + fileChangedKeyCount === 0) {
+          // Nothing to translate; record hashes for translations made before the lockfile existed
+          for (const [lang, existing] of Object.entries(existingTranslations)) {
+            updateLockEntry(getLockEntry(lock, lockPath, sourceFile.path, lang), json, existing);
+          }
+
+          // Pruned files still need rewriting
+          for (const lang of prunedLanguages) {
+            outputFiles.push({
+              path: getTargetPath(sourceFile, lang, targetOptions),
+              language: lang,
+              content: existingTranslations[lang],
+              format,
+              document: existingDocuments[lang],
+              sourceDocument: sourceFile.document,
+              merged: true,
+              sourceFile,
+              translatedKeys: new Set(),
+            });
           }
+          continue;
         }
 
-        // Show context-enhanced keys info if any
-        if (translations.contextEnhanced && translations.contextEnhanced.count > 0) {
-          logger.log('');
-          logger.info(`${chalk.cyan('🎯')} ${translations.contextEnhanced.count} key${translations.contextEnhanced.count > 1 ? 's' : ''} translated with context annotations:`);
-          const keysToShow = translations.contextEnhanced.keys.slice(0, 10);
-          keysToShow.forEach(key => {
-            logger.log(`  ${chalk.cyan('•')} ${key}`);
+        // A changed `_other` key also changes the plural forms copied from it
+        jsonToTranslate = expandPluralGroups(unflattenObject({ ...allMissingKeys, ...allChangedKeys }), pluralGroups, targetLanguages);
+        const keyCounts = [
+          missingKeyCount > 0 ? `${missingKeyCount} new` : null,
+          fileChangedKeyCount > 0 ? `${fileChangedKeyCount} changed` : null,
+        ].filter(Boolean).join(' and ');
+        spinner.text = `Translating ${keyCounts} key${missingKeyCount + fileChangedKeyCount !== 1 ? 's' : ''} to ${targetLanguages.length} language${targetLanguages.length > 1 ? 's' : ''}${progress}...`;
+      } else {
+        spinner.text = `Translating to ${targetLanguages.length} language${targetLanguages.length > 1 ? 's' : ''}${progress}...`;
+      }
+
+      // ICU plural/select messages go out as one sentence per plural form each language needs
+      const icu = explodeICUMessages(jsonToTranslate, targetLanguages);
+      const jsonToSend = icu ? icu.data : jsonToTranslate;
+
+      // Formats like Android/iOS use printf placeholders the API doesn't know; swap them for tokens
+      const placeholders = format.placeholders
+        ? protectPlaceholders(jsonToSend, PLACEHOLDER_PATTERNS[format.placeholders].regex)
+        : null;
+
+      const expectedPlaceholders = format.expectedPlaceholders?.(sourceFile.document);
+
+      // Translate with fallback support
+      const request = {
+        json: placeholders ? placeholders.data : jsonToSend,
+        sourceLanguage,
+        targetLanguages,
+        preservePlaceholders: options.preservePlaceholders,
+        htmlHandling: options.htmlHandling,
+        fallback: {
+          fallbackToSource: options.fallback !== false,
+          regionalFallback: options.regionalFallback !== false,
+        },
+        skipKeys,
+        skipPaths,
+        // Annotations from the file itself (e.g. PO msgctxt); --context-file entries win
+        contextAnnotations: { ...sourceFile.context, ...icu?.context, ...contextAnnotations },
+        ...chunking,
+        memory,
+        glossary,
+      };
+
+      if (dryRun) {
+        const sentFlat = Object.fromEntries(
+          Object.entries(flattenObject(jsonToSend)).filter(([key]) => !isSkippedKey(key, skipKeys, skipPaths))
+        );
+        // Strings the memory has aren't sent; it is only read, a dry run never saves it
+        const cached = memory ? api.findCachedTranslations({ ...request, targetLanguages: processedTargets }) : {};
+        plan.push({
+          source: sourceFile.path,
+          keys: Object.keys(sentFlat).length,
+          ...countText(sentFlat),
+          skipped: Object.keys(flattenObject(jsonToSend)).length - Object.keys(sentFlat).length,
+          cached: Object.fromEntries(Object.entries(cached).map(([lang, translations]) => {
+            const hits = Object.fromEntries(Object.keys(translations).map(key => [key, sentFlat[key]]));
+            return [lang, { keys: Object.keys(hits).length, ...countText(hits) }];
+          })),
+          outputs: processedTargets.map(lang => {
+            const path = getTargetPath(sourceFile, lang, targetOptions);
+            const action = incremental && existingTranslations[lang] ? 'merge' : (existsSync(path) ? 'overwrite' : 'create');
+            return { language: lang, path, action };
+          }),
+        });
+        continue;
+      }
+
+      const spinnerText = spinner.text;
+      const translations = await api.translateJSON({
+        ...request,
+        onProgress: (chunkProgress) => {
+          const chunks = formatChunkProgress(chunkProgress);
+          if (chunks) spinner.text = `${spinnerText.replace(/\.\.\.$/, '')}: ${chunks}...`;
+        },
+      });
+
+      if (warnings.length > 0) {
+        translations.warnings = [...(translations.warnings || []), ...warnings];
+      }
+
+      for (const { key, message } of icu?.invalid || []) {
+        translations.warnings = translations.warnings || [];
+        translations.warnings.push({
+          type: 'icu_message',
+          message: `${key}: not a valid ICU message (${message}), translated as plain text`,
+        });
+      }
+
+      // Placeholders must match the source; re-request, fall back or fail per --placeholder-check
+      const placeholderInfo = await verifyPlaceholders(translations, request.json, {
+        languages: Object.keys(translations).filter(lang => !METADATA_KEYS.includes(lang)),
+        mode: placeholderCheck,
+        retry: (json, languages) => {
+          spinner.text = `Re-translating keys with broken placeholders${progress}...`;
+          return api.translateJSON({
+            ...request,
+            json,
+            targetLanguages: languages,
+            fallback: { fallbackToSource: false, regionalFallback: false },
           });
-          if (translations.contextEnhanced.keys.length > 10) {
-            logger.log(`  ${chalk.gray(`... and ${translations.contextEnhanced.keys.length - 10} more`)}`);
+        },
+      });
+      if (placeholderInfo) {
+        translations.placeholderInfo = placeholderInfo;
+      }
+
+      translatedKeyCount += Object.keys(flattenObject(jsonToTranslate)).length;
+      results.push({ sourceFile, translations });
+
+      // Prepare translations for output (filter metadata, apply merging)
+      for (const [langCode, translated] of Object.entries(translations)) {
+        if (METADATA_KEYS.includes(langCode)) continue;
+
+        let content = placeholders ? placeholders.restore(translated) : translated;
+
+        // Drop plural forms only other target languages use (e.g. _one for Japanese)
+        if (pluralGroups.length > 0) {
+          content = filterPluralGroups(content, pluralGroups, langCode);
+        }
+
+        // Messages whose forms can't be put back together keep the source text
+        if (icu) {
+          const restored = icu.restore(content, langCode);
+          content = restored.data;
+          for (const { key, message } of restored.issues) {
+            translations.warnings = translations.warnings || [];
+            translations.warnings.push({
+              type: 'icu_message',
+              message: `${langCode}: ${key} could not be made a valid plural/select message (${message}), kept the source text`,
+            });
           }
         }
 
-        // Show legal content warning with key details
-        const legalWarning = translations.warnings?.find(w => w.type === 'legal_content');
-        if (legalWarning?.details?.keys?.length > 0) {
-          logger.log('');
-          logger.warn(`${chalk.yellow('⚠️')}  Legal content detected - review these keys:`);
-          legalWarning.details.keys.forEach(key => {
-            logger.log(`  ${chalk.yellow('•')} ${key}`);
-          });
-          if (legalWarning.details.count > 10) {
-            logger.log(`  ${chalk.gray(`... and ${legalWarning.details.count - 10} more`)}`);
+        // Placeholders declared in the source (e.g. ARB @key.placeholders) must survive
+        if (expectedPlaceholders) {
+          for (const { key, missing } of findMissingPlaceholders(content, expectedPlaceholders)) {
+            translations.warnings = translations.warnings || [];
+            translations.warnings.push({
+              type: 'placeholder_mismatch',
+              message: `${langCode}: ${key} is missing ${missing.map(name => `{${name}}`).join(', ')}`,
+            });
           }
-          logger.log(`  ${chalk.gray('Machine-translated legal text may not be legally binding.')}`);
         }
 
-        // Show other warnings if any (exclude legal_content since we showed it above)
-        const otherWarnings = translations.warnings?.filter(w => w.type !== 'legal_content') || [];
-        if (otherWarnings.length > 0) {
-          logger.log('');
-          logger.warn('Warnings:');
-          otherWarnings.forEach(warning => {
-            logger.log(`  ${chalk.yellow('•')} ${warning.message}`);
-          });
+        if (glossary && glossaryCheck !== 'off') {
+          for (const issue of checkGlossary(jsonToTranslate, content, glossary, langCode)) {
+            glossaryViolations.push({ path: getTargetPath(sourceFile, langCode, targetOptions), language: langCode, ...issue });
+            translations.warnings = translations.warnings || [];
+            translations.warnings.push({ type: 'glossary', message: `${langCode}: ${issue.key}: ${issue.message}` });
+          }
         }
 
-        logger.log('');
-        logger.log(chalk.green(`✨ Successfully translated ${savedCount} file${savedCount > 1 ? 's' : ''}!`));
-        logger.log(chalk.gray(`   Output: ${outputDir}`));
+        const targetPath = getTargetPath(sourceFile, langCode, targetOptions);
+        const translatedKeys = new Set(Object.keys(flattenObject(content)));
+        const fallbackKeys = sourceFallbackKeys(translations, langCode, content);
 
-      } catch (error) {
-        spinner.fail();
+        // Full runs read the target file too, for its key order and the keys of failed requests
+        const failedKeys = translations.failed?.languages[langCode] || [];
+        const order = pluralSourceFor(json, pluralGroups, langCode);
+        if (!existingTranslations[langCode] && existsSync(targetPath)) {
+          try {
+            const parsed = readLocaleFile(targetPath, { language: langCode });
+            existingTranslations[langCode] = parsed.data;
+            existingDocuments[langCode] = parsed.document;
+          } catch (e) {
+            logger.warn(`Could not parse ${targetPath}; it is rewritten in source order${failedKeys.length > 0 ? ', without the keys of failed requests' : ''}`);
+          }
+        }
+        // Keys of failed requests keep what the target file had, so a full run doesn't lose them
+        if (failedKeys.length > 0 && existingTranslations[langCode]) {
+          const existingFlat = flattenObject(existingTranslations[langCode]);
+          const kept = Object.fromEntries(failedKeys.filter(key => key in existingFlat).map(key => [key, existingFlat[key]]));
+          content = mergeInOrder(content, unflattenObject(kept), order);
+        }
+
+        const merged = Boolean(incremental && existingTranslations[langCode]);
+        if (!merged && existingTranslations[langCode]) {
+          // A full run replaces every key but keeps the target file's key order, so diffs only
+          // show real changes; keys the source no longer has are still dropped
+          const contentFlat = flattenObject(content);
+          const kept = Object.entries(flattenObject(existingTranslations[langCode])).filter(([key]) => key in contentFlat);
+          content = mergeInOrder(unflattenObject(Object.fromEntries(kept)), content, order);
+        }
+        outputFiles.push({
+          path: targetPath,
+          language: langCode,
+          content: merged ? mergeInOrder(existingTranslations[langCode], content, order) : content,
+          format,
+          document: merged ? existingDocuments[langCode] : undefined,
+          sourceDocument: sourceFile.document,
+          merged,
+          sourceFile,
+          translatedKeys,
+          fallbackKeys,
+        });
+      }
+    }
+
+    if (!dryRun) memory?.save();
+
+    if (glossaryCheck === 'fail' && glossaryViolations.length > 0) {
+      spinner.fail();
+      logger.error(`${glossaryViolations.length} translation${glossaryViolations.length !== 1 ? 's break' : ' breaks'} the glossary, no files were written:`);
+      for (const { path, key, message } of glossaryViolations) {
+        logger.log(`  ${chalk.red('•')} ${key} ${chalk.gray(`(${path})`)} ${message}`);
+      }
+      return { ok: false, glossaryViolations };
+    }
+
+    if (sortOutputKeys) {
+      for (const file of outputFiles) file.content = sortKeys(file.content);
+    }
+
+    if (dryRun) {
+      spinner.succeed(chalk.green('Dry run complete, nothing was translated'));
+
+      // Files only rewritten to drop orphaned keys
+      for (const file of outputFiles) {
+        if (!plan.some(entry => entry.outputs.some(output => output.path === file.path))) {
+          plan.push({ source: file.sourceFile.path, keys: 0, characters: 0, words: 0, skipped: 0, outputs: [{ language: file.language, path: file.path, action: 'prune' }] });
+        }
+      }
+
+      const estimate = buildDryRunEstimate({ plan, sourceLanguage, targetLanguages, processedTargets, regionalMap, languageKeyCounts, incremental, memory });
+      if (!options.json) {
+        printDryRun(estimate);
+        printOrphanedKeys(orphans, prune);
+      }
+      return { ok: true, ...estimate };
+    }
+
+    // shipi18n diff: hand the files over instead of writing them
+    if (preview) {
+      spinner.stop();
+      preview(outputFiles.map(file => ({
+        path: file.path,
+        language: file.language,
+        format: file.format,
+        content: serializeOutputFile(file),
+      })));
+      return { ok: true };
+    }
+
+    if (results.length === 0) {
+      spinner.succeed(chalk.green('All translations up to date!'));
+
+      // Pruned files are the only ones to rewrite
+      for (const file of options.zip ? [] : outputFiles) {
+        writeFileSync(file.path, serializeOutputFile(file), 'utf8');
+        logger.success(`Saved: ${chalk.cyan(file.path)} ${chalk.gray('(pruned)')}`);
+      }
+      if (JSON.stringify(lock) !== lockBefore) {
+        writeLock(lockPath, lock);
+      }
+      logger.log('');
+      logger.log(chalk.gray(`   ${upToDateKeyCount} key${upToDateKeyCount !== 1 ? 's' : ''} already translated`));
+      printOrphanedKeys(orphans, prune);
+      return {
+        ok: true,
+        ...buildTranslateResult({
+          results, outputFiles, written: !options.zip, memory, orphans, prune,
+          keys: { translated: 0, new: 0, changed: 0, upToDate: upToDateKeyCount },
+        }),
+      };
+    }
+
+    spinner.succeed(chalk.green(`Translated ${translatedKeyCount} key${translatedKeyCount !== 1 ? 's' : ''} to ${targetLanguages.length} language${targetLanguages.length > 1 ? 's' : ''}!`));
+
+    if (incremental) {
+      logger.info(`Incremental mode: ${chalk.cyan(newKeyCount)} new, ${chalk.cyan(changedKeyCount)} changed, ${upToDateKeyCount} unchanged`);
+    }
+
+    if (memory?.hits > 0) {
+      logger.info(`Translation memory: ${chalk.cyan(memory.hits)} translation${memory.hits !== 1 ? 's' : ''} reused, ${memory.added} added`);
+    }
+
+    let savedCount = 0;
+    let zipPath = null;
+
+    if (options.zip) {
+      mkdirSync(outputDir, { recursive: true });
+
+      // ZIP output mode
+      const zipFileName = typeof options.zip === 'string' ? options.zip : 'translations.zip';
+      zipPath = join(outputDir, zipFileName);
+
+      await new Promise((resolve, reject) => {
+        const output = createWriteStream(zipPath);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        output.on('close', resolve);
+        archive.on('error', reject);
+
+        archive.pipe(output);
+
+        for (const file of outputFiles) {
+          // Files outside outputDir (Android/iOS folders) keep their project-relative path
+          let name = relative(outputDir, file.path);
+          if (name.startsWith('..')) name = relative('.', file.path);
+          name = name.split(sep).join('/');
+          archive.append(serializeOutputFile(file), { name });
+          savedCount++;
+        }
+
+        archive.finalize();
+      });
+
+      logger.success(`Saved: ${chalk.cyan(zipPath)} (${savedCount} file${savedCount !== 1 ? 's' : ''})`);
+    } else {
+      // Individual files mode
+      for (const file of outputFiles) {
+        mkdirSync(dirname(file.path), { recursive: true });
+        writeFileSync(file.path, serializeOutputFile(file), 'utf8');
+        logger.success(`Saved: ${chalk.cyan(file.path)}${file.merged ? chalk.gray(' (merged)') : ''}`);
+        savedCount++;
+
+        const hashes = getLockEntry(lock, lockPath, file.sourceFile.path, file.language);
+        updateLockEntry(hashes, file.sourceFile.json, file.content, file.translatedKeys, file.fallbackKeys);
+      }
+
+      writeLock(lockPath, lock);
+    }
+
+    printOrphanedKeys(orphans, prune);
+
+    // verify: true in the project config checks what was just written
+    let verification = [];
+    if (options.verify !== false && config.verify === true) {
+      verification = printVerification(outputFiles);
+    }
+
+    for (const { sourceFile, translations } of results) {
+      if (!hasSummaryDetails(translations)) continue;
+
+      if (results.length > 1) {
         logger.log('');
-        logger.log(formatError(error));
+        logger.log(chalk.cyan(`${fileLabel(sourceFile)}:`));
+      }
+      printTranslationSummary(translations, sourceLanguage);
+    }
+
+    logger.log('');
+    logger.log(chalk.green(`✨ Successfully translated ${savedCount} file${savedCount > 1 ? 's' : ''}!`));
+    // Android/iOS files are written next to their sources, not under outputDir
+    if (options.zip || outputFiles.some(file => !file.format.outputPath)) {
+      logger.log(chalk.gray(`   Output: ${outputDir}`));
+    }
+
+    // Keys of failed requests are missing (or kept from before); the run has to be repeated
+    const failedRequests = results.reduce((sum, { translations }) => sum + (translations.failed?.requests || 0), 0);
+    if (failedRequests > 0) {
+      logger.log('');
+      logger.error(`${failedRequests} translation request${failedRequests !== 1 ? 's' : ''} failed; run again to translate the keys they carried`);
+    }
+
+    return {
+      ok: failedRequests === 0,
+      ...buildTranslateResult({
+        results, outputFiles, written: true, zipPath, memory, orphans, prune, verification,
+        keys: incremental
+          ? { translated: translatedKeyCount, new: newKeyCount, changed: changedKeyCount, upToDate: upToDateKeyCount }
+          : { translated: translatedKeyCount },
+      }),
+    };
+  } catch (error) {
+    spinner.fail();
+    logger.log('');
+    reportError(error);
+    return { ok: false };
+  }
+}
+
+/**
+ * Translate locale files from code: `shipi18n translate` without terminal output
+ * Nothing is printed and the process never exits; problems come back in `errors`.
+ * Runs share the logger and the project's shipi18n.lock, so run one at a time.
+ * @param {string|string[]} inputs - Files, directories or globs (default: sourceDir from the project config)
+ * @param {Object} options - The command's options in camelCase (target, source, output, apiKey,
+ *   incremental, dryRun, zip, skipKeys, ...); lists may be arrays or comma-separated strings
+ * @returns {Promise<Object>} The object `shipi18n translate --json` prints: `{ok, files, keys, ..., errors}`
+ */
+export async function translateFiles(inputs = [], options = {}) {
+  const previous = { silent: logger.silent, errors: logger.errors };
+  logger.silent = true;
+  logger.errors = [];
+
+  try {
+    const result = await runTranslate([].concat(inputs), { preservePlaceholders: true, htmlHandling: 'none', ...options });
+    return { ...result, errors: logger.errors };
+  } finally {
+    logger.silent = previous.silent;
+    logger.errors = previous.errors;
+  }
+}
+
+/**
+ * Source files for the inputs, as absolute paths (unreadable inputs are left out)
+ */
+function findWatchedFiles(inputs, options) {
+  let config;
+  try {
+    config = getConfig();
+  } catch (error) {
+    // Reported by the translation run
+    return new Set();
+  }
+  const { inputs: sourceInputs, sourceLanguage, extensions } = resolveInputs(inputs, options, config);
+  const files = new Set();
+
+  for (const input of sourceInputs) {
+    try {
+      resolveSourceFiles(input, { sourceLanguage, extensions }).forEach(file => files.add(resolve(file.path)));
+    } catch (error) {
+      // Reported by the translation run
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Translate, then translate new and changed keys whenever a source file is saved
+ * Only the saved files are translated again; runs that fail (e.g. a file saved with
+ * invalid JSON) are reported and the next save is picked up as usual.
+ * @param {string[]} inputs - Files, directories or globs
+ * @param {Object} options - Command options
+ */
+async function watchTranslate(inputs, options) {
+  if (options.zip || options.dryRun || options.json) {
+    logger.error('--watch cannot be combined with --zip, --dry-run or --json');
+    process.exit(1);
+  }
+
+  const runOptions = { ...options, incremental: true };
+  let sourceFiles = findWatchedFiles(inputs, options);
+
+  await runTranslate(inputs, runOptions, { watching: true });
+  if (sourceFiles.size === 0) {
+    process.exit(1);
+  }
+
+  const watchers = new Map();
+  const changed = new Set();
+  let timer = null;
+  let running = false;
+  let status = null;
+
+  const waitForChanges = () => {
+    logger.log('');
+    status = logger.spinner(`Watching ${sourceFiles.size} source file${sourceFiles.size !== 1 ? 's' : ''} for changes (Ctrl+C to stop)...`);
+  };
+
+  const flush = async () => {
+    if (running || changed.size === 0) return;
+    running = true;
+    status?.stop();
+
+    const only = new Set(changed);
+    changed.clear();
+    logger.info(`Changed: ${[...only].map(file => relative('.', file)).join(', ')}`);
+    await runTranslate(inputs, runOptions, { only, watching: true });
+
+    running = false;
+    // Saved again while translating
+    if (changed.size > 0) {
+      await flush();
+    } else {
+      waitForChanges();
+    }
+  };
+
+  const onChange = (file) => {
+    // New files in a watched directory (e.g. a new namespace) are picked up too;
+    // translated files written next to the source are not sources, so they're ignored
+    if (!sourceFiles.has(file)) {
+      sourceFiles = findWatchedFiles(inputs, options);
+      if (!sourceFiles.has(file)) return;
+      watchDirectories();
+    }
+
+    changed.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(flush, WATCH_DEBOUNCE);
+  };
+
+  // Directories rather than files, so editors that save by replacing the file are followed
+  const watchDirectories = () => {
+    for (const dir of new Set([...sourceFiles].map(file => dirname(file)))) {
+      if (watchers.has(dir)) continue;
+      watchers.set(dir, watch(dir, (event, filename) => {
+        if (filename) onChange(join(dir, filename.toString()));
+      }));
+    }
+  };
+
+  process.once('SIGINT', () => {
+    clearTimeout(timer);
+    watchers.forEach(watcher => watcher.close());
+    status?.stop();
+    logger.log('');
+    logger.info('Stopped watching');
+    process.exit(0);
+  });
+
+  watchDirectories();
+  waitForChanges();
+}
+
+export function translateCommand(program) {
+  program
+    .command('translate [inputs...]')
+    .description('Translate locale files (a file, directory or glob) to multiple languages')
+    .option('-t, --target <languages>', 'Target languages (comma-separated, default: project config or es,fr)')
+    .option('-s, --source <language>', 'Source language (default: project config or en)')
+    .option('-o, --output <dir>', 'Output directory (default: project config or ./locales)')
+    .option('--api-key <key>', 'API key (overrides config)')
+    .option('--preserve-placeholders', 'Preserve placeholders like {name}, {{value}}, etc.', true)
+    .option('--html-handling <mode>', 'How to handle HTML in source text: none, strip, decode, preserve', 'none')
+    .option('--no-fallback', 'Disable fallback to source language for missing translations')
+    .option('--no-regional-fallback', 'Disable regional fallback (e.g., pt-BR -> pt)')
+    .option('-i, --incremental', 'Only translate new/missing keys (skip existing translations)')
+    .option('--no-incremental', 'Translate all keys, even if the project config enables incremental mode')
+    .option('--placeholder-check <mode>', `What to do when a translation breaks placeholders: ${PLACEHOLDER_CHECK_MODES.join(', ')} (default: project config, retry with selfCorrect, else fallback)`)
+    .option('--no-verify', 'Skip checking translated files for empty values and placeholder mismatches')
+    .option('--prune', 'Remove keys from target files that no longer exist in the source (incremental mode)')
+    .option('--prune-report', 'List orphaned keys in target files without removing them')
+    .option('--glossary <path>', 'Glossary of fixed term translations and do-not-translate terms (CSV or JSON, default: project config)')
+    .option('--glossary-check <mode>', `What to do when a translation breaks the glossary: ${GLOSSARY_CHECK_MODES.join(', ')} (default: project config or warn)`)
+    .option('--skip-keys <keys>', 'Keys to skip from translation (comma-separated exact paths)')
+    .option('--skip-paths <patterns>', 'Paths to skip using wildcards (comma-separated, e.g., "states.*,config.*.secret")')
+    .option('--context-file <path>', 'JSON file with context annotations for disambiguation (e.g., {"close": "button - dismiss"})')
+    .option('--zip [filename]', 'Output translations as ZIP file (default: translations.zip)')
+    .option('-w, --watch', 'Keep running and translate new and changed keys whenever a source file is saved (incremental)')
+    .option('--sort-keys', 'Sort keys alphabetically in written files (default: project config, else keep the source order)')
+    .option('--chunk-size <keys>', 'Maximum keys per API request; larger files are split (default: project config or 500)')
+    .option('--concurrency <n>', 'Maximum API requests in flight (default: project config or 3)')
+    .option('--retries <n>', 'Retries for rate-limited, failed or timed-out requests (default: project config or 3)')
+    .option('--timeout <seconds>', 'Timeout per API request (default: project config or 60)')
+    .option('--languages-per-request <n>', 'Split target languages into batches of this size (default: all languages in each request)')
+    .option('--no-cache', 'Translate every key, without reading or updating the translation memory (see: shipi18n cache)')
+    .option('--dry-run', 'Show the keys, characters and files a run would translate, without calling the API')
+    .option('--json', 'Print the result (with --dry-run, the estimate) as a JSON object')
+    .action(async (inputs, options) => {
+      // --json may also come before the command name
+      options = { ...options, json: options.json || logger.json };
+      if (options.watch) {
+        await watchTranslate(inputs, options);
+        return;
+      }
+      const result = await runTranslate(inputs, options);
+      if (options.json) {
+        printResult(result);
+      }
+      if (!result.ok) {
         process.exit(1);
       }
     });
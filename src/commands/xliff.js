@@ -0,0 +1,299 @@
+import chalk from 'chalk';
+import { readFileSync, writeFileSync, mkdirSync, existsSync, statSync } from 'fs';
+import { join, dirname, extname, relative, sep } from 'path';
+import { Shipi18nAPI } from '../lib/api.js';
+import { getConfig } from '../lib/config.js';
+import { readLocaleFile, getFormat } from '../lib/formats/index.js';
+import { buildXliff, parseXliff, IMPORTABLE_STATES, XLIFF_VERSIONS } from '../lib/xliff.js';
+import { logger, reportError, printResult } from '../utils/logger.js';
+import { flattenObject, unflattenObject, mergeInOrder } from '../utils/incremental.js';
+import { resolveInputs, resolveSourceFiles, getTargetPath } from '../utils/files.js';
+
+/**
+ * Load a context annotations file, if given
+ */
+function loadContextFile(contextFile) {
+  if (!contextFile || !existsSync(contextFile)) return {};
+  try {
+    return JSON.parse(readFileSync(contextFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in context file: ${error.message}`);
+  }
+}
+
+/**
+ * XLIFF `original` for a source file: its path relative to the working directory,
+ * so import can read the source again and map targets the way translate does
+ */
+function originalFor(sourceFile) {
+  return relative(process.cwd(), sourceFile.path).split(sep).join('/');
+}
+
+/**
+ * Reverse of originalFor(): the source file and its namespace
+ * Exports made before originals were project paths (`en/common.json`, `en.json`)
+ * are looked up under sourceDir.
+ */
+function resolveOriginal(original, { sourceLanguage, sourceDir }) {
+  const path = [original, sourceDir && join(sourceDir, original)]
+    .find(candidate => candidate && existsSync(candidate) && statSync(candidate).isFile());
+
+  // Files under a {sourceLanguage}/ folder are namespaces, as in resolveSourceFiles()
+  const parts = original.split('/');
+  const languageIndex = parts.lastIndexOf(sourceLanguage);
+  let namespace = null;
+  if (languageIndex >= 0 && languageIndex < parts.length - 1) {
+    const namespacePath = parts.slice(languageIndex + 1).join('/');
+    namespace = namespacePath.slice(0, namespacePath.length - extname(namespacePath).length);
+  }
+
+  return { path: path || null, namespace, extension: extname(original) || '.json' };
+}
+
+/**
+ * Build XLIFF units for one source file and target language
+ * States come from applyFallbacks' fallbackInfo over the existing target files.
+ */
+function buildUnits({ sourceData, translations, lang, regionalMap, contextAnnotations }) {
+  const fallbackInfo = translations.fallbackInfo;
+  const sourceFlat = flattenObject(sourceData);
+  const targetFlat = translations[lang] ? flattenObject(translations[lang]) : {};
+  const keysFallback = fallbackInfo?.keysFallback[lang] || [];
+  const units = [];
+
+  for (const [key, source] of Object.entries(sourceFlat)) {
+    if (typeof source !== 'string') continue;
+
+    const target = targetFlat[key];
+    let state = 'translated';
+
+    if (target === undefined || target === null) {
+      state = 'new';
+    } else if (fallbackInfo?.languagesFallbackToSource.includes(lang)) {
+      state = 'needs-translation';
+    } else if (fallbackInfo?.regionalFallbacks[lang]) {
+      state = 'needs-review';
+    } else if (keysFallback.includes(key)) {
+      state = regionalMap[lang] && target !== source ? 'needs-review' : 'needs-translation';
+    }
+
+    const notes = contextAnnotations[key]
+      ? [{ category: 'context', text: contextAnnotations[key] }]
+      : [];
+
+    units.push({ key, source, target: typeof target === 'string' ? target : undefined, state, notes });
+  }
+
+  return units;
+}
+
+export function xliffCommand(program) {
+  const xliff = program.command('xliff')
+    .description('Exchange translations with agencies as XLIFF 1.2 or 2.0');
+
+  // Export
+  xliff
+    .command('export [inputs...]')
+    .description('Export source and existing target files as one XLIFF file per language')
+    .option('-t, --target <languages>', 'Target languages (comma-separated, default: project config)')
+    .option('-s, --source <language>', 'Source language (default: project config or en)')
+    .option('-l, --locales <dir>', 'Directory with existing target files (default: project outputDir or ./locales)')
+    .option('-o, --output <dir>', 'Directory to write .xlf files to', '.')
+    .option('--xliff-version <version>', `XLIFF version (${XLIFF_VERSIONS.join(', ')})`, '1.2')
+    .option('--context-file <path>', 'JSON file with context annotations to include as notes')
+    .action((inputs, options) => {
+      const spinner = logger.spinner('Exporting XLIFF...');
+
+      try {
+        const config = getConfig();
+        const { inputs: sourceInputs, sourceLanguage, targetLanguages, extensions } = resolveInputs(inputs, options, config);
+        const localesDir = options.locales || config.outputDir;
+
+        if (!targetLanguages) {
+          spinner.fail();
+          logger.error('No target languages. Pass --target or set targetLanguages in shipi18n.config.json');
+          process.exit(1);
+        }
+
+        if (!XLIFF_VERSIONS.includes(options.xliffVersion)) {
+          spinner.fail();
+          logger.error(`Unsupported XLIFF version: ${options.xliffVersion} (use ${XLIFF_VERSIONS.join(' or ')})`);
+          process.exit(1);
+        }
+
+        if (sourceInputs.length === 0) {
+          spinner.fail();
+          logger.error('No input file given and no sourceDir found in shipi18n.config.json');
+          process.exit(1);
+        }
+
+        const sourceFiles = sourceInputs.flatMap(input => resolveSourceFiles(input, { sourceLanguage, extensions }));
+        const contextAnnotations = loadContextFile(options.contextFile);
+
+        const api = new Shipi18nAPI();
+        const { processedTargets, regionalMap } = api.processRegionalLanguages(targetLanguages, true);
+        const filesByLanguage = Object.fromEntries(targetLanguages.map(lang => [lang, []]));
+
+        for (const sourceFile of sourceFiles) {
+          const source = readLocaleFile(sourceFile.path, { language: sourceLanguage, source: true });
+
+          // Existing target files, including base languages used for regional fallback
+          const translations = {};
+          for (const lang of processedTargets) {
+            const targetFile = getTargetPath({ ...sourceFile, format: source.format }, lang, { outputDir: localesDir, resourceDir: options.locales, sourceLanguage });
+            if (existsSync(targetFile)) {
+              translations[lang] = readLocaleFile(targetFile, { language: lang }).data;
+            }
+          }
+
+          api.applyFallbacks(translations, source.data, targetLanguages, sourceLanguage, true, true, undefined, regionalMap);
+
+          for (const lang of targetLanguages) {
+            filesByLanguage[lang].push({
+              original: originalFor(sourceFile),
+              units: buildUnits({
+                sourceData: source.data,
+                translations,
+                lang,
+                regionalMap,
+                contextAnnotations: { ...source.context, ...contextAnnotations },
+              }),
+            });
+          }
+        }
+
+        mkdirSync(options.output, { recursive: true });
+        spinner.succeed(chalk.green(`Exported ${sourceFiles.length} file${sourceFiles.length !== 1 ? 's' : ''} to XLIFF ${options.xliffVersion}`));
+
+        const written = [];
+        for (const lang of targetLanguages) {
+          const outputFile = join(options.output, `${lang}.xlf`);
+          const files = filesByLanguage[lang];
+          writeFileSync(outputFile, buildXliff({
+            version: options.xliffVersion,
+            sourceLanguage,
+            targetLanguage: lang,
+            files,
+          }), 'utf8');
+
+          const units = files.flatMap(file => file.units);
+          const pending = units.filter(unit => !IMPORTABLE_STATES.includes(unit.state)).length;
+          logger.success(`Saved: ${chalk.cyan(outputFile)} ${chalk.gray(`(${units.length} units, ${pending} need translation)`)}`);
+          written.push({ path: outputFile, language: lang, units: units.length, pending });
+        }
+
+        if (logger.json) {
+          printResult({ version: options.xliffVersion, sourceLanguage, sources: sourceFiles.length, files: written });
+        }
+
+      } catch (error) {
+        spinner.fail();
+        logger.log('');
+        reportError(error);
+        process.exit(1);
+      }
+    });
+
+  // Import
+  xliff
+    .command('import <files...>')
+    .description('Merge translated XLIFF files back into locale files')
+    .option('-o, --output <dir>', 'Locale directory to write to (default: project outputDir or ./locales)')
+    .option('-s, --source <language>', 'Source language, used to map files back to namespaces (default: project config or en)')
+    .option('--context-file <path>', 'Write context notes from the XLIFF into this context annotations file')
+    .action((files, options) => {
+      const spinner = logger.spinner('Importing XLIFF...');
+
+      try {
+        const config = getConfig();
+        const sourceLanguage = options.source || config.sourceLanguage;
+        const outputDir = options.output || config.outputDir;
+        const contextUpdates = {};
+        const saved = [];
+
+        for (const file of files) {
+          if (!existsSync(file)) {
+            throw new Error(`XLIFF file not found: ${file}`);
+          }
+
+          let document;
+          try {
+            document = parseXliff(readFileSync(file, 'utf8'));
+          } catch (error) {
+            throw new Error(`Invalid XLIFF in ${file}: ${error.message}`);
+          }
+
+          const lang = document.targetLanguage;
+          if (!lang) {
+            throw new Error(`No target language in ${file}`);
+          }
+
+          for (const xliffFile of document.files) {
+            const original = xliffFile.original || '';
+            const { path: sourcePath, namespace, extension } = resolveOriginal(original, { sourceLanguage, sourceDir: config.sourceDir });
+            // The source document is the template for formats that need one (PO headers, Android attributes)
+            const source = sourcePath ? readLocaleFile(sourcePath, { language: sourceLanguage, source: true }) : null;
+            const format = source?.format || getFormat(original || extension);
+            // Same mapping as translate, so Android and iOS targets land in their platform folders
+            const outputFile = getTargetPath({ path: sourcePath || original, namespace, format }, lang, { outputDir, resourceDir: options.output, sourceLanguage });
+
+            const imported = {};
+            for (const unit of xliffFile.units) {
+              if (IMPORTABLE_STATES.includes(unit.state) && unit.target) {
+                imported[unit.key] = unit.target;
+              }
+              const contextNote = unit.notes.find(note => note.category === 'context');
+              if (contextNote) {
+                contextUpdates[unit.key] = contextNote.text;
+              }
+            }
+
+            const importedCount = Object.keys(imported).length;
+            if (importedCount === 0) continue;
+
+            // Merge into the existing target file, the same way incremental mode does
+            let existing = { data: {}, document: undefined };
+            if (existsSync(outputFile)) {
+              existing = readLocaleFile(outputFile, { language: lang });
+            }
+
+            const order = unflattenObject(Object.fromEntries(xliffFile.units.map(unit => [unit.key, ''])));
+            const merged = mergeInOrder(existing.data, unflattenObject(imported), order);
+            mkdirSync(dirname(outputFile), { recursive: true });
+            writeFileSync(outputFile, format.serialize(merged, { language: lang, document: existing.document, sourceDocument: source?.document }), 'utf8');
+            saved.push({ outputFile, lang, importedCount });
+          }
+        }
+
+        spinner.succeed(chalk.green(`Imported ${files.length} XLIFF file${files.length !== 1 ? 's' : ''}`));
+
+        saved.forEach(({ outputFile, importedCount }) => {
+          logger.success(`Saved: ${chalk.cyan(outputFile)} ${chalk.gray(`(${importedCount} translation${importedCount !== 1 ? 's' : ''} merged)`)}`);
+        });
+
+        if (saved.length === 0) {
+          logger.info('No translated units found - nothing to import');
+        }
+
+        if (options.contextFile && Object.keys(contextUpdates).length > 0) {
+          const contextAnnotations = { ...loadContextFile(options.contextFile), ...contextUpdates };
+          writeFileSync(options.contextFile, JSON.stringify(contextAnnotations, null, 2), 'utf8');
+          logger.success(`Saved: ${chalk.cyan(options.contextFile)} ${chalk.gray(`(${Object.keys(contextUpdates).length} context notes)`)}`);
+        }
+
+        if (logger.json) {
+          printResult({
+            files: saved.map(({ outputFile, lang, importedCount }) => ({ path: outputFile, language: lang, imported: importedCount })),
+            imported: saved.reduce((sum, { importedCount }) => sum + importedCount, 0),
+            contextFile: options.contextFile && Object.keys(contextUpdates).length > 0 ? options.contextFile : null,
+          });
+        }
+
+      } catch (error) {
+        spinner.fail();
+        logger.log('');
+        reportError(error);
+        process.exit(1);
+      }
+    });
+}
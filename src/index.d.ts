@@ -0,0 +1,250 @@
+/**
+ * Type declarations for the programmatic API (src/index.js)
+ */
+
+export interface Shipi18nAPIOptions {
+  /** Retries after a failed attempt (default: 3) */
+  retries?: number;
+  /** Timeout per attempt in milliseconds (default: 60000) */
+  timeout?: number;
+  /** Base delay for exponential backoff in milliseconds (default: 1000) */
+  retryDelay?: number;
+  /** Longest wait between attempts, including Retry-After (default: 30000) */
+  maxRetryDelay?: number;
+  /** API URL (default: SHIPI18N_API_URL or the Shipi18n API) */
+  baseUrl?: string;
+  /** Called before waiting for the next attempt */
+  onRetry?: (retry: { attempt: number; attempts: number; delay: number; reason: string }) => void;
+}
+
+export interface TranslateJSONOptions {
+  json: Record<string, unknown> | string;
+  sourceLanguage?: string;
+  targetLanguages: string[];
+  preservePlaceholders?: boolean;
+  htmlHandling?: 'none' | 'strip' | 'decode' | 'preserve';
+  fallback?: {
+    fallbackToSource?: boolean;
+    regionalFallback?: boolean;
+    fallbackLanguage?: string;
+  };
+  skipKeys?: string[];
+  skipPaths?: string[];
+  contextAnnotations?: Record<string, string>;
+  chunkSize?: number;
+  concurrency?: number;
+  languagesPerRequest?: number;
+  onProgress?: (progress: Record<string, { done: number; total: number }>) => void;
+  memory?: { get: Function; set: Function };
+  glossary?: Record<string, unknown>;
+}
+
+/**
+ * Translations per language, plus metadata such as `warnings`, `fallbackInfo`,
+ * `skipped`, `failed` and `cached`
+ */
+export type TranslationResult = Record<string, any>;
+
+/** Error thrown by Shipi18nAPI requests */
+export interface Shipi18nAPIError extends Error {
+  status?: number;
+  code?: string;
+  attempts?: Array<{ status?: number; message: string }>;
+}
+
+export class Shipi18nAPI {
+  constructor(apiKey?: string, options?: Shipi18nAPIOptions);
+  apiKey: string | undefined;
+  baseUrl: string;
+  retries: number;
+  timeout: number;
+
+  request<T = any>(path: string, options?: { method?: string; body?: unknown; errorMessage?: string }): Promise<T>;
+  translateJSON(options: TranslateJSONOptions): Promise<TranslationResult>;
+  findCachedTranslations(options: Omit<TranslateJSONOptions, 'memory'> & { memory?: { get: Function } }): Record<string, Record<string, string>>;
+  processRegionalLanguages(targetLanguages: string[], regionalFallback: boolean): {
+    processedTargets: string[];
+    regionalMap: Record<string, string>;
+  };
+  listKeys(): Promise<any>;
+  deleteKey(keyId: string): Promise<any>;
+  exportKeys(format?: string): Promise<any>;
+}
+
+export interface MockServerOptions {
+  /** Port to listen on (default: 0, any free port) */
+  port?: number;
+  /** Host to listen on (default: 127.0.0.1) */
+  host?: string;
+  /** Delay before each response in milliseconds (default: 0) */
+  latency?: number;
+  /** Errors to answer with, in order, e.g. "429:2" (the next 2 requests) or { status: 500 } (all) */
+  errors?: Array<string | { status: 401 | 429 | 500; times?: number }>;
+  /** Retry-After header of 429 responses, in seconds (default: 1) */
+  retryAfter?: number;
+  /** Languages left out of translation responses */
+  missingLanguages?: string[];
+  /** Keys (and the keys under them) left out of every translation */
+  missingKeys?: string[];
+  /** Only accept this API key (default: any non-empty key) */
+  apiKey?: string | null;
+  /** Translation keys to start with */
+  keys?: Array<{ keyName: string; sourceValue: unknown; translations?: Record<string, unknown> }>;
+  /** Called after each response */
+  onRequest?: (request: { method: string; path: string; status: number }) => void;
+}
+
+export interface MockServerKey {
+  id: string;
+  keyName: string;
+  sourceValue: unknown;
+  translations: Record<string, unknown>;
+}
+
+export interface MockServer {
+  url: string;
+  port: number;
+  /** Live settings: change them between requests to script a scenario */
+  options: Required<Omit<MockServerOptions, 'port' | 'host' | 'keys' | 'onRequest'>> & Pick<MockServerOptions, 'onRequest'>;
+  requests: Array<{ method: string; path: string; body: any }>;
+  keys: Map<string, MockServerKey>;
+  close(): Promise<void>;
+}
+
+/** Start a local fake Shipi18n API whose translations are the source prefixed with `[language]` */
+export function startMockServer(options?: MockServerOptions): Promise<MockServer>;
+export function mockTranslate<T>(value: T, language: string): T;
+
+/** Merged configuration: env vars > shipi18n.config.json > ~/.shipi18n/config.yml > defaults */
+export interface Shipi18nConfig {
+  apiKey?: string;
+  sourceLanguage: string;
+  targetLanguages?: string[] | string;
+  sourceDir?: string;
+  outputDir: string;
+  fileFormat?: string;
+  framework?: string;
+  incremental?: boolean;
+  verify?: boolean;
+  selfCorrect?: boolean;
+  placeholderCheck?: 'retry' | 'fallback' | 'fail' | 'off';
+  prune?: boolean | 'report';
+  sortKeys?: boolean;
+  glossary?: string;
+  glossaryCheck?: 'warn' | 'fail' | 'off';
+  chunkSize?: number;
+  concurrency?: number;
+  languagesPerRequest?: number;
+  retries?: number | string;
+  timeout?: number | string;
+  cache?: boolean | string;
+  [key: string]: unknown;
+}
+
+export const PROJECT_CONFIG_FILE: string;
+export function getConfig(): Shipi18nConfig;
+export function loadProjectConfig(startDir?: string): Partial<Shipi18nConfig> | null;
+export function findProjectConfig(startDir?: string): string | null;
+export function parseList(value: string | string[] | undefined | null): string[] | null;
+
+type LocaleData = Record<string, any>;
+
+export function flattenObject(obj: LocaleData, prefix?: string): Record<string, unknown>;
+export function unflattenObject(obj: Record<string, unknown>): LocaleData;
+export function deepMerge(target: LocaleData, source: LocaleData): LocaleData;
+export function mergeInOrder(target: LocaleData, source: LocaleData, order?: LocaleData): LocaleData;
+export function sortKeys(obj: LocaleData): LocaleData;
+export function findMissingKeys(sourceJson: LocaleData, targetJson: LocaleData): LocaleData;
+export function countKeys(obj: LocaleData): number;
+export function isSkippedKey(key: string, skipKeys?: string[], skipPaths?: string[]): boolean;
+
+/** Options of `shipi18n translate`, in camelCase */
+export interface TranslateFilesOptions {
+  target?: string | string[];
+  source?: string;
+  output?: string;
+  apiKey?: string;
+  preservePlaceholders?: boolean;
+  htmlHandling?: 'none' | 'strip' | 'decode' | 'preserve';
+  fallback?: boolean;
+  regionalFallback?: boolean;
+  incremental?: boolean;
+  placeholderCheck?: 'retry' | 'fallback' | 'fail' | 'off';
+  verify?: boolean;
+  prune?: boolean;
+  pruneReport?: boolean;
+  glossary?: string;
+  glossaryCheck?: 'warn' | 'fail' | 'off';
+  skipKeys?: string | string[];
+  skipPaths?: string | string[];
+  contextFile?: string;
+  /** Write a ZIP file (true: translations.zip) instead of locale files */
+  zip?: boolean | string;
+  sortKeys?: boolean;
+  chunkSize?: number;
+  concurrency?: number;
+  languagesPerRequest?: number;
+  retries?: number;
+  /** Seconds per API request */
+  timeout?: number;
+  /** false: don't read or update the translation memory */
+  cache?: boolean;
+  /** Estimate the run without calling the API; resolves to a DryRunEstimate */
+  dryRun?: boolean;
+}
+
+export interface TranslateError {
+  message: string;
+  status?: number;
+  code?: string;
+}
+
+export interface TranslatedFile {
+  path: string;
+  language: string;
+  source: string;
+  merged: boolean;
+  translatedKeys: number;
+}
+
+export interface TranslateFilesResult {
+  ok: boolean;
+  files?: TranslatedFile[];
+  zip?: string | null;
+  keys?: { translated: number; new?: number; changed?: number; upToDate?: number };
+  cache?: { reused: number; added: number } | null;
+  orphans?: Array<{ source: string; language: string; keys: string[]; removed: boolean }>;
+  verification?: Array<{ path: string; language: string; key: string; check: string; message: string }>;
+  /** Response metadata per source file (fallbackInfo, skipped, failed, ...) */
+  sources?: Array<{ source: string; [key: string]: unknown }>;
+  warnings?: Array<{ source: string; type?: string; message: string }>;
+  /** Set when glossaryCheck is "fail" and translations break the glossary */
+  glossaryViolations?: Array<{ path: string; language: string; key: string; term: string; expected: string; message: string }>;
+  errors: TranslateError[];
+}
+
+export interface DryRunEstimate {
+  ok: boolean;
+  dryRun: true;
+  sourceLanguage: string;
+  targetLanguages: string[];
+  /** Per language, what would be sent; `cached` strings come from the translation memory instead */
+  languages: Array<{ language: string; baseFor?: string[]; keys: number; characters: number; words: number; cached?: number; new?: number; changed?: number }>;
+  sources: Array<{ source: string; keys: number; characters: number; words: number; skipped: number }>;
+  files: Array<{ language: string; path: string; action: 'create' | 'overwrite' | 'merge' | 'prune' }>;
+  totals: { keys: number; characters: number; words: number; keyTranslations: number; cached?: number; files: number };
+  errors: TranslateError[];
+}
+
+/**
+ * Translate locale files like `shipi18n translate`, without terminal output
+ * Never exits the process; problems are returned in `errors` with `ok: false`.
+ */
+export function translateFiles(
+  inputs?: string | string[],
+  options?: TranslateFilesOptions & { dryRun?: false }
+): Promise<TranslateFilesResult>;
+export function translateFiles(
+  inputs: string | string[] | undefined,
+  options: TranslateFilesOptions & { dryRun: true }
+): Promise<DryRunEstimate | (TranslateFilesResult & { ok: false })>;
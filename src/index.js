@@ -0,0 +1,27 @@
+/**
+ * Programmatic API for build scripts
+ *
+ *   import { translateFiles } from '@shipi18n/cli';
+ *   const result = await translateFiles('locales/en.json', { target: ['es', 'fr'], incremental: true });
+ */
+
+export { translateFiles } from './commands/translate.js';
+export { Shipi18nAPI } from './lib/api.js';
+export { startMockServer, mockTranslate } from './lib/mock-server.js';
+export {
+  getConfig,
+  loadProjectConfig,
+  findProjectConfig,
+  parseList,
+  PROJECT_CONFIG_FILE,
+} from './lib/config.js';
+export {
+  flattenObject,
+  unflattenObject,
+  deepMerge,
+  mergeInOrder,
+  sortKeys,
+  findMissingKeys,
+  countKeys,
+  isSkippedKey,
+} from './utils/incremental.js';
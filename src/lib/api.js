@@ -1,19 +1,309 @@
 import dotenv from 'dotenv';
+import { flattenObject, unflattenObject, isSkippedKey } from '../utils/incremental.js';
+import { glossaryTerms, glossaryForRequest } from './glossary.js';
 dotenv.config();
 
-const API_BASE_URL = process.env.SHIPI18N_API_URL || 'https://ydjkwckq3f.execute-api.us-east-1.amazonaws.com';
+const API_BASE_URL = 'https://ydjkwckq3f.execute-api.us-east-1.amazonaws.com';
+
+const DEFAULT_CHUNK_SIZE = 500;
+const DEFAULT_CONCURRENCY = 3;
+// Keeps chunks of long strings well below request size limits
+const MAX_CHUNK_CHARACTERS = 100000;
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+// Rate limits, gateway errors and request timeouts are worth another try
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const RESPONSE_METADATA_KEYS = ['warnings', 'namespaceInfo', 'skipped', 'contextEnhanced'];
+
+/**
+ * Split flattened translations into chunks of at most maxKeys keys and about maxCharacters of JSON
+ * @param {Object} flat - Flattened translations
+ * @param {Object} options
+ * @param {number} options.maxKeys - Maximum keys per chunk (0 for no limit)
+ * @param {number} options.maxCharacters - Approximate maximum JSON size per chunk
+ * @returns {Object[]} Flattened chunks, in key order
+ */
+export function splitIntoChunks(flat, { maxKeys = DEFAULT_CHUNK_SIZE, maxCharacters = MAX_CHUNK_CHARACTERS } = {}) {
+  const chunks = [];
+  let chunk = {};
+  let count = 0;
+  let size = 0;
+
+  for (const [key, value] of Object.entries(flat)) {
+    const entrySize = JSON.stringify(key).length + JSON.stringify(value ?? null).length;
+    if (count > 0 && ((maxKeys > 0 && count >= maxKeys) || size + entrySize > maxCharacters)) {
+      chunks.push(chunk);
+      chunk = {};
+      count = 0;
+      size = 0;
+    }
+    chunk[key] = value;
+    count++;
+    size += entrySize;
+  }
+
+  if (count > 0) chunks.push(chunk);
+  return chunks;
+}
+
+/**
+ * Map items with an async function, at most `limit` at a time, keeping order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * Merge response metadata (warnings, skipped and context-enhanced keys) of one chunk into the result
+ */
+function mergeMetadata(merged, result) {
+  for (const warning of result.warnings || []) {
+    merged.warnings = merged.warnings || [];
+    const same = merged.warnings.find(existing => existing.type === warning.type);
+    if (same?.details?.keys && warning.details?.keys) {
+      same.details = {
+        ...same.details,
+        keys: [...same.details.keys, ...warning.details.keys],
+        count: (same.details.count || 0) + (warning.details.count || 0),
+      };
+    } else if (!merged.warnings.some(existing => existing.type === warning.type && existing.message === warning.message)) {
+      merged.warnings.push(warning);
+    }
+  }
+
+  for (const key of ['skipped', 'contextEnhanced']) {
+    if (!result[key]) continue;
+    merged[key] = {
+      ...result[key],
+      count: (merged[key]?.count || 0) + (result[key].count || 0),
+      keys: [...(merged[key]?.keys || []), ...(result[key].keys || [])],
+    };
+  }
+
+  if (result.namespaceInfo && !merged.namespaceInfo) {
+    merged.namespaceInfo = result.namespaceInfo;
+  }
+}
+
+/**
+ * Seconds (or an HTTP date) from a Retry-After header, in milliseconds
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) return Math.round(Number(value) * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay up to base * 2^(attempt - 1), capped
+ */
+function backoffDelay(attempt, baseDelay, maxDelay) {
+  return Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)));
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Translation memory lookups for the strings of a request (see utils/cache.js)
+ * @returns {{entry: function(string, string): Object, cacheable: function(string): boolean}}
+ */
+function memoryEntries(sourceFlat, { sourceLanguage, contextAnnotations, preservePlaceholders, htmlHandling, glossary, skipKeys, skipPaths }) {
+  return {
+    entry: (key, targetLanguage) => ({
+      text: sourceFlat[key],
+      sourceLanguage,
+      targetLanguage,
+      context: contextAnnotations[key],
+      preservePlaceholders,
+      htmlHandling,
+      glossary: glossaryTerms(glossary, sourceFlat[key], targetLanguage),
+    }),
+    cacheable: (key) => typeof sourceFlat[key] === 'string' && !isSkippedKey(key, skipKeys, skipPaths),
+  };
+}
 
 /**
  * Shipi18n API Client
  */
 export class Shipi18nAPI {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - API key (default: SHIPI18N_API_KEY)
+   * @param {Object} options
+   * @param {number} options.retries - Retries after a failed attempt (default: 3)
+   * @param {number} options.timeout - Timeout per attempt in milliseconds (default: 60000)
+   * @param {number} options.retryDelay - Base delay for exponential backoff in milliseconds (default: 1000)
+   * @param {number} options.maxRetryDelay - Longest wait between attempts, including Retry-After (default: 30000)
+   * @param {string} options.baseUrl - API URL (default: SHIPI18N_API_URL or the Shipi18n API)
+   * @param {function({attempt: number, attempts: number, delay: number, reason: string})} options.onRetry -
+   *   Called before waiting for the next attempt
+   */
+  constructor(apiKey, {
+    retries = DEFAULT_RETRIES,
+    timeout = DEFAULT_TIMEOUT,
+    retryDelay = DEFAULT_RETRY_DELAY,
+    maxRetryDelay = MAX_RETRY_DELAY,
+    // Read here rather than on import, so tests can point it at a mock server
+    baseUrl = process.env.SHIPI18N_API_URL || API_BASE_URL,
+    onRetry,
+  } = {}) {
     this.apiKey = apiKey || process.env.SHIPI18N_API_KEY;
-    this.baseUrl = API_BASE_URL;
+    this.baseUrl = baseUrl;
+    this.retries = retries;
+    this.timeout = timeout;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.onRetry = onRetry;
+  }
+
+  /**
+   * Send a request to the API and return the JSON response
+   *
+   * Network errors, timeouts, 408, 429 and 5xx responses are retried with jittered
+   * exponential backoff, waiting as long as a Retry-After header asks (up to maxRetryDelay).
+   * Other errors are thrown right away. The error thrown after the last attempt lists
+   * what went wrong on each one.
+   *
+   * @param {string} path - API path, e.g. "/api/keys"
+   * @param {Object} options
+   * @param {string} options.method - HTTP method (default: GET)
+   * @param {Object} options.body - JSON body
+   * @param {string} options.errorMessage - Message when the response has none
+   * @returns {Promise<Object>}
+   * @throws {Error} With `status`, `code` and `attempts` (one entry per attempt)
+   */
+  async request(path, { method = 'GET', body, errorMessage = 'Request failed' } = {}) {
+    const attempts = [];
+    const maxAttempts = this.retries + 1;
+
+    for (let attempt = 1; ; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeout);
+      let error;
+      let retryAfter = null;
+
+      try {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+          method,
+          headers: {
+            ...(body ? { 'Content-Type': 'application/json' } : {}),
+            'X-API-Key': this.apiKey,
+          },
+          body: body ? JSON.stringify(body) : undefined,
+          signal: controller.signal,
+        });
+
+        if (response.ok) {
+          return await response.json();
+        }
+
+        const errorData = await response.json().catch(() => ({ error: { message: response.statusText } }));
+        error = new Error(errorData.error?.message || errorData.message || `${errorMessage}: ${response.statusText}`);
+        error.code = errorData.error?.code;
+        error.status = response.status;
+        error.retryable = RETRYABLE_STATUSES.includes(response.status);
+        retryAfter = parseRetryAfter(response.headers?.get?.('retry-after'));
+      } catch (fetchError) {
+        if (controller.signal.aborted) {
+          error = new Error(`${errorMessage}: no response within ${this.timeout / 1000}s`);
+          error.code = 'ETIMEDOUT';
+        } else {
+          // fetch rejects with "fetch failed" and the system error as its cause
+          error = new Error(`${errorMessage}: ${fetchError.cause?.message || fetchError.message}`);
+          error.code = fetchError.cause?.code || fetchError.code;
+        }
+        error.retryable = true;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      attempts.push({ status: error.status, code: error.code, message: error.message });
+
+      const tooLong = retryAfter !== null && retryAfter > this.maxRetryDelay;
+      if (!error.retryable || attempt >= maxAttempts || tooLong) {
+        if (attempts.length > 1 || tooLong) {
+          const reasons = attempts.map(({ status, code, message }) => status || code || message).join(', ');
+          error.message = `${error.message} (gave up after ${attempts.length} attempt${attempts.length > 1 ? 's' : ''}: ${reasons}` +
+            `${tooLong ? `; server asked to wait ${Math.ceil(retryAfter / 1000)}s` : ''})`;
+        }
+        error.attempts = attempts;
+        delete error.retryable;
+        throw error;
+      }
+
+      const delay = retryAfter ?? backoffDelay(attempt, this.retryDelay, this.maxRetryDelay);
+      this.onRetry?.({ attempt, attempts: maxAttempts, delay, reason: error.status ? `${error.status} ${error.message}` : error.message });
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Translations the memory already has, per target language
+   * translateJSON doesn't send these strings; dry runs use this to leave them out of
+   * their estimate. Regional codes are looked up as given, without their base language.
+   * @param {Object} options - Request as for translateJSON (json, sourceLanguage, targetLanguages,
+   *   preservePlaceholders, htmlHandling, skipKeys, skipPaths, contextAnnotations, glossary)
+   * @param {{get: Function}} options.memory - Translation memory
+   * @returns {Object<string, Object<string, string>>} Translations by language, then flattened key
+   */
+  findCachedTranslations({
+    json,
+    sourceLanguage = 'en',
+    targetLanguages,
+    preservePlaceholders = true,
+    htmlHandling = 'none',
+    skipKeys = [],
+    skipPaths = [],
+    contextAnnotations = {},
+    memory,
+    glossary,
+  }) {
+    const sourceFlat = flattenObject(typeof json === 'string' ? JSON.parse(json) : json);
+    const { entry, cacheable } = memoryEntries(sourceFlat, { sourceLanguage, contextAnnotations, preservePlaceholders, htmlHandling, glossary, skipKeys, skipPaths });
+    const cached = {};
+
+    for (const lang of targetLanguages) {
+      cached[lang] = {};
+      if (!memory) continue;
+      for (const key of Object.keys(sourceFlat).filter(cacheable)) {
+        const translation = memory.get(entry(key, lang));
+        if (translation !== undefined) cached[lang][key] = translation;
+      }
+    }
+
+    return cached;
   }
 
   /**
    * Translate JSON file
+   *
+   * Large files are split into chunks of keys (and optionally batches of languages)
+   * that are sent as separate requests, a few at a time. If some requests fail, the
+   * keys they carried are left out of the result and listed in `failed`; if all fail,
+   * the first error is thrown.
+   *
    * @param {Object} options
    * @param {Object|string} options.json - JSON content to translate
    * @param {string} options.sourceLanguage - Source language code
@@ -27,6 +317,15 @@ export class Shipi18nAPI {
    * @param {string[]} options.skipKeys - Exact key paths to skip from translation
    * @param {string[]} options.skipPaths - Glob patterns to skip (e.g., "nav.*", "config.*.secret")
    * @param {Object} options.contextAnnotations - Per-key context hints for disambiguation
+   * @param {number} options.chunkSize - Maximum keys per request (default: 500)
+   * @param {number} options.concurrency - Maximum requests in flight (default: 3)
+   * @param {number} options.languagesPerRequest - Split target languages into batches of this size (default: all in one)
+   * @param {function(Object<string, {done: number, total: number}>)} options.onProgress - Called as chunks
+   *   finish, with the chunks done per language
+   * @param {{get: Function, set: Function}} options.memory - Translation memory: strings it has are
+   *   not sent, and new translations are added to it (see utils/cache.js)
+   * @param {Object} options.glossary - Glossary from loadGlossary; each request carries the entries
+   *   that occur in its text
    */
   async translateJSON({
     json,
@@ -38,6 +337,12 @@ export class Shipi18nAPI {
     skipKeys = [],
     skipPaths = [],
     contextAnnotations = {},
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    concurrency = DEFAULT_CONCURRENCY,
+    languagesPerRequest,
+    onProgress,
+    memory,
+    glossary,
   }) {
     if (!this.apiKey) {
       throw new Error('API key is required. Set SHIPI18N_API_KEY or run: shipi18n config set apiKey YOUR_KEY');
@@ -55,39 +360,193 @@ export class Shipi18nAPI {
     // Process regional languages - add base languages for fallback
     const { processedTargets, regionalMap } = this.processRegionalLanguages(targetLanguages, regionalFallback);
 
-    const response = await fetch(`${this.baseUrl}/api/translate`, {
+    const sourceFlat = flattenObject(sourceContent);
+    const lookup = { sourceLanguage, contextAnnotations, preservePlaceholders, htmlHandling, glossary, skipKeys, skipPaths };
+    const { entry: memoryEntry, cacheable } = memoryEntries(sourceFlat, lookup);
+
+    // Translations the memory already has; languages missing the same keys share requests
+    const cached = this.findCachedTranslations({ ...lookup, json: sourceContent, targetLanguages: processedTargets, memory });
+    const groups = new Map();
+    for (const lang of processedTargets) {
+      const missing = Object.keys(sourceFlat).filter(key => !(key in cached[lang]));
+      const id = missing.join('\n');
+      if (!groups.has(id)) groups.set(id, { languages: [], missing });
+      groups.get(id).languages.push(lang);
+    }
+
+    const tasks = [];
+    const progress = {};
+    for (const { languages: groupLanguages, missing } of groups.values()) {
+      if (missing.length === 0) continue;
+      const complete = missing.length === Object.keys(sourceFlat).length;
+      const chunks = splitIntoChunks(Object.fromEntries(missing.map(key => [key, sourceFlat[key]])), { maxKeys: chunkSize });
+      const batchSize = languagesPerRequest > 0 ? languagesPerRequest : groupLanguages.length;
+
+      for (const lang of groupLanguages) {
+        progress[lang] = { done: 0, total: chunks.length };
+      }
+      for (let i = 0; i < groupLanguages.length; i += batchSize) {
+        const languages = groupLanguages.slice(i, i + batchSize);
+        // A file that fits in one chunk is sent exactly as given
+        if (chunks.length === 1 && complete) {
+          tasks.push({ languages, text: jsonString, keys: missing, contextAnnotations });
+          continue;
+        }
+        for (const chunk of chunks) {
+          tasks.push({
+            languages,
+            text: JSON.stringify(unflattenObject(chunk)),
+            keys: Object.keys(chunk),
+            contextAnnotations: Object.fromEntries(Object.entries(contextAnnotations).filter(([key]) => key in chunk)),
+          });
+        }
+      }
+    }
+
+    const outcomes = await mapWithConcurrency(tasks, concurrency, async (task) => {
+      try {
+        const result = await this.requestTranslation({
+          text: task.text,
+          sourceLanguage,
+          targetLanguages: task.languages,
+          preservePlaceholders,
+          htmlHandling,
+          skipKeys,
+          skipPaths,
+          contextAnnotations: task.contextAnnotations,
+          glossary: glossaryForRequest(glossary, task.text, task.languages),
+        });
+
+        if (memory) {
+          for (const lang of task.languages) {
+            if (!result[lang] || typeof result[lang] !== 'object') continue;
+            const translated = flattenObject(result[lang]);
+            for (const key of task.keys.filter(cacheable)) {
+              if (typeof translated[key] === 'string') memory.set(memoryEntry(key, lang), translated[key]);
+            }
+          }
+        }
+
+        return { result };
+      } catch (error) {
+        return { error };
+      } finally {
+        task.languages.forEach(lang => progress[lang].done++);
+        onProgress?.(progress);
+      }
+    });
+
+    const failures = tasks.map((task, index) => ({ task, error: outcomes[index].error })).filter(({ error }) => error);
+    if (tasks.length > 0 && failures.length === tasks.length) {
+      throw failures[0].error;
+    }
+
+    // Reassemble the chunks of each language in key order
+    const parsed = {};
+    const parts = {};
+    for (const { result } of outcomes) {
+      if (!result) continue;
+      for (const [lang, value] of Object.entries(result)) {
+        if (RESPONSE_METADATA_KEYS.includes(lang)) continue;
+        (parts[lang] = parts[lang] || []).push(value);
+      }
+      mergeMetadata(parsed, result);
+    }
+    for (const lang of processedTargets) {
+      const values = parts[lang] || [];
+      const hits = Object.keys(cached[lang]).length;
+      if (hits === 0) {
+        if (values.length === 0) continue;
+        if (values.length === 1) {
+          parsed[lang] = values[0];
+          continue;
+        }
+      }
+
+      const merged = Object.assign({}, cached[lang], ...values.map(value => flattenObject(value || {})));
+      // Source key order, then anything else the API returned
+      const ordered = Object.fromEntries(Object.keys(sourceFlat).filter(key => key in merged).map(key => [key, merged[key]]));
+      parsed[lang] = unflattenObject({ ...ordered, ...merged });
+    }
+
+    const failed = {};
+    for (const { task } of failures) {
+      for (const lang of task.languages) {
+        failed[lang] = [...(failed[lang] || []), ...task.keys];
+      }
+    }
+    const allFailed = (lang) => lang in failed && Object.keys(cached[lang]).length === 0 &&
+      tasks.every(task => !task.languages.includes(lang) || failures.some(failure => failure.task === task));
+
+    // Apply fallback logic (not for languages whose every request failed)
+    const result = this.applyFallbacks(
+      parsed,
+      sourceContent,
+      targetLanguages.filter(lang => !allFailed(lang)),
+      sourceLanguage,
+      fallbackToSource,
+      regionalFallback,
+      fallbackLanguage,
+      regionalMap
+    );
+
+    const cachedCounts = Object.fromEntries(
+      Object.entries(cached).map(([lang, hits]) => [lang, Object.keys(hits).length]).filter(([, count]) => count > 0)
+    );
+    if (Object.keys(cachedCounts).length > 0) {
+      result.cached = cachedCounts;
+    }
+
+    if (failures.length > 0) {
+      this.removeFailedKeys(result, failed);
+      result.failed = {
+        requests: failures.length,
+        totalRequests: tasks.length,
+        languages: failed,
+        errors: [...new Set(failures.map(({ error }) => error.message))],
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Send one translation request
+   * @param {Object} options - Request body fields; `text` is the JSON string to translate
+   * @returns {Promise<Object>} Translations per language (parsed) and response metadata
+   */
+  async requestTranslation({
+    text,
+    sourceLanguage,
+    targetLanguages,
+    preservePlaceholders,
+    htmlHandling,
+    skipKeys,
+    skipPaths,
+    contextAnnotations,
+    glossary,
+  }) {
+    const result = await this.request('/api/translate', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': this.apiKey,
-      },
-      body: JSON.stringify({
+      body: {
         inputMethod: 'text',
-        text: jsonString,
+        text,
         sourceLanguage,
-        targetLanguages: JSON.stringify(processedTargets),
+        targetLanguages: JSON.stringify(targetLanguages),
         preservePlaceholders: String(preservePlaceholders),
         htmlHandling,
         skipKeys,
         skipPaths,
         contextAnnotations,
-      }),
+        ...(glossary ? { glossary } : {}),
+      },
+      errorMessage: 'Translation failed',
     });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ error: { message: response.statusText } }));
-      const error = new Error(errorData.error?.message || errorData.message || `Translation failed: ${response.statusText}`);
-      error.code = errorData.error?.code;
-      error.status = response.status;
-      throw error;
-    }
-
-    const result = await response.json();
-
     // Parse JSON strings back to objects
     const parsed = {};
     for (const [lang, jsonStr] of Object.entries(result)) {
-      if (lang === 'warnings' || lang === 'namespaceInfo' || lang === 'skipped' || lang === 'contextEnhanced') {
+      if (RESPONSE_METADATA_KEYS.includes(lang)) {
         parsed[lang] = jsonStr;
         continue;
       }
@@ -98,17 +557,32 @@ export class Shipi18nAPI {
       }
     }
 
-    // Apply fallback logic
-    return this.applyFallbacks(
-      parsed,
-      sourceContent,
-      targetLanguages,
-      sourceLanguage,
-      fallbackToSource,
-      regionalFallback,
-      fallbackLanguage,
-      regionalMap
-    );
+    return parsed;
+  }
+
+  /**
+   * Take keys from failed requests out of a result, including any source fallback they got
+   */
+  removeFailedKeys(result, failed) {
+    for (const [lang, keys] of Object.entries(failed)) {
+      if (result[lang] && typeof result[lang] === 'object') {
+        const flat = flattenObject(result[lang]);
+        keys.forEach(key => delete flat[key]);
+        result[lang] = unflattenObject(flat);
+      }
+
+      const keysFallback = result.fallbackInfo?.keysFallback;
+      if (keysFallback?.[lang]) {
+        keysFallback[lang] = keysFallback[lang].filter(key => !keys.includes(key));
+        if (keysFallback[lang].length === 0) delete keysFallback[lang];
+      }
+    }
+
+    const info = result.fallbackInfo;
+    if (info && info.languagesFallbackToSource.length === 0 &&
+      Object.keys(info.regionalFallbacks).length === 0 && Object.keys(info.keysFallback).length === 0) {
+      delete result.fallbackInfo;
+    }
   }
 
   /**
@@ -279,19 +753,7 @@ export class Shipi18nAPI {
       throw new Error('API key is required');
     }
 
-    const response = await fetch(`${this.baseUrl}/api/keys`, {
-      method: 'GET',
-      headers: {
-        'X-API-Key': this.apiKey,
-      },
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ error: { message: response.statusText } }));
-      throw new Error(errorData.error?.message || errorData.message || 'Failed to list keys');
-    }
-
-    return response.json();
+    return this.request(`/api/keys`, { method: 'GET', errorMessage: 'Failed to list keys' });
   }
 
   /**
@@ -302,19 +764,7 @@ export class Shipi18nAPI {
       throw new Error('API key is required');
     }
 
-    const response = await fetch(`${this.baseUrl}/api/keys/${keyId}`, {
-      method: 'DELETE',
-      headers: {
-        'X-API-Key': this.apiKey,
-      },
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ error: { message: response.statusText } }));
-      throw new Error(errorData.error?.message || errorData.message || 'Failed to delete key');
-    }
-
-    return response.json();
+    return this.request(`/api/keys/${keyId}`, { method: 'DELETE', errorMessage: 'Failed to delete key' });
   }
 
   /**
@@ -325,18 +775,6 @@ export class Shipi18nAPI {
       throw new Error('API key is required');
     }
 
-    const response = await fetch(`${this.baseUrl}/api/keys/export/${format}`, {
-      method: 'GET',
-      headers: {
-        'X-API-Key': this.apiKey,
-      },
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ error: { message: response.statusText } }));
-      throw new Error(errorData.error?.message || errorData.message || 'Failed to export keys');
-    }
-
-    return response.json();
+    return this.request(`/api/keys/export/${format}`, { method: 'GET', errorMessage: 'Failed to export keys' });
   }
 }
@@ -0,0 +1,238 @@
+/**
+ * Consistency checks between a source file and its translations, used offline
+ * by `shipi18n check` and on fresh API results by `translate`
+ */
+
+import { flattenObject, unflattenObject, findMissingKeys } from '../utils/incremental.js';
+import { comparePlaceholders } from '../utils/placeholders.js';
+import { escapeXML } from './xml.js';
+
+export const CHECKS = ['missing', 'extra', 'empty', 'identical', 'placeholders'];
+
+/**
+ * Base language of a language code, e.g. "en-GB" -> "en"
+ * Source and target with the same base may keep identical text.
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export function baseLanguage(language) {
+  return language.split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Whether a translated value counts as empty (missing or only whitespace)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Check one target language against the source
+ * @param {Object} sourceData - Source translations
+ * @param {Object} targetData - Target translations
+ * @param {Object} options
+ * @param {string[]} options.checks - Checks to run (default: all of CHECKS)
+ * @param {boolean} options.sameLanguage - Source and target share a base language (en/en-GB),
+ *   so identical values are expected
+ * @returns {Array<{key: string, check: string, message: string}>}
+ */
+export function checkTranslations(sourceData, targetData, { checks = CHECKS, sameLanguage = false } = {}) {
+  const sourceFlat = flattenObject(sourceData);
+  const targetFlat = flattenObject(targetData);
+  const issues = [];
+  const add = (key, check, message) => issues.push({ key, check, message });
+
+  if (checks.includes('missing')) {
+    for (const key of Object.keys(flattenObject(findMissingKeys(sourceData, targetData)))) {
+      add(key, 'missing', 'Missing translation');
+    }
+  }
+
+  if (checks.includes('extra')) {
+    for (const key of Object.keys(targetFlat)) {
+      if (!(key in sourceFlat)) add(key, 'extra', 'Key not in source');
+    }
+  }
+
+  for (const [key, source] of Object.entries(sourceFlat)) {
+    if (!(key in targetFlat)) continue;
+    const target = targetFlat[key];
+
+    if (isEmpty(target)) {
+      if (checks.includes('empty') && !isEmpty(source)) add(key, 'empty', 'Empty translation');
+      continue;
+    }
+
+    if (checks.includes('identical') && !sameLanguage && typeof source === 'string' &&
+      target === source && /\p{L}/u.test(source)) {
+      add(key, 'identical', 'Same as source');
+    }
+
+    if (checks.includes('placeholders') && typeof source === 'string' && typeof target === 'string') {
+      const { missing, extra } = comparePlaceholders(source, target);
+      const problems = [
+        missing.length > 0 ? `missing ${missing.join(', ')}` : null,
+        extra.length > 0 ? `unexpected ${extra.join(', ')}` : null,
+      ].filter(Boolean);
+      if (problems.length > 0) add(key, 'placeholders', `Placeholder mismatch: ${problems.join('; ')}`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Build a JSON report
+ * @param {Array<{source: string, target: string, language: string, keys: number, issues: Object[]}>} results
+ * @returns {Object}
+ */
+export function buildJSONReport(results) {
+  const byCheck = Object.fromEntries(CHECKS.map(check => [check, 0]));
+  for (const result of results) {
+    for (const issue of result.issues) byCheck[issue.check]++;
+  }
+  const issueCount = results.reduce((sum, result) => sum + result.issues.length, 0);
+
+  return {
+    ok: issueCount === 0,
+    summary: { files: results.length, issues: issueCount, byCheck },
+    results,
+  };
+}
+
+/**
+ * Build a JUnit XML report: one suite per target file, a failing test case per key with issues
+ * @param {Array<{source: string, target: string, language: string, keys: number, issues: Object[]}>} results
+ * @returns {string}
+ */
+export function buildJUnitReport(results) {
+  const lines = [];
+  let totalTests = 0;
+  let totalFailures = 0;
+
+  for (const result of results) {
+    const issuesByKey = new Map();
+    for (const issue of result.issues) {
+      if (!issuesByKey.has(issue.key)) issuesByKey.set(issue.key, []);
+      issuesByKey.get(issue.key).push(issue);
+    }
+    // Keys without issues pass; extra keys only show up as failures
+    const tests = result.keys + result.issues.filter(issue => issue.check === 'extra').length;
+    const failures = issuesByKey.size;
+    totalTests += tests;
+    totalFailures += failures;
+
+    lines.push(`  <testsuite name="${escapeXML(`${result.language} (${result.target})`)}" tests="${tests}" failures="${failures}">`);
+    for (const [key, issues] of issuesByKey) {
+      lines.push(`    <testcase classname="${escapeXML(result.target)}" name="${escapeXML(key)}">`);
+      for (const issue of issues) {
+        lines.push(`      <failure type="${issue.check}" message="${escapeXML(issue.message)}"/>`);
+      }
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="shipi18n check" tests="${totalTests}" failures="${totalFailures}">`,
+    ...lines,
+    '</testsuites>',
+  ].join('\n') + '\n';
+}
+
+export const PLACEHOLDER_CHECK_MODES = ['retry', 'fallback', 'fail', 'off'];
+
+function hasPlaceholderMismatch(source, target) {
+  const { missing, extra } = comparePlaceholders(source, target);
+  return missing.length > 0 || extra.length > 0;
+}
+
+/**
+ * Verify the placeholders of a translateJSON result and repair broken keys
+ *
+ * Modes:
+ * - retry: re-request only the broken keys once, then fall back to source for any still broken
+ *   (also when the retry request itself fails)
+ * - fallback: use the source text for broken keys
+ * - fail: throw, listing the broken keys
+ * - off: don't check
+ *
+ * @param {Object} translations - translateJSON result, repaired in place
+ * @param {Object} sourceData - JSON that was sent for translation
+ * @param {Object} options
+ * @param {string[]} options.languages - Languages in the result to check
+ * @param {string} options.mode - One of PLACEHOLDER_CHECK_MODES
+ * @param {function(Object, string[]): Promise<Object>} options.retry - Translates a subset of
+ *   the source into the given languages (used by the retry mode)
+ * @returns {Promise<{retried: Object<string, string[]>, fallback: Object<string, string[]>, retryError?: string}|null>}
+ *   Keys fixed by re-translating and keys that fell back to source, per language, and why the
+ *   retry failed if it did; null if all matched
+ */
+export async function verifyPlaceholders(translations, sourceData, { languages, mode = 'fallback', retry } = {}) {
+  if (mode === 'off') return null;
+
+  const sourceFlat = flattenObject(sourceData);
+  const targetFlats = {};
+  const broken = {};
+
+  for (const language of languages) {
+    targetFlats[language] = flattenObject(translations[language] || {});
+    const keys = Object.keys(sourceFlat).filter(key =>
+      typeof sourceFlat[key] === 'string' &&
+      typeof targetFlats[language][key] === 'string' &&
+      hasPlaceholderMismatch(sourceFlat[key], targetFlats[language][key])
+    );
+    if (keys.length > 0) broken[language] = keys;
+  }
+
+  const brokenLanguages = Object.keys(broken);
+  if (brokenLanguages.length === 0) return null;
+
+  if (mode === 'fail') {
+    const list = brokenLanguages.map(language => `${language}: ${broken[language].join(', ')}`).join('; ');
+    throw new Error(`Placeholder mismatch in translated keys (${list})`);
+  }
+
+  const info = { retried: {}, fallback: {} };
+
+  if (mode === 'retry' && retry) {
+    const keys = [...new Set(brokenLanguages.flatMap(language => broken[language]))];
+    const json = unflattenObject(Object.fromEntries(keys.map(key => [key, sourceFlat[key]])));
+    let retried = {};
+    try {
+      retried = await retry(json, brokenLanguages);
+    } catch (error) {
+      // A failed retry leaves every broken key to the source fallback below
+      info.retryError = error.message;
+    }
+
+    for (const language of brokenLanguages) {
+      const retriedFlat = flattenObject(retried?.[language] || {});
+      broken[language] = broken[language].filter(key => {
+        const candidate = retriedFlat[key];
+        if (typeof candidate !== 'string' || hasPlaceholderMismatch(sourceFlat[key], candidate)) return true;
+
+        targetFlats[language][key] = candidate;
+        (info.retried[language] = info.retried[language] || []).push(key);
+        return false;
+      });
+    }
+  }
+
+  for (const language of brokenLanguages) {
+    if (broken[language].length === 0) continue;
+    for (const key of broken[language]) {
+      targetFlats[language][key] = sourceFlat[key];
+    }
+    info.fallback[language] = broken[language];
+  }
+
+  for (const language of brokenLanguages) {
+    translations[language] = unflattenObject(targetFlats[language]);
+  }
+
+  return info;
+}
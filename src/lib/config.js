@@ -1,40 +1,171 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { join } from 'path';
+import { join, dirname, resolve, relative, isAbsolute } from 'path';
 import { homedir } from 'os';
 import YAML from 'yaml';
 
-const CONFIG_DIR = join(homedir(), '.shipi18n');
+export const CONFIG_DIR = process.env.SHIPI18N_CONFIG_DIR || join(homedir(), '.shipi18n');
 const CONFIG_FILE = join(CONFIG_DIR, 'config.yml');
 
+export const PROJECT_CONFIG_FILE = 'shipi18n.config.json';
+
+// Project config keys holding paths relative to the config file's directory
+const PROJECT_PATH_KEYS = ['sourceDir', 'outputDir', 'glossary'];
+
+const DEFAULTS = {
+  sourceLanguage: 'en',
+  outputDir: './locales',
+};
+
+/**
+ * Normalize a comma-separated string or array (as config values may be either) into a trimmed list
+ * @param {string|string[]} value - e.g. "es, fr" or ["es", "fr"]
+ * @returns {string[]|null} List, or null when the value is empty
+ */
+export function parseList(value) {
+  if (!value) return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Read a whole-number setting (CLI flag, env var or config value, which may be strings)
+ * @param {string|number} value - e.g. "5"
+ * @param {string} name - Setting name for the error message
+ * @param {Object} options
+ * @param {number} options.min - Smallest allowed value (default: 1)
+ * @returns {number|undefined} The number, or undefined when the value is unset
+ * @throws {Error} If the value is set but isn't a whole number of at least `min`
+ */
+export function parseCount(value, name, { min = 1 } = {}) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`${name} must be a whole number of at least ${min} (got ${value})`);
+  }
+  return number;
+}
+
+/**
+ * Retry and timeout options for Shipi18nAPI from config and command-line flags
+ * @param {Object} config - Merged config (`retries`, `timeout` in seconds)
+ * @param {Object} options - Command options that override it
+ * @returns {{retries: number|undefined, timeout: number|undefined}} Timeout in milliseconds
+ */
+export function getRequestOptions(config, options = {}) {
+  const timeout = parseCount(options.timeout ?? config.timeout, 'Timeout');
+  return {
+    retries: parseCount(options.retries ?? config.retries, 'Retries', { min: 0 }),
+    timeout: timeout && timeout * 1000,
+  };
+}
+
+/**
+ * Walk up from a directory looking for shipi18n.config.json
+ * @param {string} startDir - Directory to start searching from
+ * @returns {string|null} Absolute path to the project config, or null if none found
+ */
+export function findProjectConfig(startDir = process.cwd()) {
+  let dir = resolve(startDir);
+
+  while (true) {
+    const candidate = join(dir, PROJECT_CONFIG_FILE);
+    if (existsSync(candidate)) {
+      return candidate;
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Load the project config generated by `shipi18n init`
+ * Path settings are rewritten relative to cwd so they work from any subdirectory.
+ * @param {string} startDir - Directory to start searching from
+ * @returns {Object|null} Project config, or null if none found
+ */
+export function loadProjectConfig(startDir = process.cwd()) {
+  const configPath = findProjectConfig(startDir);
+  if (!configPath) {
+    return null;
+  }
+
+  let projectConfig;
+  try {
+    projectConfig = JSON.parse(readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${configPath}: ${error.message}`);
+  }
+
+  const projectRoot = dirname(configPath);
+  for (const key of PROJECT_PATH_KEYS) {
+    const value = projectConfig[key];
+    if (typeof value === 'string' && !isAbsolute(value)) {
+      projectConfig[key] = relative(resolve(startDir), join(projectRoot, value)) || '.';
+    }
+  }
+
+  return projectConfig;
+}
+
+/**
+ * Read the user config file (~/.shipi18n/config.yml)
+ */
+function readUserConfig() {
+  if (!existsSync(CONFIG_FILE)) {
+    return {};
+  }
+
+  try {
+    const fileContent = readFileSync(CONFIG_FILE, 'utf8');
+    return YAML.parse(fileContent) || {};
+  } catch (error) {
+    console.warn(`Warning: Could not read config file: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Fill keys that are still unset in config from a lower-priority layer
+ */
+function mergeMissing(config, layer) {
+  Object.keys(layer).forEach((key) => {
+    if (config[key] === undefined || config[key] === null) {
+      config[key] = layer[key];
+    }
+  });
+}
+
 /**
- * Get configuration from file or environment variables
+ * Get configuration from environment variables, project config and user config file
+ * Priority: env vars > shipi18n.config.json > ~/.shipi18n/config.yml > defaults
+ * (command-line flags are applied on top by each command)
+ * @throws {Error} If shipi18n.config.json isn't valid JSON, so commands don't run on the defaults
  */
 export function getConfig() {
   const config = {
     apiKey: process.env.SHIPI18N_API_KEY,
-    sourceLanguage: process.env.SHIPI18N_SOURCE_LANG || 'en',
+    sourceLanguage: process.env.SHIPI18N_SOURCE_LANG,
     targetLanguages: process.env.SHIPI18N_TARGET_LANGS?.split(','),
-    outputDir: process.env.SHIPI18N_OUTPUT_DIR || './locales',
-    saveKeys: process.env.SHIPI18N_SAVE_KEYS === 'true',
+    outputDir: process.env.SHIPI18N_OUTPUT_DIR,
+    saveKeys: process.env.SHIPI18N_SAVE_KEYS
+      ? process.env.SHIPI18N_SAVE_KEYS === 'true'
+      : undefined,
+    retries: process.env.SHIPI18N_RETRIES,
+    timeout: process.env.SHIPI18N_TIMEOUT,
   };
 
-  // Try to read from config file
-  if (existsSync(CONFIG_FILE)) {
-    try {
-      const fileContent = readFileSync(CONFIG_FILE, 'utf8');
-      const fileConfig = YAML.parse(fileContent);
-
-      // Merge with priority: env vars > config file
-      Object.keys(fileConfig).forEach((key) => {
-        if (config[key] === undefined || config[key] === null) {
-          config[key] = fileConfig[key];
-        }
-      });
-    } catch (error) {
-      console.warn(`Warning: Could not read config file: ${error.message}`);
-    }
+  const projectConfig = loadProjectConfig();
+  if (projectConfig) {
+    mergeMissing(config, projectConfig);
   }
 
+  mergeMissing(config, readUserConfig());
+  mergeMissing(config, DEFAULTS);
+
   return config;
 }
 
@@ -66,9 +197,10 @@ export function getConfigValue(key) {
 
 /**
  * Set a specific config value
+ * Only the user config file is rewritten - env and project settings are not copied into it.
  */
 export function setConfigValue(key, value) {
-  const config = getConfig();
+  const config = readUserConfig();
   config[key] = value;
   saveConfig(config);
 }
@@ -0,0 +1,51 @@
+/**
+ * Key-level differences between two versions of locale files, for `shipi18n diff`
+ */
+
+import { flattenObject } from '../utils/incremental.js';
+
+/**
+ * Compare two versions of a locale file
+ * Keys are flattened (nav.home); added and changed keys follow the order of the
+ * new version, removed keys the order of the old one.
+ * @param {Object} before - Old translations ({} for a new file)
+ * @param {Object} after - New translations ({} for a deleted file)
+ * @returns {{added: Array<{key: string, value: *}>, changed: Array<{key: string, from: *, to: *}>,
+ *   removed: Array<{key: string, value: *}>}}
+ */
+export function diffLocaleData(before, after) {
+  const beforeFlat = flattenObject(before);
+  const afterFlat = flattenObject(after);
+  const added = [];
+  const changed = [];
+
+  for (const [key, value] of Object.entries(afterFlat)) {
+    if (!(key in beforeFlat)) {
+      added.push({ key, value });
+    } else if (JSON.stringify(beforeFlat[key]) !== JSON.stringify(value)) {
+      changed.push({ key, from: beforeFlat[key], to: value });
+    }
+  }
+
+  const removed = Object.entries(beforeFlat)
+    .filter(([key]) => !(key in afterFlat))
+    .map(([key, value]) => ({ key, value }));
+
+  return { added, changed, removed };
+}
+
+/**
+ * Build a diff report from per-file differences, leaving out files without any
+ * @param {Array<{path: string, added: Object[], changed: Object[], removed: Object[]}>} files
+ * @returns {{changed: boolean, summary: {files: number, added: number, changed: number, removed: number}, files: Object[]}}
+ */
+export function buildDiffReport(files) {
+  const withChanges = files.filter(file => file.added.length + file.changed.length + file.removed.length > 0);
+  const count = (name) => withChanges.reduce((sum, file) => sum + file[name].length, 0);
+
+  return {
+    changed: withChanges.length > 0,
+    summary: { files: withChanges.length, added: count('added'), changed: count('changed'), removed: count('removed') },
+    files: withChanges,
+  };
+}
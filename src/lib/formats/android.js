@@ -0,0 +1,285 @@
+import { basename, dirname, join } from 'path';
+import { parseXML, childElements, textContent, escapeXML, escapeText, serializeXML } from '../xml.js';
+import { unflattenObject, translationKeys } from '../../utils/incremental.js';
+
+/**
+ * Android string resources (res/values/strings.xml)
+ *
+ * - <string name="x"> -> { x: "..." }
+ * - <plurals name="x"> -> { x: { one: "...", other: "..." } }
+ * - <string-array name="x"> -> { x: { 0: "...", 1: "..." } }
+ *
+ * Strings marked translatable="false" are left out. Comments right before a
+ * resource become its context annotation. Dotted names (`settings.title`) nest
+ * like JSON keys; names that can't (`title` next to `title.short`) get a short
+ * hash, and the original name is kept in the document.
+ */
+
+const INDENT = '    ';
+const QUANTITIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+const ENTITY = /&(?![a-zA-Z]+;|#\d+;|#x[0-9a-fA-F]+;)/g;
+
+/**
+ * Android resource qualifier for a language code
+ * e.g. "es" -> "es", "pt-BR" -> "pt-rBR", "zh-Hans" -> "b+zh+Hans"
+ * @param {string} language - BCP 47 language code
+ * @returns {string}
+ */
+export function androidQualifier(language) {
+  const parts = language.split(/[-_]/);
+  if (parts.length === 1) return parts[0];
+  if (parts.length === 2 && /^([a-zA-Z]{2}|\d{3})$/.test(parts[1])) {
+    return `${parts[0]}-r${parts[1].toUpperCase()}`;
+  }
+  return `b+${parts.join('+')}`;
+}
+
+// Backslash escapes from the Android resource compiler
+function unescapeAndroid(value) {
+  return value.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escape) => {
+    if (escape.length === 5) return String.fromCharCode(parseInt(escape.slice(1), 16));
+    switch (escape) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      default: return escape;
+    }
+  });
+}
+
+function escapeAndroid(value) {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/^([@?])/, '\\$1');
+}
+
+function hasMarkup(node) {
+  return node.children.some(child => child.type === 'element');
+}
+
+/**
+ * Read the text of a <string> or <item>
+ * Values with inline markup (<b>, <xliff:g>) keep it as XML so it survives translation.
+ */
+function readValue(node) {
+  if (hasMarkup(node)) {
+    return node.children
+      .map(child => (child.type === 'text' ? escapeText(unescapeAndroid(child.value)) : serializeXML(child)))
+      .join('');
+  }
+
+  let text = textContent(node);
+  // "Quoted" values keep their whitespace and apostrophes as-is
+  if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) {
+    text = text.slice(1, -1);
+  }
+  return unescapeAndroid(text);
+}
+
+function writeValue(value, markup) {
+  if (markup) {
+    return String(value)
+      .split(/(<[^>]+>)/)
+      .map(part => (part.startsWith('<') ? part : escapeAndroid(part).replace(ENTITY, '&amp;')))
+      .join('');
+  }
+  return escapeText(escapeAndroid(String(value)));
+}
+
+function looksLikeMarkup(value) {
+  return /<[a-zA-Z][^>]*>/.test(String(value));
+}
+
+function attributesOf(node) {
+  return Object.entries(node.attributes)
+    .filter(([name]) => name !== 'name' && name !== 'translatable')
+    .map(([name, value]) => ` ${name}="${escapeXML(value)}"`)
+    .join('');
+}
+
+/**
+ * Serialize one resource from its data value
+ */
+function writeResource(entry, value) {
+  const name = escapeXML(entry.name);
+  const markupOf = (key, itemValue) => entry.markup?.[key] ?? looksLikeMarkup(itemValue);
+
+  if (entry.type === 'string') {
+    return [`${INDENT}<string name="${name}"${entry.attributes || ''}>${writeValue(value, markupOf('', value))}</string>`];
+  }
+
+  const lines = [`${INDENT}<${entry.type} name="${name}"${entry.attributes || ''}>`];
+  if (entry.type === 'plurals') {
+    for (const quantity of QUANTITIES) {
+      if (value[quantity] === undefined) continue;
+      lines.push(`${INDENT}${INDENT}<item quantity="${quantity}">${writeValue(value[quantity], markupOf(quantity, value[quantity]))}</item>`);
+    }
+  } else {
+    const indexes = Object.keys(value).sort((a, b) => Number(a) - Number(b));
+    for (const index of indexes) {
+      lines.push(`${INDENT}${INDENT}<item>${writeValue(value[index], markupOf(index, value[index]))}</item>`);
+    }
+  }
+  lines.push(`${INDENT}</${entry.type}>`);
+  return lines;
+}
+
+function resourceType(value) {
+  if (typeof value === 'string') return 'string';
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length > 0 && keys.every(key => /^\d+$/.test(key))) return 'string-array';
+    if (keys.length > 0 && keys.every(key => QUANTITIES.includes(key))) return 'plurals';
+  }
+  return null;
+}
+
+export const androidFormat = {
+  name: 'android',
+  label: 'Android XML',
+  extensions: ['.xml'],
+  placeholders: 'printf',
+
+  /**
+   * Names of <plurals> resources, which get the quantities each target language needs
+   * @param {Object} document - Parsed source document
+   * @returns {string[]}
+   */
+  pluralKeys(document) {
+    return document.entries.filter(entry => entry.type === 'plurals').map(entry => entry.translationKey);
+  },
+
+  /**
+   * Translations go to a values-{qualifier}/ folder next to values/
+   * @param {string} sourcePath - Source file, e.g. res/values/strings.xml
+   * @param {string} language - Target language code
+   * @param {Object} options
+   * @param {string} [options.resourceDir] - res/ directory to write to instead
+   * @returns {string}
+   */
+  outputPath(sourcePath, language, { resourceDir } = {}) {
+    const valuesDir = dirname(sourcePath);
+    const baseDir = resourceDir || (/^values(-|$)/.test(basename(valuesDir)) ? dirname(valuesDir) : valuesDir);
+    return join(baseDir, `values-${androidQualifier(language)}`, basename(sourcePath));
+  },
+
+  /**
+   * Parse a strings.xml file
+   * @param {string} content - File content
+   * @param {Object} options
+   * @param {boolean} options.source - Source file: comments become context annotations
+   * @returns {{data: Object, document: Object, context: Object}}
+   */
+  parse(content, { source = false } = {}) {
+    const root = parseXML(content);
+    if (root.name !== 'resources') {
+      throw new Error(`Expected <resources>, found <${root.name}>`);
+    }
+
+    const names = root.children
+      .filter(node => node.type === 'element' && node.attributes.name)
+      .map(node => node.attributes.name);
+    const keys = translationKeys(names);
+    const data = {};
+    const context = {};
+    const entries = [];
+    let comment = null;
+
+    for (const node of root.children) {
+      if (node.type === 'comment') {
+        comment = node.value.trim();
+        entries.push({ type: 'comment', text: node.value });
+        continue;
+      }
+      if (node.type !== 'element') continue;
+
+      const name = node.attributes.name;
+      const annotation = comment;
+      comment = null;
+      if (!name || node.attributes.translatable === 'false') continue;
+
+      const key = keys[name];
+      const entry = { type: node.name, name, translationKey: key, attributes: attributesOf(node), markup: {} };
+
+      if (node.name === 'string') {
+        data[key] = readValue(node);
+        entry.markup[''] = hasMarkup(node);
+      } else if (node.name === 'plurals' || node.name === 'string-array') {
+        const value = {};
+        childElements(node, 'item').forEach((item, index) => {
+          const itemKey = node.name === 'plurals' ? item.attributes.quantity : String(index);
+          if (!itemKey) return;
+          value[itemKey] = readValue(item);
+          entry.markup[itemKey] = hasMarkup(item);
+        });
+        data[key] = value;
+      } else {
+        continue;
+      }
+
+      entries.push(entry);
+
+      if (source && annotation) {
+        if (typeof data[key] === 'string') {
+          context[key] = annotation;
+        } else {
+          for (const itemKey of Object.keys(data[key])) {
+            context[`${key}.${itemKey}`] = annotation;
+          }
+        }
+      }
+    }
+
+    const attributes = Object.entries(root.attributes)
+      .map(([name, value]) => ` ${name}="${escapeXML(value)}"`)
+      .join('');
+
+    return { data: unflattenObject(data), document: { attributes, entries }, context };
+  },
+
+  /**
+   * Serialize translations in the order of the source file
+   * @param {Object} data - Translations
+   * @param {Object} options
+   * @param {Object} options.document - Existing target document
+   * @param {Object} options.sourceDocument - Source document
+   * @returns {string}
+   */
+  serialize(data, { document, sourceDocument } = {}) {
+    const template = sourceDocument || document || { attributes: '', entries: [] };
+    const lines = ['<?xml version="1.0" encoding="utf-8"?>', `<resources${template.attributes}>`];
+    const written = new Set();
+
+    for (const entry of template.entries) {
+      if (entry.type === 'comment') {
+        lines.push(`${INDENT}<!--${entry.text}-->`);
+        continue;
+      }
+      const value = entry.translationKey.split('.').reduce((parent, part) => parent?.[part], data);
+      if (value === undefined || resourceType(value) !== entry.type) continue;
+      lines.push(...writeResource(entry, value));
+      written.add(entry.translationKey);
+    }
+
+    // Resources that aren't in the template (e.g. kept from an existing file); hashed
+    // names can't be mapped back
+    const writeExtra = (name, value) => {
+      if (written.has(name) || name.startsWith('str_')) return;
+      const type = resourceType(value);
+      // `settings` holding the template's `settings.title` is a parent, not a resource
+      const parent = [...written].some(key => key.startsWith(`${name}.`));
+      if (type && !parent) {
+        lines.push(...writeResource({ type, name }, value));
+      } else if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) writeExtra(`${name}.${key}`, child);
+      }
+    };
+    for (const [name, value] of Object.entries(data)) writeExtra(name, value);
+
+    lines.push('</resources>');
+    return lines.join('\n') + '\n';
+  },
+};
@@ -0,0 +1,132 @@
+import { basename, dirname, join } from 'path';
+import { detectJSONStyle, stringifyJSON } from './json.js';
+
+/**
+ * Flutter Application Resource Bundle (.arb) files
+ *
+ * `@key` metadata is kept out of the data sent for translation: descriptions
+ * become context annotations and placeholders are checked after translation.
+ * Translated files get `@@locale` set and no metadata, like `flutter gen-l10n` expects.
+ */
+
+/**
+ * Flutter locale name for a language code (e.g. "pt-BR" -> "pt_BR")
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export function arbLocale(language) {
+  return language.replace(/-/g, '_');
+}
+
+export const arbFormat = {
+  name: 'arb',
+  label: 'ARB',
+  extensions: ['.arb'],
+  detectStyle: detectJSONStyle,
+
+  /**
+   * Translations go next to the source: app_en.arb -> app_es.arb
+   * @param {string} sourcePath - Source file, e.g. lib/l10n/app_en.arb
+   * @param {string} language - Target language code
+   * @param {Object} options
+   * @param {string} [options.resourceDir] - Directory to write to instead
+   * @param {string} [options.sourceLanguage] - Source language, replaced in the file name
+   * @returns {string}
+   */
+  outputPath(sourcePath, language, { resourceDir, sourceLanguage = 'en' } = {}) {
+    const name = basename(sourcePath, '.arb');
+    const sourceLocale = arbLocale(sourceLanguage);
+    let prefix = `${name}_`;
+    if (name === sourceLocale) {
+      prefix = '';
+    } else if (name.endsWith(`_${sourceLocale}`)) {
+      prefix = name.slice(0, name.length - sourceLocale.length);
+    }
+    return join(resourceDir || dirname(sourcePath), `${prefix}${arbLocale(language)}.arb`);
+  },
+
+  /**
+   * Parse an ARB file
+   * @param {string} content - File content
+   * @param {Object} options
+   * @param {boolean} options.source - Source file: descriptions become context annotations
+   * @returns {{data: Object, document: Object, context: Object}}
+   */
+  parse(content, { source = false } = {}) {
+    const arb = JSON.parse(content);
+    if (!arb || typeof arb !== 'object' || Array.isArray(arb)) {
+      throw new Error('Expected a JSON object');
+    }
+
+    const data = {};
+    const context = {};
+    const metadata = {};
+    const globals = {};
+
+    for (const [key, value] of Object.entries(arb)) {
+      if (key.startsWith('@@')) {
+        globals[key] = value;
+      } else if (key.startsWith('@')) {
+        metadata[key.slice(1)] = value;
+      } else if (typeof value === 'string') {
+        data[key] = value;
+      }
+    }
+
+    if (source) {
+      for (const [key, meta] of Object.entries(metadata)) {
+        if (key in data && meta?.description) {
+          context[key] = meta.description;
+        }
+      }
+    }
+
+    return { data, document: { keys: Object.keys(data), metadata, globals, style: detectJSONStyle(content) }, context };
+  },
+
+  /**
+   * Placeholder names each key must keep, from `@key.placeholders`
+   * @param {Object} document - Parsed source document
+   * @returns {Object<string, string[]>}
+   */
+  expectedPlaceholders(document) {
+    const expected = {};
+    for (const [key, meta] of Object.entries(document?.metadata || {})) {
+      const names = Object.keys(meta?.placeholders || {});
+      if (names.length > 0) expected[key] = names;
+    }
+    return expected;
+  },
+
+  /**
+   * Serialize translations with `@@locale` and the source key order
+   * @param {Object} data - Translations
+   * @param {Object} options
+   * @param {string} options.language - Target language
+   * @param {Object} options.style - Style of the file being replaced
+   * @param {Object} options.document - Existing target document
+   * @param {Object} options.sourceDocument - Source document
+   * @returns {string}
+   */
+  serialize(data, { language, style, document, sourceDocument } = {}) {
+    const template = sourceDocument || document || { keys: [] };
+    const output = {};
+
+    // Global attributes other than @@locale only make sense in the existing target file
+    for (const [key, value] of Object.entries(document?.globals || {})) {
+      output[key] = value;
+    }
+    if (language) {
+      output['@@locale'] = arbLocale(language);
+    }
+
+    for (const key of template.keys) {
+      if (typeof data[key] === 'string') output[key] = data[key];
+    }
+    for (const [key, value] of Object.entries(data)) {
+      if (!(key in output) && typeof value === 'string') output[key] = value;
+    }
+
+    return stringifyJSON(output, style || document?.style || sourceDocument?.style);
+  },
+};
@@ -0,0 +1,92 @@
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { jsonFormat } from './json.js';
+import { yamlFormat } from './yaml.js';
+import { poFormat } from './po.js';
+import { androidFormat } from './android.js';
+import { stringsFormat, stringsdictFormat } from './ios.js';
+import { arbFormat } from './arb.js';
+
+/**
+ * Locale file format adapters
+ *
+ * Each adapter exposes:
+ * - parse(content, { language, source }) -> { data, document, context }
+ *   `data` is the nested key/value object sent for translation, `document`
+ *   is an optional format-specific handle reused as a template when writing,
+ *   and `context` holds per-key context annotations found in the file
+ * - serialize(data, { language, document, sourceDocument, style }) -> string
+ *   `document` comes from the existing target file, `sourceDocument` from the source
+ *   and `style` from detectStyle on the file being replaced
+ * - detectStyle(content) (optional) - indentation, line endings and final newline of
+ *   a file, kept when it's rewritten
+ * - outputExtension (optional) - extension for translated files, e.g. `.po` for `.pot` sources
+ * - outputPath(sourcePath, language, { resourceDir, sourceLanguage }) (optional) - where
+ *   translations go when the platform dictates it (Android values-{lang}/, iOS {lang}.lproj/)
+ * - placeholders (optional) - PLACEHOLDER_PATTERNS name to protect during translation
+ * - expectedPlaceholders(sourceDocument) (optional) - { key: [names] } to check after translation
+ */
+const FORMATS = [jsonFormat, yamlFormat, poFormat, androidFormat, stringsFormat, stringsdictFormat, arbFormat];
+
+export const SUPPORTED_EXTENSIONS = FORMATS.flatMap(format => format.extensions);
+
+/**
+ * Get the format adapter for a file (JSON for unknown extensions)
+ * @param {string} filePath - Locale file path
+ * @returns {Object} Format adapter
+ */
+export function getFormat(filePath) {
+  const extension = extname(filePath).toLowerCase();
+  return FORMATS.find(format => format.extensions.includes(extension)) || jsonFormat;
+}
+
+/**
+ * Get a format adapter by name (as written to fileFormat by `shipi18n init`)
+ * @param {string} name - Format name, e.g. "json" or "yaml"
+ * @returns {Object|null} Format adapter
+ */
+export function getFormatByName(name) {
+  return FORMATS.find(format => format.name === name) || null;
+}
+
+/**
+ * Decode file contents, honouring UTF-16 byte order marks (common in .strings files)
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {string}
+ */
+export function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.subarray(2).toString('utf16le');
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  }
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * Read and parse a locale file with the adapter for its extension
+ * @param {string} filePath - Locale file path
+ * @param {Object} options
+ * @param {string} options.language - Language of the file
+ * @param {boolean} options.source - Whether this is the source-language file
+ * @returns {{format: Object, data: Object, document: *, context: Object}}
+ */
+export function readLocaleFile(filePath, { language, source = false } = {}) {
+  const format = getFormat(filePath);
+  const content = decodeText(readFileSync(filePath));
+
+  try {
+    const parsed = format.parse(content, { language, source });
+    return {
+      format,
+      data: parsed.data,
+      document: parsed.document,
+      context: parsed.context || {},
+    };
+  } catch (error) {
+    throw new Error(`Invalid ${format.label} in ${filePath}: ${error.message}`);
+  }
+}
+
+export { jsonFormat, yamlFormat, poFormat, androidFormat, stringsFormat, stringsdictFormat, arbFormat };
@@ -0,0 +1,318 @@
+import { basename, dirname, join } from 'path';
+import { parseXML, childElements, textContent, escapeText } from '../xml.js';
+import { flattenObject, unflattenObject, translationKeys } from '../../utils/incremental.js';
+import { PLURAL_CATEGORIES } from '../../utils/plurals.js';
+
+/**
+ * iOS Localizable.strings and .stringsdict files
+ *
+ * Keys that look like dotted identifiers (`settings.title`) are used as-is;
+ * anything else (Xcode often keys by the English text) gets a short hash, the
+ * same way Android names that can't nest do, and the original key is kept in the document.
+ */
+
+const FORMAT_KEY = 'NSStringLocalizedFormatKey';
+const XCODE_DEFAULT_COMMENT = 'No comment provided by engineer.';
+
+/**
+ * Translations go to a {lang}.lproj/ folder next to the source's .lproj
+ */
+function lprojPath(sourcePath, language, { resourceDir } = {}) {
+  const lprojDir = dirname(sourcePath);
+  const baseDir = resourceDir || (lprojDir.endsWith('.lproj') ? dirname(lprojDir) : lprojDir);
+  return join(baseDir, `${language}.lproj`, basename(sourcePath));
+}
+
+function unescapeString(value) {
+  return value.replace(/\\(U[0-9a-fA-F]{4}|u[0-9a-fA-F]{4}|.)/g, (match, escape) => {
+    if (escape.length === 5) return String.fromCharCode(parseInt(escape.slice(1), 16));
+    switch (escape) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      case 'r': return '\r';
+      default: return escape;
+    }
+  });
+}
+
+function escapeString(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Tokenize a .strings file into comments and key/value pairs
+ */
+function parseStringsEntries(content) {
+  const entries = [];
+  let position = 0;
+  let comment = null;
+
+  const lineOf = (index) => content.slice(0, index).split('\n').length;
+
+  const readToken = () => {
+    if (content[position] === '"') {
+      let end = position + 1;
+      while (end < content.length && content[end] !== '"') {
+        end += content[end] === '\\' ? 2 : 1;
+      }
+      if (end >= content.length) throw new Error(`Unterminated string on line ${lineOf(position)}`);
+      const value = unescapeString(content.slice(position + 1, end));
+      position = end + 1;
+      return value;
+    }
+    const match = /^[^\s=;"]+/.exec(content.slice(position));
+    if (!match) throw new Error(`Unexpected content on line ${lineOf(position)}`);
+    position += match[0].length;
+    return match[0];
+  };
+
+  const skipWhitespace = () => {
+    while (position < content.length && /\s/.test(content[position])) position++;
+  };
+
+  while (true) {
+    skipWhitespace();
+    if (position >= content.length) break;
+
+    if (content.startsWith('/*', position)) {
+      const end = content.indexOf('*/', position + 2);
+      if (end === -1) throw new Error(`Unterminated comment on line ${lineOf(position)}`);
+      comment = content.slice(position + 2, end).trim();
+      position = end + 2;
+      continue;
+    }
+    if (content.startsWith('//', position)) {
+      const end = content.indexOf('\n', position);
+      comment = content.slice(position + 2, end === -1 ? content.length : end).trim();
+      position = end === -1 ? content.length : end;
+      continue;
+    }
+
+    const key = readToken();
+    skipWhitespace();
+    let value = key;
+    if (content[position] === '=') {
+      position++;
+      skipWhitespace();
+      value = readToken();
+      skipWhitespace();
+    }
+    if (content[position] !== ';') throw new Error(`Expected ";" on line ${lineOf(position)}`);
+    position++;
+
+    entries.push({ key, value, comment });
+    comment = null;
+  }
+
+  return entries;
+}
+
+export const stringsFormat = {
+  name: 'strings',
+  label: 'iOS strings',
+  extensions: ['.strings'],
+  placeholders: 'printf',
+  outputPath: lprojPath,
+
+  /**
+   * Parse a Localizable.strings file
+   * @param {string} content - File content
+   * @param {Object} options
+   * @param {boolean} options.source - Source file: comments become context annotations
+   * @returns {{data: Object, document: Object, context: Object}}
+   */
+  parse(content, { source = false } = {}) {
+    const entries = parseStringsEntries(content);
+    const keys = translationKeys(entries.map(entry => entry.key));
+    const data = {};
+    const context = {};
+
+    for (const entry of entries) {
+      entry.translationKey = keys[entry.key];
+      data[entry.translationKey] = entry.value;
+      if (source && entry.comment && entry.comment !== XCODE_DEFAULT_COMMENT) {
+        context[entry.translationKey] = entry.comment;
+      }
+    }
+
+    return { data: unflattenObject(data), document: { entries }, context };
+  },
+
+  /**
+   * Serialize translations in the order of the source file
+   * @param {Object} data - Translations
+   * @param {Object} options
+   * @param {Object} options.document - Existing target document
+   * @param {Object} options.sourceDocument - Source document
+   * @returns {string}
+   */
+  serialize(data, { document, sourceDocument } = {}) {
+    const template = sourceDocument || document || { entries: [] };
+    const flat = flattenObject(data);
+    const blocks = [];
+    const written = new Set();
+
+    const writeEntry = (key, value, comment) => {
+      const lines = comment ? [`/* ${comment} */`] : [];
+      lines.push(`"${escapeString(key)}" = "${escapeString(value)}";`);
+      blocks.push(lines.join('\n'));
+    };
+
+    for (const entry of template.entries) {
+      const value = flat[entry.translationKey];
+      if (typeof value !== 'string') continue;
+      writeEntry(entry.key, value, entry.comment);
+      written.add(entry.translationKey);
+    }
+
+    // Plain keys that aren't in the template; hashed ones can't be mapped back
+    for (const [key, value] of Object.entries(flat)) {
+      if (written.has(key) || typeof value !== 'string' || key.startsWith('str_')) continue;
+      writeEntry(key, value);
+    }
+
+    return blocks.join('\n\n') + '\n';
+  },
+};
+
+/**
+ * Read a plist value (only dicts and strings matter for localization)
+ */
+function readPlistValue(node) {
+  if (node.name === 'dict') {
+    const result = {};
+    const children = childElements(node);
+    for (let i = 0; i < children.length - 1; i += 2) {
+      if (children[i].name === 'key') {
+        result[textContent(children[i])] = readPlistValue(children[i + 1]);
+      }
+    }
+    return result;
+  }
+  if (node.name === 'string') return textContent(node);
+  return null;
+}
+
+const TAB = '\t';
+
+function plistString(key, value, depth) {
+  const indent = TAB.repeat(depth);
+  return [`${indent}<key>${escapeText(key)}</key>`, `${indent}<string>${escapeText(value)}</string>`];
+}
+
+export const stringsdictFormat = {
+  name: 'stringsdict',
+  label: 'iOS stringsdict',
+  extensions: ['.stringsdict'],
+  placeholders: 'printf',
+  outputPath: lprojPath,
+
+  /**
+   * Plural rule variables (`{key}.{variable}`), which get the categories each target language needs
+   * @param {Object} document - Parsed source document
+   * @returns {string[]}
+   */
+  pluralKeys(document) {
+    return document.entries.flatMap(entry => Object.entries(entry.variables)
+      .filter(([, types]) => types.NSStringFormatSpecTypeKey === 'NSStringPluralRuleType')
+      .map(([name]) => `${entry.translationKey}.${name}`));
+  },
+
+  /**
+   * Parse a .stringsdict plist
+   * Each entry becomes { NSStringLocalizedFormatKey, [variable]: { one, other, ... } };
+   * the spec and value type keys stay in the document.
+   * @param {string} content - File content
+   * @returns {{data: Object, document: Object, context: Object}}
+   */
+  parse(content) {
+    const root = parseXML(content);
+    const dict = root.name === 'plist' ? childElements(root, 'dict')[0] : root;
+    if (!dict || dict.name !== 'dict') {
+      throw new Error('Expected a plist with a top-level <dict>');
+    }
+
+    const plist = readPlistValue(dict);
+    const keys = translationKeys(Object.keys(plist));
+    const data = {};
+    const entries = [];
+
+    for (const [key, entry] of Object.entries(plist)) {
+      if (!entry || typeof entry !== 'object') continue;
+
+      const value = {};
+      const variables = {};
+      for (const [name, variable] of Object.entries(entry)) {
+        if (name === FORMAT_KEY && typeof variable === 'string') {
+          value[FORMAT_KEY] = variable;
+        } else if (variable && typeof variable === 'object') {
+          const forms = {};
+          for (const category of PLURAL_CATEGORIES) {
+            if (typeof variable[category] === 'string') forms[category] = variable[category];
+          }
+          value[name] = forms;
+          variables[name] = {
+            NSStringFormatSpecTypeKey: variable.NSStringFormatSpecTypeKey || 'NSStringPluralRuleType',
+            NSStringFormatValueTypeKey: variable.NSStringFormatValueTypeKey,
+          };
+        }
+      }
+
+      data[keys[key]] = value;
+      entries.push({ key, translationKey: keys[key], variables });
+    }
+
+    return { data: unflattenObject(data), document: { entries }, context: {} };
+  },
+
+  /**
+   * Serialize translations as a plist in the order of the source file
+   * @param {Object} data - Translations
+   * @param {Object} options
+   * @param {Object} options.document - Existing target document
+   * @param {Object} options.sourceDocument - Source document
+   * @returns {string}
+   */
+  serialize(data, { document, sourceDocument } = {}) {
+    const template = sourceDocument || document || { entries: [] };
+    const flat = flattenObject(data);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+      '<plist version="1.0">',
+      '<dict>',
+    ];
+
+    for (const entry of template.entries) {
+      const prefix = `${entry.translationKey}.`;
+      const formatKey = flat[`${prefix}${FORMAT_KEY}`];
+      if (typeof formatKey !== 'string') continue;
+
+      lines.push(`${TAB}<key>${escapeText(entry.key)}</key>`, `${TAB}<dict>`);
+      lines.push(...plistString(FORMAT_KEY, formatKey, 2));
+
+      for (const [name, types] of Object.entries(entry.variables)) {
+        lines.push(`${TAB.repeat(2)}<key>${escapeText(name)}</key>`, `${TAB.repeat(2)}<dict>`);
+        lines.push(...plistString('NSStringFormatSpecTypeKey', types.NSStringFormatSpecTypeKey, 3));
+        if (types.NSStringFormatValueTypeKey) {
+          lines.push(...plistString('NSStringFormatValueTypeKey', types.NSStringFormatValueTypeKey, 3));
+        }
+        for (const category of PLURAL_CATEGORIES) {
+          const value = flat[`${prefix}${name}.${category}`];
+          if (typeof value === 'string') lines.push(...plistString(category, value, 3));
+        }
+        lines.push(`${TAB.repeat(2)}</dict>`);
+      }
+
+      lines.push(`${TAB}</dict>`);
+    }
+
+    lines.push('</dict>', '</plist>');
+    return lines.join('\n') + '\n';
+  },
+};
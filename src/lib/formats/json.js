@@ -0,0 +1,70 @@
+/**
+ * JSON locale files (i18next, react-intl, vue-i18n, ...)
+ */
+
+const DEFAULT_STYLE = { indent: '  ', eol: '\n', finalNewline: false };
+
+/**
+ * Detect how a JSON file is formatted, so rewriting it only changes what changed
+ * @param {string} content - File content
+ * @returns {{indent: string, eol: string, finalNewline: boolean}} `indent` is empty for minified files
+ */
+export function detectJSONStyle(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const finalNewline = /\n\s*$/.test(text) && /\S/.test(text);
+  const body = text.trimEnd();
+
+  let indent = DEFAULT_STYLE.indent;
+  if (body.length > 2 && !body.includes('\n')) {
+    indent = '';
+  } else {
+    const match = body.match(/\n([ \t]+)\S/);
+    if (match) indent = match[1];
+  }
+
+  return { indent, eol, finalNewline };
+}
+
+/**
+ * Stringify JSON in a detected style
+ * @param {*} data - Value to stringify
+ * @param {Object} style - From detectJSONStyle (2 spaces, LF, no final newline by default)
+ * @returns {string}
+ */
+export function stringifyJSON(data, style = {}) {
+  const { indent, eol, finalNewline } = { ...DEFAULT_STYLE, ...style };
+  let text = JSON.stringify(data, null, indent);
+  // Line breaks inside strings are escaped, so every newline is formatting
+  if (eol !== '\n') text = text.replace(/\n/g, eol);
+  return finalNewline ? text + eol : text;
+}
+
+export const jsonFormat = {
+  name: 'json',
+  label: 'JSON',
+  extensions: ['.json'],
+  detectStyle: detectJSONStyle,
+
+  /**
+   * Parse a JSON locale file
+   * @param {string} content - File content
+   * @returns {{data: Object, document: Object}}
+   */
+  parse(content) {
+    return { data: JSON.parse(content), document: { style: detectJSONStyle(content) } };
+  },
+
+  /**
+   * Serialize translations to JSON, formatted like the file being replaced or else the source
+   * @param {Object} data - Nested translations
+   * @param {Object} options
+   * @param {Object} options.style - Style of the file being replaced
+   * @param {Object} options.document - Existing target document
+   * @param {Object} options.sourceDocument - Source document
+   * @returns {string}
+   */
+  serialize(data, { style, document, sourceDocument } = {}) {
+    return stringifyJSON(data, style || document?.style || sourceDocument?.style);
+  },
+};
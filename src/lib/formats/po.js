@@ -0,0 +1,473 @@
+import { createHash } from 'crypto';
+import { PLURAL_CATEGORIES, pluralCategories } from '../../utils/plurals.js';
+
+// Plural-Forms headers for languages whose files may not exist yet
+// (https://www.gnu.org/software/gettext/manual/html_node/Plural-forms.html)
+const PLURAL_FORMS = {
+  ja: 'nplurals=1; plural=0;',
+  ko: 'nplurals=1; plural=0;',
+  zh: 'nplurals=1; plural=0;',
+  vi: 'nplurals=1; plural=0;',
+  th: 'nplurals=1; plural=0;',
+  id: 'nplurals=1; plural=0;',
+  ms: 'nplurals=1; plural=0;',
+  fr: 'nplurals=2; plural=(n > 1);',
+  'pt-BR': 'nplurals=2; plural=(n > 1);',
+  ru: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  uk: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  sr: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  hr: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  pl: 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  cs: 'nplurals=3; plural=(n==1) ? 0 : (n>=2 && n<=4) ? 1 : 2;',
+  sk: 'nplurals=3; plural=(n==1) ? 0 : (n>=2 && n<=4) ? 1 : 2;',
+  ro: 'nplurals=3; plural=(n==1 ? 0 : (n==0 || (n%100 > 0 && n%100 < 20)) ? 1 : 2);',
+  ar: 'nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5);',
+};
+
+const DEFAULT_PLURAL_FORMS = 'nplurals=2; plural=(n != 1);';
+
+/**
+ * Get the gettext Plural-Forms header for a language
+ * @param {string} language - Language code (e.g. "pl", "pt-BR")
+ * @returns {string}
+ */
+export function getPluralForms(language) {
+  return PLURAL_FORMS[language] || PLURAL_FORMS[language.split('-')[0]] || DEFAULT_PLURAL_FORMS;
+}
+
+/**
+ * Read nplurals from a Plural-Forms header value
+ * @param {string} pluralForms - e.g. "nplurals=3; plural=..."
+ * @returns {number}
+ */
+export function getPluralCount(pluralForms) {
+  const match = /nplurals\s*=\s*(\d+)/.exec(pluralForms || '');
+  return match ? parseInt(match[1], 10) : 2;
+}
+
+// Counts tried when matching msgstr[n] to a CLDR category
+const PLURAL_SAMPLES = [...Array(200).keys(), 1000, 1000000];
+
+/**
+ * Compile the plural expression of a Plural-Forms header
+ * Only C arithmetic, comparisons and the ternary operator are allowed.
+ * @returns {function(number): number|null} null if there's no usable expression
+ */
+function compilePluralExpression(pluralForms) {
+  const expression = /plural\s*=\s*([^;]+)/.exec(pluralForms || '')?.[1];
+  if (!expression || !/^[n\d\s%<>=!&|?:()+\-*/]+$/.test(expression)) return null;
+  try {
+    const select = new Function('n', `return Number(${expression});`);
+    select(1);
+    return select;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * CLDR plural category of each msgstr[n]
+ * Each form gets the category CLDR gives the first count its Plural-Forms
+ * expression selects it for, e.g. Russian: one, few, many; Arabic: zero, one,
+ * two, few, many, other. Headers that don't match the language's CLDR rules
+ * fall back to the CLDR categories in order, with `other` last.
+ * @param {string} pluralForms - Plural-Forms header value
+ * @param {string} language - Language code
+ * @returns {string[]} One category per msgstr index
+ */
+export function getPluralCategories(pluralForms, language) {
+  const count = getPluralCount(pluralForms);
+  const select = compilePluralExpression(pluralForms);
+  let rules;
+  try {
+    rules = new Intl.PluralRules(language);
+  } catch (error) {
+    rules = new Intl.PluralRules('en');
+  }
+
+  const categories = [];
+  for (let index = 0; index < count && select; index++) {
+    const sample = PLURAL_SAMPLES.find(n => select(n) === index);
+    categories.push(sample === undefined ? undefined : rules.select(sample));
+  }
+  if (categories.length === count && categories.every(Boolean) && new Set(categories).size === count) {
+    return categories;
+  }
+
+  const preferred = [...pluralCategories(language), 'one', 'few', 'many', 'two', 'zero'].filter(category => category !== 'other');
+  const forms = [...new Set(preferred)].slice(0, count - 1);
+  return PLURAL_CATEGORIES.filter(category => forms.includes(category)).concat('other');
+}
+
+/**
+ * Derive a translation key for an entry: its msgid, after its msgctxt and a `|`
+ * Dots would nest the key in the dot-notation key pipeline, so they become the
+ * look-alike U+2024 (`․`), and line breaks become `\n`.
+ */
+function entryKey(msgctxt, msgid) {
+  const id = msgctxt !== undefined ? `${msgctxt}|${msgid}` : msgid;
+  return id.replace(/\./g, '\u2024').replace(/\n/g, '\\n');
+}
+
+/**
+ * Key for an entry whose readable key another entry already has (e.g. msgids
+ * that only differ in a dot and a `․`)
+ */
+function hashedEntryKey(msgctxt, msgid) {
+  const id = msgctxt !== undefined ? `${msgctxt}\u0004${msgid}` : msgid;
+  return `po_${createHash('sha1').update(id).digest('hex').slice(0, 12)}`;
+}
+
+function unescapeString(value) {
+  return value.replace(/\\(.)/g, (_, char) => {
+    switch (char) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      case 'r': return '\r';
+      default: return char;
+    }
+  });
+}
+
+function escapeString(value) {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a keyword and its string, splitting multi-line values gettext-style
+ */
+function formatString(keyword, value) {
+  const lines = value.split(/(?<=\n)/);
+  if (lines.length <= 1) {
+    return `${keyword} "${escapeString(value)}"`;
+  }
+  return [`${keyword} ""`, ...lines.map(line => `"${escapeString(line)}"`)].join('\n');
+}
+
+function emptyEntry() {
+  return {
+    msgctxt: undefined,
+    msgid: undefined,
+    msgidPlural: undefined,
+    msgstr: [],
+    comments: { translator: [], extracted: [], reference: [], flags: [], previous: [] },
+  };
+}
+
+/**
+ * Parse PO/POT content into header and entries (obsolete `#~` entries are dropped)
+ */
+function parseEntries(content) {
+  const entries = [];
+  let entry = emptyEntry();
+  let field = null;
+  let index = 0;
+  let hasContent = false;
+
+  const flush = () => {
+    if (entry.msgid !== undefined) {
+      entries.push(entry);
+    }
+    entry = emptyEntry();
+    field = null;
+    hasContent = false;
+  };
+
+  const append = (value) => {
+    if (field === 'msgstr') {
+      entry.msgstr[index] = (entry.msgstr[index] || '') + value;
+    } else {
+      entry[field] = (entry[field] || '') + value;
+    }
+  };
+
+  const lines = content.split(/\r?\n/);
+  for (let lineNumber = 0; lineNumber < lines.length; lineNumber++) {
+    const line = lines[lineNumber].trim();
+
+    if (line === '') {
+      if (hasContent) flush();
+      continue;
+    }
+
+    if (line.startsWith('#')) {
+      // A comment after msgstr starts the next entry
+      if (hasContent) flush();
+      if (line.startsWith('#~')) continue;
+
+      const marker = line[1];
+      const text = line.slice(2).trim();
+      if (marker === '.') entry.comments.extracted.push(text);
+      else if (marker === ':') entry.comments.reference.push(text);
+      else if (marker === ',') entry.comments.flags.push(...text.split(',').map(f => f.trim()).filter(Boolean));
+      else if (marker === '|') entry.comments.previous.push(text);
+      else entry.comments.translator.push(line.slice(1).replace(/^ /, ''));
+      continue;
+    }
+
+    const keywordMatch = /^(msgctxt|msgid_plural|msgid|msgstr)(?:\[(\d+)\])?\s+"(.*)"$/.exec(line);
+    if (keywordMatch) {
+      const [, keyword, plural, value] = keywordMatch;
+
+      // msgctxt/msgid after a msgstr begins a new entry without a blank line
+      if (hasContent && (keyword === 'msgctxt' || (keyword === 'msgid' && entry.msgid !== undefined))) {
+        flush();
+      }
+
+      field = keyword === 'msgid_plural' ? 'msgidPlural' : keyword;
+      index = plural ? parseInt(plural, 10) : 0;
+      if (field === 'msgstr') hasContent = true;
+      if (field !== 'msgstr') entry[field] = '';
+      append(unescapeString(value));
+      continue;
+    }
+
+    const continuation = /^"(.*)"$/.exec(line);
+    if (continuation && field) {
+      append(unescapeString(continuation[1]));
+      continue;
+    }
+
+    throw new Error(`Unexpected content on line ${lineNumber + 1}: ${line}`);
+  }
+  flush();
+
+  return entries;
+}
+
+/**
+ * Parse header msgstr ("Name: value\n" lines) into ordered pairs
+ */
+function parseHeaders(msgstr) {
+  return msgstr
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const separator = line.indexOf(':');
+      return [line.slice(0, separator).trim(), line.slice(separator + 1).trim()];
+    });
+}
+
+function setHeader(headers, name, value) {
+  const existing = headers.find(([headerName]) => headerName.toLowerCase() === name.toLowerCase());
+  if (existing) {
+    existing[1] = value;
+  } else {
+    headers.push([name, value]);
+  }
+}
+
+function getHeader(headers, name) {
+  return headers.find(([headerName]) => headerName.toLowerCase() === name.toLowerCase())?.[1];
+}
+
+/**
+ * Plural msgstr[n] -> { [category]: form }, with the categories from getPluralCategories()
+ */
+function pluralValue(msgstr, categories) {
+  return Object.fromEntries(categories.map((category, i) => [category, msgstr[i] ?? '']));
+}
+
+/**
+ * { [category]: form } -> msgstr[0..n-1]
+ * Forms the value doesn't have stay empty, so gettext shows the msgid for them.
+ */
+function pluralMsgstr(value, categories) {
+  return categories.map(category => value[category] ?? '');
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Value of an existing target entry, as parse() would report it
+ */
+function existingValue(entry, categories) {
+  return entry.msgidPlural !== undefined ? pluralValue(entry.msgstr, categories) : entry.msgstr[0];
+}
+
+function formatEntry(entry) {
+  const lines = [];
+  entry.comments.translator.forEach(text => lines.push(text ? `# ${text}` : '#'));
+  entry.comments.extracted.forEach(text => lines.push(`#. ${text}`));
+  entry.comments.reference.forEach(text => lines.push(`#: ${text}`));
+  if (entry.comments.flags.length > 0) lines.push(`#, ${entry.comments.flags.join(', ')}`);
+  entry.comments.previous.forEach(text => lines.push(`#| ${text}`));
+
+  if (entry.msgctxt !== undefined) lines.push(formatString('msgctxt', entry.msgctxt));
+  lines.push(formatString('msgid', entry.msgid));
+
+  if (entry.msgidPlural !== undefined) {
+    lines.push(formatString('msgid_plural', entry.msgidPlural));
+    entry.msgstr.forEach((value, i) => lines.push(formatString(`msgstr[${i}]`, value || '')));
+  } else {
+    lines.push(formatString('msgstr', entry.msgstr[0] || ''));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Gettext PO/POT files
+ *
+ * Entries map to keys derived from msgctxt + msgid; plural entries become
+ * objects keyed by CLDR category (`{ one, few, many }` for Russian), one per
+ * msgstr[n]. Translated files are written as `{lang}.po`.
+ */
+export const poFormat = {
+  name: 'po',
+  label: 'PO',
+  extensions: ['.po', '.pot'],
+  outputExtension: '.po',
+
+  /**
+   * Keys of msgid_plural entries, whose forms are translated per target language
+   * @param {Object} document - Parsed source document
+   * @returns {string[]}
+   */
+  pluralKeys(document) {
+    return document.entries.filter(entry => entry.msgidPlural !== undefined).map(entry => entry.key);
+  },
+
+  /**
+   * Plural categories a new target file has, from its default Plural-Forms
+   * @param {string} language - Target language code
+   * @returns {string[]}
+   */
+  pluralCategories(language) {
+    return getPluralCategories(getPluralForms(language), language);
+  },
+
+  /**
+   * Parse a PO/POT file
+   * @param {string} content - File content
+   * @param {Object} options
+   * @param {string} options.language - Language of the file (default: its Language header)
+   * @param {boolean} options.source - Source file: untranslated entries use msgid as their text
+   * @returns {{data: Object, document: Object, context: Object}}
+   */
+  parse(content, { language, source = false } = {}) {
+    const entries = parseEntries(content);
+    const headerEntry = entries.find(entry => entry.msgid === '' && entry.msgctxt === undefined);
+    const headers = headerEntry ? parseHeaders(headerEntry.msgstr[0] || '') : [];
+    const categories = getPluralCategories(getHeader(headers, 'Plural-Forms'), language || getHeader(headers, 'Language') || 'en');
+
+    const data = {};
+    const context = {};
+    const documentEntries = [];
+    const keys = new Set();
+
+    for (const entry of entries) {
+      if (entry === headerEntry) continue;
+
+      entry.key = entryKey(entry.msgctxt, entry.msgid);
+      if (keys.has(entry.key)) entry.key = hashedEntryKey(entry.msgctxt, entry.msgid);
+      keys.add(entry.key);
+      documentEntries.push(entry);
+
+      const translated = entry.msgstr.some(Boolean);
+      if (entry.msgidPlural !== undefined) {
+        if (translated) {
+          data[entry.key] = pluralValue(entry.msgstr, categories);
+        } else if (source) {
+          data[entry.key] = { one: entry.msgid, other: entry.msgidPlural };
+        }
+      } else if (translated) {
+        data[entry.key] = entry.msgstr[0];
+      } else if (source) {
+        data[entry.key] = entry.msgid;
+      }
+
+      const annotation = [entry.msgctxt, ...entry.comments.extracted].filter(Boolean).join(' - ');
+      if (annotation && source) {
+        if (entry.msgidPlural !== undefined) {
+          // Every form a target language may need
+          for (const category of PLURAL_CATEGORIES) {
+            context[`${entry.key}.${category}`] = annotation;
+          }
+        } else {
+          context[entry.key] = annotation;
+        }
+      }
+    }
+
+    return {
+      data,
+      context,
+      document: { headerEntry, headers, entries: documentEntries },
+    };
+  },
+
+  /**
+   * Serialize translations to PO
+   * Entries follow the source file order. Values unchanged from the existing
+   * target file keep their msgstr forms, comments and flags; everything else is
+   * a new machine translation and gets the fuzzy flag.
+   * @param {Object} data - Translations keyed like parse() output
+   * @param {Object} options
+   * @param {string} options.language - Target language code
+   * @param {Object} options.sourceDocument - Document parsed from the source file
+   * @param {Object} options.document - Document parsed from the existing target file, if any
+   * @returns {string}
+   */
+  serialize(data, { language, sourceDocument, document } = {}) {
+    const template = sourceDocument || document;
+    if (!template) {
+      throw new Error('PO output requires a parsed source file');
+    }
+
+    // Header: source header with Language and Plural-Forms for the target
+    const headers = (template.headers || []).map(([name, value]) => [name, value]);
+    const existingPluralForms = document ? getHeader(document.headers, 'Plural-Forms') : undefined;
+    const pluralForms = existingPluralForms || getPluralForms(language);
+    const categories = getPluralCategories(pluralForms, language);
+
+    setHeader(headers, 'Content-Type', 'text/plain; charset=UTF-8');
+    setHeader(headers, 'Language', language);
+    setHeader(headers, 'Plural-Forms', pluralForms);
+
+    const headerEntry = emptyEntry();
+    headerEntry.comments = structuredClone((document?.headerEntry || template.headerEntry)?.comments || headerEntry.comments);
+    headerEntry.comments.flags = headerEntry.comments.flags.filter(flag => flag !== 'fuzzy');
+    headerEntry.msgid = '';
+    headerEntry.msgstr = [headers.map(([name, value]) => `${name}: ${value}\n`).join('')];
+
+    const existingEntries = new Map((document?.entries || []).map(entry => [entry.key, entry]));
+    const blocks = [formatEntry(headerEntry)];
+
+    for (const sourceEntry of template.entries) {
+      const entry = structuredClone(sourceEntry);
+      const existing = existingEntries.get(entry.key);
+      const value = data[entry.key];
+
+      if (existing) {
+        entry.comments.translator = existing.comments.translator;
+      }
+
+      if (value === undefined || value === null) {
+        entry.msgstr = entry.msgidPlural !== undefined ? new Array(categories.length).fill('') : [''];
+        entry.comments.flags = entry.comments.flags.filter(flag => flag !== 'fuzzy');
+      } else if (existing && existing.msgstr.some(Boolean) && sameValue(existingValue(existing, categories), value)) {
+        entry.msgstr = existing.msgstr;
+        entry.comments.flags = existing.comments.flags;
+      } else {
+        entry.msgstr = entry.msgidPlural !== undefined
+          ? pluralMsgstr(typeof value === 'object' ? value : { other: value }, categories)
+          : [typeof value === 'object' ? (value.other ?? '') : value];
+        if (!entry.comments.flags.includes('fuzzy')) {
+          entry.comments.flags = [...entry.comments.flags, 'fuzzy'];
+        }
+      }
+
+      blocks.push(formatEntry(entry));
+    }
+
+    return blocks.join('\n\n') + '\n';
+  },
+};
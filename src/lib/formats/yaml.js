@@ -0,0 +1,105 @@
+import YAML from 'yaml';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Write values from a nested object into a YAML document, keeping existing
+ * nodes (and their comments) and removing keys that are no longer present
+ */
+function applyValues(doc, path, value) {
+  if (!isPlainObject(value)) {
+    doc.setIn(path, value);
+    return;
+  }
+
+  const node = path.length > 0 ? doc.getIn(path, true) : doc.contents;
+  if (!YAML.isMap(node)) {
+    if (path.length > 0) {
+      doc.setIn(path, value);
+    } else {
+      doc.contents = doc.createNode(value);
+    }
+    return;
+  }
+
+  for (const pair of [...node.items]) {
+    const key = YAML.isScalar(pair.key) ? pair.key.value : pair.key;
+    if (!(String(key) in value)) {
+      node.delete(key);
+    }
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    applyValues(doc, [...path, key], child);
+  }
+}
+
+/**
+ * YAML locale files, including Rails-style files rooted under a language key (`en:`)
+ */
+export const yamlFormat = {
+  name: 'yaml',
+  label: 'YAML',
+  extensions: ['.yml', '.yaml'],
+
+  /**
+   * Parse a YAML locale file
+   * @param {string} content - File content
+   * @param {Object} options
+   * @param {string} options.language - Language of the file, used to detect a Rails root key
+   * @returns {{data: Object, document: {doc: YAML.Document, rootKey: string|null}}}
+   */
+  parse(content, { language } = {}) {
+    const doc = YAML.parseDocument(content);
+    if (doc.errors.length > 0) {
+      throw doc.errors[0];
+    }
+
+    const root = doc.toJS() || {};
+    const keys = Object.keys(root);
+    const rootKey = keys.length === 1 && keys[0] === language && isPlainObject(root[language])
+      ? language
+      : null;
+
+    return {
+      data: rootKey ? root[rootKey] : root,
+      document: { doc, rootKey },
+    };
+  },
+
+  /**
+   * Serialize translations to YAML
+   * The existing target file (or else the source file) is used as a template, so
+   * comments and key order survive, and a Rails root key is renamed to the target language.
+   * @param {Object} data - Nested translations
+   * @param {Object} options
+   * @param {string} options.language - Target language code
+   * @param {Object} options.document - Document parsed from the existing target file, if any
+   * @param {Object} options.sourceDocument - Document parsed from the source file
+   * @returns {string}
+   */
+  serialize(data, { language, document, sourceDocument } = {}) {
+    const template = document || sourceDocument;
+    if (!template) {
+      return YAML.stringify(data);
+    }
+
+    const doc = template.doc.clone();
+    let path = [];
+
+    if (template.rootKey) {
+      const rootPair = doc.contents.items[0];
+      if (YAML.isScalar(rootPair.key)) {
+        rootPair.key.value = language;
+      } else {
+        rootPair.key = doc.createNode(language);
+      }
+      path = [language];
+    }
+
+    applyValues(doc, path, data);
+    return doc.toString();
+  },
+};
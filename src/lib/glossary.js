@@ -0,0 +1,279 @@
+/**
+ * Glossaries: terms with a fixed translation per language, and terms that must never
+ * be translated (brand and product names)
+ *
+ * JSON:
+ *   {
+ *     "doNotTranslate": ["Shipi18n Cloud"],
+ *     "terms": { "workspace": { "es": "espacio de trabajo", "fr": "espace de travail" } }
+ *   }
+ *
+ * CSV (a `term` column, then one column per language; rows without any
+ * translation are do-not-translate terms, blank cells aren't enforced):
+ *   term,es,fr
+ *   Shipi18n Cloud,,
+ *   workspace,espacio de trabajo,espace de travail
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { extname } from 'path';
+import { flattenObject } from '../utils/incremental.js';
+
+export const GLOSSARY_CHECK_MODES = ['warn', 'fail', 'off'];
+
+/**
+ * Parse CSV into rows of fields (RFC 4180 quoting)
+ * @param {string} content - CSV text
+ * @returns {string[][]}
+ */
+export function parseCSV(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Quote a CSV field when it contains commas, quotes or line breaks
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string}
+ */
+export function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Normalize a parsed JSON glossary
+ */
+function fromJSON(data, path) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid glossary ${path}: expected an object with "doNotTranslate" and/or "terms"`);
+  }
+
+  const doNotTranslate = data.doNotTranslate || [];
+  if (!Array.isArray(doNotTranslate) || doNotTranslate.some(term => typeof term !== 'string')) {
+    throw new Error(`Invalid glossary ${path}: "doNotTranslate" must be a list of strings`);
+  }
+
+  const terms = [];
+  for (const [term, translations] of Object.entries(data.terms || {})) {
+    if (!translations || typeof translations !== 'object' || Object.values(translations).some(value => typeof value !== 'string')) {
+      throw new Error(`Invalid glossary ${path}: "${term}" must map language codes to translations`);
+    }
+    terms.push({ term, translations });
+  }
+
+  return { doNotTranslate, terms };
+}
+
+/**
+ * Normalize a parsed CSV glossary
+ */
+function fromCSV(rows, path) {
+  const [header = [], ...entries] = rows;
+  const columns = header.map(column => column.trim());
+  if (columns[0]?.toLowerCase() !== 'term') {
+    throw new Error(`Invalid glossary ${path}: the first column must be "term", followed by language codes`);
+  }
+
+  const doNotTranslate = [];
+  const terms = [];
+  for (const fields of entries) {
+    const term = fields[0].trim();
+    const translations = {};
+    columns.slice(1).forEach((language, index) => {
+      const value = (fields[index + 1] || '').trim();
+      if (language && value) translations[language] = value;
+    });
+
+    if (Object.keys(translations).length === 0) {
+      doNotTranslate.push(term);
+    } else {
+      terms.push({ term, translations });
+    }
+  }
+
+  return { doNotTranslate, terms };
+}
+
+/**
+ * Load a glossary file (.json or .csv)
+ * @param {string} path - File path
+ * @returns {{doNotTranslate: string[], terms: Array<{term: string, translations: Object<string, string>}>}}
+ */
+export function loadGlossary(path) {
+  if (!existsSync(path)) {
+    throw new Error(`Glossary file not found: ${path}`);
+  }
+
+  const content = readFileSync(path, 'utf8').replace(/^\uFEFF/, '');
+  const extension = extname(path).toLowerCase();
+
+  if (extension === '.csv') {
+    return fromCSV(parseCSV(content), path);
+  }
+  if (extension === '.json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in glossary ${path}: ${error.message}`);
+    }
+    return fromJSON(data, path);
+  }
+
+  throw new Error(`Unsupported glossary file: ${path} (use .json or .csv)`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const termPatterns = new Map();
+
+/**
+ * Whether text contains a term as a whole word
+ */
+function containsTerm(text, term, { caseSensitive = false } = {}) {
+  const id = `${caseSensitive ? 'u' : 'iu'}:${term}`;
+  if (!termPatterns.has(id)) {
+    termPatterns.set(id, new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, caseSensitive ? 'u' : 'iu'));
+  }
+  return termPatterns.get(id).test(text);
+}
+
+/**
+ * Translation of a term for a language, or for its base language (pt-BR -> pt)
+ */
+function termTranslation(translations, language) {
+  return translations[language] ?? translations[language.split('-')[0]];
+}
+
+/**
+ * Glossary entries that apply to a source string in one language
+ * Do-not-translate terms are matched case-sensitively, other terms in any case.
+ * @param {Object} glossary - Glossary from loadGlossary
+ * @param {string} text - Source text
+ * @param {string} language - Target language
+ * @returns {Array<{term: string, translation: string}>} `translation` is the term itself
+ *   for do-not-translate terms
+ */
+export function glossaryTerms(glossary, text, language) {
+  if (!glossary || typeof text !== 'string') return [];
+
+  const matches = [];
+  for (const term of glossary.doNotTranslate) {
+    if (containsTerm(text, term, { caseSensitive: true })) matches.push({ term, translation: term });
+  }
+  for (const { term, translations } of glossary.terms) {
+    const translation = termTranslation(translations, language);
+    if (translation && containsTerm(text, term)) matches.push({ term, translation });
+  }
+  return matches;
+}
+
+/**
+ * Glossary entries a translation doesn't follow
+ * @param {string} translation - Translated text
+ * @param {Array<{term: string, translation: string}>} terms - From glossaryTerms
+ * @returns {Array<{term: string, translation: string}>}
+ */
+export function findTermViolations(translation, terms) {
+  if (typeof translation !== 'string') return [];
+  return terms.filter(({ term, translation: expected }) =>
+    !containsTerm(translation, expected, { caseSensitive: expected === term })
+  );
+}
+
+/**
+ * The part of a glossary that applies to a request, sent along with it
+ * @param {Object} glossary - Glossary from loadGlossary
+ * @param {string} text - JSON text being sent
+ * @param {string[]} languages - Target languages of the request
+ * @returns {{doNotTranslate: string[], terms: Array<{term: string, translations: Object}>}|null}
+ *   null when no entry applies
+ */
+export function glossaryForRequest(glossary, text, languages) {
+  if (!glossary) return null;
+
+  const doNotTranslate = glossary.doNotTranslate.filter(term => containsTerm(text, term, { caseSensitive: true }));
+  const terms = glossary.terms
+    .filter(({ term }) => containsTerm(text, term))
+    .map(({ term, translations }) => ({
+      term,
+      translations: Object.fromEntries(
+        languages.map(language => [language, termTranslation(translations, language)]).filter(([, value]) => value)
+      ),
+    }))
+    .filter(({ translations }) => Object.keys(translations).length > 0);
+
+  return doNotTranslate.length > 0 || terms.length > 0 ? { doNotTranslate, terms } : null;
+}
+
+/**
+ * Check translated keys against the glossary
+ * Keys left in the source language (fallbacks) aren't checked.
+ * @param {Object} sourceData - Source translations
+ * @param {Object} targetData - Target translations
+ * @param {Object} glossary - Glossary from loadGlossary
+ * @param {string} language - Target language
+ * @returns {Array<{key: string, term: string, expected: string, message: string}>}
+ */
+export function checkGlossary(sourceData, targetData, glossary, language) {
+  const sourceFlat = flattenObject(sourceData);
+  const targetFlat = flattenObject(targetData);
+  const issues = [];
+
+  for (const [key, source] of Object.entries(sourceFlat)) {
+    const target = targetFlat[key];
+    if (typeof target !== 'string' || target === source) continue;
+
+    for (const { term, translation } of findTermViolations(target, glossaryTerms(glossary, source, language))) {
+      issues.push({
+        key,
+        term,
+        expected: translation,
+        message: translation === term
+          ? `"${term}" should stay untranslated`
+          : `"${term}" should be translated as "${translation}"`,
+      });
+    }
+  }
+
+  return issues;
+}
@@ -0,0 +1,430 @@
+/**
+ * ICU MessageFormat plural and select messages (react-intl, next-intl, lingui, ARB)
+ *
+ * A message with plural/select arguments is sent for translation as one full
+ * sentence per form, so the syntax never reaches the translator:
+ *
+ *   "You have {count, plural, one {# item} other {# items}}"
+ *   -> { one: "You have # item", other: "You have # items" }
+ *
+ * The translated forms are put back together with exactly the plural categories
+ * CLDR defines for each target language (one/few/many/other for Polish, only
+ * other for Japanese). Text around a plural moves into its branches ("hoisting"),
+ * which is the shape translators and `formatjs` recommend anyway.
+ */
+
+import { flattenObject, unflattenObject } from '../utils/incremental.js';
+import { pluralCategories, PLURAL_CATEGORIES } from '../utils/plurals.js';
+
+const BRANCHING_TYPES = ['plural', 'select', 'selectordinal'];
+const BRANCHING_REGEX = /\{\s*[^\s{},]+\s*,\s*(?:plural|select|selectordinal)\s*,/;
+
+/**
+ * Check whether a value contains a plural, select or selectordinal argument
+ * @param {*} value - Translation value
+ * @returns {boolean}
+ */
+export function isBranchingMessage(value) {
+  return typeof value === 'string' && BRANCHING_REGEX.test(value);
+}
+
+/**
+ * Parse an ICU message
+ *
+ * Nodes are strings (unescaped text), `{type: 'pound'}` for `#` inside plurals,
+ * `{type: 'argument', name, raw}` for simple, number, date and time arguments, and
+ * `{type, name, offset, options: [{selector, value}]}` for plural/select/selectordinal.
+ *
+ * @param {string} message - ICU message
+ * @param {Object} options
+ * @param {boolean} options.plural - Parse as the branch of a plural (`#` is the number)
+ * @returns {Array} Nodes
+ * @throws {Error} If the message isn't valid ICU
+ */
+export function parseICU(message, { plural = false } = {}) {
+  let i = 0;
+
+  const fail = (reason) => {
+    throw new Error(`${reason} at position ${i}`);
+  };
+  const skipSpace = () => {
+    while (i < message.length && /\s/.test(message[i])) i++;
+  };
+  const readWord = () => {
+    const match = /^[^\s{},]+/.exec(message.slice(i));
+    i += match ? match[0].length : 0;
+    return match ? match[0] : '';
+  };
+
+  // Text and arguments up to an unmatched `}` or the end
+  const parseNodes = (inPlural) => {
+    const nodes = [];
+    let text = '';
+    const flush = () => {
+      if (text) nodes.push(text);
+      text = '';
+    };
+
+    while (i < message.length && message[i] !== '}') {
+      const char = message[i];
+      if (char === '{') {
+        flush();
+        nodes.push(parseArgument(inPlural));
+        continue;
+      }
+      if (char === '#' && inPlural) {
+        flush();
+        nodes.push({ type: 'pound' });
+        i++;
+        continue;
+      }
+      if (char === "'") {
+        const next = message[i + 1];
+        if (next === "'") {
+          text += "'";
+          i += 2;
+          continue;
+        }
+        if (next === '{' || next === '}' || next === '|' || (next === '#' && inPlural)) {
+          // Quoted literal text up to the next single apostrophe
+          i++;
+          while (i < message.length) {
+            if (message[i] === "'" && message[i + 1] === "'") {
+              text += "'";
+              i += 2;
+            } else if (message[i] === "'") {
+              i++;
+              break;
+            } else {
+              text += message[i++];
+            }
+          }
+          continue;
+        }
+      }
+      text += char;
+      i++;
+    }
+
+    flush();
+    return nodes;
+  };
+
+  const parseArgument = (inPlural) => {
+    const start = i;
+    i++;
+    skipSpace();
+    const name = readWord();
+    if (!name) fail('Expected an argument name');
+    skipSpace();
+
+    if (message[i] === '}') {
+      i++;
+      return { type: 'argument', name, raw: message.slice(start, i) };
+    }
+    if (message[i] !== ',') fail(`Expected "," or "}" after "${name}"`);
+    i++;
+    skipSpace();
+    const type = readWord();
+    skipSpace();
+
+    if (!BRANCHING_TYPES.includes(type)) {
+      // number/date/time with an optional style, kept as written
+      let depth = 1;
+      while (i < message.length && depth > 0) {
+        if (message[i] === '{') depth++;
+        else if (message[i] === '}') depth--;
+        i++;
+      }
+      if (depth > 0) fail(`Unclosed {${name}, ${type}}`);
+      return { type: 'argument', name, raw: message.slice(start, i) };
+    }
+
+    if (message[i] !== ',') fail(`Expected "," after "${type}"`);
+    i++;
+    skipSpace();
+
+    const node = { type, name, offset: 0, options: [] };
+    if (type !== 'select' && message.startsWith('offset:', i)) {
+      i += 'offset:'.length;
+      skipSpace();
+      const offset = readWord();
+      if (!/^\d+$/.test(offset)) fail('Expected a number after "offset:"');
+      node.offset = Number(offset);
+    }
+
+    while (true) {
+      skipSpace();
+      if (i >= message.length) fail(`Unclosed {${name}, ${type}}`);
+      if (message[i] === '}') {
+        i++;
+        break;
+      }
+
+      const selector = readWord();
+      if (!selector) fail(`Expected a selector in {${name}, ${type}}`);
+      skipSpace();
+      if (message[i] !== '{') fail(`Expected "{" after "${selector}"`);
+      i++;
+      // `#` in a select nested in a plural still means the plural's number
+      const value = parseNodes(type !== 'select' || inPlural);
+      if (message[i] !== '}') fail(`Unclosed "${selector}" option`);
+      i++;
+
+      if (node.options.some(option => option.selector === selector)) {
+        fail(`Duplicate "${selector}" option`);
+      }
+      node.options.push({ selector, value });
+    }
+
+    if (!node.options.some(option => option.selector === 'other')) {
+      throw new Error(`{${name}, ${type}} has no "other" option`);
+    }
+    return node;
+  };
+
+  const nodes = parseNodes(plural);
+  if (i < message.length) fail('Unexpected "}"');
+  return nodes;
+}
+
+/**
+ * Quote ICU syntax characters in text
+ */
+function escapeText(text, inPlural) {
+  const special = inPlural ? /[{}#]/ : /[{}]/;
+  let escaped = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+    if (special.test(char)) {
+      escaped += `'${char}'`;
+    } else if (char === "'") {
+      // A lone apostrophe is literal unless it comes before syntax (or the next node)
+      escaped += next === undefined || next === "'" || next === '|' || special.test(next) ? "''" : "'";
+    } else {
+      escaped += char;
+    }
+  }
+
+  return escaped;
+}
+
+/**
+ * Print nodes from parseICU back to an ICU message
+ * @param {Array} nodes - Nodes
+ * @param {boolean} inPlural - Nodes are the branch of a plural (`#` in text gets quoted)
+ * @returns {string}
+ */
+export function printICU(nodes, inPlural = false) {
+  return nodes.map(node => {
+    if (typeof node === 'string') return escapeText(node, inPlural);
+    if (node.type === 'pound') return '#';
+    if (node.type === 'argument') return node.raw;
+
+    const offset = node.offset ? ` offset:${node.offset}` : '';
+    const options = node.options
+      .map(({ selector, value }) => `${selector} {${printICU(value, node.type !== 'select' || inPlural)}}`)
+      .join(' ');
+    return `{${node.name}, ${node.type},${offset} ${options}}`;
+  }).join('');
+}
+
+/**
+ * Move the text around the first plural/select into its branches, recursively
+ * Returns a tree of `{nodes}` leaves and `{type, name, offset, options: [{selector, tree}]}`.
+ */
+function hoist(nodes, enclosingPlural = null) {
+  const index = nodes.findIndex(node => BRANCHING_TYPES.includes(node.type));
+  if (index === -1) return { nodes };
+
+  const node = nodes[index];
+  let outside = [...nodes.slice(0, index), null, ...nodes.slice(index + 1)];
+
+  // `#` next to a nested plural belongs to the enclosing one; moving it inside would change its meaning
+  if (node.type !== 'select' && enclosingPlural && !enclosingPlural.offset) {
+    outside = outside.map(other => other?.type === 'pound'
+      ? { type: 'argument', name: enclosingPlural.name, raw: `{${enclosingPlural.name}, number}` }
+      : other);
+  }
+
+  return {
+    type: node.type,
+    name: node.name,
+    offset: node.offset,
+    options: node.options.map(({ selector, value }) => ({
+      selector,
+      tree: hoist(outside.flatMap(other => other === null ? value : [other]),
+        node.type === 'select' ? enclosingPlural : node),
+    })),
+  };
+}
+
+function isPluralType(type) {
+  return type === 'plural' || type === 'selectordinal';
+}
+
+/**
+ * Add the plural categories any of the languages needs, copied from `other`
+ */
+function addCategories(tree, languages) {
+  if (!tree.options) return;
+  tree.options.forEach(option => addCategories(option.tree, languages));
+  if (!isPluralType(tree.type)) return;
+
+  const ordinal = tree.type === 'selectordinal';
+  const other = tree.options.find(option => option.selector === 'other');
+  for (const category of PLURAL_CATEGORIES) {
+    if (tree.options.some(option => option.selector === category)) continue;
+    if (languages.some(language => pluralCategories(language, { ordinal }).includes(category))) {
+      tree.options.push({ selector: category, tree: structuredClone(other.tree) });
+    }
+  }
+}
+
+/**
+ * Leaf texts of a hoisted tree, keyed by their selector path (e.g. "female.few")
+ */
+function collectForms(tree, forms = [], path = [], inPlural = false) {
+  if (!tree.options) {
+    forms.push({ path, text: printICU(tree.nodes, inPlural) });
+    return forms;
+  }
+  for (const { selector, tree: branch } of tree.options) {
+    const step = { name: tree.name, type: tree.type, selector };
+    collectForms(branch, forms, [...path, step], inPlural || isPluralType(tree.type));
+  }
+  return forms;
+}
+
+function describeForm(path) {
+  const conditions = path.map(({ name, type, selector }) => {
+    if (selector.startsWith('=')) return `${name} = ${selector.slice(1)}`;
+    if (isPluralType(type)) return `${name}: "${selector}" plural form`;
+    return `${name}: ${selector}`;
+  });
+  return `One form of a plural/select message (${conditions.join(', ')})`;
+}
+
+/**
+ * Rebuild a message from its translated forms for one language
+ */
+function assemble(tree, forms, language, path = '', inPlural = false) {
+  if (!tree.options) {
+    const text = forms[path];
+    if (typeof text !== 'string') {
+      throw new Error(`the "${path}" form is missing`);
+    }
+    let nodes;
+    try {
+      nodes = parseICU(text, { plural: inPlural });
+    } catch (error) {
+      throw new Error(`the "${path}" form is not valid ICU (${error.message})`);
+    }
+    if (nodes.some(node => BRANCHING_TYPES.includes(node.type))) {
+      throw new Error(`the "${path}" form has its own plural/select`);
+    }
+    return nodes;
+  }
+
+  let selectors = tree.options.map(option => option.selector);
+  if (isPluralType(tree.type)) {
+    const categories = pluralCategories(language, { ordinal: tree.type === 'selectordinal' });
+    selectors = [...selectors.filter(selector => selector.startsWith('=')), ...categories];
+  }
+
+  const other = tree.options.find(option => option.selector === 'other');
+  const pluralBranch = isPluralType(tree.type) || inPlural;
+  return [{
+    type: tree.type,
+    name: tree.name,
+    offset: tree.offset,
+    options: selectors.map(selector => {
+      // A category that wasn't requested (e.g. a regional fallback language) repeats `other`
+      const option = tree.options.find(candidate => candidate.selector === selector) || other;
+      return {
+        selector,
+        value: assemble(option.tree, forms, language, path ? `${path}.${option.selector}` : option.selector, pluralBranch),
+      };
+    }),
+  }];
+}
+
+/**
+ * Split plural/select messages into one translation key per form
+ * @param {Object} data - Nested translations
+ * @param {string[]} languages - Target languages, for the plural categories to request
+ * @returns {{data: Object, context: Object<string, string>, invalid: Array<{key: string, message: string}>,
+ *   restore: function(Object, string): {data: Object, issues: Array<{key: string, message: string}>}}|null}
+ *   Data to send, context annotations for the form keys, source messages that couldn't be
+ *   parsed (sent unchanged), and a function that rebuilds the messages of one translated
+ *   language. Null if there are no plural/select messages.
+ */
+export function explodeICUMessages(data, languages) {
+  const messages = {};
+  const exploded = {};
+  const context = {};
+  const invalid = [];
+
+  for (const [key, value] of Object.entries(flattenObject(data))) {
+    if (!isBranchingMessage(value)) {
+      exploded[key] = value;
+      continue;
+    }
+
+    let tree;
+    try {
+      tree = hoist(parseICU(value));
+    } catch (error) {
+      invalid.push({ key, message: error.message });
+      exploded[key] = value;
+      continue;
+    }
+
+    addCategories(tree, languages);
+    messages[key] = { tree, source: value };
+    for (const { path, text } of collectForms(tree)) {
+      const formKey = [key, ...path.map(step => step.selector)].join('.');
+      exploded[formKey] = text;
+      context[formKey] = describeForm(path);
+    }
+  }
+
+  if (Object.keys(messages).length === 0 && invalid.length === 0) return null;
+
+  const messageKeys = Object.keys(messages);
+  const restore = (translated, language) => {
+    const flat = {};
+    const forms = {};
+    const issues = [];
+
+    // Collect each message's forms where the message goes, so key order is kept
+    for (const [formKey, value] of Object.entries(flattenObject(translated))) {
+      const key = messageKeys.find(candidate => formKey.startsWith(`${candidate}.`));
+      if (!key) {
+        flat[formKey] = value;
+        continue;
+      }
+      if (!forms[key]) {
+        forms[key] = {};
+        flat[key] = null;
+      }
+      forms[key][formKey.slice(key.length + 1)] = value;
+    }
+
+    // Messages without forms (e.g. skipped keys) are simply absent
+    for (const [key, messageForms] of Object.entries(forms)) {
+      try {
+        flat[key] = printICU(assemble(messages[key].tree, messageForms, language));
+      } catch (error) {
+        issues.push({ key, message: error.message });
+        flat[key] = messages[key].source;
+      }
+    }
+
+    return { data: unflattenObject(flat), issues };
+  };
+
+  return { data: unflattenObject(exploded), context, invalid, restore };
+}
@@ -0,0 +1,260 @@
+/**
+ * Local stand-in for the Shipi18n API, for tests and CI (`shipi18n mock-server`)
+ *
+ * Translations are deterministic: "Hello {name}" becomes "[es] Hello {name}", so
+ * placeholders survive and results are easy to assert on. Responses can be delayed,
+ * fail with 401/429/500, or leave out languages and keys, which exercises retries,
+ * fallbacks and error handling without calling the real API.
+ */
+
+import { createServer } from 'http';
+import { flattenObject, unflattenObject, isSkippedKey } from '../utils/incremental.js';
+import { csvField } from './glossary.js';
+import { sleep } from './api.js';
+
+// Statuses --error can inject, with the body the API sends for them
+export const MOCK_ERRORS = {
+  401: { code: 'INVALID_API_KEY', message: 'Invalid API key' },
+  429: { code: 'RATE_LIMIT_EXCEEDED', message: 'Rate limit exceeded' },
+  500: { code: 'INTERNAL_ERROR', message: 'Internal server error' },
+};
+
+export const MOCK_EXPORT_FORMATS = ['json', 'csv'];
+
+/**
+ * Fake translation of a value: strings get a `[language]` prefix, arrays each item
+ * @param {*} value - Source value
+ * @param {string} language - Target language code
+ * @returns {*}
+ */
+export function mockTranslate(value, language) {
+  if (typeof value === 'string') return `[${language}] ${value}`;
+  if (Array.isArray(value)) return value.map(item => mockTranslate(item, language));
+  return value;
+}
+
+/**
+ * Parse an error to inject, e.g. "429:2" (the next 2 requests) or "500" (every request)
+ * @param {string|{status: number, times?: number}} spec
+ * @returns {{status: number, times: number}} `times` is Infinity for every request
+ * @throws {Error} If the status isn't one of MOCK_ERRORS or the count isn't a whole number
+ */
+export function parseErrorSpec(spec) {
+  const [status, times] = typeof spec === 'object'
+    ? [spec.status, spec.times]
+    : String(spec).split(':').map(part => part.trim());
+  const error = { status: Number(status), times: times === undefined || times === '' ? Infinity : Number(times) };
+
+  if (!MOCK_ERRORS[error.status]) {
+    throw new Error(`Unknown error status: ${status} (use ${Object.keys(MOCK_ERRORS).join(', ')})`);
+  }
+  if (error.times !== Infinity && (!Number.isInteger(error.times) || error.times < 1)) {
+    throw new Error(`Error count must be a whole number of at least 1 (got ${times})`);
+  }
+  return error;
+}
+
+/**
+ * Start a mock API server
+ *
+ * The returned `options` are live: change `errors`, `latency`, `missingLanguages` or
+ * `missingKeys` between requests to script a scenario.
+ *
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (default: 0, any free port)
+ * @param {string} options.host - Host to listen on (default: 127.0.0.1)
+ * @param {number} options.latency - Delay before each response in milliseconds (default: 0)
+ * @param {Array<string|{status: number, times?: number}>} options.errors - Errors to answer with, in
+ *   order; each fails `times` requests (default: all) before the next one applies
+ * @param {number} options.retryAfter - Retry-After header of 429 responses, in seconds (default: 1)
+ * @param {string[]} options.missingLanguages - Languages left out of translation responses
+ * @param {string[]} options.missingKeys - Keys (and the keys under them) left out of every translation
+ * @param {string} options.apiKey - Only accept this API key (default: any non-empty key)
+ * @param {Object[]} options.keys - Translation keys to start with ({keyName, sourceValue, translations})
+ * @param {function({method: string, path: string, status: number})} options.onRequest - Called after each response
+ * @returns {Promise<{url: string, port: number, options: Object, requests: Object[], keys: Map, close: function(): Promise<void>}>}
+ *   `requests` lists each request ({method, path, body}); `keys` holds the saved keys by name
+ */
+export async function startMockServer({ port = 0, host = '127.0.0.1', keys: initialKeys = [], ...settings } = {}) {
+  const options = {
+    latency: 0,
+    errors: [],
+    retryAfter: 1,
+    missingLanguages: [],
+    missingKeys: [],
+    apiKey: null,
+    ...settings,
+  };
+  options.errors = options.errors.map(parseErrorSpec);
+
+  const requests = [];
+  const keys = new Map();
+  let nextId = 1;
+
+  const saveKey = (keyName, sourceValue, language, translation) => {
+    if (!keys.has(keyName)) {
+      keys.set(keyName, { id: `key_${nextId++}`, keyName, sourceValue, translations: {} });
+    }
+    const key = keys.get(keyName);
+    key.sourceValue = sourceValue;
+    if (language) key.translations[language] = translation;
+  };
+  for (const { keyName, sourceValue, translations = {} } of initialKeys) {
+    saveKey(keyName, sourceValue);
+    Object.assign(keys.get(keyName).translations, translations);
+  }
+
+  // The next injected error, counting it as used
+  const takeError = () => {
+    options.errors = options.errors.map(parseErrorSpec);
+    const error = options.errors[0];
+    if (!error) return null;
+    if (--error.times === 0) options.errors.shift();
+    return error.status;
+  };
+
+  const translate = (source, body) => {
+    const sourceFlat = flattenObject(source);
+    const targetLanguages = typeof body.targetLanguages === 'string' ? JSON.parse(body.targetLanguages) : body.targetLanguages;
+    const skipped = Object.keys(sourceFlat).filter(key => isSkippedKey(key, body.skipKeys, body.skipPaths));
+    const response = {};
+
+    for (const language of targetLanguages) {
+      if (options.missingLanguages.includes(language)) continue;
+
+      const translated = {};
+      for (const [key, value] of Object.entries(sourceFlat)) {
+        if (isSkippedKey(key, options.missingKeys)) continue;
+        translated[key] = skipped.includes(key) ? value : mockTranslate(value, language);
+        if (!skipped.includes(key)) saveKey(key, value, language, translated[key]);
+      }
+      // Like the API, each language comes back as a JSON string
+      response[language] = JSON.stringify(unflattenObject(translated));
+    }
+
+    if (skipped.length > 0) {
+      response.skipped = { count: skipped.length, keys: skipped };
+    }
+    const annotated = Object.keys(body.contextAnnotations || {}).filter(key => key in sourceFlat && !skipped.includes(key));
+    if (annotated.length > 0) {
+      response.contextEnhanced = { count: annotated.length, keys: annotated };
+    }
+    return response;
+  };
+
+  const exportKeys = (format) => {
+    const list = [...keys.values()];
+    if (format === 'json') return { keys: list };
+
+    const languages = [...new Set(list.flatMap(key => Object.keys(key.translations)))].sort();
+    const rows = list.map(key => [key.keyName, key.sourceValue, ...languages.map(language => key.translations[language])]);
+    return [['key', 'source', ...languages], ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+  };
+
+  // Status and JSON body for a request
+  const route = (method, path, body) => {
+    if (method === 'POST' && path === '/api/translate') {
+      if (typeof body?.text !== 'string' || !body.targetLanguages) {
+        return [400, { error: { code: 'INVALID_REQUEST', message: 'text and targetLanguages are required' } }];
+      }
+      let source;
+      try {
+        source = JSON.parse(body.text);
+      } catch (error) {
+        return [400, { error: { code: 'INVALID_JSON', message: `text is not valid JSON: ${error.message}` } }];
+      }
+      return [200, translate(source, body)];
+    }
+
+    if (method === 'GET' && path === '/api/keys') {
+      return [200, { keys: [...keys.values()], limit: null }];
+    }
+
+    const exportMatch = path.match(/^\/api\/keys\/export\/([^/]+)$/);
+    if (method === 'GET' && exportMatch) {
+      const format = decodeURIComponent(exportMatch[1]);
+      if (!MOCK_EXPORT_FORMATS.includes(format)) {
+        return [400, { error: { code: 'INVALID_FORMAT', message: `Unsupported export format: ${format}` } }];
+      }
+      return [200, exportKeys(format)];
+    }
+
+    const keyMatch = path.match(/^\/api\/keys\/([^/]+)$/);
+    if (method === 'DELETE' && keyMatch) {
+      const id = decodeURIComponent(keyMatch[1]);
+      const key = [...keys.values()].find(entry => entry.id === id || entry.keyName === id);
+      if (!key) {
+        return [404, { error: { code: 'KEY_NOT_FOUND', message: `Key not found: ${id}` } }];
+      }
+      keys.delete(key.keyName);
+      return [200, { deleted: key.id }];
+    }
+
+    return [404, { error: { code: 'NOT_FOUND', message: `Not found: ${method} ${path}` } }];
+  };
+
+  const handle = async (req, res) => {
+    let text = '';
+    for await (const chunk of req) text += chunk;
+
+    const path = new URL(req.url, 'http://localhost').pathname;
+    let body = null;
+    let invalidBody = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (error) {
+      invalidBody = error;
+    }
+    requests.push({ method: req.method, path, body });
+
+    if (options.latency > 0) {
+      await sleep(options.latency);
+    }
+
+    const apiKey = req.headers['x-api-key'];
+    const injected = takeError();
+    const headers = { 'Content-Type': 'application/json' };
+    let status;
+    let payload;
+
+    if (injected === 401 || !apiKey || (options.apiKey && apiKey !== options.apiKey)) {
+      [status, payload] = [401, { error: MOCK_ERRORS[401] }];
+    } else if (injected) {
+      [status, payload] = [injected, { error: MOCK_ERRORS[injected] }];
+      if (injected === 429) headers['Retry-After'] = String(options.retryAfter);
+    } else if (invalidBody) {
+      [status, payload] = [400, { error: { code: 'INVALID_JSON', message: `Invalid JSON body: ${invalidBody.message}` } }];
+    } else {
+      [status, payload] = route(req.method, path, body);
+    }
+
+    res.writeHead(status, headers);
+    res.end(JSON.stringify(payload));
+    options.onRequest?.({ method: req.method, path, status });
+  };
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { code: 'INTERNAL_ERROR', message: error.message } }));
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  return {
+    url: `http://${host.includes(':') ? `[${host}]` : host}:${address.port}`,
+    port: address.port,
+    options,
+    requests,
+    keys,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections?.();
+      server.close(() => resolve());
+    }),
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Translation coverage per language and namespace, for `shipi18n status`
+ */
+
+import { flattenObject, countKeys } from '../utils/incremental.js';
+import { isEmpty } from './check.js';
+
+export const STATUS_FORMATS = ['human', 'json', 'markdown'];
+
+const COUNTS = ['total', 'translated', 'missing', 'identical', 'orphaned'];
+
+/**
+ * Percentage of keys translated, with one decimal (100 when there is nothing to translate)
+ */
+function percentage(translated, total) {
+  return total === 0 ? 100 : Math.floor((translated / total) * 1000) / 10;
+}
+
+/**
+ * Count keys of one target file against its source
+ * `translated` includes keys identical to the source (brand names, "OK"), which are
+ * also counted in `identical` so they can be reviewed.
+ * @param {Object} sourceData - Source translations
+ * @param {Object} targetData - Target translations
+ * @param {Object} options
+ * @param {boolean} options.sameLanguage - Source and target share a base language (en/en-GB)
+ * @returns {{total: number, translated: number, missing: number, identical: number, orphaned: number}}
+ */
+export function countCoverage(sourceData, targetData, { sameLanguage = false } = {}) {
+  const sourceFlat = flattenObject(sourceData);
+  const targetFlat = flattenObject(targetData);
+  const counts = { total: countKeys(sourceData), translated: 0, missing: 0, identical: 0, orphaned: 0 };
+
+  for (const [key, source] of Object.entries(sourceFlat)) {
+    const target = targetFlat[key];
+    if (isEmpty(target) && !isEmpty(source)) {
+      counts.missing++;
+      continue;
+    }
+    counts.translated++;
+    if (!sameLanguage && typeof source === 'string' && target === source && /\p{L}/u.test(source)) {
+      counts.identical++;
+    }
+  }
+
+  counts.orphaned = Object.keys(targetFlat).filter(key => !(key in sourceFlat)).length;
+  return counts;
+}
+
+function sumCounts(entries) {
+  const counts = Object.fromEntries(COUNTS.map(name => [name, 0]));
+  for (const entry of entries) {
+    for (const name of COUNTS) counts[name] += entry[name];
+  }
+  return { ...counts, coverage: percentage(counts.translated, counts.total) };
+}
+
+/**
+ * Build the coverage report
+ * @param {Array<{language: string, namespace: string, source: string, target: string, exists: boolean}>} files -
+ *   One entry per target file, with the counts from countCoverage
+ * @param {Object} options
+ * @param {number} options.threshold - Minimum coverage (percent) every language must reach
+ * @returns {{ok: boolean, threshold: number|null, belowThreshold: string[], overall: Object,
+ *   languages: Object[], files: Object[]}}
+ */
+export function buildStatusReport(files, { threshold = null } = {}) {
+  const languages = [...new Set(files.map(file => file.language))].map(language => ({
+    language,
+    ...sumCounts(files.filter(file => file.language === language)),
+  }));
+  const belowThreshold = threshold === null ? [] : languages.filter(language => language.coverage < threshold);
+
+  return {
+    ok: belowThreshold.length === 0,
+    threshold,
+    belowThreshold: belowThreshold.map(language => language.language),
+    overall: sumCounts(files),
+    languages,
+    files: files.map(file => ({ ...file, coverage: percentage(file.translated, file.total) })),
+  };
+}
+
+/**
+ * Markdown table of a coverage report, for release notes and pull requests
+ * Namespaces get their own rows when there is more than one.
+ * @param {Object} report - From buildStatusReport
+ * @returns {string}
+ */
+export function buildMarkdownReport(report) {
+  const namespaces = new Set(report.files.map(file => file.namespace));
+  const byNamespace = namespaces.size > 1;
+  const header = ['Language', ...(byNamespace ? ['Namespace'] : []), 'Keys', 'Translated', 'Missing', 'Identical', 'Orphaned', 'Coverage'];
+  const row = (cells) => `| ${cells.join(' | ')} |`;
+  const counts = (entry) => COUNTS.map(name => entry[name]).concat(`${entry.coverage}%`);
+
+  const lines = [row(header), row(header.map((cell, index) => index === 0 || (byNamespace && index === 1) ? '---' : '---:'))];
+  for (const language of report.languages) {
+    if (byNamespace) {
+      for (const file of report.files.filter(file => file.language === language.language)) {
+        lines.push(row([language.language, file.namespace, ...counts(file)]));
+      }
+      lines.push(row([`**${language.language}**`, '**Total**', ...counts(language).map(cell => `**${cell}**`)]));
+    } else {
+      lines.push(row([language.language, ...counts(language)]));
+    }
+  }
+
+  lines.push('');
+  lines.push(`Overall coverage: **${report.overall.coverage}%** (${report.overall.translated} of ${report.overall.total} keys)`);
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,251 @@
+import { parseXML, escapeXML, childElements, childElement, textContent } from './xml.js';
+
+/**
+ * XLIFF 1.2 and 2.0 reading and writing
+ *
+ * Units use version-neutral states:
+ * - new: no translation yet
+ * - needs-translation: target is a source-language fallback
+ * - needs-review: target came from a regional fallback (e.g. pt for pt-BR)
+ * - translated, reviewed, final
+ */
+
+export const XLIFF_VERSIONS = ['1.2', '2.0'];
+
+// States whose targets are real translations and can be imported
+export const IMPORTABLE_STATES = ['needs-review', 'translated', 'reviewed', 'final'];
+
+const STATES_1_2 = {
+  new: 'new',
+  'needs-translation': 'needs-translation',
+  'needs-review': 'needs-review-translation',
+  translated: 'translated',
+  reviewed: 'signed-off',
+  final: 'final',
+};
+
+const STATES_FROM_1_2 = {
+  new: 'new',
+  'needs-translation': 'needs-translation',
+  'needs-adaptation': 'needs-translation',
+  'needs-l10n': 'needs-translation',
+  'needs-review-translation': 'needs-review',
+  'needs-review-adaptation': 'needs-review',
+  'needs-review-l10n': 'needs-review',
+  translated: 'translated',
+  'signed-off': 'reviewed',
+  final: 'final',
+};
+
+// XLIFF 2.0 only has initial/translated/reviewed/final; fallbacks are kept in subState
+const STATES_2_0 = {
+  new: { state: 'initial' },
+  'needs-translation': { state: 'initial', subState: 'shipi18n:fallback' },
+  'needs-review': { state: 'translated', subState: 'shipi18n:regional-fallback' },
+  translated: { state: 'translated' },
+  reviewed: { state: 'reviewed' },
+  final: { state: 'final' },
+};
+
+function stateFrom2_0(state, subState) {
+  if (subState === 'shipi18n:fallback') return 'needs-translation';
+  if (subState === 'shipi18n:regional-fallback') return 'needs-review';
+  if (state === 'initial') return 'new';
+  return state || 'new';
+}
+
+function attributes(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXML(value)}"`)
+    .join('');
+}
+
+function build1_2({ sourceLanguage, targetLanguage, files }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+  ];
+
+  for (const file of files) {
+    lines.push(`  <file${attributes({ original: file.original, 'source-language': sourceLanguage, 'target-language': targetLanguage, datatype: 'plaintext' })}>`);
+    lines.push('    <body>');
+    file.units.forEach((unit, index) => {
+      lines.push(`      <trans-unit${attributes({ id: unit.id || `u${index + 1}`, resname: unit.key })}>`);
+      lines.push(`        <source>${escapeXML(unit.source)}</source>`);
+      if (unit.target !== undefined && unit.target !== null) {
+        lines.push(`        <target${attributes({ state: STATES_1_2[unit.state] })}>${escapeXML(unit.target)}</target>`);
+      }
+      for (const note of unit.notes || []) {
+        lines.push(`        <note${attributes({ from: note.category })}>${escapeXML(note.text)}</note>`);
+      }
+      lines.push('      </trans-unit>');
+    });
+    lines.push('    </body>');
+    lines.push('  </file>');
+  }
+
+  lines.push('</xliff>');
+  return lines.join('\n') + '\n';
+}
+
+function build2_0({ sourceLanguage, targetLanguage, files }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0"${attributes({ srcLang: sourceLanguage, trgLang: targetLanguage })}>`,
+  ];
+
+  files.forEach((file, fileIndex) => {
+    lines.push(`  <file${attributes({ id: `f${fileIndex + 1}`, original: file.original })}>`);
+    file.units.forEach((unit, index) => {
+      lines.push(`    <unit${attributes({ id: unit.id || `u${index + 1}`, name: unit.key })}>`);
+      if (unit.notes?.length > 0) {
+        lines.push('      <notes>');
+        for (const note of unit.notes) {
+          lines.push(`        <note${attributes({ category: note.category })}>${escapeXML(note.text)}</note>`);
+        }
+        lines.push('      </notes>');
+      }
+      lines.push(`      <segment${attributes(STATES_2_0[unit.state] || {})}>`);
+      lines.push(`        <source>${escapeXML(unit.source)}</source>`);
+      if (unit.target !== undefined && unit.target !== null) {
+        lines.push(`        <target>${escapeXML(unit.target)}</target>`);
+      }
+      lines.push('      </segment>');
+      lines.push('    </unit>');
+    });
+    lines.push('  </file>');
+  });
+
+  lines.push('</xliff>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build an XLIFF document
+ * @param {Object} options
+ * @param {string} options.version - "1.2" or "2.0"
+ * @param {string} options.sourceLanguage - Source language code
+ * @param {string} options.targetLanguage - Target language code
+ * @param {Array<{original: string, units: Object[]}>} options.files - Files with units
+ *   ({ key, source, target, state, notes: [{ category, text }] })
+ * @returns {string}
+ */
+export function buildXliff({ version = '1.2', sourceLanguage, targetLanguage, files }) {
+  if (!XLIFF_VERSIONS.includes(version)) {
+    throw new Error(`Unsupported XLIFF version: ${version} (use ${XLIFF_VERSIONS.join(' or ')})`);
+  }
+  return version === '2.0'
+    ? build2_0({ sourceLanguage, targetLanguage, files })
+    : build1_2({ sourceLanguage, targetLanguage, files });
+}
+
+function parseNotes(nodes, categoryAttribute) {
+  return nodes.map(note => {
+    const result = { text: textContent(note) };
+    if (note.attributes[categoryAttribute]) {
+      result.category = note.attributes[categoryAttribute];
+    }
+    return result;
+  });
+}
+
+function parse1_2(root) {
+  const files = childElements(root, 'file');
+  return {
+    version: '1.2',
+    sourceLanguage: files[0]?.attributes['source-language'],
+    targetLanguage: files[0]?.attributes['target-language'],
+    files: files.map(file => {
+      const body = childElement(file, 'body') || file;
+      // trans-units may be nested in groups
+      const transUnits = [];
+      const collect = (node) => {
+        for (const child of childElements(node)) {
+          if (child.name === 'trans-unit') transUnits.push(child);
+          else if (child.name === 'group') collect(child);
+        }
+      };
+      collect(body);
+
+      return {
+        original: file.attributes.original,
+        units: transUnits.map(unit => {
+          const target = childElement(unit, 'target');
+          return {
+            id: unit.attributes.id,
+            key: unit.attributes.resname || unit.attributes.id,
+            source: textContent(childElement(unit, 'source')),
+            target: target ? textContent(target) : undefined,
+            state: target
+              ? STATES_FROM_1_2[target.attributes.state] || (textContent(target) ? 'translated' : 'new')
+              : 'new',
+            notes: parseNotes(childElements(unit, 'note'), 'from'),
+          };
+        }),
+      };
+    }),
+  };
+}
+
+function parse2_0(root) {
+  return {
+    version: '2.0',
+    sourceLanguage: root.attributes.srcLang,
+    targetLanguage: root.attributes.trgLang,
+    files: childElements(root, 'file').map(file => {
+      const units = [];
+      const collect = (node) => {
+        for (const child of childElements(node)) {
+          if (child.name === 'unit') units.push(child);
+          else if (child.name === 'group') collect(child);
+        }
+      };
+      collect(file);
+
+      return {
+        original: file.attributes.original,
+        units: units.map(unit => {
+          // Units may be split into several segments; join them back together
+          const segments = childElements(unit).filter(child => child.name === 'segment' || child.name === 'ignorable');
+          const segment = childElement(unit, 'segment');
+          const targets = segments.map(s => childElement(s, 'target'));
+          const hasTarget = targets.some(Boolean);
+          const notes = childElement(unit, 'notes');
+
+          return {
+            id: unit.attributes.id,
+            key: unit.attributes.name || unit.attributes.id,
+            source: segments.map(s => textContent(childElement(s, 'source'))).join(''),
+            target: hasTarget ? targets.map(textContent).join('') : undefined,
+            state: hasTarget
+              ? stateFrom2_0(segment?.attributes.state || 'translated', segment?.attributes.subState)
+              : 'new',
+            notes: notes ? parseNotes(childElements(notes, 'note'), 'category') : [],
+          };
+        }),
+      };
+    }),
+  };
+}
+
+/**
+ * Parse an XLIFF 1.2 or 2.0 document
+ * @param {string} content - XLIFF content
+ * @returns {{version: string, sourceLanguage: string, targetLanguage: string, files: Object[]}}
+ */
+export function parseXliff(content) {
+  const root = parseXML(content);
+  if (root.name !== 'xliff') {
+    throw new Error(`Not an XLIFF document (root element <${root.name}>)`);
+  }
+
+  const version = root.attributes.version;
+  if (version === '2.0' || version === '2.1') {
+    return parse2_0(root);
+  }
+  if (version === '1.2') {
+    return parse1_2(root);
+  }
+  throw new Error(`Unsupported XLIFF version: ${version}`);
+}
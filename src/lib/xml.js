@@ -0,0 +1,219 @@
+/**
+ * Minimal XML reader for locale formats (XLIFF, Android resources, plists)
+ *
+ * Produces a tree of { type: 'element', name, attributes, children } nodes
+ * with 'text', 'cdata' and 'comment' leaves. Namespaces are kept as part of
+ * the name; DTDs are skipped.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Decode XML entities
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+export function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {string} value - Text
+ * @returns {string}
+ */
+export function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const regex = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = regex.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * Parse an XML document
+ * @param {string} content - XML content
+ * @returns {Object} Root element node
+ */
+export function parseXML(content) {
+  const root = { type: 'element', name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  let position = 0;
+
+  const current = () => stack[stack.length - 1];
+
+  while (position < content.length) {
+    const tagStart = content.indexOf('<', position);
+
+    if (tagStart === -1 || tagStart > position) {
+      const end = tagStart === -1 ? content.length : tagStart;
+      const text = content.slice(position, end);
+      if (stack.length > 1) {
+        current().children.push({ type: 'text', value: decodeEntities(text) });
+      } else if (text.trim()) {
+        throw new Error('Text outside of the root element');
+      }
+      position = end;
+      continue;
+    }
+
+    if (content.startsWith('<!--', tagStart)) {
+      const end = content.indexOf('-->', tagStart);
+      if (end === -1) throw new Error('Unterminated comment');
+      current().children.push({ type: 'comment', value: content.slice(tagStart + 4, end) });
+      position = end + 3;
+    } else if (content.startsWith('<![CDATA[', tagStart)) {
+      const end = content.indexOf(']]>', tagStart);
+      if (end === -1) throw new Error('Unterminated CDATA section');
+      current().children.push({ type: 'cdata', value: content.slice(tagStart + 9, end) });
+      position = end + 3;
+    } else if (content.startsWith('<?', tagStart)) {
+      const end = content.indexOf('?>', tagStart);
+      if (end === -1) throw new Error('Unterminated processing instruction');
+      position = end + 2;
+    } else if (content.startsWith('<!', tagStart)) {
+      // DOCTYPE, possibly with an internal subset in brackets
+      const bracket = content.indexOf('[', tagStart);
+      const close = content.indexOf('>', tagStart);
+      const end = bracket !== -1 && bracket < close
+        ? content.indexOf('>', content.indexOf(']', bracket))
+        : close;
+      if (end === -1) throw new Error('Unterminated declaration');
+      position = end + 1;
+    } else if (content[tagStart + 1] === '/') {
+      const end = content.indexOf('>', tagStart);
+      if (end === -1) throw new Error('Unterminated closing tag');
+      const name = content.slice(tagStart + 2, end).trim();
+      const open = stack.pop();
+      if (!open || open.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      position = end + 1;
+    } else {
+      // Find the end of the tag, skipping '>' inside quoted attribute values
+      let end = tagStart + 1;
+      let quote = null;
+      while (end < content.length) {
+        const char = content[end];
+        if (quote) {
+          if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+          quote = char;
+        } else if (char === '>') {
+          break;
+        }
+        end++;
+      }
+      if (end >= content.length) throw new Error('Unterminated tag');
+
+      let inner = content.slice(tagStart + 1, end);
+      const selfClosing = inner.endsWith('/');
+      if (selfClosing) inner = inner.slice(0, -1);
+
+      const nameMatch = /^[^\s/>]+/.exec(inner);
+      if (!nameMatch) throw new Error('Invalid tag');
+
+      const element = {
+        type: 'element',
+        name: nameMatch[0],
+        attributes: parseAttributes(inner.slice(nameMatch[0].length)),
+        children: [],
+      };
+      current().children.push(element);
+      if (!selfClosing) stack.push(element);
+      position = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${current().name}>`);
+  }
+
+  const element = root.children.find(child => child.type === 'element');
+  if (!element) {
+    throw new Error('No root element');
+  }
+  return element;
+}
+
+/**
+ * Get child elements, optionally filtered by name
+ * @param {Object} node - Element node
+ * @param {string} name - Element name
+ * @returns {Object[]}
+ */
+export function childElements(node, name) {
+  return node.children.filter(child => child.type === 'element' && (!name || child.name === name));
+}
+
+/**
+ * Get the first child element with a name
+ * @param {Object} node - Element node
+ * @param {string} name - Element name
+ * @returns {Object|undefined}
+ */
+export function childElement(node, name) {
+  return childElements(node, name)[0];
+}
+
+/**
+ * Concatenated text of a node and its descendants (comments excluded)
+ * @param {Object} node - Any node
+ * @returns {string}
+ */
+export function textContent(node) {
+  if (!node) return '';
+  if (node.type === 'text' || node.type === 'cdata') return node.value;
+  if (node.type !== 'element') return '';
+  return node.children.map(textContent).join('');
+}
+
+/**
+ * Escape text content (quotes are left alone, unlike escapeXML)
+ * @param {string} value - Text
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Serialize a node back to XML
+ * @param {Object} node - Any node
+ * @returns {string}
+ */
+export function serializeXML(node) {
+  switch (node.type) {
+    case 'text': return escapeText(node.value);
+    case 'cdata': return `<![CDATA[${node.value}]]>`;
+    case 'comment': return `<!--${node.value}-->`;
+    default: {
+      const attributes = Object.entries(node.attributes)
+        .map(([name, value]) => ` ${name}="${escapeXML(value)}"`)
+        .join('');
+      if (node.children.length === 0) {
+        return `<${node.name}${attributes}/>`;
+      }
+      return `<${node.name}${attributes}>${node.children.map(serializeXML).join('')}</${node.name}>`;
+    }
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * Translation memory - translations of single strings, reused instead of sending
+ * them to the API again
+ *
+ * {
+ *   "version": 1,
+ *   "entries": {
+ *     "<hash>": {
+ *       "sourceLanguage": "en", "targetLanguage": "es",
+ *       "source": "Cancel", "translation": "Cancelar",
+ *       "context": "button", "createdAt": "...", "usedAt": "...", "hits": 3
+ *     }
+ *   }
+ * }
+ *
+ * Entries are keyed by source text, source and target language, context annotation,
+ * glossary terms and the options that change the result (placeholder and HTML handling).
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, statSync, rmSync } from 'fs';
+import { dirname, join } from 'path';
+import { CONFIG_DIR, findProjectConfig } from '../lib/config.js';
+import { escapeXML } from '../lib/xml.js';
+import { findTermViolations, csvField } from '../lib/glossary.js';
+import { comparePlaceholders } from './placeholders.js';
+
+export const CACHE_FILE = 'shipi18n.cache.json';
+const CACHE_VERSION = 1;
+
+export const CACHE_EXPORT_FORMATS = ['json', 'tmx', 'csv'];
+
+/**
+ * Where the translation memory lives
+ * `"cache": "project"` in shipi18n.config.json keeps it next to that file (to commit or
+ * share in CI); otherwise it's shared by all projects under ~/.shipi18n.
+ * @param {Object} config - Merged config
+ * @param {string} startDir - Directory to search for the project config from
+ * @returns {string|null} Path, or null when `"cache": false` turns it off
+ */
+export function getCachePath(config, startDir = process.cwd()) {
+  if (config.cache === false || config.cache === 'false') return null;
+
+  if (config.cache === 'project') {
+    const projectConfig = findProjectConfig(startDir);
+    if (projectConfig) return join(dirname(projectConfig), CACHE_FILE);
+  }
+
+  return join(CONFIG_DIR, 'cache.json');
+}
+
+/**
+ * Hash the parts of a lookup that change its translation
+ * @param {Object} entry - Lookup (see openTranslationMemory)
+ * @returns {string}
+ */
+export function cacheKey({ text, sourceLanguage, targetLanguage, context, preservePlaceholders = true, htmlHandling = 'none', glossary }) {
+  const parts = [sourceLanguage, targetLanguage, text, context || '', String(preservePlaceholders), htmlHandling];
+  if (glossary?.length > 0) parts.push(glossary);
+  return createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Read a translation memory file (empty if it doesn't exist)
+ * @param {string} cachePath - File path
+ * @returns {{version: number, entries: Object}}
+ */
+export function readCache(cachePath) {
+  if (!existsSync(cachePath)) {
+    return { version: CACHE_VERSION, entries: {} };
+  }
+
+  let cache;
+  try {
+    cache = JSON.parse(readFileSync(cachePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${cachePath}: ${error.message} (run: shipi18n cache clear)`);
+  }
+  return { version: CACHE_VERSION, entries: cache.entries || {} };
+}
+
+/**
+ * Write a translation memory file
+ * @param {string} cachePath - File path
+ * @param {Object} cache - Cache contents
+ */
+export function writeCache(cachePath, cache) {
+  mkdirSync(dirname(cachePath), { recursive: true });
+  writeFileSync(cachePath, JSON.stringify({ version: CACHE_VERSION, entries: cache.entries }) + '\n', 'utf8');
+}
+
+/**
+ * Open a translation memory for a translate run
+ * `get` and `set` are what Shipi18nAPI.translateJSON expects as its `memory` option.
+ * @param {string} cachePath - File path
+ * @returns {{get: Function, set: Function, save: Function, hits: number, added: number}}
+ */
+export function openTranslationMemory(cachePath) {
+  const cache = readCache(cachePath);
+  let changed = false;
+
+  return {
+    path: cachePath,
+    hits: 0,
+    added: 0,
+
+    /**
+     * Look up a translation
+     * @param {Object} entry
+     * @param {string} entry.text - Source text
+     * @param {string} entry.sourceLanguage - Source language
+     * @param {string} entry.targetLanguage - Target language
+     * @param {string} entry.context - Context annotation for the key
+     * @param {boolean} entry.preservePlaceholders - Placeholder mode
+     * @param {string} entry.htmlHandling - HTML mode
+     * @param {Array<{term: string, translation: string}>} entry.glossary - Glossary terms in the text
+     * @returns {string|undefined}
+     */
+    get(entry) {
+      const found = cache.entries[cacheKey(entry)];
+      if (!found) return undefined;
+
+      found.hits = (found.hits || 0) + 1;
+      found.usedAt = new Date().toISOString();
+      changed = true;
+      this.hits++;
+      return found.translation;
+    },
+
+    /**
+     * Remember a translation; ones that lost or gained placeholders or break the glossary aren't kept
+     * @param {Object} entry - Lookup (see get)
+     * @param {string} translation - Translated text
+     */
+    set(entry, translation) {
+      if (typeof translation !== 'string' || translation.trim() === '') return;
+      const { missing, extra } = comparePlaceholders(entry.text, translation);
+      if (missing.length > 0 || extra.length > 0) return;
+      if (findTermViolations(translation, entry.glossary || []).length > 0) return;
+
+      const now = new Date().toISOString();
+      cache.entries[cacheKey(entry)] = {
+        sourceLanguage: entry.sourceLanguage,
+        targetLanguage: entry.targetLanguage,
+        source: entry.text,
+        translation,
+        ...(entry.context ? { context: entry.context } : {}),
+        createdAt: now,
+        usedAt: now,
+        hits: 0,
+      };
+      changed = true;
+      this.added++;
+    },
+
+    /**
+     * Write the file if anything changed
+     */
+    save() {
+      if (changed) writeCache(cachePath, cache);
+      changed = false;
+    },
+  };
+}
+
+/**
+ * Summarize a translation memory
+ * @param {string} cachePath - File path
+ * @returns {{path: string, exists: boolean, size: number, entries: number, hits: number,
+ *   pairs: Array<{sourceLanguage: string, targetLanguage: string, entries: number, hits: number}>,
+ *   oldest: string|null, newest: string|null}}
+ */
+export function getCacheStats(cachePath) {
+  const cache = readCache(cachePath);
+  const entries = Object.values(cache.entries);
+  const pairs = new Map();
+
+  for (const entry of entries) {
+    const id = `${entry.sourceLanguage}>${entry.targetLanguage}`;
+    if (!pairs.has(id)) {
+      pairs.set(id, { sourceLanguage: entry.sourceLanguage, targetLanguage: entry.targetLanguage, entries: 0, hits: 0 });
+    }
+    pairs.get(id).entries++;
+    pairs.get(id).hits += entry.hits || 0;
+  }
+
+  const dates = entries.map(entry => entry.createdAt).filter(Boolean).sort();
+
+  return {
+    path: cachePath,
+    exists: existsSync(cachePath),
+    size: existsSync(cachePath) ? statSync(cachePath).size : 0,
+    entries: entries.length,
+    hits: entries.reduce((sum, entry) => sum + (entry.hits || 0), 0),
+    pairs: [...pairs.values()].sort((a, b) =>
+      a.sourceLanguage.localeCompare(b.sourceLanguage) || a.targetLanguage.localeCompare(b.targetLanguage)
+    ),
+    oldest: dates[0] || null,
+    newest: dates[dates.length - 1] || null,
+  };
+}
+
+/**
+ * Remove entries, all of them or those for some target languages
+ * @param {string} cachePath - File path
+ * @param {Object} options
+ * @param {string[]} options.languages - Only remove entries for these target languages
+ * @returns {number} Entries removed
+ */
+export function clearCache(cachePath, { languages } = {}) {
+  if (!languages) {
+    // Also clears a file that no longer parses
+    let removed = 0;
+    try {
+      removed = Object.keys(readCache(cachePath).entries).length;
+    } catch (error) {
+      // Unreadable; removed all the same
+    }
+    rmSync(cachePath, { force: true });
+    return removed;
+  }
+
+  const cache = readCache(cachePath);
+  let removed = 0;
+
+  for (const [key, entry] of Object.entries(cache.entries)) {
+    if (!languages.includes(entry.targetLanguage)) continue;
+    delete cache.entries[key];
+    removed++;
+  }
+
+  if (removed > 0) writeCache(cachePath, cache);
+  return removed;
+}
+
+/**
+ * Export a translation memory
+ * TMX 1.4 groups the translations of a source string into one translation unit.
+ * @param {string} cachePath - File path
+ * @param {string} format - One of CACHE_EXPORT_FORMATS
+ * @returns {string}
+ */
+export function exportCache(cachePath, format = 'json') {
+  const entries = Object.values(readCache(cachePath).entries)
+    .sort((a, b) => a.source.localeCompare(b.source) || a.targetLanguage.localeCompare(b.targetLanguage));
+
+  if (format === 'json') {
+    return JSON.stringify(entries, null, 2) + '\n';
+  }
+
+  if (format === 'csv') {
+    const columns = ['sourceLanguage', 'targetLanguage', 'source', 'translation', 'context', 'hits'];
+    return [columns.join(','), ...entries.map(entry => columns.map(column => csvField(entry[column])).join(','))]
+      .join('\n') + '\n';
+  }
+
+  if (format === 'tmx') {
+    const units = new Map();
+    for (const entry of entries) {
+      const id = JSON.stringify([entry.sourceLanguage, entry.source, entry.context || '']);
+      if (!units.has(id)) units.set(id, []);
+      units.get(id).push(entry);
+    }
+
+    const lines = [];
+    for (const unit of units.values()) {
+      const [first] = unit;
+      lines.push('    <tu>');
+      if (first.context) lines.push(`      <note>${escapeXML(first.context)}</note>`);
+      lines.push(`      <tuv xml:lang="${escapeXML(first.sourceLanguage)}"><seg>${escapeXML(first.source)}</seg></tuv>`);
+      // One translation per language (entries may differ only in placeholder/HTML mode)
+      for (const entry of unit.filter((entry, index) => unit.findIndex(other => other.targetLanguage === entry.targetLanguage) === index)) {
+        lines.push(`      <tuv xml:lang="${escapeXML(entry.targetLanguage)}"><seg>${escapeXML(entry.translation)}</seg></tuv>`);
+      }
+      lines.push('    </tu>');
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<tmx version="1.4">',
+      '  <header creationtool="shipi18n" creationtoolversion="1" segtype="sentence" o-tmf="shipi18n" adminlang="en" srclang="*all*" datatype="plaintext"/>',
+      '  <body>',
+      ...lines,
+      '  </body>',
+      '</tmx>',
+    ].join('\n') + '\n';
+  }
+
+  throw new Error(`Unknown export format: ${format} (use ${CACHE_EXPORT_FORMATS.join(', ')})`);
+}
@@ -0,0 +1,222 @@
+/**
+ * Utilities for locating locale files
+ */
+
+import { existsSync, readdirSync, statSync } from 'fs';
+import { join, dirname, basename, extname, relative, sep } from 'path';
+import { SUPPORTED_EXTENSIONS, getFormatByName } from '../lib/formats/index.js';
+import { parseList } from '../lib/config.js';
+
+const IGNORED_DIRS = ['node_modules', '.git', 'dist', 'build'];
+
+/**
+ * Check whether a path contains glob characters
+ * @param {string} pattern - Path or glob pattern
+ * @returns {boolean}
+ */
+export function hasGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports `*` (within one path segment), `?` (one character) and `**` (any depth)
+ * @param {string} pattern - Glob pattern using forward slashes
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` matches zero or more directories
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Get the static directory prefix of a glob pattern (e.g. `locales/en` for `locales/en/*.json`)
+ * @param {string} pattern - Glob pattern
+ * @returns {string}
+ */
+export function globBase(pattern) {
+  const segments = pattern.split('/');
+  const staticSegments = [];
+  for (const segment of segments) {
+    if (hasGlob(segment)) break;
+    staticSegments.push(segment);
+  }
+  return staticSegments.join('/') || '.';
+}
+
+/**
+ * Recursively list files in a directory, skipping node_modules, .git, dist and build
+ * @param {string} dir - Directory to scan
+ * @returns {string[]} File paths (joined with dir)
+ */
+export function listFiles(dir, files = []) {
+  if (!existsSync(dir)) return files;
+
+  for (const item of readdirSync(dir).sort()) {
+    if (IGNORED_DIRS.includes(item)) continue;
+
+    const fullPath = join(dir, item);
+    if (statSync(fullPath).isDirectory()) {
+      listFiles(fullPath, files);
+    } else {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Namespace of a file relative to its language directory, without extension
+ * (e.g. `admin/users` for `locales/en/admin/users.json`)
+ */
+function toNamespace(baseDir, filePath) {
+  const rel = relative(baseDir, filePath).split(sep).join('/');
+  return rel.slice(0, rel.length - extname(rel).length);
+}
+
+function isSupported(filePath, extensions) {
+  return extensions.includes(extname(filePath).toLowerCase());
+}
+
+/**
+ * Resolve an input path, directory or glob into source locale files
+ *
+ * Layouts follow the ones `shipi18n init` detects:
+ * - flat: `locales/en.json` -> `{outputDir}/{lang}.json`
+ * - nested: `locales/en/common.json` -> `{outputDir}/{lang}/common.json`
+ *
+ * @param {string} input - File, directory or glob pattern
+ * @param {Object} options
+ * @param {string} options.sourceLanguage - Source language code
+ * @param {string[]} options.extensions - Supported file extensions
+ * @returns {Array<{path: string, namespace: string|null}>} Source files; namespace is null for flat layout
+ */
+export function resolveSourceFiles(input, { sourceLanguage = 'en', extensions = SUPPORTED_EXTENSIONS } = {}) {
+  const normalized = input.split(sep).join('/');
+
+  // Glob pattern: every match is a namespace relative to the static prefix
+  if (hasGlob(normalized)) {
+    const baseDir = globBase(normalized);
+    const regex = globToRegExp(normalized.replace(/^\.\//, ''));
+
+    return listFiles(baseDir)
+      .filter(file => regex.test(file.split(sep).join('/')) && isSupported(file, extensions))
+      .map(file => ({ path: file, namespace: toNamespace(baseDir, file) }));
+  }
+
+  if (!existsSync(input)) {
+    throw new Error(`Input file not found: ${input}`);
+  }
+
+  if (statSync(input).isDirectory()) {
+    // Flat directory containing {sourceLanguage}.json
+    const flatFile = extensions
+      .map(ext => join(input, `${sourceLanguage}${ext}`))
+      .find(file => existsSync(file));
+    if (flatFile) {
+      return [{ path: flatFile, namespace: null }];
+    }
+
+    // Locale-suffixed files like Flutter's app_en.arb
+    const suffix = `_${sourceLanguage.replace(/-/g, '_')}`;
+    const suffixed = readdirSync(input)
+      .sort()
+      .filter(file => isSupported(file, extensions) && basename(file, extname(file)).endsWith(suffix))
+      .map(file => ({ path: join(input, file), namespace: null }));
+    if (suffixed.length > 0) {
+      return suffixed;
+    }
+
+    // Locale root containing a {sourceLanguage}/ folder, or the language folder itself
+    const languageDir = join(input, sourceLanguage);
+    const baseDir = existsSync(languageDir) && statSync(languageDir).isDirectory() ? languageDir : input;
+
+    return listFiles(baseDir)
+      .filter(file => isSupported(file, extensions))
+      .map(file => ({ path: file, namespace: toNamespace(baseDir, file) }));
+  }
+
+  // Single file inside a language folder is a namespace file
+  const parentDir = dirname(input);
+  if (basename(parentDir) === sourceLanguage) {
+    return [{ path: input, namespace: toNamespace(parentDir, input) }];
+  }
+
+  return [{ path: input, namespace: null }];
+}
+
+/**
+ * What a command works on: its inputs and languages, with the project config filling the gaps
+ * Inputs default to sourceDir; fileFormat limits which files directories and globs pick up.
+ * @param {string[]} inputs - Files, directories or globs from the command line
+ * @param {Object} options - Command options (`source`, `target`)
+ * @param {Object} config - Merged config (see getConfig)
+ * @returns {{inputs: string[], sourceLanguage: string, targetLanguages: string[]|null, extensions: string[]}}
+ *   `inputs` is empty and `targetLanguages` null when neither the command nor the config sets them
+ */
+export function resolveInputs(inputs, options, config) {
+  return {
+    inputs: inputs.length > 0 ? inputs : [config.sourceDir].filter(Boolean),
+    sourceLanguage: options.source || config.sourceLanguage,
+    targetLanguages: parseList(options.target) || parseList(config.targetLanguages),
+    extensions: getFormatByName(config.fileFormat)?.extensions || SUPPORTED_EXTENSIONS,
+  };
+}
+
+/**
+ * Get the output path for a translated file
+ * @param {string} outputDir - Output directory
+ * @param {string} language - Target language code
+ * @param {string|null} namespace - Namespace (null for flat layout)
+ * @param {string} extension - File extension including the dot
+ * @returns {string}
+ */
+export function getOutputPath(outputDir, language, namespace, extension = '.json') {
+  if (namespace) {
+    return join(outputDir, language, `${namespace}${extension}`);
+  }
+  return join(outputDir, `${language}${extension}`);
+}
+
+/**
+ * Get the path a source file's translation is written to
+ * Formats with platform folder conventions (Android, iOS) decide it themselves;
+ * everything else follows the flat/nested layout under outputDir.
+ * @param {Object} sourceFile - Resolved source file ({ path, namespace, format })
+ * @param {string} language - Target language code
+ * @param {Object} options
+ * @param {string} options.outputDir - Output directory for flat/nested layouts
+ * @param {string} [options.resourceDir] - Explicit directory for platform formats (e.g. res/)
+ * @param {string} [options.sourceLanguage] - Source language, for formats that name files by locale
+ * @param {string} [options.extension] - Output extension (default: the format's or the source's)
+ * @returns {string}
+ */
+export function getTargetPath(sourceFile, language, { outputDir, resourceDir, sourceLanguage, extension } = {}) {
+  const format = sourceFile.format;
+  if (format?.outputPath) {
+    return format.outputPath(sourceFile.path, language, { resourceDir, sourceLanguage });
+  }
+  return getOutputPath(outputDir, language, sourceFile.namespace, extension || format?.outputExtension || extname(sourceFile.path));
+}
@@ -2,6 +2,8 @@
  * Utilities for incremental translation
  */
 
+import { createHash } from 'crypto';
+
 /**
  * Flatten a nested object into dot-notation keys
  * @param {Object} obj - Nested object
@@ -42,6 +44,23 @@ export function unflattenObject(obj) {
   return result;
 }
 
+/**
+ * Map keys from a file to translation keys that survive flattenObject/unflattenObject
+ * Dotted identifiers (`settings.title`) are used as-is and nest like JSON keys;
+ * anything else, and a key that is also a prefix of another (`title` and
+ * `title.short`), gets a short hash.
+ * @param {string[]} keys - Keys as the file has them
+ * @returns {Object} Translation key by file key
+ */
+export function translationKeys(keys) {
+  const mapped = {};
+  for (const key of keys) {
+    const clean = /^[\w-]+(\.[\w-]+)*$/.test(key) && !keys.some(other => other.startsWith(`${key}.`));
+    mapped[key] = clean ? key : `str_${createHash('sha1').update(key).digest('hex').slice(0, 12)}`;
+  }
+  return mapped;
+}
+
 /**
  * Deep merge two objects
  * @param {Object} target - Target object
@@ -60,6 +79,84 @@ export function deepMerge(target, source) {
   return result;
 }
 
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merge new translations into existing ones without reordering them
+ * Existing keys keep their position; a new key goes right after the key that
+ * precedes it in the source file (or first, if nothing does), so files keep
+ * the source order and diffs only show what was added.
+ * @param {Object} target - Existing translations
+ * @param {Object} source - Translations to merge in
+ * @param {Object} order - Source file data, for where new keys go
+ * @returns {Object} Merged object
+ */
+export function mergeInOrder(target, source, order = {}) {
+  const values = { ...target };
+  const added = [];
+
+  for (const [key, value] of Object.entries(source)) {
+    const nestedOrder = isPlainObject(order?.[key]) ? order[key] : {};
+    if (isPlainObject(value)) {
+      values[key] = mergeInOrder(isPlainObject(values[key]) ? values[key] : {}, value, nestedOrder);
+    } else {
+      values[key] = value;
+    }
+    if (!(key in target)) added.push(key);
+  }
+
+  if (added.length === 0) return values;
+
+  // New keys in source order, each placed after the nearest earlier source key already present
+  const orderKeys = Object.keys(order || {});
+  const addedSet = new Set(added);
+  const present = new Set(Object.keys(target));
+  const after = new Map();
+  const first = [];
+  let previous = null;
+
+  for (const key of orderKeys) {
+    if (addedSet.has(key)) {
+      if (previous === null) {
+        first.push(key);
+      } else {
+        if (!after.has(previous)) after.set(previous, []);
+        after.get(previous).push(key);
+      }
+      addedSet.delete(key);
+    }
+    if (key in values) previous = key;
+  }
+
+  const keys = [];
+  const place = (key) => {
+    keys.push(key);
+    for (const next of after.get(key) || []) place(next);
+  };
+  // Nothing in the existing file is in the source: keep it first, new keys after
+  const sourceKeysPresent = orderKeys.some(key => present.has(key));
+  if (sourceKeysPresent) first.forEach(place);
+  Object.keys(target).forEach(place);
+  if (!sourceKeysPresent) first.forEach(place);
+  // Keys not in the source file at all go last
+  addedSet.forEach(key => keys.push(key));
+
+  return Object.fromEntries(keys.map(key => [key, values[key]]));
+}
+
+/**
+ * Sort keys alphabetically at every level
+ * @param {Object} obj - Nested object
+ * @returns {Object} Sorted copy
+ */
+export function sortKeys(obj) {
+  return Object.fromEntries(
+    Object.keys(obj).sort().map(key => [key, isPlainObject(obj[key]) ? sortKeys(obj[key]) : obj[key]])
+  );
+}
+
 /**
  * Find keys that exist in source but not in target
  * @param {Object} sourceJson - Source JSON object
@@ -88,3 +185,23 @@ export function findMissingKeys(sourceJson, targetJson) {
 export function countKeys(obj) {
   return Object.keys(flattenObject(obj)).length;
 }
+
+/**
+ * Check whether a key is excluded by --skip-keys / --skip-paths
+ * `*` matches one level and `**` any number of levels; keys under a skipped key are skipped too.
+ * @param {string} key - Flattened key
+ * @param {string[]} skipKeys - Exact key paths
+ * @param {string[]} skipPaths - Wildcard patterns (e.g. "states.*", "**.internal")
+ * @returns {boolean}
+ */
+export function isSkippedKey(key, skipKeys = [], skipPaths = []) {
+  const matches = (pattern) => {
+    const regex = pattern
+      .split(/(\*\*|\*)/)
+      .map(part => part === '**' ? '.*' : part === '*' ? '[^.]+' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('');
+    return new RegExp(`^${regex}(\\..*)?$`).test(key);
+  };
+
+  return skipKeys.some(skipKey => key === skipKey || key.startsWith(`${skipKey}.`)) || skipPaths.some(matches);
+}
@@ -0,0 +1,143 @@
+/**
+ * shipi18n.lock - hashes of the source text each translation was made from
+ *
+ * {
+ *   "version": 1,
+ *   "files": {
+ *     "locales/en.json": { "es": { "nav.home": "<hash>" } }
+ *   }
+ * }
+ *
+ * Incremental runs compare these hashes with the current source to find keys
+ * whose English text changed since they were translated. Keys that were filled
+ * with the source text get "untranslated" instead, so the next run retries them.
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join, relative, resolve, sep } from 'path';
+import { findProjectConfig } from '../lib/config.js';
+import { flattenObject } from './incremental.js';
+
+export const LOCK_FILE = 'shipi18n.lock';
+const LOCK_VERSION = 1;
+// Never matches a hash, so the key counts as changed
+const UNTRANSLATED = 'untranslated';
+
+/**
+ * Hash a source value
+ * @param {*} value - Source value
+ * @returns {string}
+ */
+export function hashValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Lockfile location: next to shipi18n.config.json, or in the working directory
+ * @param {string} startDir - Directory to search from
+ * @returns {string}
+ */
+export function getLockPath(startDir = process.cwd()) {
+  const projectConfig = findProjectConfig(startDir);
+  return join(projectConfig ? dirname(projectConfig) : resolve(startDir), LOCK_FILE);
+}
+
+/**
+ * Read a lockfile (an empty lock if it doesn't exist)
+ * @param {string} lockPath - Lockfile path
+ * @returns {{version: number, files: Object}}
+ */
+export function readLock(lockPath) {
+  if (!existsSync(lockPath)) {
+    return { version: LOCK_VERSION, files: {} };
+  }
+
+  let lock;
+  try {
+    lock = JSON.parse(readFileSync(lockPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${lockPath}: ${error.message}`);
+  }
+  return { version: LOCK_VERSION, files: lock.files || {} };
+}
+
+/**
+ * Write a lockfile with sorted keys so diffs stay small
+ * @param {string} lockPath - Lockfile path
+ * @param {Object} lock - Lock contents
+ */
+export function writeLock(lockPath, lock) {
+  const files = {};
+  for (const file of Object.keys(lock.files).sort()) {
+    files[file] = {};
+    for (const language of Object.keys(lock.files[file]).sort()) {
+      const hashes = lock.files[file][language];
+      files[file][language] = Object.fromEntries(Object.keys(hashes).sort().map(key => [key, hashes[key]]));
+    }
+  }
+  writeFileSync(lockPath, JSON.stringify({ version: LOCK_VERSION, files }, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Hashes recorded for one source file and language (created if missing)
+ * @param {Object} lock - Lock contents
+ * @param {string} lockPath - Lockfile path, source paths are stored relative to it
+ * @param {string} sourcePath - Source file path
+ * @param {string} language - Target language
+ * @returns {Object<string, string>}
+ */
+export function getLockEntry(lock, lockPath, sourcePath, language) {
+  const file = relative(dirname(lockPath), resolve(sourcePath)).split(sep).join('/');
+  lock.files[file] = lock.files[file] || {};
+  lock.files[file][language] = lock.files[file][language] || {};
+  return lock.files[file][language];
+}
+
+/**
+ * Find keys whose source text changed since they were translated
+ * Keys without a recorded hash are treated as unchanged; keys that only got the
+ * source text as a fallback are always changed.
+ * @param {Object} sourceJson - Source JSON object
+ * @param {Object<string, string>} hashes - Lock entry for the target language
+ * @returns {Object} Flattened changed keys with their current source values
+ */
+export function findChangedKeys(sourceJson, hashes) {
+  const changed = {};
+  for (const [key, value] of Object.entries(flattenObject(sourceJson))) {
+    if (hashes[key] && hashes[key] !== hashValue(value)) {
+      changed[key] = value;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Record source hashes for the keys a target file now contains
+ * Translated keys (and keys seen for the first time) get the current hash;
+ * others keep theirs, so a changed key that wasn't re-translated stays stale.
+ * Keys filled with the source text are marked untranslated until a run translates them.
+ * @param {Object<string, string>} hashes - Lock entry to update
+ * @param {Object} sourceJson - Source JSON object
+ * @param {Object} targetJson - Target content as written
+ * @param {Set<string>} translatedKeys - Flattened keys translated in this run
+ * @param {Set<string>} fallbackKeys - Flattened keys of this run that got the source text instead
+ */
+export function updateLockEntry(hashes, sourceJson, targetJson, translatedKeys = new Set(), fallbackKeys = new Set()) {
+  const sourceFlat = flattenObject(sourceJson);
+  const targetFlat = flattenObject(targetJson);
+
+  for (const key of Object.keys(hashes)) {
+    if (!(key in sourceFlat)) delete hashes[key];
+  }
+
+  for (const [key, value] of Object.entries(sourceFlat)) {
+    if (!(key in targetFlat)) continue;
+    if (fallbackKeys.has(key)) {
+      hashes[key] = UNTRANSLATED;
+    } else if (translatedKeys.has(key) || !hashes[key]) {
+      hashes[key] = hashValue(value);
+    }
+  }
+}
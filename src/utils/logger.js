@@ -1,29 +1,48 @@
 import chalk from 'chalk';
 import ora from 'ora';
+import { stripVTControlCharacters } from 'util';
+
+// Commands printing JSON on stdout set logger.stderr so messages don't mix in
+const print = (...args) => {
+  if (!logger.silent) (logger.stderr ? console.error : console.log)(...args);
+};
+
+// Errors are kept when they end up in a result object instead of only on screen
+const keepErrors = () => logger.json || logger.silent;
+
+let resultPrinted = false;
 
 export const logger = {
+  stderr: false,
+  // --json: errors are also kept for the result object (see printResult)
+  json: false,
+  // translateFiles(): nothing is printed, errors are returned with the result
+  silent: false,
+  errors: [],
+
   success: (message) => {
-    console.log(chalk.green('✓'), message);
+    print(chalk.green('✓'), message);
   },
 
   error: (message) => {
-    console.log(chalk.red('✗'), message);
+    if (keepErrors()) logger.errors.push({ message: stripVTControlCharacters(String(message)) });
+    print(chalk.red('✗'), message);
   },
 
   warn: (message) => {
-    console.log(chalk.yellow('⚠'), message);
+    print(chalk.yellow('⚠'), message);
   },
 
   info: (message) => {
-    console.log(chalk.blue('ℹ'), message);
+    print(chalk.blue('ℹ'), message);
   },
 
   log: (message) => {
-    console.log(message);
+    print(message);
   },
 
   spinner: (text) => {
-    return ora(text).start();
+    return ora({ text, isSilent: logger.silent }).start();
   },
 };
 
@@ -37,6 +56,11 @@ export function formatError(error) {
       chalk.yellow('💡 Upgrade your plan at https://shipi18n.com to translate to more languages');
   }
 
+  if (error.status === 429) {
+    return chalk.red(error.message) + '\n' +
+      chalk.yellow('💡 Rate limit exceeded. Try again later with more --retries, or upgrade your plan at https://shipi18n.com');
+  }
+
   if (error.message.includes('API key')) {
     return chalk.red(error.message) + '\n' +
       chalk.yellow('💡 Get your free API key at https://shipi18n.com or run: shipi18n config set apiKey YOUR_KEY');
@@ -44,3 +68,40 @@ export function formatError(error) {
 
   return chalk.red(error.message);
 }
+
+/**
+ * Print the error that ended a command (kept for the result in --json mode and translateFiles)
+ * @param {Error} error
+ */
+export function reportError(error) {
+  if (keepErrors()) {
+    logger.errors.push({
+      message: error.message,
+      ...(error.status ? { status: error.status } : {}),
+      ...(error.code ? { code: error.code } : {}),
+    });
+  }
+  print(formatError(error));
+}
+
+/**
+ * Print a command's result as a single JSON object on stdout
+ * `ok` defaults to true; errors reported with logger.error or reportError are added.
+ * @param {Object} result
+ */
+export function printResult(result) {
+  resultPrinted = true;
+  process.stdout.write(JSON.stringify({ ok: true, ...result, errors: logger.errors }, null, 2) + '\n');
+}
+
+/**
+ * Turn on --json output: messages and spinners go to stderr, and a command that
+ * fails before printing its result prints `{"ok": false, "errors": [...]}`
+ */
+export function enableJSONOutput() {
+  logger.json = true;
+  logger.stderr = true;
+  process.once('exit', (code) => {
+    if (code !== 0 && !resultPrinted) printResult({ ok: false });
+  });
+}
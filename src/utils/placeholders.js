@@ -0,0 +1,221 @@
+/**
+ * Placeholder patterns shared by project detection, format adapters and checks
+ */
+
+import { flattenObject, unflattenObject } from './incremental.js';
+
+export const PLACEHOLDER_PATTERNS = {
+  i18next: { regex: /\{\{[^}]+\}\}/g },
+  icu: { regex: /\{[a-zA-Z_][a-zA-Z0-9_]*(?:,\s*(?:number|date|time|plural|select|selectordinal))?[^}]*\}/g },
+  // %s, %d, %@, %1$s, %.2f, %ld and stringsdict variables like %#@files@
+  printf: { regex: /%#@[^@\s]+@|%(?:\d+\$)?[-+0#]*\d*(?:\.\d+)?(?:ll|l|h)?[sdifuxXeEgGc@]/g },
+  ruby: { regex: /%\{[^}]+\}/g }
+};
+
+const TOKEN_REGEX = /\{\{ph(\d+)\}\}/g;
+
+/**
+ * Replace placeholders with numbered `{{phN}}` tokens before translation
+ * Used for formats whose placeholder syntax the API doesn't preserve on its own.
+ * @param {Object} data - Nested translations
+ * @param {RegExp} regex - Global placeholder regex (see PLACEHOLDER_PATTERNS)
+ * @returns {{data: Object, restore: function(Object): Object}} Protected data and a
+ *   function that puts the original placeholders back into a translated copy
+ */
+export function protectPlaceholders(data, regex) {
+  const placeholders = {};
+  const protectedFlat = {};
+
+  for (const [key, value] of Object.entries(flattenObject(data))) {
+    if (typeof value !== 'string') {
+      protectedFlat[key] = value;
+      continue;
+    }
+
+    const found = [];
+    protectedFlat[key] = value.replace(regex, (match) => {
+      found.push(match);
+      return `{{ph${found.length - 1}}}`;
+    });
+    if (found.length > 0) {
+      placeholders[key] = found;
+    }
+  }
+
+  const restore = (translated) => {
+    const flat = flattenObject(translated);
+    for (const [key, found] of Object.entries(placeholders)) {
+      if (typeof flat[key] === 'string') {
+        flat[key] = flat[key].replace(TOKEN_REGEX, (match, index) => found[index] ?? match);
+      }
+    }
+    return unflattenObject(flat);
+  };
+
+  return { data: unflattenObject(protectedFlat), restore };
+}
+
+/**
+ * Find named placeholders that translations dropped
+ * `{count}` and ICU arguments like `{count, plural, ...}` both count as present.
+ * @param {Object} data - Translated data
+ * @param {Object<string, string[]>} expected - Placeholder names per (flattened) key
+ * @returns {Array<{key: string, missing: string[]}>}
+ */
+export function findMissingPlaceholders(data, expected) {
+  const flat = flattenObject(data);
+  const issues = [];
+
+  for (const [key, names] of Object.entries(expected)) {
+    if (typeof flat[key] !== 'string') continue;
+
+    const missing = names.filter(name => {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return !new RegExp(`\\{\\s*${escaped}\\s*[,}]`).test(flat[key]);
+    });
+    if (missing.length > 0) {
+      issues.push({ key, missing });
+    }
+  }
+
+  return issues;
+}
+
+const ICU_BRANCHING_TYPES = ['plural', 'select', 'selectordinal'];
+
+/**
+ * ICU arguments in a message, including ones nested in plural/select branches
+ * Returns argument heads like `{name}` and `{count, plural}`; branch text such as
+ * `other {items}` isn't an argument, which the plain ICU regex can't tell apart.
+ * @param {string} message - ICU message
+ * @returns {string[]}
+ */
+export function icuArguments(message) {
+  const found = [];
+  let i = 0;
+
+  const skipSpace = () => {
+    while (i < message.length && /\s/.test(message[i])) i++;
+  };
+  const readWord = () => {
+    const match = /^[^\s{},]+/.exec(message.slice(i));
+    i += match ? match[0].length : 0;
+    return match ? match[0] : '';
+  };
+
+  // Message text up to an unmatched `}` or the end
+  const parseMessage = () => {
+    while (i < message.length && message[i] !== '}') {
+      if (message[i] === '{') parseArgument();
+      else i++;
+    }
+  };
+
+  const parseArgument = () => {
+    const start = i;
+    i++;
+    skipSpace();
+    const name = /^(?:[a-zA-Z_]\w*|\d+)/.exec(message.slice(i))?.[0];
+    if (!name) {
+      // A literal brace, e.g. the outer one of `{{name}}`
+      i = start + 1;
+      return;
+    }
+    i += name.length;
+    skipSpace();
+
+    if (message[i] === '}') {
+      found.push(`{${name}}`);
+      i++;
+      return;
+    }
+    if (message[i] !== ',') {
+      i = start + 1;
+      return;
+    }
+
+    i++;
+    skipSpace();
+    const type = readWord();
+    skipSpace();
+    found.push(`{${name}, ${type}}`);
+
+    if (ICU_BRANCHING_TYPES.includes(type) && message[i] === ',') {
+      i++;
+      // selector {message} pairs, optionally after offset:n
+      while (i < message.length) {
+        skipSpace();
+        if (message[i] === '}') {
+          i++;
+          return;
+        }
+        const selector = readWord();
+        skipSpace();
+        if (selector.startsWith('offset:')) continue;
+        if (message[i] !== '{') return;
+        i++;
+        parseMessage();
+        i++;
+      }
+      return;
+    }
+
+    // number/date/time with a style: skip to the matching brace
+    let depth = 1;
+    while (i < message.length && depth > 0) {
+      if (message[i] === '{') depth++;
+      else if (message[i] === '}') depth--;
+      i++;
+    }
+  };
+
+  while (i < message.length) {
+    parseMessage();
+    i++;
+  }
+  return found;
+}
+
+/**
+ * All placeholders in a value, from every family detectPlaceholderPatterns knows
+ * @param {string} value - Translation value
+ * @returns {string[]} Sorted placeholders (duplicates kept)
+ */
+export function extractPlaceholders(value) {
+  if (typeof value !== 'string') return [];
+
+  const found = [];
+  let rest = value;
+  for (const family of ['i18next', 'ruby', 'printf']) {
+    const regex = PLACEHOLDER_PATTERNS[family].regex;
+    found.push(...(rest.match(regex) || []));
+    // so `{{name}}` and `%{name}` aren't counted again as ICU `{name}`
+    rest = rest.replace(regex, ' ');
+  }
+  // ICU arguments count once: a plural with the text moved into its branches repeats them
+  found.push(...new Set(icuArguments(rest)));
+
+  return found.sort();
+}
+
+/**
+ * Compare the placeholders of a source value and its translation
+ * @param {string} source - Source value
+ * @param {string} target - Translated value
+ * @returns {{missing: string[], extra: string[]}}
+ */
+export function comparePlaceholders(source, target) {
+  const remaining = extractPlaceholders(target);
+  const missing = [];
+
+  for (const placeholder of extractPlaceholders(source)) {
+    const index = remaining.indexOf(placeholder);
+    if (index === -1) {
+      missing.push(placeholder);
+    } else {
+      remaining.splice(index, 1);
+    }
+  }
+
+  return { missing, extra: remaining };
+}
@@ -0,0 +1,210 @@
+/**
+ * CLDR plural categories, from the ICU data built into Node (Intl.PluralRules),
+ * i18next plural suffix keys (`item_one`, `item_few`, ...) and the plural objects
+ * of formats like PO and Android (`item: { one, few }`)
+ */
+
+import { flattenObject, unflattenObject } from './incremental.js';
+
+export const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Plural categories a language needs, in CLDR order
+ * e.g. en -> one, other; pl -> one, few, many, other; ja -> other
+ * @param {string} language - Language code (e.g. "pl", "pt-BR")
+ * @param {Object} options
+ * @param {boolean} options.ordinal - Ordinal categories (1st, 2nd, ...) instead of cardinal
+ * @returns {string[]}
+ */
+export function pluralCategories(language, { ordinal = false } = {}) {
+  let categories;
+  try {
+    categories = new Intl.PluralRules(language, { type: ordinal ? 'ordinal' : 'cardinal' })
+      .resolvedOptions().pluralCategories;
+  } catch (error) {
+    // Not a valid locale tag
+    categories = ['one', 'other'];
+  }
+  return PLURAL_CATEGORIES.filter(category => categories.includes(category));
+}
+
+const I18NEXT_PLURAL_KEY = /^(.+?)(_ordinal)?_(zero|one|two|few|many|other)$/;
+
+/**
+ * Whether the project stores plurals as i18next suffix keys (`item_one`, `item_other`)
+ * Projects set up before `init` recorded the framework go by the placeholder format.
+ * @param {Object} config - Merged config
+ * @returns {boolean}
+ */
+export function usesI18nextPlurals(config) {
+  return config.framework ? config.framework === 'i18next' : config.placeholderFormat === 'i18next';
+}
+
+// `item_few` for i18next groups, `item.few` for plural objects (PO, Android, stringsdict)
+function i18nextKey(group, category) {
+  if (group.nested) return `${group.base}.${category}`;
+  return `${group.base}${group.ordinal ? '_ordinal' : ''}_${category}`;
+}
+
+/**
+ * Find i18next plural key groups: sibling keys with plural suffixes, one of them `_other`
+ * @param {Object} data - Nested translations
+ * @returns {Array<{base: string, ordinal: boolean, categories: string[]}>} Flattened base keys
+ *   (e.g. "cart.item") with the categories the data has
+ */
+export function findPluralGroups(data) {
+  const groups = new Map();
+
+  for (const [key, value] of Object.entries(flattenObject(data))) {
+    const match = I18NEXT_PLURAL_KEY.exec(key);
+    if (!match || typeof value !== 'string') continue;
+
+    const [, base, ordinal, category] = match;
+    const id = `${base}${ordinal || ''}`;
+    if (!groups.has(id)) groups.set(id, { base, ordinal: Boolean(ordinal), categories: [] });
+    groups.get(id).categories.push(category);
+  }
+
+  return [...groups.values()].filter(group => group.categories.includes('other') && group.categories.length > 1);
+}
+
+/**
+ * Find the plural groups of a source file
+ * Besides i18next suffix keys, formats with plural objects (`{ one, other }`) list their
+ * keys through `pluralKeys(document)`. Those get the CLDR categories of each language,
+ * unless the format has its own `pluralCategories(language)` (PO's Plural-Forms).
+ * @param {Object} data - Nested source translations
+ * @param {Object} options
+ * @param {Object} options.format - Format adapter of the source file
+ * @param {Object} options.document - Parsed source document
+ * @param {boolean} options.i18next - Look for i18next suffix keys (see usesI18nextPlurals)
+ * @returns {Array} Groups like findPluralGroups'
+ */
+export function findSourcePluralGroups(data, { format, document, i18next = false } = {}) {
+  const groups = i18next ? findPluralGroups(data) : [];
+  const flat = flattenObject(data);
+
+  for (const base of format?.pluralKeys?.(document) || []) {
+    const categories = PLURAL_CATEGORIES.filter(category => typeof flat[`${base}.${category}`] === 'string');
+    if (categories.includes('other')) {
+      groups.push({
+        base,
+        ordinal: false,
+        nested: true,
+        categories,
+        categoriesFor: format.pluralCategories || (language => pluralCategories(language)),
+      });
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Plural categories a group needs in a language
+ * A `_zero` key the source has is kept: i18next uses it for a count of 0 in any language.
+ */
+function groupCategories(group, language) {
+  if (group.categoriesFor) return group.categoriesFor(language);
+  const categories = pluralCategories(language, { ordinal: group.ordinal });
+  return PLURAL_CATEGORIES.filter(category =>
+    categories.includes(category) || (category === 'zero' && group.categories.includes('zero'))
+  );
+}
+
+/**
+ * Add the plural keys any of the languages needs, copied from the `_other` key
+ * The added keys go right after the group's existing keys. Groups whose `_other` key isn't
+ * in the data (e.g. a subset of changed keys) are left alone.
+ * @param {Object} data - Nested translations
+ * @param {Array} groups - Groups from findPluralGroups on the source
+ * @param {string[]} languages - Target languages
+ * @returns {Object} Nested translations with the extra keys
+ */
+export function expandPluralGroups(data, groups, languages) {
+  const flat = flattenObject(data);
+  // Added keys by the group key they follow, so each group stays together
+  const added = new Map();
+
+  for (const group of groups) {
+    const other = flat[i18nextKey(group, 'other')];
+    if (typeof other !== 'string') continue;
+
+    const forms = {};
+    for (const language of languages) {
+      for (const category of groupCategories(group, language)) {
+        const key = i18nextKey(group, category);
+        if (!(key in flat)) forms[key] = other;
+      }
+    }
+
+    const keys = PLURAL_CATEGORIES.map(category => i18nextKey(group, category));
+    const last = Object.keys(flat).filter(key => keys.includes(key)).pop();
+    added.set(last, forms);
+  }
+
+  const expanded = {};
+  for (const [key, value] of Object.entries(flat)) {
+    expanded[key] = value;
+    Object.assign(expanded, added.get(key));
+  }
+  return unflattenObject(expanded);
+}
+
+/**
+ * Remove plural keys a language doesn't use (e.g. `_one` for Japanese)
+ * @param {Object} data - Nested translations for one language
+ * @param {Array} groups - Groups from findPluralGroups on the source
+ * @param {string} language - Language of the data
+ * @returns {Object}
+ */
+export function filterPluralGroups(data, groups, language) {
+  const flat = flattenObject(data);
+
+  for (const group of groups) {
+    const categories = groupCategories(group, language);
+    for (const category of PLURAL_CATEGORIES) {
+      if (!categories.includes(category)) delete flat[i18nextKey(group, category)];
+    }
+  }
+
+  return unflattenObject(flat);
+}
+
+/**
+ * The keys a translation into one language should have: the source with its plural
+ * groups changed to that language's categories
+ * @param {Object} data - Nested source translations
+ * @param {Array} groups - Groups from findPluralGroups on the source
+ * @param {string} language - Target language
+ * @returns {Object}
+ */
+export function pluralSourceFor(data, groups, language) {
+  if (groups.length === 0) return data;
+  return filterPluralGroups(expandPluralGroups(data, groups, [language]), groups, language);
+}
+
+/**
+ * Plural keys a translated file lacks for its language
+ * Only groups the file has at least one form of are reported; others are just untranslated.
+ * @param {Object} data - Nested translations for one language
+ * @param {Array} groups - Groups from findPluralGroups on the source
+ * @param {string} language - Language of the data
+ * @returns {Array<{base: string, missing: string[]}>}
+ */
+export function findMissingPluralForms(data, groups, language) {
+  const flat = flattenObject(data);
+  const issues = [];
+
+  for (const group of groups) {
+    const keys = PLURAL_CATEGORIES.map(category => i18nextKey(group, category));
+    if (!keys.some(key => key in flat)) continue;
+
+    const missing = groupCategories(group, language).filter(category => !(i18nextKey(group, category) in flat));
+    if (missing.length > 0) {
+      issues.push({ base: group.ordinal ? `${group.base}_ordinal` : group.base, missing });
+    }
+  }
+
+  return issues;
+}